@@ -0,0 +1,15 @@
+// ==================== prisma.config.js ====================
+require('dotenv').config();
+const { defineConfig, env } = require('prisma/config');
+
+// Prisma CLI settings (migrate, studio). The connection URL lives here rather
+// than in schema.prisma.
+module.exports = defineConfig({
+  schema: 'prisma/schema.prisma',
+  migrations: {
+    path: 'prisma/migrations'
+  },
+  datasource: {
+    url: env('DATABASE_URL')
+  }
+});
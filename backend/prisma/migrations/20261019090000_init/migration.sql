@@ -0,0 +1,676 @@
+-- CreateEnum
+CREATE TYPE "UserType" AS ENUM ('INTERNAL_USER', 'SHIPPER_USER', 'DRIVER');
+
+-- CreateEnum
+CREATE TYPE "UserRole" AS ENUM ('ADMIN', 'DISPATCHER', 'ACCOUNTANT');
+
+-- CreateEnum
+CREATE TYPE "ShipperClientStatus" AS ENUM ('ACTIVE', 'INACTIVE', 'SUSPENDED');
+
+-- CreateEnum
+CREATE TYPE "EquipmentType" AS ENUM ('DRY_VAN', 'REEFER', 'FLATBED', 'STEP_DECK', 'LOWBOY');
+
+-- CreateEnum
+CREATE TYPE "LoadStatus" AS ENUM ('DRAFT', 'PENDING_REVIEW', 'NEGOTIATING', 'RATE_APPROVED', 'SCHEDULED', 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE_PICKUP', 'AT_PICKUP', 'LOADED', 'EN_ROUTE_DELIVERY', 'AT_DELIVERY', 'DELIVERED', 'POD_SUBMITTED', 'POD_PENDING', 'COMPLETED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "NegotiationStatus" AS ENUM ('PENDING', 'COUNTER_OFFERED', 'ACCEPTED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "NegotiationInitiator" AS ENUM ('SHIPPER', 'DISPATCHER');
+
+-- CreateEnum
+CREATE TYPE "DocumentStatus" AS ENUM ('PENDING_REVIEW', 'APPROVED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "InvoiceStatus" AS ENUM ('DRAFT', 'SENT', 'PAID', 'OVERDUE', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "SettlementStatus" AS ENUM ('PENDING', 'APPROVED', 'PAID', 'DISPUTED');
+
+-- CreateEnum
+CREATE TYPE "NotificationType" AS ENUM ('LOAD_ASSIGNED', 'LOAD_ACCEPTED', 'LOAD_REJECTED', 'POD_SUBMITTED', 'POD_VERIFIED', 'INVOICE_ISSUED', 'INVOICE_OVERDUE', 'SETTLEMENT_READY', 'SETTLEMENT_PAID', 'SYSTEM_ANNOUNCEMENT');
+
+-- CreateEnum
+CREATE TYPE "NotificationPriority" AS ENUM ('LOW', 'NORMAL', 'HIGH', 'URGENT');
+
+-- CreateTable
+CREATE TABLE "InternalUser" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "firstName" TEXT NOT NULL,
+    "lastName" TEXT NOT NULL,
+    "role" "UserRole" NOT NULL,
+    "phone" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" TIMESTAMP(3),
+    "lastLogin" TIMESTAMP(3),
+    "passwordUpdatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InternalUser_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ShipperClient" (
+    "id" TEXT NOT NULL,
+    "legalName" TEXT NOT NULL,
+    "tradeName" TEXT,
+    "email" TEXT,
+    "phoneNumber" TEXT,
+    "billingAddress" TEXT,
+    "paymentTerms" INTEGER NOT NULL DEFAULT 30,
+    "creditLimit" DECIMAL(12,2),
+    "currentBalance" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "status" "ShipperClientStatus" NOT NULL DEFAULT 'ACTIVE',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShipperClient_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ShipperUser" (
+    "id" TEXT NOT NULL,
+    "shipperClientId" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "firstName" TEXT NOT NULL,
+    "lastName" TEXT NOT NULL,
+    "phone" TEXT,
+    "jobTitle" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" TIMESTAMP(3),
+    "lastLogin" TIMESTAMP(3),
+    "passwordUpdatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShipperUser_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ShipperUserPermission" (
+    "id" TEXT NOT NULL,
+    "shipperUserId" TEXT NOT NULL,
+    "permission" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ShipperUserPermission_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Driver" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "firstName" TEXT NOT NULL,
+    "lastName" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "driverType" TEXT NOT NULL,
+    "licenseNumber" TEXT NOT NULL,
+    "licenseState" TEXT NOT NULL,
+    "licenseExpiry" TIMESTAMP(3) NOT NULL,
+    "medicalCertExpiry" TIMESTAMP(3) NOT NULL,
+    "hireDate" TIMESTAMP(3) NOT NULL,
+    "terminationDate" TIMESTAMP(3),
+    "payType" TEXT NOT NULL,
+    "payRate" DECIMAL(10,2) NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "isAvailable" BOOLEAN NOT NULL DEFAULT true,
+    "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" TIMESTAMP(3),
+    "lastLogin" TIMESTAMP(3),
+    "passwordUpdatedAt" TIMESTAMP(3),
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Driver_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Vehicle" (
+    "id" TEXT NOT NULL,
+    "unitNumber" TEXT NOT NULL,
+    "vin" TEXT,
+    "plateNumber" TEXT,
+    "make" TEXT,
+    "model" TEXT,
+    "year" INTEGER,
+    "equipmentType" "EquipmentType" NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'ACTIVE',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Vehicle_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "VehicleAssignment" (
+    "id" TEXT NOT NULL,
+    "vehicleId" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "assignedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "unassignedAt" TIMESTAMP(3),
+    "isCurrentlyAssigned" BOOLEAN NOT NULL DEFAULT true,
+    "notes" TEXT,
+
+    CONSTRAINT "VehicleAssignment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "MaintenanceRecord" (
+    "id" TEXT NOT NULL,
+    "vehicleId" TEXT NOT NULL,
+    "serviceType" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "servicedAt" TIMESTAMP(3) NOT NULL,
+    "servicedBy" TEXT,
+    "cost" DECIMAL(10,2),
+    "nextServiceDue" TIMESTAMP(3),
+    "nextServiceMileage" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "MaintenanceRecord_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Load" (
+    "id" TEXT NOT NULL,
+    "loadNumber" TEXT NOT NULL,
+    "shipperClientId" TEXT NOT NULL,
+    "createdById" TEXT,
+    "origin" TEXT NOT NULL,
+    "originAddress" TEXT,
+    "destination" TEXT NOT NULL,
+    "destinationAddress" TEXT,
+    "equipmentType" "EquipmentType" NOT NULL,
+    "weightLbs" INTEGER NOT NULL,
+    "distanceMiles" DECIMAL(10,2),
+    "commodity" TEXT NOT NULL,
+    "specialInstructions" TEXT,
+    "pickupDate" TIMESTAMP(3) NOT NULL,
+    "pickupTimeStart" TIMESTAMP(3),
+    "pickupTimeEnd" TIMESTAMP(3),
+    "deliveryDate" TIMESTAMP(3) NOT NULL,
+    "deliveryTimeStart" TIMESTAMP(3),
+    "deliveryTimeEnd" TIMESTAMP(3),
+    "actualPickupTime" TIMESTAMP(3),
+    "actualDeliveryTime" TIMESTAMP(3),
+    "shipperRate" DECIMAL(10,2),
+    "driverPay" DECIMAL(10,2),
+    "approvedNegotiationId" TEXT,
+    "status" "LoadStatus" NOT NULL DEFAULT 'DRAFT',
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Load_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoadAssignment" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "assignedById" TEXT,
+    "assignedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "estimatedPickup" TIMESTAMP(3),
+    "estimatedDelivery" TIMESTAMP(3),
+    "acceptedAt" TIMESTAMP(3),
+    "rejectedAt" TIMESTAMP(3),
+    "rejectionReason" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadAssignment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoadStatusHistory" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "fromStatus" "LoadStatus",
+    "toStatus" "LoadStatus" NOT NULL,
+    "changedById" TEXT NOT NULL,
+    "changedByType" "UserType" NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoadStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoadStatusEvent" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "driverId" TEXT,
+    "status" "LoadStatus" NOT NULL,
+    "notes" TEXT,
+    "gpsLat" DOUBLE PRECISION,
+    "gpsLng" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoadStatusEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoadGeoLocation" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "stopSequence" INTEGER NOT NULL,
+    "locationType" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "latitude" DECIMAL(10,7) NOT NULL,
+    "longitude" DECIMAL(10,7) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoadGeoLocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoadNegotiation" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "proposedRate" DECIMAL(10,2) NOT NULL,
+    "counterRate" DECIMAL(10,2),
+    "notes" TEXT,
+    "initiatedBy" "NegotiationInitiator" NOT NULL,
+    "handledById" TEXT,
+    "status" "NegotiationStatus" NOT NULL DEFAULT 'PENDING',
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadNegotiation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoadDocument" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "uploadedById" TEXT,
+    "documentType" TEXT NOT NULL,
+    "documentUrl" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "status" "DocumentStatus" NOT NULL DEFAULT 'PENDING_REVIEW',
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoadDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DocumentApproval" (
+    "id" TEXT NOT NULL,
+    "loadDocumentId" TEXT NOT NULL,
+    "approvedById" TEXT NOT NULL,
+    "approved" BOOLEAN NOT NULL,
+    "rejectionReason" TEXT,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DocumentApproval_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PodDocument" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "signatureImage" TEXT NOT NULL,
+    "recipientName" TEXT NOT NULL,
+    "recipientTitle" TEXT,
+    "gpsLat" DOUBLE PRECISION,
+    "gpsLng" DOUBLE PRECISION,
+    "capturedAt" TIMESTAMP(3) NOT NULL,
+    "syncedAt" TIMESTAMP(3),
+    "notes" TEXT,
+    "verifiedAt" TIMESTAMP(3),
+    "verifiedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PodDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "PodPhoto" (
+    "id" TEXT NOT NULL,
+    "podDocumentId" TEXT NOT NULL,
+    "photoUrl" TEXT NOT NULL,
+    "photoOrder" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PodPhoto_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FileUpload" (
+    "id" TEXT NOT NULL,
+    "uploadedById" TEXT NOT NULL,
+    "uploadedByType" "UserType" NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "originalFileName" TEXT NOT NULL,
+    "fileSize" INTEGER NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "fileExtension" TEXT NOT NULL,
+    "storageProvider" TEXT NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "storageBucket" TEXT,
+    "fileUrl" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "metadata" JSONB,
+    "relatedEntityType" TEXT,
+    "relatedEntityId" TEXT,
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FileUpload_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ShipperInvoice" (
+    "id" TEXT NOT NULL,
+    "invoiceNumber" TEXT NOT NULL,
+    "shipperClientId" TEXT NOT NULL,
+    "loadId" TEXT,
+    "subtotal" DECIMAL(10,2) NOT NULL,
+    "taxAmount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "total" DECIMAL(10,2) NOT NULL,
+    "status" "InvoiceStatus" NOT NULL DEFAULT 'DRAFT',
+    "notes" TEXT,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "issuedAt" TIMESTAMP(3),
+    "paidAt" TIMESTAMP(3),
+    "paymentMethod" TEXT,
+    "paymentReference" TEXT,
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShipperInvoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InvoiceLineItem" (
+    "id" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "quantity" DECIMAL(10,2) NOT NULL DEFAULT 1,
+    "unitPrice" DECIMAL(10,2) NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InvoiceLineItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DriverSettlement" (
+    "id" TEXT NOT NULL,
+    "settlementNumber" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "loadId" TEXT,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "grossAmount" DECIMAL(10,2) NOT NULL,
+    "totalDeductions" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "netAmount" DECIMAL(10,2) NOT NULL,
+    "status" "SettlementStatus" NOT NULL DEFAULT 'PENDING',
+    "notes" TEXT,
+    "approvedAt" TIMESTAMP(3),
+    "approvedById" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "paymentMethod" TEXT,
+    "paymentReference" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DriverSettlement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SettlementDeduction" (
+    "id" TEXT NOT NULL,
+    "settlementId" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "category" TEXT NOT NULL DEFAULT 'OTHER',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SettlementDeduction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Notification" (
+    "id" TEXT NOT NULL,
+    "recipientId" TEXT NOT NULL,
+    "recipientType" "UserType" NOT NULL,
+    "type" "NotificationType" NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "relatedEntityType" TEXT,
+    "relatedEntityId" TEXT,
+    "actionUrl" TEXT,
+    "priority" "NotificationPriority" NOT NULL DEFAULT 'NORMAL',
+    "metadata" JSONB,
+    "isRead" BOOLEAN NOT NULL DEFAULT false,
+    "readAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Notification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "userType" "UserType" NOT NULL,
+    "userEmail" TEXT,
+    "action" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT,
+    "changes" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "requestMethod" TEXT,
+    "requestPath" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InternalUser_email_key" ON "InternalUser"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShipperUser_email_key" ON "ShipperUser"("email");
+
+-- CreateIndex
+CREATE INDEX "ShipperUser_shipperClientId_idx" ON "ShipperUser"("shipperClientId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShipperUserPermission_shipperUserId_permission_key" ON "ShipperUserPermission"("shipperUserId", "permission");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Driver_email_key" ON "Driver"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Driver_licenseNumber_key" ON "Driver"("licenseNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Vehicle_unitNumber_key" ON "Vehicle"("unitNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Vehicle_vin_key" ON "Vehicle"("vin");
+
+-- CreateIndex
+CREATE INDEX "VehicleAssignment_vehicleId_isCurrentlyAssigned_idx" ON "VehicleAssignment"("vehicleId", "isCurrentlyAssigned");
+
+-- CreateIndex
+CREATE INDEX "VehicleAssignment_driverId_isCurrentlyAssigned_idx" ON "VehicleAssignment"("driverId", "isCurrentlyAssigned");
+
+-- CreateIndex
+CREATE INDEX "MaintenanceRecord_vehicleId_servicedAt_idx" ON "MaintenanceRecord"("vehicleId", "servicedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Load_loadNumber_key" ON "Load"("loadNumber");
+
+-- CreateIndex
+CREATE INDEX "Load_shipperClientId_status_idx" ON "Load"("shipperClientId", "status");
+
+-- CreateIndex
+CREATE INDEX "Load_status_pickupDate_idx" ON "Load"("status", "pickupDate");
+
+-- CreateIndex
+CREATE INDEX "LoadAssignment_loadId_idx" ON "LoadAssignment"("loadId");
+
+-- CreateIndex
+CREATE INDEX "LoadAssignment_driverId_idx" ON "LoadAssignment"("driverId");
+
+-- CreateIndex
+CREATE INDEX "LoadStatusHistory_loadId_createdAt_idx" ON "LoadStatusHistory"("loadId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LoadStatusEvent_loadId_createdAt_idx" ON "LoadStatusEvent"("loadId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LoadGeoLocation_loadId_stopSequence_idx" ON "LoadGeoLocation"("loadId", "stopSequence");
+
+-- CreateIndex
+CREATE INDEX "LoadNegotiation_loadId_idx" ON "LoadNegotiation"("loadId");
+
+-- CreateIndex
+CREATE INDEX "LoadDocument_loadId_idx" ON "LoadDocument"("loadId");
+
+-- CreateIndex
+CREATE INDEX "PodDocument_loadId_idx" ON "PodDocument"("loadId");
+
+-- CreateIndex
+CREATE INDEX "FileUpload_relatedEntityType_relatedEntityId_idx" ON "FileUpload"("relatedEntityType", "relatedEntityId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShipperInvoice_invoiceNumber_key" ON "ShipperInvoice"("invoiceNumber");
+
+-- CreateIndex
+CREATE INDEX "ShipperInvoice_shipperClientId_status_idx" ON "ShipperInvoice"("shipperClientId", "status");
+
+-- CreateIndex
+CREATE INDEX "ShipperInvoice_loadId_idx" ON "ShipperInvoice"("loadId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DriverSettlement_settlementNumber_key" ON "DriverSettlement"("settlementNumber");
+
+-- CreateIndex
+CREATE INDEX "DriverSettlement_driverId_status_idx" ON "DriverSettlement"("driverId", "status");
+
+-- CreateIndex
+CREATE INDEX "DriverSettlement_loadId_idx" ON "DriverSettlement"("loadId");
+
+-- CreateIndex
+CREATE INDEX "Notification_recipientId_recipientType_isRead_idx" ON "Notification"("recipientId", "recipientType", "isRead");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_entityType_entityId_idx" ON "AuditLog"("entityType", "entityId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_userId_createdAt_idx" ON "AuditLog"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ShipperUser" ADD CONSTRAINT "ShipperUser_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ShipperUserPermission" ADD CONSTRAINT "ShipperUserPermission_shipperUserId_fkey" FOREIGN KEY ("shipperUserId") REFERENCES "ShipperUser"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VehicleAssignment" ADD CONSTRAINT "VehicleAssignment_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "Vehicle"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VehicleAssignment" ADD CONSTRAINT "VehicleAssignment_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MaintenanceRecord" ADD CONSTRAINT "MaintenanceRecord_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "Vehicle"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Load" ADD CONSTRAINT "Load_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Load" ADD CONSTRAINT "Load_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "ShipperUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadAssignment" ADD CONSTRAINT "LoadAssignment_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadAssignment" ADD CONSTRAINT "LoadAssignment_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadAssignment" ADD CONSTRAINT "LoadAssignment_assignedById_fkey" FOREIGN KEY ("assignedById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadStatusHistory" ADD CONSTRAINT "LoadStatusHistory_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadStatusEvent" ADD CONSTRAINT "LoadStatusEvent_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadStatusEvent" ADD CONSTRAINT "LoadStatusEvent_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadGeoLocation" ADD CONSTRAINT "LoadGeoLocation_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadNegotiation" ADD CONSTRAINT "LoadNegotiation_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadNegotiation" ADD CONSTRAINT "LoadNegotiation_handledById_fkey" FOREIGN KEY ("handledById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadDocument" ADD CONSTRAINT "LoadDocument_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadDocument" ADD CONSTRAINT "LoadDocument_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "ShipperUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentApproval" ADD CONSTRAINT "DocumentApproval_loadDocumentId_fkey" FOREIGN KEY ("loadDocumentId") REFERENCES "LoadDocument"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DocumentApproval" ADD CONSTRAINT "DocumentApproval_approvedById_fkey" FOREIGN KEY ("approvedById") REFERENCES "InternalUser"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PodDocument" ADD CONSTRAINT "PodDocument_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PodDocument" ADD CONSTRAINT "PodDocument_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PodDocument" ADD CONSTRAINT "PodDocument_verifiedById_fkey" FOREIGN KEY ("verifiedById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PodPhoto" ADD CONSTRAINT "PodPhoto_podDocumentId_fkey" FOREIGN KEY ("podDocumentId") REFERENCES "PodDocument"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ShipperInvoice" ADD CONSTRAINT "ShipperInvoice_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ShipperInvoice" ADD CONSTRAINT "ShipperInvoice_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InvoiceLineItem" ADD CONSTRAINT "InvoiceLineItem_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "ShipperInvoice"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DriverSettlement" ADD CONSTRAINT "DriverSettlement_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DriverSettlement" ADD CONSTRAINT "DriverSettlement_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "DriverSettlement" ADD CONSTRAINT "DriverSettlement_approvedById_fkey" FOREIGN KEY ("approvedById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SettlementDeduction" ADD CONSTRAINT "SettlementDeduction_settlementId_fkey" FOREIGN KEY ("settlementId") REFERENCES "DriverSettlement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "StopType" AS ENUM ('PICKUP', 'DELIVERY');
+
+-- CreateEnum
+CREATE TYPE "StopEvent" AS ENUM ('ARRIVED', 'DEPARTED');
+
+-- AlterTable
+ALTER TABLE "LoadStatusEvent" ADD COLUMN     "stopEvent" "StopEvent",
+ADD COLUMN     "stopId" TEXT;
+
+-- AlterTable
+ALTER TABLE "PodDocument" ADD COLUMN     "stopId" TEXT;
+
+-- CreateTable
+CREATE TABLE "LoadStop" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "stopSequence" INTEGER NOT NULL,
+    "stopType" "StopType" NOT NULL,
+    "locationName" TEXT NOT NULL,
+    "address" TEXT NOT NULL,
+    "city" TEXT,
+    "state" TEXT,
+    "zipCode" TEXT,
+    "appointmentStart" TIMESTAMP(3) NOT NULL,
+    "appointmentEnd" TIMESTAMP(3),
+    "referenceNumbers" JSONB NOT NULL DEFAULT '[]',
+    "weightLbs" INTEGER,
+    "contactName" TEXT,
+    "contactPhone" TEXT,
+    "notes" TEXT,
+    "arrivedAt" TIMESTAMP(3),
+    "departedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadStop_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadStop_loadId_stopSequence_key" ON "LoadStop"("loadId", "stopSequence");
+
+-- Backfill: existing single origin/destination loads get a pickup and a delivery stop
+INSERT INTO "LoadStop" ("id", "loadId", "stopSequence", "stopType", "locationName", "address", "appointmentStart", "appointmentEnd", "weightLbs", "updatedAt")
+SELECT gen_random_uuid()::text, "id", 1, 'PICKUP', "origin", COALESCE("originAddress", "origin"), COALESCE("pickupTimeStart", "pickupDate"), "pickupTimeEnd", "weightLbs", CURRENT_TIMESTAMP
+FROM "Load";
+
+INSERT INTO "LoadStop" ("id", "loadId", "stopSequence", "stopType", "locationName", "address", "appointmentStart", "appointmentEnd", "weightLbs", "updatedAt")
+SELECT gen_random_uuid()::text, "id", 2, 'DELIVERY', "destination", COALESCE("destinationAddress", "destination"), COALESCE("deliveryTimeStart", "deliveryDate"), "deliveryTimeEnd", "weightLbs", CURRENT_TIMESTAMP
+FROM "Load";
+
+-- AddForeignKey
+ALTER TABLE "LoadStop" ADD CONSTRAINT "LoadStop_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadStatusEvent" ADD CONSTRAINT "LoadStatusEvent_stopId_fkey" FOREIGN KEY ("stopId") REFERENCES "LoadStop"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PodDocument" ADD CONSTRAINT "PodDocument_stopId_fkey" FOREIGN KEY ("stopId") REFERENCES "LoadStop"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,15 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'LOAD_CANCELLED';
+
+-- AlterTable
+ALTER TABLE "Load" ADD COLUMN     "cancellationInitiatedBy" TEXT,
+ADD COLUMN     "cancellationNotes" TEXT,
+ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "cancelledById" TEXT,
+ADD COLUMN     "tonuAmount" DECIMAL(10,2),
+ADD COLUMN     "tonuDriverPay" DECIMAL(10,2);
+
+-- AlterTable
+ALTER TABLE "LoadAssignment" ADD COLUMN     "releaseReason" TEXT,
+ADD COLUMN     "releasedAt" TIMESTAMP(3);
@@ -0,0 +1,85 @@
+-- CreateEnum
+CREATE TYPE "AccessorialType" AS ENUM ('DETENTION', 'LUMPER', 'LAYOVER', 'DRIVER_ASSIST', 'STOP_OFF', 'TONU', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "AccessorialStatus" AS ENUM ('REQUESTED', 'APPROVED', 'REJECTED');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "NotificationType" ADD VALUE 'ACCESSORIAL_REQUESTED';
+ALTER TYPE "NotificationType" ADD VALUE 'ACCESSORIAL_APPROVED';
+ALTER TYPE "NotificationType" ADD VALUE 'ACCESSORIAL_REJECTED';
+
+-- CreateTable
+CREATE TABLE "AccessorialCharge" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "stopId" TEXT,
+    "type" "AccessorialType" NOT NULL,
+    "description" TEXT NOT NULL,
+    "quantity" DECIMAL(10,2) NOT NULL DEFAULT 1,
+    "unitRate" DECIMAL(10,2),
+    "billableAmount" DECIMAL(10,2) NOT NULL,
+    "payableAmount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "receiptDocumentId" TEXT,
+    "notes" TEXT,
+    "status" "AccessorialStatus" NOT NULL DEFAULT 'REQUESTED',
+    "requestedById" TEXT NOT NULL,
+    "requestedByType" "UserType" NOT NULL,
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "rejectionReason" TEXT,
+    "invoiceId" TEXT,
+    "settlementId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AccessorialCharge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AccessorialCharge_loadId_status_idx" ON "AccessorialCharge"("loadId", "status");
+
+-- CreateIndex
+CREATE INDEX "AccessorialCharge_invoiceId_idx" ON "AccessorialCharge"("invoiceId");
+
+-- CreateIndex
+CREATE INDEX "AccessorialCharge_settlementId_idx" ON "AccessorialCharge"("settlementId");
+
+-- AddForeignKey
+ALTER TABLE "AccessorialCharge" ADD CONSTRAINT "AccessorialCharge_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessorialCharge" ADD CONSTRAINT "AccessorialCharge_stopId_fkey" FOREIGN KEY ("stopId") REFERENCES "LoadStop"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessorialCharge" ADD CONSTRAINT "AccessorialCharge_receiptDocumentId_fkey" FOREIGN KEY ("receiptDocumentId") REFERENCES "LoadDocument"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessorialCharge" ADD CONSTRAINT "AccessorialCharge_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "ShipperInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AccessorialCharge" ADD CONSTRAINT "AccessorialCharge_settlementId_fkey" FOREIGN KEY ("settlementId") REFERENCES "DriverSettlement"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Move TONU billed on cancelled loads onto accessorial charges, linked to
+-- the invoice and settlement that already cover it
+INSERT INTO "AccessorialCharge" ("id", "loadId", "type", "description", "billableAmount", "payableAmount", "status", "requestedById", "requestedByType", "reviewedById", "reviewedAt", "invoiceId", "settlementId", "createdAt", "updatedAt")
+SELECT gen_random_uuid()::text, l."id", 'TONU', 'Truck ordered not used (TONU)', l."tonuAmount", COALESCE(l."tonuDriverPay", 0), 'APPROVED',
+       COALESCE(l."cancelledById", ''),
+       CASE WHEN EXISTS (SELECT 1 FROM "ShipperUser" u WHERE u."id" = l."cancelledById") THEN 'SHIPPER_USER'::"UserType" ELSE 'INTERNAL_USER'::"UserType" END,
+       l."cancelledById", l."cancelledAt",
+       (SELECT i."id" FROM "ShipperInvoice" i WHERE i."loadId" = l."id" AND i."status" <> 'CANCELLED' ORDER BY i."createdAt" DESC LIMIT 1),
+       (SELECT d."id" FROM "DriverSettlement" d WHERE d."loadId" = l."id" AND d."status" <> 'DISPUTED' ORDER BY d."createdAt" DESC LIMIT 1),
+       COALESCE(l."cancelledAt", CURRENT_TIMESTAMP), CURRENT_TIMESTAMP
+FROM "Load" l
+WHERE l."tonuAmount" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Load" DROP COLUMN "tonuAmount",
+DROP COLUMN "tonuDriverPay";
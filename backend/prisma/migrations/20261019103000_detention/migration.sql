@@ -0,0 +1,32 @@
+-- AlterEnum
+ALTER TYPE "UserType" ADD VALUE 'SYSTEM';
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'DETENTION_STARTED';
+
+-- AlterTable
+ALTER TABLE "LoadStop" ADD COLUMN     "detentionAlertedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "AccessorialCharge" ALTER COLUMN "requestedById" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "DetentionPolicy" (
+    "id" TEXT NOT NULL,
+    "shipperClientId" TEXT NOT NULL,
+    "freeTimeMinutes" INTEGER NOT NULL DEFAULT 120,
+    "hourlyRate" DECIMAL(10,2) NOT NULL,
+    "driverHourlyRate" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "billingIncrementMinutes" INTEGER NOT NULL DEFAULT 15,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DetentionPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DetentionPolicy_shipperClientId_key" ON "DetentionPolicy"("shipperClientId");
+
+-- AddForeignKey
+ALTER TABLE "DetentionPolicy" ADD CONSTRAINT "DetentionPolicy_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE CASCADE ON UPDATE CASCADE;
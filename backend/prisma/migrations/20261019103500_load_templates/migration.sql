@@ -0,0 +1,58 @@
+-- AlterTable
+ALTER TABLE "Load" ADD COLUMN     "templateId" TEXT,
+ADD COLUMN     "templateOccurrenceDate" DATE;
+
+-- AlterTable
+ALTER TABLE "LoadStatusHistory" ALTER COLUMN "changedById" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "LoadTemplate" (
+    "id" TEXT NOT NULL,
+    "shipperClientId" TEXT NOT NULL,
+    "createdById" TEXT,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "loadData" JSONB NOT NULL,
+    "recurrence" JSONB NOT NULL,
+    "leadTimeDays" INTEGER NOT NULL DEFAULT 7,
+    "generatedStatus" "LoadStatus" NOT NULL DEFAULT 'DRAFT',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastGeneratedAt" TIMESTAMP(3),
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Holiday" (
+    "id" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "name" TEXT NOT NULL,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Holiday_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoadTemplate_shipperClientId_idx" ON "LoadTemplate"("shipperClientId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Holiday_date_key" ON "Holiday"("date");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Load_templateId_templateOccurrenceDate_key" ON "Load"("templateId", "templateOccurrenceDate");
+
+-- AddForeignKey
+ALTER TABLE "Load" ADD CONSTRAINT "Load_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "LoadTemplate"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadTemplate" ADD CONSTRAINT "LoadTemplate_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadTemplate" ADD CONSTRAINT "LoadTemplate_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "ShipperUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Holiday" ADD CONSTRAINT "Holiday_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "LoadImportStatus" AS ENUM ('VALIDATED', 'COMMITTING', 'COMPLETED');
+
+-- AlterTable
+ALTER TABLE "Load" ADD COLUMN     "importId" TEXT;
+
+-- CreateTable
+CREATE TABLE "LoadImport" (
+    "id" TEXT NOT NULL,
+    "shipperClientId" TEXT NOT NULL,
+    "uploadedById" TEXT NOT NULL,
+    "fileUploadId" TEXT,
+    "fileName" TEXT NOT NULL,
+    "status" "LoadImportStatus" NOT NULL DEFAULT 'VALIDATED',
+    "totalRows" INTEGER NOT NULL,
+    "validRows" INTEGER NOT NULL,
+    "errorRows" INTEGER NOT NULL,
+    "rows" JSONB NOT NULL DEFAULT '[]',
+    "errors" JSONB NOT NULL DEFAULT '[]',
+    "unknownColumns" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdLoadIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "committedAt" TIMESTAMP(3),
+    "committedById" TEXT,
+    "lastError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadImport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadImport_fileUploadId_key" ON "LoadImport"("fileUploadId");
+
+-- CreateIndex
+CREATE INDEX "LoadImport_shipperClientId_createdAt_idx" ON "LoadImport"("shipperClientId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Load_importId_idx" ON "Load"("importId");
+
+-- AddForeignKey
+ALTER TABLE "Load" ADD CONSTRAINT "Load_importId_fkey" FOREIGN KEY ("importId") REFERENCES "LoadImport"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadImport" ADD CONSTRAINT "LoadImport_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadImport" ADD CONSTRAINT "LoadImport_uploadedById_fkey" FOREIGN KEY ("uploadedById") REFERENCES "ShipperUser"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadImport" ADD CONSTRAINT "LoadImport_fileUploadId_fkey" FOREIGN KEY ("fileUploadId") REFERENCES "FileUpload"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,104 @@
+-- CreateEnum
+CREATE TYPE "EdiDirection" AS ENUM ('INBOUND', 'OUTBOUND');
+
+-- CreateEnum
+CREATE TYPE "EdiDocumentStatus" AS ENUM ('PROCESSED', 'FAILED', 'GENERATED');
+
+-- CreateEnum
+CREATE TYPE "EdiResponseStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'EDI_TENDER_RECEIVED';
+
+-- AlterTable
+ALTER TABLE "Load" ADD COLUMN     "ediShipmentId" TEXT,
+ADD COLUMN     "referenceNumbers" JSONB NOT NULL DEFAULT '[]';
+
+-- CreateTable
+CREATE TABLE "EdiTradingPartner" (
+    "id" TEXT NOT NULL,
+    "shipperClientId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "isaQualifier" TEXT NOT NULL DEFAULT 'ZZ',
+    "isaId" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EdiTradingPartner_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "EdiDocument" (
+    "id" TEXT NOT NULL,
+    "direction" "EdiDirection" NOT NULL,
+    "transactionSet" TEXT NOT NULL,
+    "tradingPartnerId" TEXT NOT NULL,
+    "shipperClientId" TEXT NOT NULL,
+    "loadId" TEXT,
+    "controlNumber" INTEGER NOT NULL,
+    "transactionControlNumber" TEXT NOT NULL,
+    "shipmentId" TEXT,
+    "purpose" TEXT,
+    "fileName" TEXT,
+    "source" TEXT,
+    "content" TEXT NOT NULL,
+    "status" "EdiDocumentStatus" NOT NULL,
+    "errorMessage" TEXT,
+    "receivedById" TEXT,
+    "processedAt" TIMESTAMP(3),
+    "responseStatus" "EdiResponseStatus",
+    "respondedAt" TIMESTAMP(3),
+    "respondedById" TEXT,
+    "responseDocumentId" TEXT,
+    "relatedDocumentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EdiDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EdiTradingPartner_isaId_key" ON "EdiTradingPartner"("isaId");
+
+-- CreateIndex
+CREATE INDEX "EdiTradingPartner_shipperClientId_idx" ON "EdiTradingPartner"("shipperClientId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EdiDocument_responseDocumentId_key" ON "EdiDocument"("responseDocumentId");
+
+-- CreateIndex
+CREATE INDEX "EdiDocument_tradingPartnerId_transactionSet_shipmentId_idx" ON "EdiDocument"("tradingPartnerId", "transactionSet", "shipmentId");
+
+-- CreateIndex
+CREATE INDEX "EdiDocument_direction_status_idx" ON "EdiDocument"("direction", "status");
+
+-- CreateIndex
+CREATE INDEX "EdiDocument_loadId_idx" ON "EdiDocument"("loadId");
+
+-- CreateIndex
+CREATE INDEX "Load_ediShipmentId_idx" ON "Load"("ediShipmentId");
+
+-- AddForeignKey
+ALTER TABLE "EdiTradingPartner" ADD CONSTRAINT "EdiTradingPartner_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_tradingPartnerId_fkey" FOREIGN KEY ("tradingPartnerId") REFERENCES "EdiTradingPartner"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_receivedById_fkey" FOREIGN KEY ("receivedById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_respondedById_fkey" FOREIGN KEY ("respondedById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_responseDocumentId_fkey" FOREIGN KEY ("responseDocumentId") REFERENCES "EdiDocument"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_relatedDocumentId_fkey" FOREIGN KEY ("relatedDocumentId") REFERENCES "EdiDocument"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "EdiTradingPartner" ADD COLUMN     "send210" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "send214" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "EdiDocument" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "deliveredAt" TIMESTAMP(3),
+ADD COLUMN     "filePath" TEXT,
+ADD COLUMN     "invoiceId" TEXT,
+ADD COLUMN     "lastAttemptAt" TIMESTAMP(3),
+ADD COLUMN     "loadStatusEventId" TEXT,
+ADD COLUMN     "nextAttemptAt" TIMESTAMP(3),
+ADD COLUMN     "pickedUpAt" TIMESTAMP(3);
+
+-- Outbound documents used to be written straight to the outbound directory
+UPDATE "EdiDocument" SET "deliveredAt" = "createdAt", "attempts" = 1, "lastAttemptAt" = "createdAt" WHERE "status" = 'GENERATED';
+
+-- AlterEnum: GENERATED becomes DELIVERED
+BEGIN;
+CREATE TYPE "EdiDocumentStatus_new" AS ENUM ('PROCESSED', 'FAILED', 'QUEUED', 'DELIVERED', 'PICKED_UP');
+ALTER TABLE "EdiDocument" ALTER COLUMN "status" TYPE "EdiDocumentStatus_new" USING (CASE WHEN "status"::text = 'GENERATED' THEN 'DELIVERED' ELSE "status"::text END::"EdiDocumentStatus_new");
+ALTER TYPE "EdiDocumentStatus" RENAME TO "EdiDocumentStatus_old";
+ALTER TYPE "EdiDocumentStatus_new" RENAME TO "EdiDocumentStatus";
+DROP TYPE "EdiDocumentStatus_old";
+COMMIT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EdiDocument_loadStatusEventId_key" ON "EdiDocument"("loadStatusEventId");
+
+-- CreateIndex
+CREATE INDEX "EdiDocument_invoiceId_idx" ON "EdiDocument"("invoiceId");
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_loadStatusEventId_fkey" FOREIGN KEY ("loadStatusEventId") REFERENCES "LoadStatusEvent"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EdiDocument" ADD CONSTRAINT "EdiDocument_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "ShipperInvoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
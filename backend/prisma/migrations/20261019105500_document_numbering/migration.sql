@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "NumberingFormat" (
+    "id" TEXT NOT NULL,
+    "entity" TEXT NOT NULL,
+    "shipperClientId" TEXT,
+    "prefix" TEXT NOT NULL,
+    "yearReset" BOOLEAN NOT NULL DEFAULT true,
+    "padding" INTEGER NOT NULL DEFAULT 4,
+    "updatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NumberingFormat_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DocumentCounter" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "entity" TEXT NOT NULL,
+    "lastValue" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DocumentCounter_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NumberingFormat_entity_shipperClientId_key" ON "NumberingFormat"("entity", "shipperClientId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentCounter_key_key" ON "DocumentCounter"("key");
+
+-- AddForeignKey
+ALTER TABLE "NumberingFormat" ADD CONSTRAINT "NumberingFormat_shipperClientId_fkey" FOREIGN KEY ("shipperClientId") REFERENCES "ShipperClient"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "NumberingFormat" ADD CONSTRAINT "NumberingFormat_updatedById_fkey" FOREIGN KEY ("updatedById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Load" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "ShipperInvoice" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "DriverSettlement" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,22 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "NotificationType" ADD VALUE 'LOAD_REQUESTED';
+ALTER TYPE "NotificationType" ADD VALUE 'LOAD_REQUEST_DECLINED';
+
+-- AlterTable
+ALTER TABLE "Driver" ADD COLUMN     "homeBaseLat" DECIMAL(10,7),
+ADD COLUMN     "homeBaseLng" DECIMAL(10,7),
+ADD COLUMN     "homeBaseRadiusMiles" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Load" ADD COLUMN     "firstCome" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "LoadAssignment" ADD COLUMN     "approvedAt" TIMESTAMP(3),
+ADD COLUMN     "requestedAt" TIMESTAMP(3);
@@ -0,0 +1,76 @@
+-- CreateEnum
+CREATE TYPE "LoadTenderStatus" AS ENUM ('ACTIVE', 'ACCEPTED', 'EXHAUSTED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "LoadTenderOfferStatus" AS ENUM ('PENDING', 'OFFERED', 'ACCEPTED', 'REJECTED', 'EXPIRED', 'SKIPPED', 'CANCELLED');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "NotificationType" ADD VALUE 'LOAD_OFFERED';
+ALTER TYPE "NotificationType" ADD VALUE 'LOAD_TENDER_EXHAUSTED';
+
+-- CreateTable
+CREATE TABLE "LoadTender" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "status" "LoadTenderStatus" NOT NULL DEFAULT 'ACTIVE',
+    "offerMinutes" INTEGER NOT NULL,
+    "notes" TEXT,
+    "createdById" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadTender_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoadTenderOffer" (
+    "id" TEXT NOT NULL,
+    "tenderId" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "rank" INTEGER NOT NULL,
+    "status" "LoadTenderOfferStatus" NOT NULL DEFAULT 'PENDING',
+    "assignmentId" TEXT,
+    "offeredAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "respondedAt" TIMESTAMP(3),
+    "responseNotes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadTenderOffer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoadTender_loadId_status_idx" ON "LoadTender"("loadId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadTenderOffer_assignmentId_key" ON "LoadTenderOffer"("assignmentId");
+
+-- CreateIndex
+CREATE INDEX "LoadTenderOffer_status_expiresAt_idx" ON "LoadTenderOffer"("status", "expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadTenderOffer_tenderId_rank_key" ON "LoadTenderOffer"("tenderId", "rank");
+
+-- AddForeignKey
+ALTER TABLE "LoadTender" ADD CONSTRAINT "LoadTender_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadTender" ADD CONSTRAINT "LoadTender_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "InternalUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadTenderOffer" ADD CONSTRAINT "LoadTenderOffer_tenderId_fkey" FOREIGN KEY ("tenderId") REFERENCES "LoadTender"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadTenderOffer" ADD CONSTRAINT "LoadTenderOffer_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadTenderOffer" ADD CONSTRAINT "LoadTenderOffer_assignmentId_fkey" FOREIGN KEY ("assignmentId") REFERENCES "LoadAssignment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "LoadAssignment" ADD COLUMN     "vehicleId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "LoadAssignment_vehicleId_idx" ON "LoadAssignment"("vehicleId");
+
+-- AddForeignKey
+ALTER TABLE "LoadAssignment" ADD CONSTRAINT "LoadAssignment_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "Vehicle"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Loads still in progress run on the truck their driver has today
+UPDATE "LoadAssignment" la SET "vehicleId" = va."vehicleId"
+FROM "VehicleAssignment" va, "Load" l
+WHERE va."driverId" = la."driverId" AND va."isCurrentlyAssigned" = true
+  AND l."id" = la."loadId"
+  AND l."status" IN ('ASSIGNED', 'ACCEPTED', 'EN_ROUTE_PICKUP', 'AT_PICKUP', 'LOADED', 'EN_ROUTE_DELIVERY', 'AT_DELIVERY')
+  AND la."rejectedAt" IS NULL AND la."releasedAt" IS NULL;
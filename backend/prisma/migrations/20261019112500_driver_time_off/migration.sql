@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "TimeOffType" AS ENUM ('TIME_OFF', 'HOME_TIME');
+
+-- CreateEnum
+CREATE TYPE "TimeOffStatus" AS ENUM ('PENDING', 'APPROVED', 'DENIED', 'CANCELLED');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "NotificationType" ADD VALUE 'TIME_OFF_REQUESTED';
+ALTER TYPE "NotificationType" ADD VALUE 'TIME_OFF_APPROVED';
+ALTER TYPE "NotificationType" ADD VALUE 'TIME_OFF_DENIED';
+
+-- CreateTable
+CREATE TABLE "DriverTimeOff" (
+    "id" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "type" "TimeOffType" NOT NULL,
+    "startAt" TIMESTAMP(3) NOT NULL,
+    "endAt" TIMESTAMP(3) NOT NULL,
+    "reason" TEXT,
+    "status" "TimeOffStatus" NOT NULL DEFAULT 'PENDING',
+    "requestedById" TEXT,
+    "requestedByType" "UserType" NOT NULL,
+    "reviewedById" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewNotes" TEXT,
+    "appliedAt" TIMESTAMP(3),
+    "endedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DriverTimeOff_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DriverTimeOff_driverId_status_idx" ON "DriverTimeOff"("driverId", "status");
+
+-- CreateIndex
+CREATE INDEX "DriverTimeOff_status_startAt_idx" ON "DriverTimeOff"("status", "startAt");
+
+-- AddForeignKey
+ALTER TABLE "DriverTimeOff" ADD CONSTRAINT "DriverTimeOff_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "DutyStatus" AS ENUM ('OFF_DUTY', 'SLEEPER_BERTH', 'DRIVING', 'ON_DUTY');
+
+-- CreateEnum
+CREATE TYPE "HosLogSource" AS ENUM ('MANUAL', 'STATUS_EVENT');
+
+-- CreateTable
+CREATE TABLE "HosLog" (
+    "id" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "dutyStatus" "DutyStatus" NOT NULL,
+    "startAt" TIMESTAMP(3) NOT NULL,
+    "endAt" TIMESTAMP(3),
+    "loadId" TEXT,
+    "location" TEXT,
+    "notes" TEXT,
+    "source" "HosLogSource" NOT NULL DEFAULT 'MANUAL',
+    "createdById" TEXT,
+    "createdByType" "UserType" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "HosLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "HosLog_driverId_startAt_idx" ON "HosLog"("driverId", "startAt");
+
+-- AddForeignKey
+ALTER TABLE "HosLog" ADD CONSTRAINT "HosLog_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HosLog" ADD CONSTRAINT "HosLog_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "LoadLocationPing" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "driverId" TEXT NOT NULL,
+    "recordedAt" TIMESTAMP(3) NOT NULL,
+    "latitude" DECIMAL(10,7) NOT NULL,
+    "longitude" DECIMAL(10,7) NOT NULL,
+    "speedMph" DOUBLE PRECISION,
+    "heading" DOUBLE PRECISION,
+    "accuracyMeters" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoadLocationPing_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "LoadTrack" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "driverId" TEXT,
+    "points" JSONB NOT NULL DEFAULT '[]',
+    "pingCount" INTEGER NOT NULL DEFAULT 0,
+    "compactedThrough" TIMESTAMP(3),
+    "lastLatitude" DECIMAL(10,7),
+    "lastLongitude" DECIMAL(10,7),
+    "lastRecordedAt" TIMESTAMP(3),
+    "lastSpeedMph" DOUBLE PRECISION,
+    "lastHeading" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadTrack_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoadLocationPing_recordedAt_idx" ON "LoadLocationPing"("recordedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadLocationPing_loadId_driverId_recordedAt_key" ON "LoadLocationPing"("loadId", "driverId", "recordedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadTrack_loadId_key" ON "LoadTrack"("loadId");
+
+-- AddForeignKey
+ALTER TABLE "LoadLocationPing" ADD CONSTRAINT "LoadLocationPing_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadLocationPing" ADD CONSTRAINT "LoadLocationPing_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadTrack" ADD CONSTRAINT "LoadTrack_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE CASCADE ON UPDATE CASCADE;
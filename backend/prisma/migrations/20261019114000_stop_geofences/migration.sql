@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "LoadStop" ADD COLUMN     "geofenceEnabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "geofenceRadiusMeters" INTEGER;
+
+-- AlterTable
+ALTER TABLE "LoadStatusHistory" ADD COLUMN     "systemGenerated" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "LoadStatusEvent" ADD COLUMN     "systemGenerated" BOOLEAN NOT NULL DEFAULT false;
+
+-- Status changes already made by the system (expired tender offers)
+UPDATE "LoadStatusHistory" SET "systemGenerated" = true WHERE "changedByType" = 'SYSTEM';
@@ -0,0 +1,29 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'DELIVERY_AT_RISK';
+
+-- CreateTable
+CREATE TABLE "LoadEta" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "etaAt" TIMESTAMP(3),
+    "deadline" TIMESTAMP(3),
+    "minutesLate" INTEGER,
+    "atRisk" BOOLEAN NOT NULL DEFAULT false,
+    "stops" JSONB NOT NULL DEFAULT '[]',
+    "positionRecordedAt" TIMESTAMP(3),
+    "computedAt" TIMESTAMP(3) NOT NULL,
+    "riskAlertedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadEta_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadEta_loadId_key" ON "LoadEta"("loadId");
+
+-- CreateIndex
+CREATE INDEX "LoadEta_atRisk_idx" ON "LoadEta"("atRisk");
+
+-- AddForeignKey
+ALTER TABLE "LoadEta" ADD CONSTRAINT "LoadEta_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "LoadTrackingLink" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "label" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdById" TEXT,
+    "createdByType" "UserType" NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "revokedById" TEXT,
+    "revokedByType" "UserType",
+    "lastViewedAt" TIMESTAMP(3),
+    "viewCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadTrackingLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadTrackingLink_tokenHash_key" ON "LoadTrackingLink"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "LoadTrackingLink_loadId_idx" ON "LoadTrackingLink"("loadId");
+
+-- AddForeignKey
+ALTER TABLE "LoadTrackingLink" ADD CONSTRAINT "LoadTrackingLink_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "GeocodeStatus" AS ENUM ('RESOLVED', 'UNRESOLVED', 'MANUAL');
+
+-- DropIndex
+DROP INDEX "LoadGeoLocation_loadId_stopSequence_idx";
+
+-- AlterTable
+ALTER TABLE "LoadStop" ADD COLUMN     "geocodeNote" TEXT,
+ADD COLUMN     "geocodeStatus" "GeocodeStatus";
+
+-- AlterTable
+ALTER TABLE "LoadGeoLocation" ADD COLUMN     "formattedAddress" TEXT,
+ADD COLUMN     "geocodedAt" TIMESTAMP(3),
+ADD COLUMN     "precision" TEXT,
+ADD COLUMN     "provider" TEXT,
+ADD COLUMN     "queryKey" TEXT,
+ALTER COLUMN "locationType" DROP NOT NULL,
+ALTER COLUMN "address" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "GeocodeCache" (
+    "id" TEXT NOT NULL,
+    "queryKey" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "resolved" BOOLEAN NOT NULL,
+    "latitude" DECIMAL(10,7),
+    "longitude" DECIMAL(10,7),
+    "precision" TEXT,
+    "formattedAddress" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GeocodeCache_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GeocodeCache_queryKey_key" ON "GeocodeCache"("queryKey");
+
+-- Keep the newest location per stop before it becomes unique
+DELETE FROM "LoadGeoLocation" a USING "LoadGeoLocation" b
+WHERE a."loadId" = b."loadId" AND a."stopSequence" = b."stopSequence"
+  AND (a."createdAt", a."id") < (b."createdAt", b."id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadGeoLocation_loadId_stopSequence_key" ON "LoadGeoLocation"("loadId", "stopSequence");
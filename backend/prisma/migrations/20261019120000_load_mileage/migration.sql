@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "LoadMileage" (
+    "id" TEXT NOT NULL,
+    "loadId" TEXT NOT NULL,
+    "loadedPracticalMiles" DECIMAL(10,2),
+    "loadedShortestMiles" DECIMAL(10,2),
+    "legs" JSONB NOT NULL DEFAULT '[]',
+    "driverId" TEXT,
+    "deadheadMiles" DECIMAL(10,2),
+    "deadheadFrom" TEXT,
+    "source" TEXT,
+    "note" TEXT,
+    "computedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LoadMileage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LoadMileage_loadId_key" ON "LoadMileage"("loadId");
+
+-- AddForeignKey
+ALTER TABLE "LoadMileage" ADD CONSTRAINT "LoadMileage_loadId_fkey" FOREIGN KEY ("loadId") REFERENCES "Load"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoadMileage" ADD CONSTRAINT "LoadMileage_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE SET NULL ON UPDATE CASCADE;
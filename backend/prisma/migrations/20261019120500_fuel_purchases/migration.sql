@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "GeocodeCache" ADD COLUMN     "country" TEXT,
+ADD COLUMN     "jurisdiction" TEXT;
+
+-- CreateTable
+CREATE TABLE "FuelPurchase" (
+    "id" TEXT NOT NULL,
+    "vehicleId" TEXT NOT NULL,
+    "driverId" TEXT,
+    "purchasedAt" TIMESTAMP(3) NOT NULL,
+    "jurisdiction" TEXT NOT NULL,
+    "city" TEXT,
+    "gallons" DECIMAL(10,3) NOT NULL,
+    "pricePerGallon" DECIMAL(10,3),
+    "totalCost" DECIMAL(10,2),
+    "taxPaid" BOOLEAN NOT NULL DEFAULT true,
+    "vendor" TEXT,
+    "receiptNumber" TEXT,
+    "notes" TEXT,
+    "createdById" TEXT,
+    "createdByType" "UserType" NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FuelPurchase_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "FuelPurchase_vehicleId_purchasedAt_idx" ON "FuelPurchase"("vehicleId", "purchasedAt");
+
+-- CreateIndex
+CREATE INDEX "FuelPurchase_vehicleId_receiptNumber_idx" ON "FuelPurchase"("vehicleId", "receiptNumber");
+
+-- AddForeignKey
+ALTER TABLE "FuelPurchase" ADD CONSTRAINT "FuelPurchase_vehicleId_fkey" FOREIGN KEY ("vehicleId") REFERENCES "Vehicle"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FuelPurchase" ADD CONSTRAINT "FuelPurchase_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver"("id") ON DELETE SET NULL ON UPDATE CASCADE;
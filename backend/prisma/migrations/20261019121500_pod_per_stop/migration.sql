@@ -0,0 +1,12 @@
+-- Keep the latest POD per stop; earlier ones were superseded by a resubmission
+DELETE FROM "PodDocument" p
+USING "PodDocument" newer
+WHERE p."loadId" = newer."loadId"
+  AND p."stopId" = newer."stopId"
+  AND (p."createdAt", p."id") < (newer."createdAt", newer."id");
+
+-- DropIndex
+DROP INDEX "PodDocument_loadId_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PodDocument_loadId_stopId_key" ON "PodDocument"("loadId", "stopId");
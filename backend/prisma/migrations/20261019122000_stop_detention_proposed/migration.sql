@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "LoadStop" ADD COLUMN     "detentionProposedAt" TIMESTAMP(3);
+
+-- Stops that already have a detention charge have had theirs proposed
+UPDATE "LoadStop" s SET "detentionProposedAt" = c."createdAt"
+FROM (
+  SELECT "stopId", MIN("createdAt") AS "createdAt"
+  FROM "AccessorialCharge"
+  WHERE "type" = 'DETENTION' AND "stopId" IS NOT NULL
+  GROUP BY "stopId"
+) c
+WHERE s."id" = c."stopId";
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "AccessorialCharge" ADD COLUMN     "payeeDriverId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "AccessorialCharge_payeeDriverId_idx" ON "AccessorialCharge"("payeeDriverId");
+
+-- AddForeignKey
+ALTER TABLE "AccessorialCharge" ADD CONSTRAINT "AccessorialCharge_payeeDriverId_fkey" FOREIGN KEY ("payeeDriverId") REFERENCES "Driver"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Charges on cancelled loads are owed to the driver whose truck the cancellation released
+UPDATE "AccessorialCharge" c SET "payeeDriverId" = la."driverId"
+FROM "Load" l, "LoadAssignment" la
+WHERE c."loadId" = l."id"
+  AND l."status" = 'CANCELLED'
+  AND la."loadId" = l."id"
+  AND la."releaseReason" LIKE 'Load cancelled:%';
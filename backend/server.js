@@ -1,6 +1,7 @@
 // ==================== server.js ====================
 require('dotenv').config();
 const app = require('./src/app');
+const { startJobs } = require('./src/jobs');
 const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient();
@@ -25,6 +26,10 @@ const server = app.listen(PORT, async () => {
     console.log('Database connected successfully');
     console.log(`Server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV}`);
+
+    if (process.env.NODE_ENV === 'production') {
+      startJobs();
+    }
   } catch (error) {
     console.error('Database connection failed:', error);
     process.exit(1);
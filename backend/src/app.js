@@ -14,7 +14,8 @@ const app = express();
 app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 
 // Body parsing middleware
@@ -0,0 +1,157 @@
+// ==================== src/controllers/accessorials.controller.js ====================
+const prisma = require('../config/database');
+const ApiResponse = require('../utils/response');
+const accessorialService = require('../services/accessorial.service');
+const notificationService = require('../services/notification.service');
+
+class AccessorialController {
+  // Get accessorial charges across loads (dispatch approval queue)
+  async getAllAccessorials(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        type,
+        loadId
+      } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      const where = {};
+      if (status) where.status = status;
+      if (type) where.type = type;
+      if (loadId) where.loadId = loadId;
+
+      const [charges, total] = await Promise.all([
+        prisma.accessorialCharge.findMany({
+          where,
+          skip,
+          take,
+          include: {
+            load: {
+              select: {
+                id: true,
+                loadNumber: true,
+                origin: true,
+                destination: true,
+                status: true
+              }
+            },
+            receiptDocument: {
+              select: {
+                id: true,
+                fileName: true,
+                documentType: true,
+                status: true
+              }
+            }
+          },
+          orderBy: {
+            createdAt: 'desc'
+          }
+        }),
+        prisma.accessorialCharge.count({ where })
+      ]);
+
+      return ApiResponse.paginated(res, charges, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a load's accessorial charges
+  async getLoadAccessorials(req, res, next) {
+    try {
+      const charges = await accessorialService.listForLoad(req.params.loadId, req.user);
+
+      return ApiResponse.success(res, charges);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Request an accessorial charge (dispatcher or assigned driver)
+  async requestCharge(req, res, next) {
+    try {
+      const { loadId } = req.params;
+
+      const charge = await accessorialService.requestCharge(loadId, req.user, req.body);
+
+      // Dispatch reviews driver requests
+      if (req.user.type === 'DRIVER') {
+        try {
+          const load = await prisma.load.findUnique({
+            where: { id: loadId },
+            select: { id: true, loadNumber: true }
+          });
+          await notificationService.notifyAccessorialRequested(load, charge);
+        } catch (error) {
+          console.error('Failed to send accessorial request notifications:', error);
+        }
+      }
+
+      return ApiResponse.success(res, charge, 'Accessorial charge requested', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Attach a receipt uploaded through the documents module
+  async attachReceipt(req, res, next) {
+    try {
+      const charge = await accessorialService.attachReceipt(
+        req.params.id,
+        req.user,
+        req.body.receiptDocumentId
+      );
+
+      return ApiResponse.success(res, charge, 'Receipt attached');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Approve accessorial charge (dispatch or billing)
+  async approveCharge(req, res, next) {
+    try {
+      const { billableAmount, payableAmount, notes } = req.body;
+
+      const charge = await accessorialService.approveCharge(req.params.id, req.user, {
+        billableAmount,
+        payableAmount,
+        notes
+      });
+
+      if (charge.requestedByType === 'DRIVER') {
+        await notificationService.notifyAccessorialReviewed(charge);
+      }
+
+      return ApiResponse.success(res, charge, 'Accessorial charge approved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Reject accessorial charge (dispatch or billing)
+  async rejectCharge(req, res, next) {
+    try {
+      const charge = await accessorialService.rejectCharge(req.params.id, req.user, req.body.reason);
+
+      if (charge.requestedByType === 'DRIVER') {
+        await notificationService.notifyAccessorialReviewed(charge);
+      }
+
+      return ApiResponse.success(res, charge, 'Accessorial charge rejected');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AccessorialController();
@@ -28,38 +28,45 @@ class DocumentController {
         }
       );
 
-      // Create file upload record
-      const fileUpload = await prisma.fileUpload.create({
-        data: {
-          uploadedById: req.user.id,
-          uploadedByType: req.user.type,
-          ...fileData,
-          relatedEntityType: 'LOAD',
-          relatedEntityId: loadId
-        }
-      });
-
-      // Create load document record
-      const document = await prisma.loadDocument.create({
-        data: {
-          loadId,
-          uploadedById: req.user.id,
-          documentType,
-          documentUrl: fileData.fileUrl,
-          fileName: fileData.originalFileName,
-          status: 'PENDING_REVIEW'
-        },
-        include: {
-          uploadedBy: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              email: true
+      // Create the file and document records; drop the stored file if they fail
+      let document;
+      try {
+        document = await prisma.$transaction(async (tx) => {
+          await tx.fileUpload.create({
+            data: {
+              uploadedById: req.user.id,
+              uploadedByType: req.user.type,
+              ...fileData,
+              relatedEntityType: 'LOAD',
+              relatedEntityId: loadId
             }
-          }
-        }
-      });
+          });
+
+          return await tx.loadDocument.create({
+            data: {
+              loadId,
+              uploadedById: req.user.id,
+              documentType,
+              documentUrl: fileData.fileUrl,
+              fileName: fileData.originalFileName,
+              status: 'PENDING_REVIEW'
+            },
+            include: {
+              uploadedBy: {
+                select: {
+                  id: true,
+                  firstName: true,
+                  lastName: true,
+                  email: true
+                }
+              }
+            }
+          });
+        });
+      } catch (error) {
+        await storageService.discard([fileData]);
+        throw error;
+      }
 
       return ApiResponse.success(res, document, 'Document uploaded successfully', 201);
     } catch (error) {
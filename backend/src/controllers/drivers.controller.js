@@ -1,6 +1,12 @@
 // ==================== src/controllers/drivers.controller.js ====================
 const prisma = require('../config/database');
 const ApiResponse = require('../utils/response');
+const loadStateMachine = require('../services/loadStateMachine.service');
+const loadTenderService = require('../services/loadTender.service');
+const loadBoardService = require('../services/loadBoard.service');
+const scheduleService = require('../services/schedule.service');
+const driverTimeOffService = require('../services/driverTimeOff.service');
+const hosService = require('../services/hos.service');
 
 class DriverController {
   // Get all drivers
@@ -294,7 +300,10 @@ class DriverController {
                 specialInstructions: true,
                 driverPay: true,
                 actualPickupTime: true,
-                actualDeliveryTime: true
+                actualDeliveryTime: true,
+                stops: {
+                  orderBy: { stopSequence: 'asc' }
+                }
               }
             },
             assignedBy: {
@@ -383,6 +392,18 @@ class DriverController {
         return ApiResponse.error(res, 'Access denied', 403);
       }
 
+      // Approved time off keeps the driver off the board until it ends or is cancelled
+      if (isAvailable) {
+        const activeTimeOff = await driverTimeOffService.getActiveTimeOff(id);
+        if (activeTimeOff) {
+          return ApiResponse.error(
+            res,
+            `Driver is on approved time off until ${activeTimeOff.endAt.toISOString()}; cancel it to become available`,
+            400
+          );
+        }
+      }
+
       const driver = await prisma.driver.update({
         where: { id },
         data: { isAvailable }
@@ -394,6 +415,218 @@ class DriverController {
     }
   }
 
+  // Get driver schedule (calendar feed of committed loads)
+  async getDriverSchedule(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+
+      // Check permissions
+      if (req.user.type === 'DRIVER' && req.user.id !== id) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      const schedule = await scheduleService.getSchedule({ driverId: id }, { from, to });
+
+      return ApiResponse.success(res, schedule);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a driver's time-off requests
+  async getDriverTimeOff(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status, upcoming } = req.query;
+
+      // Check permissions
+      if (req.user.type === 'DRIVER' && req.user.id !== id) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      const timeOff = await driverTimeOffService.getDriverTimeOff(id, {
+        status,
+        upcoming: upcoming === 'true'
+      });
+
+      return ApiResponse.success(res, timeOff);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Request time off or home time
+  async requestTimeOff(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Drivers request their own; dispatch can enter requests for anyone
+      if (req.user.type === 'DRIVER' && req.user.id !== id) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      const timeOff = await driverTimeOffService.requestTimeOff(id, req.user, req.body);
+
+      return ApiResponse.success(res, timeOff, 'Time off requested; waiting for dispatcher approval', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get time-off requests across drivers (dispatcher queue)
+  async getTimeOffRequests(req, res, next) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const { requests, total } = await driverTimeOffService.getRequests({ status, page, limit });
+
+      return ApiResponse.paginated(res, requests, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Approve time off
+  async approveTimeOff(req, res, next) {
+    try {
+      const timeOff = await driverTimeOffService.approve(req.params.timeOffId, req.user, req.body.notes);
+
+      return ApiResponse.success(res, timeOff, 'Time off approved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Deny time off
+  async denyTimeOff(req, res, next) {
+    try {
+      const timeOff = await driverTimeOffService.deny(req.params.timeOffId, req.user, req.body.notes);
+
+      return ApiResponse.success(res, timeOff, 'Time off denied');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cancel time off (driver or dispatcher)
+  async cancelTimeOff(req, res, next) {
+    try {
+      const timeOff = await driverTimeOffService.cancel(req.params.timeOffId, req.user);
+
+      return ApiResponse.success(res, timeOff, 'Time off cancelled');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a driver's duty status logs
+  async getHosLogs(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+
+      // Check permissions
+      if (req.user.type === 'DRIVER' && req.user.id !== id) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      const logs = await hosService.getDriverLogs(id, { from, to });
+
+      return ApiResponse.success(res, logs);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Log a duty status period
+  async logDutyStatus(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Drivers log their own; dispatch can enter logs for anyone
+      if (req.user.type === 'DRIVER' && req.user.id !== id) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      const log = await hosService.logDutyStatus(id, req.user, req.body);
+
+      return ApiResponse.success(res, log, 'Duty status logged', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Derive duty status logs from load status events
+  async deriveHosLogs(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Check permissions
+      if (req.user.type === 'DRIVER' && req.user.id !== id) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      const result = await hosService.deriveFromStatusEvents(id, req.user, req.body);
+
+      return ApiResponse.success(
+        res,
+        result,
+        `${result.created.length} duty status period(s) derived, ${result.skipped} skipped`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get remaining drive, shift and cycle time
+  async getHosClocks(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      // Check permissions
+      if (req.user.type === 'DRIVER' && req.user.id !== id) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      const clocks = await hosService.getClocks(id, { at: req.query.at });
+
+      return ApiResponse.success(res, clocks);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get per-day HOS report (JSON, or CSV with format=csv)
+  async getHosReport(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { from, to, format } = req.query;
+
+      // Check permissions
+      if (req.user.type === 'DRIVER' && req.user.id !== id) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      const report = await hosService.getDailyReport(id, { from, to });
+
+      if (format === 'csv') {
+        const firstDay = report.days.length > 0 ? report.days[0].date : 'empty';
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="hos-${id}-${firstDay}.csv"`);
+        return res.send(hosService.buildReportCsv(report));
+      }
+
+      return ApiResponse.success(res, report);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get driver performance metrics
   async getDriverMetrics(req, res, next) {
     try {
@@ -494,31 +727,49 @@ class DriverController {
         return ApiResponse.error(res, 'Assignment already accepted', 400);
       }
 
-      // Update assignment
-      const updatedAssignment = await prisma.loadAssignment.update({
-        where: { id: assignmentId },
-        data: {
-          acceptedAt: new Date()
-        }
-      });
+      if (assignment.releasedAt) {
+        return ApiResponse.error(res, 'Assignment is no longer active', 400);
+      }
+
+      loadStateMachine.assertTransition(
+        await loadStateMachine.getLoadForTransition(assignment.loadId),
+        'ACCEPTED',
+        req.user
+      );
 
-      // Update load status
-      await prisma.load.update({
-        where: { id: assignment.loadId },
-        data: { status: 'ACCEPTED' }
+      const driver = await prisma.driver.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, firstName: true, lastName: true }
       });
 
-      await prisma.loadStatusHistory.create({
-        data: {
-          loadId: assignment.loadId,
-          fromStatus: 'ASSIGNED',
-          toStatus: 'ACCEPTED',
-          changedById: req.user.id,
-          changedByType: 'DRIVER',
-          notes: 'Driver accepted assignment'
-        }
+      // Accept the assignment and update the load status together
+      const { updatedAssignment, updatedLoad, declined, afterCommit } = await prisma.$transaction(async (tx) => {
+        const updatedAssignment = await tx.loadAssignment.update({
+          where: { id: assignmentId },
+          data: {
+            acceptedAt: new Date()
+          }
+        });
+
+        const { load: updatedLoad, afterCommit } = await loadStateMachine.transition(assignment.loadId, 'ACCEPTED', req.user, {
+          context: { driver },
+          tx
+        });
+
+        // A tendered load closes its tender; load board requests that were
+        // left open while it was out for tender are turned down
+        const offer = await loadTenderService.recordAcceptance(assignmentId, tx);
+        const declined = offer
+          ? await loadBoardService.declineOpenRequests(assignment.loadId, 'Load was assigned to another driver', tx)
+          : [];
+
+        return { updatedAssignment, updatedLoad, declined, afterCommit };
       });
 
+      // Notify dispatch
+      await afterCommit();
+      await loadBoardService.notifyDeclined(declined, updatedLoad);
+
       return ApiResponse.success(res, updatedAssignment, 'Assignment accepted');
     } catch (error) {
       next(error);
@@ -548,33 +799,42 @@ class DriverController {
         return ApiResponse.error(res, 'Assignment already rejected', 400);
       }
 
-      // Update assignment
-      await prisma.loadAssignment.update({
-        where: { id: assignmentId },
-        data: {
-          rejectedAt: new Date(),
-          rejectionReason: reason
-        }
-      });
+      if (assignment.releasedAt) {
+        return ApiResponse.error(res, 'Assignment is no longer active', 400);
+      }
 
-      // Update load back to SCHEDULED
-      await prisma.load.update({
-        where: { id: assignment.loadId },
-        data: { status: 'SCHEDULED' }
+      const driver = await prisma.driver.findUnique({
+        where: { id: req.user.id },
+        select: { id: true, firstName: true, lastName: true }
       });
 
-      await prisma.loadStatusHistory.create({
-        data: {
-          loadId: assignment.loadId,
-          fromStatus: 'ASSIGNED',
-          toStatus: 'SCHEDULED',
-          changedById: req.user.id,
-          changedByType: 'DRIVER',
-          notes: `Driver rejected assignment: ${reason}`
-        }
+      const { afterCommit, afterTender } = await prisma.$transaction(async (tx) => {
+        // Move the load back to SCHEDULED first: the machine only lets the
+        // driver release a load while their assignment is still active
+        const result = await loadStateMachine.transition(assignment.loadId, 'SCHEDULED', req.user, {
+          notes: `Driver rejected assignment: ${reason}`,
+          context: { rejection: { driver, reason } },
+          tx
+        });
+
+        // Update assignment
+        await tx.loadAssignment.update({
+          where: { id: assignmentId },
+          data: {
+            rejectedAt: new Date(),
+            rejectionReason: reason
+          }
+        });
+
+        // Tendered loads roll straight on to the next driver in the list
+        const afterTender = await loadTenderService.recordRejection(assignmentId, reason, tx);
+
+        return { afterCommit: result.afterCommit, afterTender };
       });
 
-      // TODO: Notify dispatcher
+      // Notify dispatch
+      await afterCommit();
+      await afterTender();
 
       return ApiResponse.success(res, null, 'Assignment rejected');
     } catch (error) {
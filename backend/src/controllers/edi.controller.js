@@ -0,0 +1,299 @@
+// ==================== src/controllers/edi.controller.js ====================
+const prisma = require('../config/database');
+const ApiResponse = require('../utils/response');
+const ediService = require('../services/edi.service');
+
+class EdiController {
+  // Get EDI trading partners
+  async getTradingPartners(req, res, next) {
+    try {
+      const { shipperClientId, isActive } = req.query;
+
+      const where = {};
+      if (shipperClientId) where.shipperClientId = shipperClientId;
+      if (isActive !== undefined) where.isActive = isActive === 'true';
+
+      const partners = await prisma.ediTradingPartner.findMany({
+        where,
+        include: {
+          shipperClient: {
+            select: {
+              id: true,
+              legalName: true,
+              tradeName: true
+            }
+          }
+        },
+        orderBy: { name: 'asc' }
+      });
+
+      return ApiResponse.success(res, partners);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create EDI trading partner
+  async createTradingPartner(req, res, next) {
+    try {
+      const { shipperClientId, name, isaQualifier, isaId, send214, send210, isActive } = req.body;
+
+      const existing = await prisma.ediTradingPartner.findFirst({
+        where: { isaId }
+      });
+
+      if (existing) {
+        return ApiResponse.error(res, `ISA ID ${isaId} is already used by ${existing.name}`, 409);
+      }
+
+      const partner = await prisma.ediTradingPartner.create({
+        data: {
+          shipperClientId,
+          name,
+          isaQualifier,
+          isaId,
+          send214: send214 === true,
+          send210: send210 === true,
+          isActive: isActive !== false
+        }
+      });
+
+      return ApiResponse.success(res, partner, 'Trading partner created successfully', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update EDI trading partner
+  async updateTradingPartner(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { shipperClientId, name, isaQualifier, isaId, send214, send210, isActive } = req.body;
+
+      const partner = await prisma.ediTradingPartner.findUnique({ where: { id } });
+
+      if (!partner) {
+        return ApiResponse.error(res, 'Trading partner not found', 404);
+      }
+
+      const existing = await prisma.ediTradingPartner.findFirst({
+        where: { isaId, id: { not: id } }
+      });
+
+      if (existing) {
+        return ApiResponse.error(res, `ISA ID ${isaId} is already used by ${existing.name}`, 409);
+      }
+
+      const updated = await prisma.ediTradingPartner.update({
+        where: { id },
+        data: {
+          shipperClientId,
+          name,
+          isaQualifier,
+          isaId,
+          send214: send214 === true,
+          send210: send210 === true,
+          isActive: isActive !== false
+        }
+      });
+
+      return ApiResponse.success(res, updated, 'Trading partner updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Upload inbound EDI file (204 load tenders)
+  async uploadInbound(req, res, next) {
+    try {
+      if (!req.file) {
+        return ApiResponse.error(res, 'No file uploaded', 400);
+      }
+
+      const documents = await ediService.processInterchange(req.file.buffer.toString('utf8'), {
+        fileName: req.file.originalname,
+        source: 'UPLOAD',
+        receivedById: req.user.id
+      });
+
+      const failed = documents.filter(d => d.status === 'FAILED').length;
+      const message = failed > 0
+        ? `${documents.length - failed} of ${documents.length} transaction(s) processed`
+        : `${documents.length} transaction(s) processed`;
+
+      return ApiResponse.success(res, documents, message, 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get EDI documents
+  async getDocuments(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        direction,
+        transactionSet,
+        status,
+        responseStatus,
+        shipperClientId,
+        loadId
+      } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      const where = {};
+      if (direction) where.direction = direction;
+      if (transactionSet) where.transactionSet = transactionSet;
+      if (status) where.status = status;
+      if (responseStatus) where.responseStatus = responseStatus;
+      if (shipperClientId) where.shipperClientId = shipperClientId;
+      if (loadId) where.loadId = loadId;
+
+      const [documents, total] = await Promise.all([
+        prisma.ediDocument.findMany({
+          where,
+          skip,
+          take,
+          select: {
+            id: true,
+            direction: true,
+            transactionSet: true,
+            tradingPartnerId: true,
+            shipperClientId: true,
+            loadId: true,
+            controlNumber: true,
+            shipmentId: true,
+            purpose: true,
+            status: true,
+            responseStatus: true,
+            attempts: true,
+            deliveredAt: true,
+            pickedUpAt: true,
+            fileName: true,
+            errorMessage: true,
+            createdAt: true,
+            load: {
+              select: {
+                id: true,
+                loadNumber: true,
+                status: true
+              }
+            }
+          },
+          orderBy: {
+            createdAt: 'desc'
+          }
+        }),
+        prisma.ediDocument.count({ where })
+      ]);
+
+      return ApiResponse.paginated(res, documents, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get EDI document
+  async getDocumentById(req, res, next) {
+    try {
+      const document = await prisma.ediDocument.findUnique({
+        where: { id: req.params.id },
+        include: {
+          tradingPartner: true,
+          load: {
+            select: {
+              id: true,
+              loadNumber: true,
+              status: true
+            }
+          }
+        }
+      });
+
+      if (!document) {
+        return ApiResponse.error(res, 'EDI document not found', 404);
+      }
+
+      return ApiResponse.success(res, document);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Download raw EDI document
+  async downloadDocument(req, res, next) {
+    try {
+      const document = await prisma.ediDocument.findUnique({
+        where: { id: req.params.id },
+        select: { id: true, fileName: true, transactionSet: true, content: true }
+      });
+
+      if (!document) {
+        return ApiResponse.error(res, 'EDI document not found', 404);
+      }
+
+      const fileName = document.fileName || `${document.transactionSet}_${document.id}.edi`;
+
+      res.setHeader('Content-Type', 'application/edi-x12');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(document.content);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Retry delivery of a failed outbound document
+  async retryDocument(req, res, next) {
+    try {
+      const document = await ediService.retryDocument(req.params.id);
+
+      const message = document.status === 'DELIVERED'
+        ? 'EDI document delivered'
+        : `Delivery failed again: ${document.errorMessage}`;
+
+      return ApiResponse.success(res, document, message);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Accept load tender (sends 990 acceptance)
+  async acceptTender(req, res, next) {
+    try {
+      const result = await ediService.respondToTender(req.params.id, req.user, {
+        accept: true,
+        shipperRate: req.body.shipperRate
+      });
+
+      return ApiResponse.success(res, result, 'Tender accepted, 990 generated');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Decline load tender (cancels the load, sends 990 decline)
+  async declineTender(req, res, next) {
+    try {
+      const { reasonCode, reason } = req.body;
+
+      const result = await ediService.respondToTender(req.params.id, req.user, {
+        accept: false,
+        reasonCode,
+        reason
+      });
+
+      return ApiResponse.success(res, result, 'Tender declined, 990 generated');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new EdiController();
@@ -2,6 +2,10 @@
 const prisma = require('../config/database');
 const ApiResponse = require('../utils/response');
 const notificationService = require('../services/notification.service');
+const invoiceService = require('../services/invoice.service');
+const accessorialService = require('../services/accessorial.service');
+const ediService = require('../services/edi.service');
+const { setETag, assertVersion, updateVersioned } = require('../utils/concurrency');
 
 class InvoiceController {
   // Get all invoices
@@ -149,6 +153,7 @@ class InvoiceController {
         }
       }
 
+      setETag(res, invoice);
       return ApiResponse.success(res, invoice);
     } catch (error) {
       next(error);
@@ -173,99 +178,16 @@ class InvoiceController {
         return ApiResponse.error(res, 'Load not found', 404);
       }
 
-      if (load.status !== 'COMPLETED') {
+      // Cancelled loads can still be billed for approved accessorials (e.g. TONU)
+      if (!['COMPLETED', 'CANCELLED'].includes(load.status)) {
         return ApiResponse.error(res, 'Load must be completed before invoicing', 400);
       }
 
-      // Check if invoice already exists
-      const existingInvoice = await prisma.shipperInvoice.findFirst({
-        where: {
-          loadId,
-          status: { not: 'CANCELLED' }
-        }
-      });
-
-      if (existingInvoice) {
-        return ApiResponse.error(res, 'Invoice already exists for this load', 400);
-      }
-
-      // Generate invoice number
-      const year = new Date().getFullYear();
-      const lastInvoice = await prisma.shipperInvoice.findFirst({
-        where: {
-          invoiceNumber: {
-            startsWith: `INV-${year}-`
-          }
-        },
-        orderBy: {
-          createdAt: 'desc'
-        }
-      });
-
-      let invoiceNumber;
-      if (lastInvoice) {
-        const lastNumber = parseInt(lastInvoice.invoiceNumber.split('-')[2]);
-        invoiceNumber = `INV-${year}-${String(lastNumber + 1).padStart(4, '0')}`;
-      } else {
-        invoiceNumber = `INV-${year}-0001`;
-      }
-
-      // Calculate amounts
-      let subtotal = 0;
-      const invoiceLineItems = lineItems || [
-        {
-          description: `Freight charges - Load ${load.loadNumber}`,
-          quantity: 1,
-          unitPrice: parseFloat(load.shipperRate),
-          amount: parseFloat(load.shipperRate)
-        }
-      ];
-
-      invoiceLineItems.forEach(item => {
-        subtotal += parseFloat(item.amount);
-      });
-
-      const taxAmount = subtotal * (taxRate / 100);
-      const total = subtotal + taxAmount;
-
-      // Calculate due date (payment terms from shipper client)
-      const paymentTerms = load.shipperClient.paymentTerms || 30;
-      const dueDate = new Date();
-      dueDate.setDate(dueDate.getDate() + paymentTerms);
-
-      // Create invoice
-      const invoice = await prisma.shipperInvoice.create({
-        data: {
-          shipperClientId: load.shipperClientId,
-          loadId,
-          invoiceNumber,
-          subtotal,
-          taxAmount,
-          total,
-          status: 'DRAFT',
-          notes,
-          dueDate,
-          lineItems: {
-            create: invoiceLineItems
-          }
-        },
-        include: {
-          lineItems: true,
-          shipperClient: {
-            select: {
-              id: true,
-              legalName: true,
-              tradeName: true
-            }
-          },
-          load: {
-            select: {
-              id: true,
-              loadNumber: true
-            }
-          }
-        }
-      });
+      // Freight plus approved accessorials; a load that is already invoiced
+      // gets a supplemental invoice for accessorials approved since
+      const invoice = await prisma.$transaction(tx =>
+        invoiceService.createInvoiceForLoad(load, { lineItems, taxRate, notes, db: tx })
+      );
 
       return ApiResponse.success(res, invoice, 'Invoice created successfully', 201);
     } catch (error) {
@@ -292,13 +214,10 @@ class InvoiceController {
         return ApiResponse.error(res, 'Only draft invoices can be updated', 400);
       }
 
+      assertVersion(invoice, req.ifMatchVersion, 'Invoice');
+
       // If line items provided, update them
       if (lineItems) {
-        // Delete existing line items
-        await prisma.invoiceLineItem.deleteMany({
-          where: { invoiceId: id }
-        });
-
         // Calculate new subtotal
         let subtotal = 0;
         lineItems.forEach(item => {
@@ -308,39 +227,45 @@ class InvoiceController {
         const taxAmount = taxRate ? subtotal * (taxRate / 100) : invoice.taxAmount;
         const total = subtotal + parseFloat(taxAmount);
 
-        // Update invoice with new line items
-        const updatedInvoice = await prisma.shipperInvoice.update({
-          where: { id },
-          data: {
-            subtotal,
-            taxAmount,
-            total,
-            notes: notes || invoice.notes,
-            lineItems: {
-              create: lineItems
+        // Replace the line items and totals together
+        const updatedInvoice = await prisma.$transaction(async (tx) => {
+          await tx.invoiceLineItem.deleteMany({
+            where: { invoiceId: id }
+          });
+
+          return await updateVersioned(tx.shipperInvoice, invoice, {
+            data: {
+              subtotal,
+              taxAmount,
+              total,
+              notes: notes || invoice.notes,
+              lineItems: {
+                create: lineItems
+              }
+            },
+            include: {
+              lineItems: true,
+              shipperClient: true,
+              load: true
             }
-          },
-          include: {
-            lineItems: true,
-            shipperClient: true,
-            load: true
-          }
+          }, 'Invoice');
         });
 
+        setETag(res, updatedInvoice);
         return ApiResponse.success(res, updatedInvoice, 'Invoice updated successfully');
       }
 
       // Update only notes if no line items
-      const updatedInvoice = await prisma.shipperInvoice.update({
-        where: { id },
+      const updatedInvoice = await updateVersioned(prisma.shipperInvoice, invoice, {
         data: { notes },
         include: {
           lineItems: true,
           shipperClient: true,
           load: true
         }
-      });
+      }, 'Invoice');
 
+      setETag(res, updatedInvoice);
       return ApiResponse.success(res, updatedInvoice, 'Invoice updated successfully');
     } catch (error) {
       next(error);
@@ -368,24 +293,35 @@ class InvoiceController {
         return ApiResponse.error(res, 'Invoice already issued', 400);
       }
 
-      const updatedInvoice = await prisma.shipperInvoice.update({
-        where: { id },
-        data: {
-          status: 'SENT',
-          issuedAt: new Date()
-        },
-        include: {
-          lineItems: true,
-          shipperClient: true,
-          load: true
-        }
-      });
+      assertVersion(invoice, req.ifMatchVersion, 'Invoice');
+
+      const { updatedInvoice, afterCommit } = await prisma.$transaction(async (tx) => {
+        const updatedInvoice = await updateVersioned(tx.shipperInvoice, invoice, {
+          data: {
+            status: 'SENT',
+            issuedAt: new Date()
+          },
+          include: {
+            lineItems: true,
+            shipperClient: true,
+            load: true
+          }
+        }, 'Invoice');
 
-      // Send notification to shipper
-      await notificationService.notifyInvoiceIssued(updatedInvoice, invoice.shipperClient);
+        const afterCommit = async () => {
+          await notificationService.notifyInvoiceIssued(updatedInvoice, invoice.shipperClient);
 
-      // TODO: Send email with invoice PDF
+          // EDI shippers also get the invoice as a 210
+          await ediService.queueInvoice(updatedInvoice.id);
+        };
 
+        return { updatedInvoice, afterCommit };
+      });
+
+      // Send notification to shipper once the invoice is issued
+      await afterCommit();
+
+      setETag(res, updatedInvoice);
       return ApiResponse.success(res, updatedInvoice, 'Invoice issued successfully');
     } catch (error) {
       next(error);
@@ -415,26 +351,34 @@ class InvoiceController {
         return ApiResponse.error(res, 'Cannot mark cancelled invoice as paid', 400);
       }
 
-      const updatedInvoice = await prisma.shipperInvoice.update({
-        where: { id },
-        data: {
-          status: 'PAID',
-          paidAt: paidAt ? new Date(paidAt) : new Date(),
-          paymentMethod,
-          paymentReference
-        }
-      });
+      assertVersion(invoice, req.ifMatchVersion, 'Invoice');
 
-      // Update shipper client balance
-      await prisma.shipperClient.update({
-        where: { id: invoice.shipperClientId },
-        data: {
-          currentBalance: {
-            decrement: parseFloat(invoice.total)
+      // The versioned write makes sure a payment is only applied to the
+      // balance once, even if it's recorded twice at the same time
+      const updatedInvoice = await prisma.$transaction(async (tx) => {
+        const updatedInvoice = await updateVersioned(tx.shipperInvoice, invoice, {
+          data: {
+            status: 'PAID',
+            paidAt: paidAt ? new Date(paidAt) : new Date(),
+            paymentMethod,
+            paymentReference
           }
-        }
+        }, 'Invoice');
+
+        // Update shipper client balance
+        await tx.shipperClient.update({
+          where: { id: invoice.shipperClientId },
+          data: {
+            currentBalance: {
+              decrement: parseFloat(invoice.total)
+            }
+          }
+        });
+
+        return updatedInvoice;
       });
 
+      setETag(res, updatedInvoice);
       return ApiResponse.success(res, updatedInvoice, 'Invoice marked as paid');
     } catch (error) {
       next(error);
@@ -459,14 +403,23 @@ class InvoiceController {
         return ApiResponse.error(res, 'Cannot cancel paid invoice', 400);
       }
 
-      const updatedInvoice = await prisma.shipperInvoice.update({
-        where: { id },
-        data: {
-          status: 'CANCELLED',
-          notes: reason || invoice.notes
-        }
+      assertVersion(invoice, req.ifMatchVersion, 'Invoice');
+
+      const updatedInvoice = await prisma.$transaction(async (tx) => {
+        const updatedInvoice = await updateVersioned(tx.shipperInvoice, invoice, {
+          data: {
+            status: 'CANCELLED',
+            notes: reason || invoice.notes
+          }
+        }, 'Invoice');
+
+        // Let the next invoice for the load pick its accessorials back up
+        await accessorialService.releaseFromInvoice(id, tx);
+
+        return updatedInvoice;
       });
 
+      setETag(res, updatedInvoice);
       return ApiResponse.success(res, updatedInvoice, 'Invoice cancelled');
     } catch (error) {
       next(error);
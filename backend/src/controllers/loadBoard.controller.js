@@ -0,0 +1,79 @@
+// ==================== src/controllers/loadBoard.controller.js ====================
+const ApiResponse = require('../utils/response');
+const loadBoardService = require('../services/loadBoard.service');
+
+class LoadBoardController {
+  // Get loads on the board for the current driver
+  async getBoard(req, res, next) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const { loads, total, available } = await loadBoardService.getBoard(req.user.id, { page, limit });
+
+      return ApiResponse.paginated(res, loads, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }, available ? 'Success' : 'Mark yourself available, with a truck on file, to see loads');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Request (or claim, for first-come loads) a load
+  async requestLoad(req, res, next) {
+    try {
+      const { assignment, claimed } = await loadBoardService.requestLoad(req.params.loadId, req.user, req.body);
+
+      return ApiResponse.success(
+        res,
+        { ...assignment, claimed },
+        claimed ? 'Load claimed' : 'Load requested; waiting for dispatcher approval',
+        201
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get load board requests (dispatcher queue, or the driver's own)
+  async getRequests(req, res, next) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+
+      const { requests, total } = await loadBoardService.getRequests(req.user, { status, page, limit });
+
+      return ApiResponse.paginated(res, requests, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Approve a driver's load request
+  async approveRequest(req, res, next) {
+    try {
+      const assignment = await loadBoardService.approveRequest(req.params.id, req.user, req.body);
+
+      return ApiResponse.success(res, assignment, 'Load request approved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Decline a driver's load request
+  async declineRequest(req, res, next) {
+    try {
+      const request = await loadBoardService.declineRequest(req.params.id, req.user, req.body.reason);
+
+      return ApiResponse.success(res, request, 'Load request declined');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LoadBoardController();
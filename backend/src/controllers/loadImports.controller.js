@@ -0,0 +1,140 @@
+// ==================== src/controllers/loadImports.controller.js ====================
+const prisma = require('../config/database');
+const ApiResponse = require('../utils/response');
+const storageService = require('../services/storage.service');
+const loadImportService = require('../services/loadImport.service');
+
+class LoadImportController {
+  // Get all load imports
+  async getAllImports(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        shipperClientId,
+        status
+      } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      const where = {};
+
+      // Shipper users only see their own client's imports
+      if (req.user.type === 'SHIPPER_USER') {
+        const user = await prisma.shipperUser.findUnique({
+          where: { id: req.user.id },
+          select: { shipperClientId: true }
+        });
+        where.shipperClientId = user.shipperClientId;
+      } else if (shipperClientId) {
+        where.shipperClientId = shipperClientId;
+      }
+
+      if (status) where.status = status;
+
+      const [imports, total] = await Promise.all([
+        prisma.loadImport.findMany({
+          where,
+          skip,
+          take,
+          select: {
+            id: true,
+            shipperClientId: true,
+            uploadedById: true,
+            fileName: true,
+            status: true,
+            totalRows: true,
+            validRows: true,
+            errorRows: true,
+            committedAt: true,
+            createdAt: true
+          },
+          orderBy: {
+            createdAt: 'desc'
+          }
+        }),
+        prisma.loadImport.count({ where })
+      ]);
+
+      return ApiResponse.paginated(res, imports, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get load import with its row-level validation report
+  async getImportById(req, res, next) {
+    try {
+      const loadImport = await loadImportService.getImport(req.params.id, req.user);
+
+      return ApiResponse.success(res, loadImport);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Upload CSV/XLSX and validate every row (dry run unless commit=true)
+  async uploadImport(req, res, next) {
+    try {
+      if (!req.file) {
+        return ApiResponse.error(res, 'No file uploaded', 400);
+      }
+
+      storageService.validateSpreadsheetFile(req.file);
+
+      const loadImport = await loadImportService.createImport(req.file, req.user);
+
+      const commit = req.body.commit === true || req.body.commit === 'true';
+
+      if (!commit || loadImport.errorRows > 0 || loadImport.validRows === 0) {
+        const message = loadImport.errorRows > 0
+          ? `Validation found errors in ${loadImport.errorRows} of ${loadImport.totalRows} row(s)`
+          : `All ${loadImport.totalRows} row(s) are valid`;
+
+        return ApiResponse.success(res, loadImport, message, 201);
+      }
+
+      const result = await loadImportService.commitImport(loadImport, req.user);
+
+      return ApiResponse.success(res, result, `${result.loads.length} load(s) created`, 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create loads from the valid rows of a validated import
+  async commitImport(req, res, next) {
+    try {
+      const loadImport = await loadImportService.getImport(req.params.id, req.user);
+
+      const result = await loadImportService.commitImport(loadImport, req.user);
+
+      return ApiResponse.success(res, result, `${result.loads.length} load(s) created`);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Download row-level errors as CSV
+  async downloadErrorReport(req, res, next) {
+    try {
+      const loadImport = await loadImportService.getImport(req.params.id, req.user);
+
+      const report = loadImportService.buildErrorReport(loadImport);
+      const baseName = loadImport.fileName.replace(/\.[^.]+$/, '');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}-errors.csv"`);
+      return res.send(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LoadImportController();
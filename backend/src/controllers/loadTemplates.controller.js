@@ -0,0 +1,255 @@
+// ==================== src/controllers/loadTemplates.controller.js ====================
+const prisma = require('../config/database');
+const ApiResponse = require('../utils/response');
+const loadTemplateService = require('../services/loadTemplate.service');
+
+class LoadTemplateController {
+  // Get all load templates
+  async getAllTemplates(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        shipperClientId,
+        isActive,
+        search
+      } = req.query;
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const take = parseInt(limit);
+
+      const where = {
+        deletedAt: null
+      };
+
+      // Shipper users only see their own client's templates
+      if (req.user.type === 'SHIPPER_USER') {
+        const user = await prisma.shipperUser.findUnique({
+          where: { id: req.user.id },
+          select: { shipperClientId: true }
+        });
+        where.shipperClientId = user.shipperClientId;
+      } else if (shipperClientId) {
+        where.shipperClientId = shipperClientId;
+      }
+
+      if (isActive !== undefined) where.isActive = isActive === 'true';
+
+      if (search) {
+        where.name = { contains: search, mode: 'insensitive' };
+      }
+
+      const [templates, total] = await Promise.all([
+        prisma.loadTemplate.findMany({
+          where,
+          skip,
+          take,
+          include: {
+            shipperClient: {
+              select: {
+                id: true,
+                legalName: true,
+                tradeName: true
+              }
+            }
+          },
+          orderBy: {
+            createdAt: 'desc'
+          }
+        }),
+        prisma.loadTemplate.count({ where })
+      ]);
+
+      return ApiResponse.paginated(res, templates, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get load template by ID
+  async getTemplateById(req, res, next) {
+    try {
+      const template = await loadTemplateService.getTemplate(req.params.id, req.user);
+
+      return ApiResponse.success(res, template);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create load template
+  async createTemplate(req, res, next) {
+    try {
+      const user = await prisma.shipperUser.findUnique({
+        where: { id: req.user.id },
+        select: { shipperClientId: true }
+      });
+
+      const fields = loadTemplateService.buildTemplateFields(req.body);
+
+      const template = await prisma.loadTemplate.create({
+        data: {
+          shipperClientId: user.shipperClientId,
+          createdById: req.user.id,
+          ...fields
+        }
+      });
+
+      return ApiResponse.success(res, template, 'Load template created successfully', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Update load template
+  async updateTemplate(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      await loadTemplateService.getTemplate(id, req.user);
+
+      const fields = loadTemplateService.buildTemplateFields(req.body);
+
+      const template = await prisma.loadTemplate.update({
+        where: { id },
+        data: fields
+      });
+
+      return ApiResponse.success(res, template, 'Load template updated successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete load template (soft delete)
+  async deleteTemplate(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      await loadTemplateService.getTemplate(id, req.user);
+
+      await prisma.loadTemplate.update({
+        where: { id },
+        data: {
+          isActive: false,
+          deletedAt: new Date()
+        }
+      });
+
+      return ApiResponse.success(res, null, 'Load template deleted successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Preview upcoming occurrences
+  async getOccurrences(req, res, next) {
+    try {
+      const template = await loadTemplateService.getTemplate(req.params.id, req.user);
+
+      const today = new Date().toISOString().split('T')[0];
+      const from = req.query.from || today;
+
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+        return ApiResponse.error(res, 'from must be a YYYY-MM-DD date', 400);
+      }
+
+      const days = Math.min(parseInt(req.query.days) || 30, 366);
+      const to = new Date(new Date(`${from}T00:00:00.000Z`).getTime() + days * 24 * 60 * 60 * 1000)
+        .toISOString().split('T')[0];
+
+      const occurrences = await loadTemplateService.getOccurrences(template, from, to);
+
+      return ApiResponse.success(res, occurrences);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Generate loads within the template's lead time now
+  async generateLoads(req, res, next) {
+    try {
+      const template = await loadTemplateService.getTemplate(req.params.id, req.user);
+
+      if (!template.isActive) {
+        return ApiResponse.error(res, 'Load template is not active', 400);
+      }
+
+      const loads = await loadTemplateService.generateLoads(template);
+
+      return ApiResponse.success(res, loads, `${loads.length} load(s) generated`, 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get configured holidays
+  async getHolidays(req, res, next) {
+    try {
+      const { year } = req.query;
+
+      const where = {};
+      if (year) {
+        where.date = {
+          gte: new Date(`${year}-01-01T00:00:00.000Z`),
+          lte: new Date(`${year}-12-31T00:00:00.000Z`)
+        };
+      }
+
+      const holidays = await prisma.holiday.findMany({
+        where,
+        orderBy: { date: 'asc' }
+      });
+
+      return ApiResponse.success(res, holidays);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Add holiday (no loads are generated on it)
+  async createHoliday(req, res, next) {
+    try {
+      const { date, name } = req.body;
+
+      const holiday = await prisma.holiday.create({
+        data: {
+          date: new Date(`${date.split('T')[0]}T00:00:00.000Z`),
+          name,
+          createdById: req.user.id
+        }
+      });
+
+      return ApiResponse.success(res, holiday, 'Holiday added', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Remove holiday
+  async deleteHoliday(req, res, next) {
+    try {
+      const holiday = await prisma.holiday.findUnique({
+        where: { id: req.params.holidayId }
+      });
+
+      if (!holiday) {
+        return ApiResponse.error(res, 'Holiday not found', 404);
+      }
+
+      await prisma.holiday.delete({
+        where: { id: req.params.holidayId }
+      });
+
+      return ApiResponse.success(res, null, 'Holiday removed');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new LoadTemplateController();
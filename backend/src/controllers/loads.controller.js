@@ -1,6 +1,22 @@
 // ==================== src/controllers/loads.controller.js ====================
 const prisma = require('../config/database');
 const ApiResponse = require('../utils/response');
+const loadStateMachine = require('../services/loadStateMachine.service');
+const loadService = require('../services/loads.service');
+const detentionService = require('../services/detention.service');
+const ediService = require('../services/edi.service');
+const loadBoardService = require('../services/loadBoard.service');
+const loadTenderService = require('../services/loadTender.service');
+const driverRecommendationService = require('../services/driverRecommendation.service');
+const scheduleService = require('../services/schedule.service');
+const trackingService = require('../services/tracking.service');
+const geofenceService = require('../services/geofence.service');
+const etaService = require('../services/eta.service');
+const trackingLinkService = require('../services/trackingLink.service');
+const geocodingService = require('../services/geocoding.service');
+const mileageService = require('../services/mileage.service');
+const { setETag, assertVersion, updateVersioned } = require('../utils/concurrency');
+const { NOT_PENDING_REQUEST } = require('../utils/constants');
 
 class LoadController {
   // Get all loads with pagination and filters
@@ -14,6 +30,7 @@ class LoadController {
         shipperClientId,
         pickupDateFrom,
         pickupDateTo,
+        atRisk,
         search
       } = req.query;
 
@@ -33,10 +50,13 @@ class LoadController {
         });
         where.shipperClientId = user.shipperClientId;
       } else if (req.user.type === 'DRIVER') {
-        // Drivers see only their assigned loads
+        // Drivers see only their assigned loads, not loads they've only requested
         where.assignments = {
           some: {
-            driverId: req.user.id
+            driverId: req.user.id,
+            rejectedAt: null,
+            releasedAt: null,
+            ...NOT_PENDING_REQUEST
           }
         };
       }
@@ -45,6 +65,7 @@ class LoadController {
       if (status) where.status = status;
       if (equipmentType) where.equipmentType = equipmentType;
       if (shipperClientId) where.shipperClientId = shipperClientId;
+      if (atRisk === 'true') where.eta = { atRisk: true };
 
       if (pickupDateFrom || pickupDateTo) {
         where.pickupDate = {};
@@ -84,6 +105,7 @@ class LoadController {
               }
             },
             assignments: {
+              where: { rejectedAt: null, releasedAt: null, ...NOT_PENDING_REQUEST },
               include: {
                 driver: {
                   select: {
@@ -94,7 +116,9 @@ class LoadController {
                   }
                 }
               }
-            }
+            },
+            eta: true,
+            mileage: true
           },
           orderBy: {
             createdAt: 'desc'
@@ -103,7 +127,11 @@ class LoadController {
         prisma.load.count({ where })
       ]);
 
-      return ApiResponse.paginated(res, loads, {
+      return ApiResponse.paginated(res, loads.map(load => ({
+        ...load,
+        eta: etaService.summary(load.eta),
+        mileage: mileageService.summary(load.mileage, req.user.type === 'INTERNAL_USER')
+      })), {
         page: parseInt(page),
         limit: parseInt(limit),
         total
@@ -137,6 +165,7 @@ class LoadController {
             }
           },
           assignments: {
+            where: { rejectedAt: null, releasedAt: null, ...NOT_PENDING_REQUEST },
             include: {
               driver: {
                 select: {
@@ -168,9 +197,14 @@ class LoadController {
             orderBy: { createdAt: 'desc' }
           },
           podDocuments: true,
+          stops: {
+            orderBy: { stopSequence: 'asc' }
+          },
           geoLocations: {
             orderBy: { stopSequence: 'asc' }
-          }
+          },
+          eta: true,
+          mileage: true
         }
       });
 
@@ -178,7 +212,12 @@ class LoadController {
         return ApiResponse.error(res, 'Load not found', 404);
       }
 
-      return ApiResponse.success(res, load);
+      setETag(res, load);
+      return ApiResponse.success(res, {
+        ...load,
+        eta: etaService.summary(load.eta),
+        mileage: mileageService.summary(load.mileage, req.user.type === 'INTERNAL_USER')
+      });
     } catch (error) {
       next(error);
     }
@@ -187,106 +226,15 @@ class LoadController {
   // Create new load
   async createLoad(req, res, next) {
     try {
-      const {
-        origin,
-        originAddress,
-        destination,
-        destinationAddress,
-        equipmentType,
-        weightLbs,
-        distanceMiles,
-        commodity,
-        specialInstructions,
-        pickupDate,
-        pickupTimeStart,
-        pickupTimeEnd,
-        deliveryDate,
-        deliveryTimeStart,
-        deliveryTimeEnd,
-        shipperRate
-      } = req.body;
-
       // Get shipper client ID
       const user = await prisma.shipperUser.findUnique({
         where: { id: req.user.id },
         select: { shipperClientId: true }
       });
 
-      // Generate load number
-      const year = new Date().getFullYear();
-      const lastLoad = await prisma.load.findFirst({
-        where: {
-          loadNumber: {
-            startsWith: `LOAD-${year}-`
-          }
-        },
-        orderBy: {
-          createdAt: 'desc'
-        }
-      });
-
-      let loadNumber;
-      if (lastLoad) {
-        const lastNumber = parseInt(lastLoad.loadNumber.split('-')[2]);
-        loadNumber = `LOAD-${year}-${String(lastNumber + 1).padStart(4, '0')}`;
-      } else {
-        loadNumber = `LOAD-${year}-0001`;
-      }
-
-      // Create load
-      const load = await prisma.load.create({
-        data: {
-          shipperClientId: user.shipperClientId,
-          createdById: req.user.id,
-          loadNumber,
-          origin,
-          originAddress,
-          destination,
-          destinationAddress,
-          equipmentType,
-          weightLbs,
-          distanceMiles,
-          commodity,
-          specialInstructions,
-          pickupDate: new Date(pickupDate),
-          pickupTimeStart: pickupTimeStart ? new Date(pickupTimeStart) : null,
-          pickupTimeEnd: pickupTimeEnd ? new Date(pickupTimeEnd) : null,
-          deliveryDate: new Date(deliveryDate),
-          deliveryTimeStart: deliveryTimeStart ? new Date(deliveryTimeStart) : null,
-          deliveryTimeEnd: deliveryTimeEnd ? new Date(deliveryTimeEnd) : null,
-          shipperRate,
-          status: 'DRAFT'
-        },
-        include: {
-          shipperClient: {
-            select: {
-              id: true,
-              legalName: true,
-              tradeName: true
-            }
-          },
-          createdBy: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              email: true
-            }
-          }
-        }
-      });
+      const load = await loadService.createLoad(user.shipperClientId, req.user, req.body);
 
-      // Create initial status history
-      await prisma.loadStatusHistory.create({
-        data: {
-          loadId: load.id,
-          fromStatus: null,
-          toStatus: 'DRAFT',
-          changedById: req.user.id,
-          changedByType: req.user.type,
-          notes: 'Load created'
-        }
-      });
+      await geocodingService.geocodeLoadQuietly(load.id);
 
       return ApiResponse.success(res, load, 'Load created successfully', 201);
     } catch (error) {
@@ -308,35 +256,61 @@ class LoadController {
         return ApiResponse.error(res, 'Load not found', 404);
       }
 
+      assertVersion(existingLoad, req.ifMatchVersion, 'Load');
+
       // Only allow updates if load is in DRAFT or NEGOTIATING status
       if (!['DRAFT', 'NEGOTIATING'].includes(existingLoad.status)) {
         return ApiResponse.error(res, 'Load cannot be updated in current status', 400);
       }
 
+      // Status only changes through the load state machine
+      const { status, stops, ...updateData } = req.body;
+
+      let loadStops = null;
+      if (stops) {
+        loadStops = loadService.normalizeStops(stops);
+        Object.assign(updateData, loadService.summarizeStops(loadStops));
+      }
+
       // Store old data for audit
       req.auditChanges = {
         before: existingLoad,
-        after: req.body,
-        fields: Object.keys(req.body)
+        after: updateData,
+        fields: Object.keys(updateData)
       };
 
-      const updatedLoad = await prisma.load.update({
-        where: { id },
-        data: {
-          ...req.body,
-          updatedAt: new Date()
-        },
-        include: {
-          shipperClient: {
-            select: {
-              id: true,
-              legalName: true,
-              tradeName: true
+      // Stops and load fields commit together, and only on the version the
+      // client last saw
+      const updatedLoad = await prisma.$transaction(async (tx) => {
+        if (loadStops) {
+          await loadService.replaceStops(id, loadStops, tx);
+        }
+
+        return await updateVersioned(tx.load, existingLoad, {
+          data: {
+            ...updateData,
+            updatedAt: new Date()
+          },
+          include: {
+            shipperClient: {
+              select: {
+                id: true,
+                legalName: true,
+                tradeName: true
+              }
+            },
+            stops: {
+              orderBy: { stopSequence: 'asc' }
             }
           }
-        }
+        }, 'Load');
       });
 
+      if (loadStops) {
+        await geocodingService.geocodeLoadQuietly(id);
+      }
+
+      setETag(res, updatedLoad);
       return ApiResponse.success(res, updatedLoad, 'Load updated successfully');
     } catch (error) {
       next(error);
@@ -361,12 +335,13 @@ class LoadController {
         return ApiResponse.error(res, 'Load cannot be deleted in current status', 400);
       }
 
-      await prisma.load.update({
-        where: { id },
+      assertVersion(load, req.ifMatchVersion, 'Load');
+
+      await updateVersioned(prisma.load, load, {
         data: {
           deletedAt: new Date()
         }
-      });
+      }, 'Load');
 
       return ApiResponse.success(res, null, 'Load deleted successfully');
     } catch (error) {
@@ -379,41 +354,12 @@ class LoadController {
     try {
       const { id } = req.params;
 
-      const load = await prisma.load.findUnique({
-        where: { id }
-      });
-
-      if (!load) {
-        return ApiResponse.error(res, 'Load not found', 404);
-      }
-
-      if (load.status !== 'DRAFT') {
-        return ApiResponse.error(res, 'Load can only be submitted from DRAFT status', 400);
-      }
-
-      // Update load status
-      const updatedLoad = await prisma.load.update({
-        where: { id },
-        data: {
-          status: 'PENDING_REVIEW'
-        }
-      });
-
-      // Create status history
-      await prisma.loadStatusHistory.create({
-        data: {
-          loadId: id,
-          fromStatus: 'DRAFT',
-          toStatus: 'PENDING_REVIEW',
-          changedById: req.user.id,
-          changedByType: req.user.type,
-          notes: 'Load submitted for review'
-        }
+      const { load } = await loadStateMachine.transition(id, 'PENDING_REVIEW', req.user, {
+        expectedVersion: req.ifMatchVersion
       });
 
-      // TODO: Create notification for dispatchers
-
-      return ApiResponse.success(res, updatedLoad, 'Load submitted for review');
+      setETag(res, load);
+      return ApiResponse.success(res, load, 'Load submitted for review');
     } catch (error) {
       next(error);
     }
@@ -423,40 +369,22 @@ class LoadController {
   async approveLoad(req, res, next) {
     try {
       const { id } = req.params;
-      const { driverPay, notes } = req.body;
-
-      const load = await prisma.load.findUnique({
-        where: { id }
-      });
-
-      if (!load) {
-        return ApiResponse.error(res, 'Load not found', 404);
-      }
-
-      if (load.status !== 'RATE_APPROVED') {
-        return ApiResponse.error(res, 'Load must have approved rate first', 400);
-      }
+      const { driverPay, firstCome, notes } = req.body;
 
-      const updatedLoad = await prisma.load.update({
-        where: { id },
-        data: {
-          status: 'SCHEDULED',
-          driverPay
-        }
-      });
+      await ediService.assertNoPendingTender(id);
 
-      await prisma.loadStatusHistory.create({
+      // firstCome loads can be claimed straight from the driver load board
+      const { load } = await loadStateMachine.transition(id, 'SCHEDULED', req.user, {
+        notes,
         data: {
-          loadId: id,
-          fromStatus: 'RATE_APPROVED',
-          toStatus: 'SCHEDULED',
-          changedById: req.user.id,
-          changedByType: req.user.type,
-          notes: notes || 'Load approved and scheduled'
-        }
+          driverPay,
+          ...(firstCome !== undefined && { firstCome: firstCome === true || firstCome === 'true' })
+        },
+        expectedVersion: req.ifMatchVersion
       });
 
-      return ApiResponse.success(res, updatedLoad, 'Load approved successfully');
+      setETag(res, load);
+      return ApiResponse.success(res, load, 'Load approved successfully');
     } catch (error) {
       next(error);
     }
@@ -468,17 +396,10 @@ class LoadController {
       const { id } = req.params;
       const { driverId, estimatedPickup, estimatedDelivery, notes } = req.body;
 
-      const load = await prisma.load.findUnique({
-        where: { id }
-      });
-
-      if (!load) {
-        return ApiResponse.error(res, 'Load not found', 404);
-      }
-
-      if (load.status !== 'SCHEDULED') {
-        return ApiResponse.error(res, 'Load must be scheduled before assignment', 400);
-      }
+      // Validate the transition before creating the assignment
+      const load = await loadStateMachine.getLoadForTransition(id);
+      assertVersion(load, req.ifMatchVersion, 'Load');
+      loadStateMachine.assertTransition(load, 'ASSIGNED', req.user);
 
       // Check if driver exists and is available
       const driver = await prisma.driver.findUnique({
@@ -493,49 +414,163 @@ class LoadController {
         return ApiResponse.error(res, 'Driver is not available', 400);
       }
 
-      // Create assignment
-      const assignment = await prisma.loadAssignment.create({
-        data: {
-          loadId: id,
-          driverId,
-          assignedById: req.user.id,
-          estimatedPickup: estimatedPickup ? new Date(estimatedPickup) : null,
-          estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : null,
-          notes
-        },
-        include: {
-          driver: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              email: true,
-              phone: true
+      // Create the assignment and move the load in one transaction so a
+      // failure can't leave an assignment without its status change
+      const { assignment, updatedLoad, declined, hosWarnings, afterCommit } = await prisma.$transaction(async (tx) => {
+        // Reject double-booking of the driver or their truck, and loads
+        // the driver doesn't have the hours for
+        const { vehicleId, hosWarnings } = await scheduleService.checkAssignment(id, driverId, {
+          estimatedPickup,
+          estimatedDelivery,
+          db: tx
+        });
+
+        const assignment = await tx.loadAssignment.create({
+          data: {
+            loadId: id,
+            driverId,
+            vehicleId,
+            assignedById: req.user.id,
+            estimatedPickup: estimatedPickup ? new Date(estimatedPickup) : null,
+            estimatedDelivery: estimatedDelivery ? new Date(estimatedDelivery) : null,
+            notes
+          },
+          include: {
+            driver: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                email: true,
+                phone: true
+              }
             }
           }
-        }
+        });
+
+        const { load: updatedLoad, afterCommit } = await loadStateMachine.transition(id, 'ASSIGNED', req.user, {
+          notes: `Load assigned to driver ${driver.firstName} ${driver.lastName}`,
+          context: { assignment },
+          tx,
+          expectedVersion: req.ifMatchVersion
+        });
+
+        // Drivers who asked for the load on the load board are turned down
+        const declined = await loadBoardService.declineOpenRequests(id, 'Load was assigned to another driver', tx);
+
+        return { assignment, updatedLoad, declined, hosWarnings, afterCommit };
       });
 
-      // Update load status
-      await prisma.load.update({
-        where: { id },
-        data: { status: 'ASSIGNED' }
+      // Notify the driver
+      await afterCommit();
+      await loadBoardService.notifyDeclined(declined, updatedLoad);
+
+      setETag(res, updatedLoad);
+      return ApiResponse.success(
+        res,
+        { ...assignment, hosWarnings },
+        hosWarnings.length > 0 ? 'Load assigned with hours-of-service warnings' : 'Load assigned successfully'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Cancel load
+  async cancelLoad(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { reasonCode, initiatedBy, notes, chargeTonu, tonuAmount, tonuDriverPay } = req.body;
+
+      await ediService.assertNoPendingTender(id);
+
+      const { load, releasedAssignment, invoice } = await loadService.cancelLoad(id, req.user, {
+        reasonCode,
+        initiatedBy,
+        notes,
+        chargeTonu,
+        tonuAmount,
+        tonuDriverPay,
+        expectedVersion: req.ifMatchVersion
       });
 
-      await prisma.loadStatusHistory.create({
-        data: {
-          loadId: id,
-          fromStatus: 'SCHEDULED',
-          toStatus: 'ASSIGNED',
-          changedById: req.user.id,
-          changedByType: req.user.type,
-          notes: `Load assigned to driver ${driver.firstName} ${driver.lastName}`
-        }
+      setETag(res, load);
+      return ApiResponse.success(res, { load, releasedAssignment, invoice }, 'Load cancelled');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Rank drivers for a load, with an explanation per score component
+  async getDriverRecommendations(req, res, next) {
+    try {
+      const recommendations = await driverRecommendationService.recommend(req.params.id, {
+        limit: req.query.limit
       });
 
-      // TODO: Create notification for driver
+      return ApiResponse.success(res, recommendations);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Tender load to a ranked list of drivers
+  async tenderLoad(req, res, next) {
+    try {
+      const { driverIds, offerMinutes, notes } = req.body;
+
+      const result = await loadTenderService.createTender(req.params.id, req.user, {
+        driverIds,
+        offerMinutes,
+        notes
+      }, req.ifMatchVersion);
+
+      setETag(res, result.load);
+      return ApiResponse.success(
+        res,
+        { tender: result.tender, offer: result.offer },
+        result.offer ? 'Load tendered' : 'No driver on the list is available',
+        201
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get tenders with every offer and response
+  async getLoadTenders(req, res, next) {
+    try {
+      const tenders = await loadTenderService.getTendersForLoad(req.params.id);
+
+      return ApiResponse.success(res, tenders);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Withdraw the active tender
+  async cancelTender(req, res, next) {
+    try {
+      const { tender, load } = await loadTenderService.cancelTender(
+        req.params.id,
+        req.user,
+        req.body.reason,
+        req.ifMatchVersion
+      );
+
+      setETag(res, load);
+      return ApiResponse.success(res, tender, 'Tender withdrawn');
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      return ApiResponse.success(res, assignment, 'Load assigned successfully');
+  // Get status transitions available to the current user
+  async getLoadTransitions(req, res, next) {
+    try {
+      const transitions = await loadStateMachine.getAvailableTransitions(req.params.id, req.user);
+
+      return ApiResponse.success(res, transitions);
     } catch (error) {
       next(error);
     }
@@ -561,68 +596,218 @@ class LoadController {
   async updateLoadStatus(req, res, next) {
     try {
       const { id } = req.params;
-      const { status, notes, gpsLat, gpsLng } = req.body;
-
-      const load = await prisma.load.findUnique({
-        where: { id }
-      });
+      const { status, notes, gpsLat, gpsLng, stopId, stopEvent } = req.body;
 
-      if (!load) {
-        return ApiResponse.error(res, 'Load not found', 404);
+      if (!status && !stopId) {
+        return ApiResponse.error(res, 'status or stopId is required', 400);
       }
 
-      // Validate status transition
-      const allowedTransitions = {
-        'ACCEPTED': ['EN_ROUTE_PICKUP'],
-        'EN_ROUTE_PICKUP': ['AT_PICKUP'],
-        'AT_PICKUP': ['LOADED'],
-        'LOADED': ['EN_ROUTE_DELIVERY'],
-        'EN_ROUTE_DELIVERY': ['AT_DELIVERY'],
-        'AT_DELIVERY': ['DELIVERED']
-      };
+      // Other statuses have their own endpoints (submit, approve, assign, POD...)
+      if (status && !loadStateMachine.isTrackingStatus(status)) {
+        return ApiResponse.error(res, `Status ${status} cannot be set through this endpoint`, 400);
+      }
 
-      if (allowedTransitions[load.status] && !allowedTransitions[load.status].includes(status)) {
-        return ApiResponse.error(res, `Invalid status transition from ${load.status} to ${status}`, 400);
+      if (stopId && !stopEvent) {
+        return ApiResponse.error(res, 'stopEvent (ARRIVED or DEPARTED) is required with stopId', 400);
       }
 
-      // Update load
-      const updateData = { status };
-      if (status === 'LOADED') {
-        updateData.actualPickupTime = new Date();
-      } else if (status === 'DELIVERED') {
-        updateData.actualDeliveryTime = new Date();
+      const { load, stop, afterCommit } = await loadService.reportStatus(
+        id,
+        req.user,
+        { status, notes, gpsLat, gpsLng, stopId, stopEvent },
+        req.ifMatchVersion
+      );
+      await afterCommit();
+      await detentionService.assessStatusUpdate(id, { status, stopId, stopEvent });
+      await ediService.queueStatusUpdate(id);
+
+      setETag(res, load);
+
+      if (!status) {
+        return ApiResponse.success(res, stop, 'Stop event recorded');
       }
 
-      const updatedLoad = await prisma.load.update({
-        where: { id },
-        data: updateData
-      });
+      return ApiResponse.success(res, { ...load, ...(stop && { stop }) }, 'Load status updated');
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      // Create status event
-      await prisma.loadStatusEvent.create({
-        data: {
-          loadId: id,
-          driverId: req.user.type === 'DRIVER' ? req.user.id : null,
-          status,
-          notes,
-          gpsLat,
-          gpsLng
-        }
-      });
+  // Store a batch of GPS breadcrumbs from the driver app
+  async ingestLocations(req, res, next) {
+    try {
+      const result = await trackingService.ingest(req.params.id, req.user, req.body.pings);
 
-      // Create status history
-      await prisma.loadStatusHistory.create({
-        data: {
-          loadId: id,
-          fromStatus: load.status,
-          toStatus: status,
-          changedById: req.user.id,
-          changedByType: req.user.type,
-          notes
-        }
-      });
+      return ApiResponse.success(
+        res,
+        result,
+        `${result.accepted} location(s) recorded, ${result.duplicates} duplicate(s), ${result.rejected.length} rejected`
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get route history and last known position
+  async getLoadTrack(req, res, next) {
+    try {
+      const track = await trackingService.getTrack(req.params.id, { since: req.query.since });
+
+      return ApiResponse.success(res, track);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the stored ETA with per-stop predictions
+  async getLoadEta(req, res, next) {
+    try {
+      const eta = await etaService.getEta(req.params.id);
+
+      return ApiResponse.success(res, eta);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Recompute the ETA now instead of waiting for the background job
+  async refreshLoadEta(req, res, next) {
+    try {
+      const eta = await etaService.refreshEta(req.params.id);
+
+      return ApiResponse.success(res, eta, 'ETA refreshed');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create a public tracking link for consignees
+  async createTrackingLink(req, res, next) {
+    try {
+      const { label, expiresInHours } = req.body;
+
+      const link = await trackingLinkService.createLink(req.params.id, req.user, { label, expiresInHours });
+
+      return ApiResponse.success(res, link, 'Tracking link created', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get tracking links shared for a load
+  async getTrackingLinks(req, res, next) {
+    try {
+      const links = await trackingLinkService.listLinks(req.params.id);
+
+      return ApiResponse.success(res, links);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Revoke a tracking link
+  async revokeTrackingLink(req, res, next) {
+    try {
+      const link = await trackingLinkService.revokeLink(req.params.id, req.params.linkId, req.user);
+
+      return ApiResponse.success(res, link, 'Tracking link revoked');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get practical, shortest and deadhead miles
+  async getLoadMileage(req, res, next) {
+    try {
+      const mileage = await mileageService.getLoadMileage(req.params.id);
+
+      return ApiResponse.success(res, mileage);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Recompute mileage
+  async refreshLoadMileage(req, res, next) {
+    try {
+      await mileageService.refreshLoad(req.params.id);
+      const mileage = await mileageService.getLoadMileage(req.params.id);
+
+      return ApiResponse.success(res, mileage, 'Mileage recalculated');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get stops awaiting manual geocoding
+  async getGeocodeReview(req, res, next) {
+    try {
+      const stops = await geocodingService.getReviewQueue();
+
+      return ApiResponse.success(res, stops);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Re-run geocoding for a load's stops
+  async geocodeLoad(req, res, next) {
+    try {
+      const result = await geocodingService.geocodeLoad(req.params.id, { refresh: true });
+
+      return ApiResponse.success(
+        res,
+        result,
+        result.unresolved > 0 ? `${result.unresolved} stop(s) could not be geocoded` : 'All stops geocoded'
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Set a stop's coordinates by hand
+  async setStopLocation(req, res, next) {
+    try {
+      const { latitude, longitude } = req.body;
+
+      const location = await geocodingService.setManualLocation(req.params.id, req.params.stopId, { latitude, longitude });
+
+      return ApiResponse.success(res, location, 'Stop location set');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get stop geofences
+  async getLoadGeofences(req, res, next) {
+    try {
+      const fences = await geofenceService.getFences(req.params.id);
+
+      return ApiResponse.success(res, fences);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Configure a stop's geofence
+  async updateStopGeofence(req, res, next) {
+    try {
+      const { radiusMeters, enabled } = req.body;
+
+      const stop = await geofenceService.configureStop(req.params.id, req.params.stopId, { radiusMeters, enabled });
+
+      return ApiResponse.success(res, stop, 'Geofence updated');
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      return ApiResponse.success(res, updatedLoad, 'Load status updated');
+  // Get dwell and detention per stop
+  async getLoadDetention(req, res, next) {
+    try {
+      const { policy, stops } = await detentionService.getLoadDetention(req.params.id);
+
+      return ApiResponse.success(res, { loadId: req.params.id, policy, stops });
     } catch (error) {
       next(error);
     }
@@ -668,25 +853,29 @@ class LoadController {
         return ApiResponse.error(res, 'Load not found', 404);
       }
 
-      const negotiation = await prisma.loadNegotiation.create({
-        data: {
-          loadId: id,
-          proposedRate,
-          counterRate,
-          notes,
-          initiatedBy: req.user.type === 'INTERNAL_USER' ? 'DISPATCHER' : 'SHIPPER',
-          handledById: req.user.type === 'INTERNAL_USER' ? req.user.id : null,
-          status: counterRate ? 'COUNTER_OFFERED' : 'PENDING'
+      const { negotiation, afterCommit } = await prisma.$transaction(async (tx) => {
+        const negotiation = await tx.loadNegotiation.create({
+          data: {
+            loadId: id,
+            proposedRate,
+            counterRate,
+            notes,
+            initiatedBy: req.user.type === 'INTERNAL_USER' ? 'DISPATCHER' : 'SHIPPER',
+            handledById: req.user.type === 'INTERNAL_USER' ? req.user.id : null,
+            status: counterRate ? 'COUNTER_OFFERED' : 'PENDING'
+          }
+        });
+
+        // Update load status if needed
+        let afterCommit = async () => {};
+        if (load.status === 'PENDING_REVIEW') {
+          ({ afterCommit } = await loadStateMachine.transition(id, 'NEGOTIATING', req.user, { notes, tx }));
         }
+
+        return { negotiation, afterCommit };
       });
 
-      // Update load status if needed
-      if (load.status === 'PENDING_REVIEW') {
-        await prisma.load.update({
-          where: { id },
-          data: { status: 'NEGOTIATING' }
-        });
-      }
+      await afterCommit();
 
       return ApiResponse.success(res, negotiation, 'Negotiation created', 201);
     } catch (error) {
@@ -712,26 +901,35 @@ class LoadController {
         return ApiResponse.error(res, 'Negotiation already resolved', 400);
       }
 
-      // Update negotiation
-      const updatedNegotiation = await prisma.loadNegotiation.update({
-        where: { id: negotiationId },
-        data: {
+      // Validate the transition before resolving the negotiation
+      const load = await loadStateMachine.getLoadForTransition(negotiation.loadId);
+      assertVersion(load, req.ifMatchVersion, 'Load');
+      loadStateMachine.assertTransition(load, 'RATE_APPROVED', req.user);
+
+      // Resolve the negotiation and apply the agreed rate together
+      const agreedRate = negotiation.counterRate || negotiation.proposedRate;
+      const { updatedNegotiation, updatedLoad, afterCommit } = await prisma.$transaction(async (tx) => {
+        const updatedNegotiation = await loadService.resolveNegotiation(negotiationId, {
           status: 'ACCEPTED',
           respondedAt: new Date()
-        }
-      });
+        }, tx);
 
-      // Update load with agreed rate
-      const agreedRate = negotiation.counterRate || negotiation.proposedRate;
-      await prisma.load.update({
-        where: { id: negotiation.loadId },
-        data: {
-          status: 'RATE_APPROVED',
-          shipperRate: agreedRate,
-          approvedNegotiationId: negotiationId
-        }
+        const { load: updatedLoad, afterCommit } = await loadStateMachine.transition(negotiation.loadId, 'RATE_APPROVED', req.user, {
+          notes: `Rate agreed at ${agreedRate}`,
+          data: {
+            shipperRate: agreedRate,
+            approvedNegotiationId: negotiationId
+          },
+          tx,
+          expectedVersion: req.ifMatchVersion
+        });
+
+        return { updatedNegotiation, updatedLoad, afterCommit };
       });
 
+      await afterCommit();
+
+      setETag(res, updatedLoad);
       return ApiResponse.success(res, updatedNegotiation, 'Negotiation accepted');
     } catch (error) {
       next(error);
@@ -745,22 +943,24 @@ class LoadController {
       const { notes } = req.body;
 
       const negotiation = await prisma.loadNegotiation.findUnique({
-        where: { id: negotiationId }
+        where: { id: negotiationId },
+        include: { load: true }
       });
 
       if (!negotiation) {
         return ApiResponse.error(res, 'Negotiation not found', 404);
       }
 
-      const updatedNegotiation = await prisma.loadNegotiation.update({
-        where: { id: negotiationId },
-        data: {
-          status: 'REJECTED',
-          respondedAt: new Date(),
-          notes: notes || negotiation.notes
-        }
+      // Only answer offers made against the load as the client last saw it
+      assertVersion(negotiation.load, req.ifMatchVersion, 'Load');
+
+      const updatedNegotiation = await loadService.resolveNegotiation(negotiationId, {
+        status: 'REJECTED',
+        respondedAt: new Date(),
+        notes: notes || negotiation.notes
       });
 
+      setETag(res, negotiation.load);
       return ApiResponse.success(res, updatedNegotiation, 'Negotiation rejected');
     } catch (error) {
       next(error);
@@ -0,0 +1,94 @@
+// ==================== src/controllers/numbering.controller.js ====================
+const prisma = require('../config/database');
+const ApiResponse = require('../utils/response');
+const { DOCUMENT_NUMBER_FORMATS } = require('../utils/constants');
+
+class NumberingController {
+  // Get number formats (built-in defaults and overrides)
+  async getFormats(req, res, next) {
+    try {
+      const formats = await prisma.numberingFormat.findMany({
+        include: {
+          shipperClient: {
+            select: {
+              id: true,
+              legalName: true,
+              tradeName: true
+            }
+          }
+        },
+        orderBy: [{ entity: 'asc' }, { createdAt: 'asc' }]
+      });
+
+      return ApiResponse.success(res, {
+        defaults: DOCUMENT_NUMBER_FORMATS,
+        formats
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create or update the format for an entity (optionally for one shipper client)
+  async saveFormat(req, res, next) {
+    try {
+      const { entity, prefix, yearReset, padding } = req.body;
+      const shipperClientId = req.body.shipperClientId || null;
+
+      if (shipperClientId && entity === 'SETTLEMENT') {
+        return ApiResponse.error(res, 'Settlement numbers cannot have per-shipper formats', 400);
+      }
+
+      if (shipperClientId) {
+        const shipperClient = await prisma.shipperClient.findUnique({
+          where: { id: shipperClientId },
+          select: { id: true }
+        });
+
+        if (!shipperClient) {
+          return ApiResponse.error(res, 'Shipper client not found', 404);
+        }
+      }
+
+      const existing = await prisma.numberingFormat.findFirst({
+        where: { entity, shipperClientId }
+      });
+
+      const format = existing
+        ? await prisma.numberingFormat.update({
+          where: { id: existing.id },
+          data: { prefix, yearReset, padding, updatedById: req.user.id }
+        })
+        : await prisma.numberingFormat.create({
+          data: { entity, shipperClientId, prefix, yearReset, padding, updatedById: req.user.id }
+        });
+
+      return ApiResponse.success(res, format, 'Number format saved');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Remove a format override (falls back to the next level)
+  async deleteFormat(req, res, next) {
+    try {
+      const format = await prisma.numberingFormat.findUnique({
+        where: { id: req.params.id }
+      });
+
+      if (!format) {
+        return ApiResponse.error(res, 'Number format not found', 404);
+      }
+
+      await prisma.numberingFormat.delete({
+        where: { id: req.params.id }
+      });
+
+      return ApiResponse.success(res, null, 'Number format removed');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new NumberingController();
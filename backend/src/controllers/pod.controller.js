@@ -2,6 +2,9 @@
 const prisma = require('../config/database');
 const storageService = require('../services/storage.service');
 const ApiResponse = require('../utils/response');
+const loadStateMachine = require('../services/loadStateMachine.service');
+const loadService = require('../services/loads.service');
+const { IN_TRANSIT_LOAD_STATUSES } = require('../utils/constants');
 
 class PODController {
   // Submit POD
@@ -13,7 +16,8 @@ class PODController {
         recipientTitle,
         gpsLat,
         gpsLng,
-        notes
+        notes,
+        stopId
       } = req.body;
 
       // Validate load exists and driver has access
@@ -34,8 +38,52 @@ class PODController {
         return ApiResponse.error(res, 'You are not assigned to this load', 403);
       }
 
-      if (load.status !== 'DELIVERED' && load.status !== 'AT_DELIVERY') {
-        return ApiResponse.error(res, 'Load must be delivered before submitting POD', 400);
+      // POD for an intermediate delivery stop leaves the load in transit;
+      // only the final delivery's POD moves it to POD_SUBMITTED
+      let isFinalDelivery = true;
+      if (stopId) {
+        const stops = await loadService.getStops(loadId);
+        const stop = stops.find(s => s.id === stopId);
+
+        if (!stop) {
+          return ApiResponse.error(res, 'Stop not found on this load', 404);
+        }
+
+        if (stop.stopType !== 'DELIVERY') {
+          return ApiResponse.error(res, 'POD can only be captured at delivery stops', 400);
+        }
+
+        if (!stop.arrivedAt) {
+          return ApiResponse.error(res, 'Record arrival at the stop before submitting its POD', 400);
+        }
+
+        isFinalDelivery = loadService.isFinalDelivery(stop, stops);
+      }
+
+      // Validate the transition before storing any files
+      if (isFinalDelivery) {
+        loadStateMachine.assertTransition(
+          await loadStateMachine.getLoadForTransition(loadId),
+          'POD_SUBMITTED',
+          req.user
+        );
+      } else if (!IN_TRANSIT_LOAD_STATUSES.includes(load.status)) {
+        return ApiResponse.error(res, `Stop POD cannot be submitted while load is ${load.status}`, 400);
+      }
+
+      // One POD per stop. A final-delivery POD the dispatcher sent back for
+      // correction is replaced by the driver's resubmission
+      const existingPOD = await prisma.podDocument.findFirst({
+        where: { loadId, stopId: stopId || null }
+      });
+
+      const replacesRejectedPOD = Boolean(existingPOD) &&
+        isFinalDelivery &&
+        load.status === 'POD_PENDING' &&
+        Boolean(existingPOD.verifiedAt);
+
+      if (existingPOD && !replacesRejectedPOD) {
+        return ApiResponse.error(res, 'POD already submitted for this stop', 409);
       }
 
       // Validate files
@@ -43,98 +91,123 @@ class PODController {
         return ApiResponse.error(res, 'Signature image is required', 400);
       }
 
-      // Upload signature
+      const photos = req.files.photos || [];
       storageService.validateImageFile(req.files.signature[0]);
-      const signatureData = await storageService.upload(
-        req.files.signature[0],
-        'POD_SIGNATURE',
-        {
-          loadId,
-          driverId: req.user.id
-        }
-      );
-
-      // Create signature file record
-      await prisma.fileUpload.create({
-        data: {
-          uploadedById: req.user.id,
-          uploadedByType: 'DRIVER',
-          ...signatureData,
-          relatedEntityType: 'LOAD',
-          relatedEntityId: loadId
-        }
-      });
-
-      // Create POD document
-      const podDocument = await prisma.podDocument.create({
-        data: {
-          loadId,
-          driverId: req.user.id,
-          signatureImage: signatureData.fileUrl,
-          recipientName,
-          recipientTitle,
-          gpsLat: parseFloat(gpsLat),
-          gpsLng: parseFloat(gpsLng),
-          capturedAt: new Date(),
-          syncedAt: new Date(),
-          notes
-        }
-      });
+      photos.forEach(photo => storageService.validateImageFile(photo));
+
+      // Files are stored before the transaction opens; if anything after
+      // that fails they are removed again so no orphans are left behind
+      const storedFiles = [];
+      let podDocument;
+      let afterCommit = async () => {};
+
+      try {
+        // Upload signature and photos
+        const signatureData = await storageService.upload(
+          req.files.signature[0],
+          'POD_SIGNATURE',
+          {
+            loadId,
+            driverId: req.user.id
+          }
+        );
+        storedFiles.push(signatureData);
 
-      // Upload photos if provided
-      if (req.files.photos && req.files.photos.length > 0) {
-        for (let i = 0; i < req.files.photos.length; i++) {
-          const photo = req.files.photos[i];
-          
-          storageService.validateImageFile(photo);
+        const photoDataList = [];
+        for (const photo of photos) {
           const photoData = await storageService.upload(
             photo,
             'POD_PHOTO',
             {
               loadId,
-              driverId: req.user.id,
-              podDocumentId: podDocument.id
+              driverId: req.user.id
             }
           );
+          storedFiles.push(photoData);
+          photoDataList.push(photoData);
+        }
 
-          // Create photo file record
-          await prisma.fileUpload.create({
+        // File records, the POD, its photos and the status change commit together
+        ({ podDocument, afterCommit } = await prisma.$transaction(async (tx) => {
+          // Create signature file record
+          await tx.fileUpload.create({
             data: {
               uploadedById: req.user.id,
               uploadedByType: 'DRIVER',
-              ...photoData,
+              ...signatureData,
               relatedEntityType: 'LOAD',
               relatedEntityId: loadId
             }
           });
 
-          // Create POD photo record
-          await prisma.podPhoto.create({
+          // Its photos cascade with it
+          if (replacesRejectedPOD) {
+            await tx.podDocument.delete({ where: { id: existingPOD.id } });
+          }
+
+          // Create POD document
+          const podDocument = await tx.podDocument.create({
             data: {
-              podDocumentId: podDocument.id,
-              photoUrl: photoData.fileUrl,
-              photoOrder: i
+              loadId,
+              stopId: stopId || null,
+              driverId: req.user.id,
+              signatureImage: signatureData.fileUrl,
+              recipientName,
+              recipientTitle,
+              gpsLat: parseFloat(gpsLat),
+              gpsLng: parseFloat(gpsLng),
+              capturedAt: new Date(),
+              syncedAt: new Date(),
+              notes
             }
           });
-        }
-      }
 
-      // Update load status
-      await prisma.load.update({
-        where: { id: loadId },
-        data: { status: 'POD_SUBMITTED' }
-      });
+          for (let i = 0; i < photoDataList.length; i++) {
+            const photoData = photoDataList[i];
+
+            // Create photo file record
+            await tx.fileUpload.create({
+              data: {
+                uploadedById: req.user.id,
+                uploadedByType: 'DRIVER',
+                ...photoData,
+                metadata: {
+                  ...photoData.metadata,
+                  podDocumentId: podDocument.id
+                },
+                relatedEntityType: 'LOAD',
+                relatedEntityId: loadId
+              }
+            });
+
+            // Create POD photo record
+            await tx.podPhoto.create({
+              data: {
+                podDocumentId: podDocument.id,
+                photoUrl: photoData.fileUrl,
+                photoOrder: i
+              }
+            });
+          }
 
-      await prisma.loadStatusHistory.create({
-        data: {
-          loadId,
-          fromStatus: load.status,
-          toStatus: 'POD_SUBMITTED',
-          changedById: req.user.id,
-          changedByType: 'DRIVER',
-          notes: 'POD submitted by driver'
-        }
-      });
+          // Update load status
+          if (isFinalDelivery) {
+            const { afterCommit } = await loadStateMachine.transition(loadId, 'POD_SUBMITTED', req.user, {
+              context: { podDocument },
+              tx
+            });
+            return { podDocument, afterCommit };
+          }
+
+          return { podDocument, afterCommit: async () => {} };
+        }));
+      } catch (error) {
+        await storageService.discard(storedFiles);
+        throw error;
+      }
+
+      // Notify dispatch
+      await afterCommit();
 
       // Fetch complete POD with photos
       const completePOD = await prisma.podDocument.findUnique({
@@ -143,6 +216,7 @@ class PODController {
           photos: {
             orderBy: { photoOrder: 'asc' }
           },
+          stop: true,
           driver: {
             select: {
               id: true,
@@ -163,13 +237,20 @@ class PODController {
   async getPODByLoadId(req, res, next) {
     try {
       const { loadId } = req.params;
+      const { stopId } = req.query;
+
+      const where = { loadId };
+      if (stopId) where.stopId = stopId;
 
+      // Without a stop, the load's POD is the one for its final delivery
       const pod = await prisma.podDocument.findFirst({
-        where: { loadId },
+        where,
+        orderBy: [{ stop: { stopSequence: 'desc' } }, { capturedAt: 'desc' }],
         include: {
           photos: {
             orderBy: { photoOrder: 'asc' }
           },
+          stop: true,
           driver: {
             select: {
               id: true,
@@ -281,50 +362,47 @@ class PODController {
         return ApiResponse.error(res, 'POD already verified', 400);
       }
 
-      // Update POD
-      const updatedPOD = await prisma.podDocument.update({
-        where: { id },
-        data: {
-          verifiedAt: new Date(),
-          verifiedById: req.user.id,
-          notes: notes || pod.notes
-        }
-      });
+      // Intermediate stop PODs are verified without changing the load status
+      let isFinalDelivery = true;
+      if (pod.stopId) {
+        const stops = await loadService.getStops(pod.loadId);
+        isFinalDelivery = loadService.isFinalDelivery(stops.find(s => s.id === pod.stopId), stops);
+      }
 
-      // Update load status
-      if (approved) {
-        await prisma.load.update({
-          where: { id: pod.loadId },
-          data: { status: 'COMPLETED' }
-        });
+      const toStatus = approved ? 'COMPLETED' : 'POD_PENDING';
+      if (isFinalDelivery) {
+        loadStateMachine.assertTransition(
+          await loadStateMachine.getLoadForTransition(pod.loadId),
+          toStatus,
+          req.user
+        );
+      }
 
-        await prisma.loadStatusHistory.create({
+      // Verify the POD and update the load status together
+      const { updatedPOD, afterCommit } = await prisma.$transaction(async (tx) => {
+        const updatedPOD = await tx.podDocument.update({
+          where: { id },
           data: {
-            loadId: pod.loadId,
-            fromStatus: pod.load.status,
-            toStatus: 'COMPLETED',
-            changedById: req.user.id,
-            changedByType: 'INTERNAL_USER',
-            notes: 'POD verified and approved'
+            verifiedAt: new Date(),
+            verifiedById: req.user.id,
+            notes: notes || pod.notes
           }
         });
-      } else {
-        await prisma.load.update({
-          where: { id: pod.loadId },
-          data: { status: 'POD_PENDING' }
-        });
 
-        await prisma.loadStatusHistory.create({
-          data: {
-            loadId: pod.loadId,
-            fromStatus: pod.load.status,
-            toStatus: 'POD_PENDING',
-            changedById: req.user.id,
-            changedByType: 'INTERNAL_USER',
-            notes: notes || 'POD needs correction'
-          }
-        });
-      }
+        if (isFinalDelivery) {
+          const { afterCommit } = await loadStateMachine.transition(pod.loadId, toStatus, req.user, {
+            notes: approved ? undefined : notes,
+            context: { podDocument: updatedPOD },
+            tx
+          });
+          return { updatedPOD, afterCommit };
+        }
+
+        return { updatedPOD, afterCommit: async () => {} };
+      });
+
+      // Notify the driver on approval
+      await afterCommit();
 
       return ApiResponse.success(res, updatedPOD, 'POD verified successfully');
     } catch (error) {
@@ -2,6 +2,9 @@
 const prisma = require('../config/database');
 const ApiResponse = require('../utils/response');
 const notificationService = require('../services/notification.service');
+const accessorialService = require('../services/accessorial.service');
+const numberingService = require('../services/numbering.service');
+const { setETag, assertVersion, updateVersioned } = require('../utils/concurrency');
 
 class SettlementController {
   /**
@@ -124,6 +127,18 @@ class SettlementController {
             orderBy: {
               createdAt: 'asc'
             }
+          },
+          accessorialCharges: {
+            select: {
+              id: true,
+              loadId: true,
+              type: true,
+              description: true,
+              payableAmount: true
+            },
+            orderBy: {
+              createdAt: 'asc'
+            }
           }
         }
       });
@@ -137,6 +152,7 @@ class SettlementController {
         return ApiResponse.error(res, 'Access denied', 403);
       }
 
+      setETag(res, settlement);
       return ApiResponse.success(res, settlement);
     } catch (error) {
       next(error);
@@ -157,7 +173,6 @@ class SettlementController {
         include: {
           assignments: {
             where: { 
-              acceptedAt: { not: null },
               rejectedAt: null
             },
             include: { 
@@ -178,20 +193,34 @@ class SettlementController {
         return ApiResponse.error(res, 'Load not found', 404);
       }
 
-      if (load.status !== 'COMPLETED') {
+      // Cancelled loads are settled for their approved accessorials (e.g. TONU) only
+      const isCancelled = load.status === 'CANCELLED';
+
+      if (load.status !== 'COMPLETED' && !isCancelled) {
         return ApiResponse.error(res, 'Load must be completed before creating settlement', 400);
       }
 
-      if (!load.driverPay) {
-        return ApiResponse.error(res, 'Driver pay not set for this load', 400);
+      let accessorials = await accessorialService.getPayableCharges([loadId]);
+
+      // A cancelled load pays the driver its cancellation released, recorded
+      // on the charges; tender offers that merely expired are not paid
+      let driverId;
+      if (isCancelled) {
+        driverId = accessorials.map(c => c.payeeDriverId).find(Boolean);
+        accessorials = accessorials.filter(c => c.payeeDriverId && c.payeeDriverId === driverId);
+      } else {
+        const assignment = load.assignments.find(a => a.acceptedAt && !a.releasedAt);
+        driverId = assignment && assignment.driverId;
       }
 
-      const assignment = load.assignments[0];
-      if (!assignment) {
-        return ApiResponse.error(res, 'No accepted driver assignment found', 404);
+      if (!driverId) {
+        return ApiResponse.error(res, isCancelled
+          ? 'No driver-payable charges on this cancelled load'
+          : 'No accepted driver assignment found', 404);
       }
 
-      // Check if settlement already exists for this load
+      // Check if settlement already exists for this load. Accessorials approved
+      // after the load was settled are paid on a supplemental settlement.
       const existingSettlement = await prisma.driverSettlement.findFirst({
         where: {
           loadId,
@@ -199,15 +228,23 @@ class SettlementController {
         }
       });
 
-      if (existingSettlement) {
+      if (existingSettlement && accessorials.length === 0) {
         return ApiResponse.error(res, 'Settlement already exists for this load', 400);
       }
 
-      // Generate settlement number
-      const settlementNumber = await this._generateSettlementNumber();
+      const includeDriverPay = !isCancelled && !existingSettlement;
+
+      if (includeDriverPay && !load.driverPay) {
+        return ApiResponse.error(res, 'Driver pay not set for this load', 400);
+      }
+
+      if (!includeDriverPay && accessorials.length === 0) {
+        return ApiResponse.error(res, 'No approved driver-payable charges on this load', 400);
+      }
 
       // Calculate amounts - convert Decimal to number
-      const grossAmount = Number(load.driverPay);
+      const accessorialPay = accessorials.reduce((sum, charge) => sum + Number(charge.payableAmount), 0);
+      const grossAmount = (includeDriverPay ? Number(load.driverPay) : 0) + accessorialPay;
       let totalDeductions = 0;
 
       // Validate and calculate deductions
@@ -231,46 +268,58 @@ class SettlementController {
         return ApiResponse.error(res, 'Deductions exceed gross amount', 400);
       }
 
-      // Create settlement with deductions
-      const settlement = await prisma.driverSettlement.create({
-        data: {
-          driverId: assignment.driverId,
-          loadId,
-          settlementNumber,
-          periodStart: load.actualPickupTime || load.pickupDate,
-          periodEnd: load.actualDeliveryTime || load.deliveryDate,
-          grossAmount,
-          totalDeductions,
-          netAmount,
-          status: 'PENDING',
-          deductions: {
-            create: validatedDeductions
-          }
-        },
-        include: {
-          driver: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              email: true
-            }
-          },
-          load: {
-            select: {
-              id: true,
-              loadNumber: true,
-              origin: true,
-              destination: true
+      // Number, settlement and settled charges commit together, so a failure
+      // never leaves charges marked settled against a missing settlement
+      const settlement = await prisma.$transaction(async (tx) => {
+        const settlementNumber = await numberingService.next('SETTLEMENT', { db: tx });
+
+        const settlement = await tx.driverSettlement.create({
+          data: {
+            driverId,
+            loadId,
+            settlementNumber,
+            periodStart: load.actualPickupTime || load.pickupDate,
+            periodEnd: isCancelled ? load.cancelledAt : (load.actualDeliveryTime || load.deliveryDate),
+            grossAmount,
+            totalDeductions,
+            netAmount,
+            status: 'PENDING',
+            ...(!includeDriverPay && {
+              notes: `Accessorial pay for ${isCancelled ? 'cancelled ' : ''}load ${load.loadNumber}: ${accessorials.map(c => c.type).join(', ')}`
+            }),
+            deductions: {
+              create: validatedDeductions
             }
           },
-          deductions: true
-        }
+          include: {
+            driver: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                email: true
+              }
+            },
+            load: {
+              select: {
+                id: true,
+                loadNumber: true,
+                origin: true,
+                destination: true
+              }
+            },
+            deductions: true
+          }
+        });
+
+        await accessorialService.markSettled(accessorials, settlement.id, tx);
+
+        return settlement;
       });
 
       // Notify driver
       await notificationService.notifySettlement(
-        assignment.driverId,
+        driverId,
         settlement,
         'SETTLEMENT_READY'
       );
@@ -304,26 +353,48 @@ class SettlementController {
         return ApiResponse.error(res, 'periodStart must be before periodEnd', 400);
       }
 
-      // Get all completed loads in period for this driver
+      // Get all completed loads in period for this driver, plus loads
+      // cancelled in the period that carry driver-payable accessorials (TONU)
       const loads = await prisma.load.findMany({
         where: {
-          status: 'COMPLETED',
-          actualDeliveryTime: {
-            gte: startDate,
-            lte: endDate
-          },
-          assignments: {
-            some: {
-              driverId,
-              acceptedAt: { not: null },
-              rejectedAt: null
+          OR: [
+            {
+              status: 'COMPLETED',
+              actualDeliveryTime: {
+                gte: startDate,
+                lte: endDate
+              },
+              assignments: {
+                some: {
+                  driverId,
+                  acceptedAt: { not: null },
+                  rejectedAt: null,
+                  releasedAt: null
+                }
+              },
+              driverPay: { not: null }
+            },
+            {
+              status: 'CANCELLED',
+              cancelledAt: {
+                gte: startDate,
+                lte: endDate
+              },
+              accessorialCharges: {
+                some: {
+                  payeeDriverId: driverId,
+                  status: 'APPROVED',
+                  payableAmount: { gt: 0 },
+                  settlementId: null
+                }
+              }
             }
-          },
-          driverPay: { not: null }
+          ]
         },
         select: {
           id: true,
           loadNumber: true,
+          status: true,
           driverPay: true
         }
       });
@@ -350,10 +421,15 @@ class SettlementController {
         );
       }
 
-      // Calculate gross amount
+      // Cancelled loads only pay the charges owed to this driver
+      const cancelledLoadIds = new Set(loads.filter(l => l.status === 'CANCELLED').map(l => l.id));
+      const accessorials = (await accessorialService.getPayableCharges(loads.map(l => l.id)))
+        .filter(charge => !cancelledLoadIds.has(charge.loadId) || charge.payeeDriverId === driverId);
+
+      // Calculate gross amount - driver pay for completed loads plus approved accessorials
       const grossAmount = loads.reduce((sum, load) => 
-        sum + Number(load.driverPay), 0
-      );
+        sum + (load.status === 'CANCELLED' ? 0 : Number(load.driverPay)), 0
+      ) + accessorials.reduce((sum, charge) => sum + Number(charge.payableAmount), 0);
 
       // Validate and calculate deductions
       let totalDeductions = 0;
@@ -377,36 +453,41 @@ class SettlementController {
         return ApiResponse.error(res, 'Deductions exceed gross amount', 400);
       }
 
-      // Generate settlement number
-      const settlementNumber = await this._generateSettlementNumber();
-
-      // Create settlement
-      const settlement = await prisma.driverSettlement.create({
-        data: {
-          driverId,
-          settlementNumber,
-          periodStart: startDate,
-          periodEnd: endDate,
-          grossAmount,
-          totalDeductions,
-          netAmount,
-          status: 'PENDING',
-          notes: `Period settlement for ${loads.length} loads: ${loads.map(l => l.loadNumber).join(', ')}`,
-          deductions: {
-            create: validatedDeductions
-          }
-        },
-        include: {
-          driver: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              email: true
+      // Number, settlement and settled charges commit together
+      const settlement = await prisma.$transaction(async (tx) => {
+        const settlementNumber = await numberingService.next('SETTLEMENT', { db: tx });
+
+        const settlement = await tx.driverSettlement.create({
+          data: {
+            driverId,
+            settlementNumber,
+            periodStart: startDate,
+            periodEnd: endDate,
+            grossAmount,
+            totalDeductions,
+            netAmount,
+            status: 'PENDING',
+            notes: `Period settlement for ${loads.length} loads: ${loads.map(l => (l.status === 'CANCELLED' ? `${l.loadNumber} (cancelled)` : l.loadNumber)).join(', ')}`,
+            deductions: {
+              create: validatedDeductions
             }
           },
-          deductions: true
-        }
+          include: {
+            driver: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                email: true
+              }
+            },
+            deductions: true
+          }
+        });
+
+        await accessorialService.markSettled(accessorials, settlement.id, tx);
+
+        return settlement;
       });
 
       // Notify driver
@@ -450,8 +531,9 @@ class SettlementController {
         return ApiResponse.error(res, 'Only pending settlements can be approved', 400);
       }
 
-      const updated = await prisma.driverSettlement.update({
-        where: { id },
+      assertVersion(settlement, req.ifMatchVersion, 'Settlement');
+
+      const updated = await updateVersioned(prisma.driverSettlement, settlement, {
         data: {
           status: 'APPROVED',
           approvedAt: new Date(),
@@ -468,7 +550,7 @@ class SettlementController {
           },
           deductions: true
         }
-      });
+      }, 'Settlement');
 
       // Notify driver that settlement is approved
       await notificationService.createNotification({
@@ -483,6 +565,7 @@ class SettlementController {
         priority: 'NORMAL'
       });
 
+      setETag(res, updated);
       return ApiResponse.success(res, updated, 'Settlement approved');
     } catch (error) {
       next(error);
@@ -522,8 +605,9 @@ class SettlementController {
         return ApiResponse.error(res, 'Settlement must be approved before marking as paid', 400);
       }
 
-      const updated = await prisma.driverSettlement.update({
-        where: { id },
+      assertVersion(settlement, req.ifMatchVersion, 'Settlement');
+
+      const updated = await updateVersioned(prisma.driverSettlement, settlement, {
         data: {
           status: 'PAID',
           paidAt: paidAt ? new Date(paidAt) : new Date(),
@@ -541,7 +625,7 @@ class SettlementController {
           },
           deductions: true
         }
-      });
+      }, 'Settlement');
 
       // Notify driver
       await notificationService.notifySettlement(
@@ -550,6 +634,7 @@ class SettlementController {
         'SETTLEMENT_PAID'
       );
 
+      setETag(res, updated);
       return ApiResponse.success(res, updated, 'Settlement marked as paid');
     } catch (error) {
       next(error);
@@ -585,8 +670,9 @@ class SettlementController {
         return ApiResponse.error(res, 'Cannot dispute paid settlement', 400);
       }
 
-      const updated = await prisma.driverSettlement.update({
-        where: { id },
+      assertVersion(settlement, req.ifMatchVersion, 'Settlement');
+
+      const updated = await updateVersioned(prisma.driverSettlement, settlement, {
         data: {
           status: 'DISPUTED',
           notes: `DISPUTED by driver on ${new Date().toISOString()}:\n${reason}\n\n${settlement.notes || ''}`
@@ -602,7 +688,7 @@ class SettlementController {
           },
           deductions: true
         }
-      });
+      }, 'Settlement');
 
       // Notify accountants about the dispute
       const accountants = await prisma.internalUser.findMany({
@@ -629,6 +715,7 @@ class SettlementController {
         await notificationService.createBulkNotifications(notificationsData);
       }
 
+      setETag(res, updated);
       return ApiResponse.success(res, updated, 'Settlement disputed');
     } catch (error) {
       next(error);
@@ -713,35 +800,6 @@ class SettlementController {
       next(error);
     }
   }
-
-  /**
-   * Helper: Generate unique settlement number
-   * @private
-   */
-  async _generateSettlementNumber() {
-    const year = new Date().getFullYear();
-    
-    const lastSettlement = await prisma.driverSettlement.findFirst({
-      where: {
-        settlementNumber: {
-          startsWith: `SETTLE-${year}-`
-        }
-      },
-      orderBy: {
-        createdAt: 'desc'
-      },
-      select: {
-        settlementNumber: true
-      }
-    });
-
-    if (lastSettlement) {
-      const lastNumber = parseInt(lastSettlement.settlementNumber.split('-')[2]);
-      return `SETTLE-${year}-${String(lastNumber + 1).padStart(4, '0')}`;
-    }
-    
-    return `SETTLE-${year}-0001`;
-  }
 }
 
 module.exports = new SettlementController();
\ No newline at end of file
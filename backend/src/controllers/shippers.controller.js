@@ -0,0 +1,29 @@
+// ==================== src/controllers/shippers.controller.js ====================
+const ApiResponse = require('../utils/response');
+const detentionService = require('../services/detention.service');
+
+class ShipperController {
+  // Get shipper detention policy (defaults when none is configured)
+  async getDetentionPolicy(req, res, next) {
+    try {
+      const policy = await detentionService.getPolicy(req.params.id);
+
+      return ApiResponse.success(res, policy);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Create or update shipper detention policy
+  async updateDetentionPolicy(req, res, next) {
+    try {
+      const policy = await detentionService.savePolicy(req.params.id, req.body);
+
+      return ApiResponse.success(res, policy, 'Detention policy saved');
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ShipperController();
@@ -0,0 +1,55 @@
+// ==================== src/controllers/tracking.controller.js ====================
+const ApiResponse = require('../utils/response');
+const storageService = require('../services/storage.service');
+const trackingLinkService = require('../services/trackingLink.service');
+
+// Send a POD image behind a tracking link
+const sendPodFile = async (res, fileUpload) => {
+  if (storageService.storageMode === 'local') {
+    const fileBuffer = await storageService.get(fileUpload.storageKey);
+    res.setHeader('Content-Type', fileUpload.mimeType);
+    res.setHeader('Content-Disposition', 'inline');
+    res.send(fileBuffer);
+  } else {
+    const signedUrl = await storageService.getFileUrl(fileUpload.storageKey, 300);
+    res.redirect(signedUrl);
+  }
+};
+
+class TrackingController {
+  // Get the public view of a shared load
+  async getPublicTracking(req, res, next) {
+    try {
+      const view = await trackingLinkService.getPublicView(req.params.token);
+
+      res.setHeader('Cache-Control', 'no-store');
+      return ApiResponse.success(res, view);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get the POD signature of a shared load
+  async getPublicPodSignature(req, res, next) {
+    try {
+      const fileUpload = await trackingLinkService.getPodFile(req.params.token, req.params.podId);
+
+      await sendPodFile(res, fileUpload);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get a POD photo of a shared load
+  async getPublicPodPhoto(req, res, next) {
+    try {
+      const fileUpload = await trackingLinkService.getPodFile(req.params.token, req.params.podId, req.params.photoId);
+
+      await sendPodFile(res, fileUpload);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new TrackingController();
@@ -1,6 +1,8 @@
 // ==================== src/controllers/vehicles.controller.js ====================
 const prisma = require('../config/database');
 const ApiResponse = require('../utils/response');
+const scheduleService = require('../services/schedule.service');
+const iftaService = require('../services/ifta.service');
 
 class VehicleController {
   // Get all vehicles
@@ -167,43 +169,57 @@ class VehicleController {
         return ApiResponse.error(res, 'Driver not found', 404);
       }
 
-      // Unassign current driver if any
-      await prisma.vehicleAssignment.updateMany({
-        where: {
-          vehicleId: id,
-          isCurrentlyAssigned: true
-        },
-        data: {
-          isCurrentlyAssigned: false,
-          unassignedAt: new Date()
+      const assignment = await prisma.$transaction(async (tx) => {
+        // A truck still booked for another driver's loads can't change hands
+        await scheduleService.assertVehicleTransferable(id, driverId, tx);
+
+        // Unassign current driver if any
+        await tx.vehicleAssignment.updateMany({
+          where: {
+            vehicleId: id,
+            isCurrentlyAssigned: true
+          },
+          data: {
+            isCurrentlyAssigned: false,
+            unassignedAt: new Date()
+          }
+        });
+
+        // The driver's booked loads move to the new truck with them
+        const commitments = await scheduleService.getCommitments({ driverId }, { db: tx });
+        if (commitments.length > 0) {
+          await tx.loadAssignment.updateMany({
+            where: { id: { in: commitments.map(c => c.assignmentId) } },
+            data: { vehicleId: id }
+          });
         }
-      });
 
-      // Create new assignment
-      const assignment = await prisma.vehicleAssignment.create({
-        data: {
-          vehicleId: id,
-          driverId,
-          notes,
-          isCurrentlyAssigned: true
-        },
-        include: {
-          driver: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              email: true
-            }
+        // Create new assignment
+        return await tx.vehicleAssignment.create({
+          data: {
+            vehicleId: id,
+            driverId,
+            notes,
+            isCurrentlyAssigned: true
           },
-          vehicle: {
-            select: {
-              id: true,
-              unitNumber: true,
-              equipmentType: true
+          include: {
+            driver: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                email: true
+              }
+            },
+            vehicle: {
+              select: {
+                id: true,
+                unitNumber: true,
+                equipmentType: true
+              }
             }
           }
-        }
+        });
       });
 
       return ApiResponse.success(res, assignment, 'Vehicle assigned successfully');
@@ -234,6 +250,19 @@ class VehicleController {
     }
   }
 
+  // Get vehicle schedule (calendar feed of committed loads)
+  async getVehicleSchedule(req, res, next) {
+    try {
+      const { from, to } = req.query;
+
+      const schedule = await scheduleService.getSchedule({ vehicleId: req.params.id }, { from, to });
+
+      return ApiResponse.success(res, schedule);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // Get maintenance records
   async getMaintenanceRecords(req, res, next) {
     try {
@@ -299,6 +328,89 @@ class VehicleController {
       next(error);
     }
   }
+
+  // Get fuel purchases (optionally for one quarter)
+  async getFuelPurchases(req, res, next) {
+    try {
+      const { page = 1, limit = 20, quarter } = req.query;
+
+      const { purchases, total } = await iftaService.listFuelPurchases(req.params.id, {
+        quarter,
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, purchases, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Record a fuel purchase
+  async addFuelPurchase(req, res, next) {
+    try {
+      const purchase = await iftaService.addFuelPurchase(
+        req.params.id,
+        { id: req.user.id, type: req.user.type },
+        req.body
+      );
+
+      return ApiResponse.success(res, purchase, 'Fuel purchase recorded', 201);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Delete a fuel purchase
+  async deleteFuelPurchase(req, res, next) {
+    try {
+      await iftaService.deleteFuelPurchase(req.params.id, req.params.purchaseId);
+
+      return ApiResponse.success(res, null, 'Fuel purchase deleted');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get one vehicle's IFTA miles by jurisdiction and fuel for a quarter
+  async getVehicleIfta(req, res, next) {
+    try {
+      const report = await iftaService.getVehicleReport(req.params.id, req.query.quarter);
+
+      return ApiResponse.success(res, report);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Get fleet IFTA summary for a quarter (JSON, or CSV/PDF with format=csv|pdf)
+  async getIftaReport(req, res, next) {
+    try {
+      const { quarter, format } = req.query;
+
+      const report = await iftaService.getFleetReport(quarter);
+
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="ifta-${report.quarter}.csv"`);
+        return res.send(iftaService.buildReportCsv(report));
+      }
+
+      if (format === 'pdf') {
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="ifta-${report.quarter}.pdf"`);
+        return res.send(iftaService.buildReportPdf(report));
+      }
+
+      return ApiResponse.success(res, report);
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new VehicleController();
\ No newline at end of file
@@ -0,0 +1,20 @@
+// ==================== src/jobs/applyDriverTimeOff.job.js ====================
+const driverTimeOffService = require('../services/driverTimeOff.service');
+
+/**
+ * Take drivers off the board when approved time off starts and put them
+ * back when it ends
+ */
+const applyDriverTimeOff = async () => {
+  try {
+    const { started, ended } = await driverTimeOffService.applyWindows();
+
+    if (started + ended > 0) {
+      console.log(`Driver time off: ${started} started, ${ended} ended`);
+    }
+  } catch (error) {
+    console.error('Driver time-off update failed:', error);
+  }
+};
+
+module.exports = applyDriverTimeOff;
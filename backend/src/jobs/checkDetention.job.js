@@ -0,0 +1,19 @@
+// ==================== src/jobs/checkDetention.job.js ====================
+const detentionService = require('../services/detention.service');
+
+/**
+ * Alert dispatchers when a truck waiting at a stop runs past its free time
+ */
+const checkDetention = async () => {
+  try {
+    const count = await detentionService.checkActiveDetention();
+
+    if (count > 0) {
+      console.log(`Detention alerts sent for ${count} stop(s)`);
+    }
+  } catch (error) {
+    console.error('Detention check failed:', error);
+  }
+};
+
+module.exports = checkDetention;
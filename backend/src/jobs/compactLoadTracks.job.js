@@ -0,0 +1,19 @@
+// ==================== src/jobs/compactLoadTracks.job.js ====================
+const trackingService = require('../services/tracking.service');
+
+/**
+ * Fold older GPS breadcrumbs into each load's compacted track
+ */
+const compactLoadTracks = async () => {
+  try {
+    const { loads, points } = await trackingService.compactTracks();
+
+    if (points > 0) {
+      console.log(`Load tracks: compacted ${points} point(s) across ${loads} load(s)`);
+    }
+  } catch (error) {
+    console.error('Load track compaction failed:', error);
+  }
+};
+
+module.exports = compactLoadTracks;
@@ -0,0 +1,19 @@
+// ==================== src/jobs/deliverEdiOutbound.job.js ====================
+const ediService = require('../services/edi.service');
+
+/**
+ * Deliver queued outbound EDI documents (with retry) and track partner pickup
+ */
+const deliverEdiOutbound = async () => {
+  try {
+    const { delivered, failed, pickedUp } = await ediService.processOutboundQueue();
+
+    if (delivered + failed + pickedUp > 0) {
+      console.log(`EDI outbound: ${delivered} delivered, ${failed} failed, ${pickedUp} picked up`);
+    }
+  } catch (error) {
+    console.error('EDI outbound delivery failed:', error);
+  }
+};
+
+module.exports = deliverEdiOutbound;
@@ -0,0 +1,20 @@
+// ==================== src/jobs/expireLoadOffers.job.js ====================
+const loadTenderService = require('../services/loadTender.service');
+
+/**
+ * Expire tender offers nobody answered in time and roll each load to the
+ * next driver on its list
+ */
+const expireLoadOffers = async () => {
+  try {
+    const { expired, exhausted } = await loadTenderService.expireOffers();
+
+    if (expired > 0) {
+      console.log(`Load tenders: ${expired} offers expired, ${exhausted} tenders exhausted`);
+    }
+  } catch (error) {
+    console.error('Load offer expiry failed:', error);
+  }
+};
+
+module.exports = expireLoadOffers;
@@ -0,0 +1,16 @@
+// ==================== src/jobs/generateRecurringLoads.job.js ====================
+const loadTemplateService = require('../services/loadTemplate.service');
+
+/**
+ * Materialize loads from active recurring templates within their lead time
+ */
+const generateRecurringLoads = async () => {
+  try {
+    const count = await loadTemplateService.generateAll();
+    console.log(`Recurring load generation complete: ${count} load(s) created`);
+  } catch (error) {
+    console.error('Recurring load generation failed:', error);
+  }
+};
+
+module.exports = generateRecurringLoads;
@@ -0,0 +1,20 @@
+// ==================== src/jobs/geocodeLoadStops.job.js ====================
+const geocodingService = require('../services/geocoding.service');
+
+/**
+ * Geocode stops on loads created or changed outside the API (imports,
+ * templates, EDI tenders)
+ */
+const geocodeLoadStops = async () => {
+  try {
+    const { loads, unresolved } = await geocodingService.geocodePending();
+
+    if (loads > 0) {
+      console.log(`Geocoding: processed ${loads} load(s), ${unresolved} stop(s) flagged for review`);
+    }
+  } catch (error) {
+    console.error('Load stop geocoding failed:', error);
+  }
+};
+
+module.exports = geocodeLoadStops;
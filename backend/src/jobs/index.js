@@ -0,0 +1,26 @@
+// ==================== src/jobs/index.js ====================
+const cron = require('node-cron');
+const checkDetention = require('./checkDetention.job');
+const generateRecurringLoads = require('./generateRecurringLoads.job');
+const pollEdiInbound = require('./pollEdiInbound.job');
+const deliverEdiOutbound = require('./deliverEdiOutbound.job');
+const expireLoadOffers = require('./expireLoadOffers.job');
+const applyDriverTimeOff = require('./applyDriverTimeOff.job');
+const compactLoadTracks = require('./compactLoadTracks.job');
+const refreshLoadEtas = require('./refreshLoadEtas.job');
+const geocodeLoadStops = require('./geocodeLoadStops.job');
+
+const startJobs = () => {
+  cron.schedule('*/15 * * * *', checkDetention);
+  cron.schedule('0 1 * * *', generateRecurringLoads);
+  cron.schedule('* * * * *', pollEdiInbound);
+  cron.schedule('* * * * *', deliverEdiOutbound);
+  cron.schedule('* * * * *', expireLoadOffers);
+  cron.schedule('*/5 * * * *', applyDriverTimeOff);
+  cron.schedule('*/10 * * * *', compactLoadTracks);
+  cron.schedule('*/5 * * * *', refreshLoadEtas);
+  cron.schedule('* * * * *', geocodeLoadStops);
+  console.log('Background jobs started');
+};
+
+module.exports = { startJobs };
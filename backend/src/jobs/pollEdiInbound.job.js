@@ -0,0 +1,19 @@
+// ==================== src/jobs/pollEdiInbound.job.js ====================
+const ediService = require('../services/edi.service');
+
+/**
+ * Pick up EDI files dropped into the inbound directory
+ */
+const pollEdiInbound = async () => {
+  try {
+    const count = await ediService.processDropDirectory();
+
+    if (count > 0) {
+      console.log(`Processed ${count} inbound EDI file(s)`);
+    }
+  } catch (error) {
+    console.error('EDI inbound poll failed:', error);
+  }
+};
+
+module.exports = pollEdiInbound;
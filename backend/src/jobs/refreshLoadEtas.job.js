@@ -0,0 +1,19 @@
+// ==================== src/jobs/refreshLoadEtas.job.js ====================
+const etaService = require('../services/eta.service');
+
+/**
+ * Recompute ETAs for in-transit loads and flag late deliveries
+ */
+const refreshLoadEtas = async () => {
+  try {
+    const { updated, atRisk } = await etaService.refreshActiveLoads();
+
+    if (updated > 0) {
+      console.log(`Load ETAs: refreshed ${updated} load(s), ${atRisk} at risk`);
+    }
+  } catch (error) {
+    console.error('Load ETA refresh failed:', error);
+  }
+};
+
+module.exports = refreshLoadEtas;
@@ -1,6 +1,7 @@
 // ==================== src/middleware/auth.js ====================
 const jwt = require('jsonwebtoken');
 const prisma = require('../config/database');
+const { NOT_PENDING_REQUEST } = require('../utils/constants');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -186,6 +187,28 @@ const authorizeResourceOwner = (resourceType) => {
         let resource;
         
         switch (resourceType) {
+          case 'LOAD':
+            // Only the active assignment counts: rejected, released and
+            // still-pending requests don't grant access
+            resource = await prisma.loadAssignment.findFirst({
+              where: {
+                loadId: resourceId,
+                driverId: req.user.id,
+                rejectedAt: null,
+                releasedAt: null,
+                ...NOT_PENDING_REQUEST
+              },
+              select: { id: true }
+            });
+
+            if (!resource) {
+              return res.status(403).json({
+                success: false,
+                message: 'Access denied. You are not assigned to this load.'
+              });
+            }
+            break;
+
           case 'LOAD_ASSIGNMENT':
             resource = await prisma.loadAssignment.findUnique({
               where: { id: resourceId },
@@ -0,0 +1,30 @@
+// ==================== src/middleware/concurrency.js ====================
+const { parseIfMatch } = require('../utils/concurrency');
+
+// Require an If-Match header on writes to versioned records. The parsed
+// version is left on req.ifMatchVersion for the controller to check
+// (null when the client sent '*').
+const requireIfMatch = (req, res, next) => {
+  const header = req.get('If-Match');
+
+  if (!header) {
+    return res.status(428).json({
+      success: false,
+      message: 'If-Match header required. Send the ETag from the latest GET.'
+    });
+  }
+
+  const version = parseIfMatch(header);
+
+  if (version === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid If-Match header'
+    });
+  }
+
+  req.ifMatchVersion = version;
+  next();
+};
+
+module.exports = { requireIfMatch };
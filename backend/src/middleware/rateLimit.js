@@ -0,0 +1,19 @@
+// ==================== src/middleware/rateLimit.js ====================
+const rateLimit = require('express-rate-limit');
+
+// Unauthenticated tracking links: enough for a page that polls, too few to
+// guess tokens
+const publicTrackingLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: parseInt(process.env.PUBLIC_TRACKING_RATE_LIMIT) || 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later'
+  }
+});
+
+module.exports = {
+  publicTrackingLimiter
+};
@@ -0,0 +1,63 @@
+// ==================== src/routes/accessorials.routes.js ====================
+const express = require('express');
+const router = express.Router();
+const accessorialController = require('../controllers/accessorials.controller');
+const { authenticateToken, authorizeRoles, authorizeUserTypes } = require('../middleware/auth');
+const {
+  validateAccessorialRequest,
+  validateAccessorialReceipt,
+  validateAccessorialApproval,
+  validateAccessorialRejection
+} = require('../validators/accessorial.validator');
+const auditLog = require('../middleware/auditLog');
+
+// Get accessorial charges across loads (approval queue)
+router.get('/',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  accessorialController.getAllAccessorials
+);
+
+// Get load accessorial charges
+router.get('/loads/:loadId',
+  authenticateToken,
+  accessorialController.getLoadAccessorials
+);
+
+// Request accessorial charge (dispatcher or assigned driver)
+router.post('/loads/:loadId',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  validateAccessorialRequest,
+  auditLog('CREATE', 'ACCESSORIAL_CHARGE'),
+  accessorialController.requestCharge
+);
+
+// Attach receipt document to a pending charge
+router.post('/:id/receipt',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  validateAccessorialReceipt,
+  auditLog('ATTACH_RECEIPT', 'ACCESSORIAL_CHARGE'),
+  accessorialController.attachReceipt
+);
+
+// Approve accessorial charge (dispatch or billing)
+router.post('/:id/approve',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER', 'ACCOUNTANT'),
+  validateAccessorialApproval,
+  auditLog('APPROVE', 'ACCESSORIAL_CHARGE'),
+  accessorialController.approveCharge
+);
+
+// Reject accessorial charge (dispatch or billing)
+router.post('/:id/reject',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER', 'ACCOUNTANT'),
+  validateAccessorialRejection,
+  auditLog('REJECT', 'ACCESSORIAL_CHARGE'),
+  accessorialController.rejectCharge
+);
+
+module.exports = router;
@@ -4,6 +4,12 @@ const router = express.Router();
 const driverController = require('../controllers/drivers.controller');
 const { authenticateToken, authorizeRoles, authorizeUserTypes } = require('../middleware/auth');
 const auditLog = require('../middleware/auditLog');
+const {
+  validateTimeOff,
+  validateTimeOffDenial,
+  validateHosLog,
+  validateHosDerive
+} = require('../validators/driver.validator');
 
 // Get all drivers
 router.get('/',
@@ -12,6 +18,38 @@ router.get('/',
   driverController.getAllDrivers
 );
 
+// Get time-off requests (dispatcher approval queue)
+router.get('/time-off',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  driverController.getTimeOffRequests
+);
+
+// Approve time off
+router.post('/time-off/:timeOffId/approve',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  auditLog('APPROVE_TIME_OFF', 'DRIVER_TIME_OFF'),
+  driverController.approveTimeOff
+);
+
+// Deny time off
+router.post('/time-off/:timeOffId/deny',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  validateTimeOffDenial,
+  auditLog('DENY_TIME_OFF', 'DRIVER_TIME_OFF'),
+  driverController.denyTimeOff
+);
+
+// Cancel time off
+router.post('/time-off/:timeOffId/cancel',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  auditLog('CANCEL_TIME_OFF', 'DRIVER_TIME_OFF'),
+  driverController.cancelTimeOff
+);
+
 // Get driver by ID
 router.get('/:id',
   authenticateToken,
@@ -60,6 +98,68 @@ router.put('/:id/availability',
   driverController.updateAvailability
 );
 
+// Get driver schedule (committed load windows)
+router.get('/:id/schedule',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  driverController.getDriverSchedule
+);
+
+// Get driver time-off requests
+router.get('/:id/time-off',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  driverController.getDriverTimeOff
+);
+
+// Request time off or home time
+router.post('/:id/time-off',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  validateTimeOff,
+  auditLog('REQUEST_TIME_OFF', 'DRIVER_TIME_OFF'),
+  driverController.requestTimeOff
+);
+
+// Get driver hours-of-service logs
+router.get('/:id/hos/logs',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  driverController.getHosLogs
+);
+
+// Log a duty status period
+router.post('/:id/hos/logs',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  validateHosLog,
+  auditLog('LOG_DUTY_STATUS', 'HOS_LOG'),
+  driverController.logDutyStatus
+);
+
+// Derive duty status logs from load status events
+router.post('/:id/hos/derive',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  validateHosDerive,
+  auditLog('DERIVE_DUTY_STATUS', 'HOS_LOG'),
+  driverController.deriveHosLogs
+);
+
+// Get remaining drive, shift and cycle time
+router.get('/:id/hos/clocks',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  driverController.getHosClocks
+);
+
+// Get per-day HOS report (format=csv to download)
+router.get('/:id/hos/report',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  driverController.getHosReport
+);
+
 // Get driver performance metrics
 router.get('/:id/metrics',
   authenticateToken,
@@ -0,0 +1,91 @@
+// ==================== src/routes/edi.routes.js ====================
+const express = require('express');
+const router = express.Router();
+const ediController = require('../controllers/edi.controller');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const auditLog = require('../middleware/auditLog');
+const { validateTradingPartner, validateTenderAccept, validateTenderDecline } = require('../validators/edi.validator');
+
+// Get EDI trading partners
+router.get('/partners',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  ediController.getTradingPartners
+);
+
+// Create EDI trading partner
+router.post('/partners',
+  authenticateToken,
+  authorizeRoles('ADMIN'),
+  validateTradingPartner,
+  auditLog('CREATE', 'EDI_TRADING_PARTNER'),
+  ediController.createTradingPartner
+);
+
+// Update EDI trading partner
+router.put('/partners/:id',
+  authenticateToken,
+  authorizeRoles('ADMIN'),
+  validateTradingPartner,
+  auditLog('UPDATE', 'EDI_TRADING_PARTNER'),
+  ediController.updateTradingPartner
+);
+
+// Upload inbound EDI file (204 load tenders)
+router.post('/inbound',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  upload.single('file'),
+  auditLog('UPLOAD', 'EDI_DOCUMENT'),
+  ediController.uploadInbound
+);
+
+// Get EDI documents (inbound and outbound)
+router.get('/documents',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  ediController.getDocuments
+);
+
+// Get EDI document
+router.get('/documents/:id',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  ediController.getDocumentById
+);
+
+// Download raw EDI document
+router.get('/documents/:id/download',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  ediController.downloadDocument
+);
+
+// Retry delivery of a failed outbound document
+router.post('/documents/:id/retry',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  auditLog('RETRY', 'EDI_DOCUMENT'),
+  ediController.retryDocument
+);
+
+// Accept load tender
+router.post('/tenders/:id/accept',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  validateTenderAccept,
+  auditLog('ACCEPT_TENDER', 'EDI_DOCUMENT'),
+  ediController.acceptTender
+);
+
+// Decline load tender
+router.post('/tenders/:id/decline',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  validateTenderDecline,
+  auditLog('DECLINE_TENDER', 'EDI_DOCUMENT'),
+  ediController.declineTender
+);
+
+module.exports = router;
@@ -13,6 +13,13 @@ const settlementRoutes = require('./settlements.routes');
 const notificationRoutes = require('./notifications.routes');
 const documentRoutes = require('./documents.routes');
 const podRoutes = require('./pod.routes');
+const accessorialRoutes = require('./accessorials.routes');
+const loadTemplateRoutes = require('./loadTemplates.routes');
+const loadImportRoutes = require('./loadImports.routes');
+const ediRoutes = require('./edi.routes');
+const numberingRoutes = require('./numbering.routes');
+const loadBoardRoutes = require('./loadBoard.routes');
+const trackingRoutes = require('./tracking.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -25,6 +32,13 @@ router.use('/settlements', settlementRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/documents', documentRoutes);
 router.use('/pod', podRoutes);
+router.use('/accessorials', accessorialRoutes);
+router.use('/load-templates', loadTemplateRoutes);
+router.use('/load-imports', loadImportRoutes);
+router.use('/edi', ediRoutes);
+router.use('/numbering-formats', numberingRoutes);
+router.use('/load-board', loadBoardRoutes);
+router.use('/tracking', trackingRoutes);
 
 // API info endpoint
 router.get('/', (req, res) => {
@@ -41,7 +55,14 @@ router.get('/', (req, res) => {
       settlements: '/api/v1/settlements',
       notifications: '/api/v1/notifications',
       documents: '/api/v1/documents',
-      pod: '/api/v1/pod'
+      pod: '/api/v1/pod',
+      accessorials: '/api/v1/accessorials',
+      loadTemplates: '/api/v1/load-templates',
+      loadImports: '/api/v1/load-imports',
+      edi: '/api/v1/edi',
+      numberingFormats: '/api/v1/numbering-formats',
+      loadBoard: '/api/v1/load-board',
+      tracking: '/api/v1/tracking'
     }
   });
 });
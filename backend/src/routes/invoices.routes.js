@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const invoiceController = require('../controllers/invoices.controller');
 const { authenticateToken, authorizeRoles, authorizeUserTypes } = require('../middleware/auth');
+const { requireIfMatch } = require('../middleware/concurrency');
 const auditLog = require('../middleware/auditLog');
 
 // Get all invoices
@@ -29,6 +30,7 @@ router.post('/from-load/:loadId',
 router.put('/:id',
   authenticateToken,
   authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  requireIfMatch,
   auditLog('UPDATE', 'INVOICE'),
   invoiceController.updateInvoice
 );
@@ -37,6 +39,7 @@ router.put('/:id',
 router.post('/:id/issue',
   authenticateToken,
   authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  requireIfMatch,
   auditLog('ISSUE', 'INVOICE'),
   invoiceController.issueInvoice
 );
@@ -45,6 +48,7 @@ router.post('/:id/issue',
 router.post('/:id/mark-paid',
   authenticateToken,
   authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  requireIfMatch,
   auditLog('MARK_PAID', 'INVOICE'),
   invoiceController.markAsPaid
 );
@@ -53,6 +57,7 @@ router.post('/:id/mark-paid',
 router.post('/:id/cancel',
   authenticateToken,
   authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  requireIfMatch,
   auditLog('CANCEL', 'INVOICE'),
   invoiceController.cancelInvoice
 );
@@ -0,0 +1,49 @@
+// ==================== src/routes/loadBoard.routes.js ====================
+const express = require('express');
+const router = express.Router();
+const loadBoardController = require('../controllers/loadBoard.controller');
+const { authenticateToken, authorizeRoles, authorizeUserTypes } = require('../middleware/auth');
+const { validateLoadRequest, validateRequestDecline } = require('../validators/loadBoard.validator');
+const auditLog = require('../middleware/auditLog');
+
+// Get loads on the board (owner-operators)
+router.get('/',
+  authenticateToken,
+  authorizeUserTypes('DRIVER'),
+  loadBoardController.getBoard
+);
+
+// Request a load, or claim it if it's first-come
+router.post('/loads/:loadId/request',
+  authenticateToken,
+  authorizeUserTypes('DRIVER'),
+  validateLoadRequest,
+  auditLog('REQUEST', 'LOAD'),
+  loadBoardController.requestLoad
+);
+
+// Get load requests (dispatcher approval queue, or the driver's own)
+router.get('/requests',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  loadBoardController.getRequests
+);
+
+// Approve a load request
+router.post('/requests/:id/approve',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  auditLog('APPROVE_REQUEST', 'LOAD_ASSIGNMENT'),
+  loadBoardController.approveRequest
+);
+
+// Decline a load request
+router.post('/requests/:id/decline',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  validateRequestDecline,
+  auditLog('DECLINE_REQUEST', 'LOAD_ASSIGNMENT'),
+  loadBoardController.declineRequest
+);
+
+module.exports = router;
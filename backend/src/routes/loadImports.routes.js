@@ -0,0 +1,49 @@
+// ==================== src/routes/loadImports.routes.js ====================
+const express = require('express');
+const router = express.Router();
+const loadImportController = require('../controllers/loadImports.controller');
+const { authenticateToken, authorizeUserTypes, authorizeShipperPermissions } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const auditLog = require('../middleware/auditLog');
+
+// Get all load imports
+router.get('/',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
+  loadImportController.getAllImports
+);
+
+// Upload CSV/XLSX of loads (validated as a dry run unless commit=true)
+router.post('/',
+  authenticateToken,
+  authorizeUserTypes('SHIPPER_USER'),
+  authorizeShipperPermissions('CREATE_LOAD'),
+  upload.single('file'),
+  auditLog('IMPORT', 'LOAD'),
+  loadImportController.uploadImport
+);
+
+// Get load import with validation report
+router.get('/:id',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
+  loadImportController.getImportById
+);
+
+// Create loads from the valid rows
+router.post('/:id/commit',
+  authenticateToken,
+  authorizeUserTypes('SHIPPER_USER'),
+  authorizeShipperPermissions('CREATE_LOAD'),
+  auditLog('IMPORT', 'LOAD'),
+  loadImportController.commitImport
+);
+
+// Download row-level error report (CSV)
+router.get('/:id/error-report',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
+  loadImportController.downloadErrorReport
+);
+
+module.exports = router;
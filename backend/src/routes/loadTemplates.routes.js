@@ -0,0 +1,90 @@
+// ==================== src/routes/loadTemplates.routes.js ====================
+const express = require('express');
+const router = express.Router();
+const loadTemplateController = require('../controllers/loadTemplates.controller');
+const { authenticateToken, authorizeRoles, authorizeUserTypes, authorizeShipperPermissions } = require('../middleware/auth');
+const { validateLoadTemplate, validateHoliday } = require('../validators/loadTemplate.validator');
+const auditLog = require('../middleware/auditLog');
+
+// Get configured holidays
+router.get('/holidays',
+  authenticateToken,
+  loadTemplateController.getHolidays
+);
+
+// Add holiday (admin only)
+router.post('/holidays',
+  authenticateToken,
+  authorizeRoles('ADMIN'),
+  validateHoliday,
+  auditLog('CREATE', 'HOLIDAY'),
+  loadTemplateController.createHoliday
+);
+
+// Remove holiday (admin only)
+router.delete('/holidays/:holidayId',
+  authenticateToken,
+  authorizeRoles('ADMIN'),
+  auditLog('DELETE', 'HOLIDAY'),
+  loadTemplateController.deleteHoliday
+);
+
+// Get all load templates
+router.get('/',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
+  loadTemplateController.getAllTemplates
+);
+
+// Get load template by ID
+router.get('/:id',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
+  loadTemplateController.getTemplateById
+);
+
+// Create load template
+router.post('/',
+  authenticateToken,
+  authorizeUserTypes('SHIPPER_USER'),
+  authorizeShipperPermissions('CREATE_LOAD'),
+  validateLoadTemplate,
+  auditLog('CREATE', 'LOAD_TEMPLATE'),
+  loadTemplateController.createTemplate
+);
+
+// Update load template
+router.put('/:id',
+  authenticateToken,
+  authorizeUserTypes('SHIPPER_USER'),
+  authorizeShipperPermissions('CREATE_LOAD'),
+  validateLoadTemplate,
+  auditLog('UPDATE', 'LOAD_TEMPLATE'),
+  loadTemplateController.updateTemplate
+);
+
+// Delete load template
+router.delete('/:id',
+  authenticateToken,
+  authorizeUserTypes('SHIPPER_USER'),
+  authorizeShipperPermissions('CREATE_LOAD'),
+  auditLog('DELETE', 'LOAD_TEMPLATE'),
+  loadTemplateController.deleteTemplate
+);
+
+// Preview upcoming occurrences
+router.get('/:id/occurrences',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
+  loadTemplateController.getOccurrences
+);
+
+// Generate loads within the lead time now
+router.post('/:id/generate',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
+  auditLog('GENERATE_LOADS', 'LOAD_TEMPLATE'),
+  loadTemplateController.generateLoads
+);
+
+module.exports = router;
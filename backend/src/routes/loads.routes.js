@@ -3,8 +3,18 @@ const express = require('express');
 const router = express.Router();
 const loadController = require('../controllers/loads.controller');
 const { authenticateToken, authorizeRoles, authorizeUserTypes, authorizeShipperPermissions, authorizeResourceOwner } = require('../middleware/auth');
+const { requireIfMatch } = require('../middleware/concurrency');
 const auditLog = require('../middleware/auditLog');
-const { validateLoad, validateLoadUpdate } = require('../validators/load.validator');
+const {
+  validateLoad,
+  validateLoadUpdate,
+  validateLoadCancellation,
+  validateLoadTender,
+  validateLocationBatch,
+  validateStopGeofence,
+  validateTrackingLink,
+  validateStopLocation
+} = require('../validators/load.validator');
 
 // Get all loads (with pagination and filters)
 router.get('/',
@@ -12,6 +22,13 @@ router.get('/',
   loadController.getAllLoads
 );
 
+// Get stops that couldn't be geocoded, for dispatcher review
+router.get('/geocode-review',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  loadController.getGeocodeReview
+);
+
 // Get single load
 router.get('/:id',
   authenticateToken,
@@ -33,6 +50,7 @@ router.post('/',
 router.put('/:id',
   authenticateToken,
   authorizeResourceOwner('LOAD'),
+  requireIfMatch,
   validateLoadUpdate,
   auditLog('UPDATE', 'LOAD'),
   loadController.updateLoad
@@ -43,6 +61,7 @@ router.delete('/:id',
   authenticateToken,
   authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
   authorizeResourceOwner('LOAD'),
+  requireIfMatch,
   auditLog('DELETE', 'LOAD'),
   loadController.deleteLoad
 );
@@ -52,6 +71,7 @@ router.post('/:id/submit',
   authenticateToken,
   authorizeUserTypes('SHIPPER_USER'),
   authorizeResourceOwner('LOAD'),
+  requireIfMatch,
   auditLog('SUBMIT', 'LOAD'),
   loadController.submitLoad
 );
@@ -60,6 +80,7 @@ router.post('/:id/submit',
 router.post('/:id/approve',
   authenticateToken,
   authorizeRoles('ADMIN', 'DISPATCHER'),
+  requireIfMatch,
   auditLog('APPROVE', 'LOAD'),
   loadController.approveLoad
 );
@@ -68,10 +89,69 @@ router.post('/:id/approve',
 router.post('/:id/assign',
   authenticateToken,
   authorizeRoles('ADMIN', 'DISPATCHER'),
+  requireIfMatch,
   auditLog('ASSIGN', 'LOAD'),
   loadController.assignLoad
 );
 
+// Get scored driver recommendations for a load
+router.get('/:id/driver-recommendations',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  loadController.getDriverRecommendations
+);
+
+// Tender load to a ranked list of drivers (offers roll on rejection or timeout)
+router.post('/:id/tender',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  requireIfMatch,
+  validateLoadTender,
+  auditLog('TENDER', 'LOAD'),
+  loadController.tenderLoad
+);
+
+// Get load tenders with offers and responses
+router.get('/:id/tenders',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  loadController.getLoadTenders
+);
+
+// Withdraw the active tender
+router.post('/:id/tender/cancel',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  requireIfMatch,
+  auditLog('CANCEL_TENDER', 'LOAD'),
+  loadController.cancelTender
+);
+
+// Cancel load (shipper before dispatch, dispatcher any time before loading)
+router.post('/:id/cancel',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'SHIPPER_USER'),
+  authorizeResourceOwner('LOAD'),
+  requireIfMatch,
+  validateLoadCancellation,
+  auditLog('CANCEL', 'LOAD'),
+  loadController.cancelLoad
+);
+
+// Get dwell and detention per stop
+router.get('/:id/detention',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  loadController.getLoadDetention
+);
+
+// Get status transitions available to the current user
+router.get('/:id/transitions',
+  authenticateToken,
+  authorizeResourceOwner('LOAD'),
+  loadController.getLoadTransitions
+);
+
 // Get load status history
 router.get('/:id/status-history',
   authenticateToken,
@@ -79,13 +159,121 @@ router.get('/:id/status-history',
   loadController.getLoadStatusHistory
 );
 
-// Update load status
+// Update load status and/or record a stop arrival or departure
 router.post('/:id/status',
   authenticateToken,
+  authorizeUserTypes('INTERNAL_USER', 'DRIVER'),
+  authorizeResourceOwner('LOAD'),
+  requireIfMatch,
   auditLog('UPDATE_STATUS', 'LOAD'),
   loadController.updateLoadStatus
 );
 
+// Upload a batch of GPS breadcrumbs (driver app). Not audited: the app
+// posts these every few minutes for the whole trip.
+router.post('/:id/locations',
+  authenticateToken,
+  authorizeUserTypes('DRIVER'),
+  authorizeResourceOwner('LOAD'),
+  validateLocationBatch,
+  loadController.ingestLocations
+);
+
+// Get route history and last known position
+router.get('/:id/track',
+  authenticateToken,
+  authorizeResourceOwner('LOAD'),
+  loadController.getLoadTrack
+);
+
+// Get predicted arrival at the remaining stops (as last computed)
+router.get('/:id/eta',
+  authenticateToken,
+  authorizeResourceOwner('LOAD'),
+  loadController.getLoadEta
+);
+
+// Recompute the ETA now (the background job refreshes it every 5 minutes)
+router.post('/:id/eta/refresh',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  loadController.refreshLoadEta
+);
+
+// Share tracking with consignees through an expiring public link
+router.post('/:id/tracking-links',
+  authenticateToken,
+  authorizeUserTypes('SHIPPER_USER', 'INTERNAL_USER'),
+  authorizeResourceOwner('LOAD'),
+  validateTrackingLink,
+  auditLog('CREATE_TRACKING_LINK', 'LOAD_TRACKING_LINK'),
+  loadController.createTrackingLink
+);
+
+// Get tracking links shared for a load
+router.get('/:id/tracking-links',
+  authenticateToken,
+  authorizeUserTypes('SHIPPER_USER', 'INTERNAL_USER'),
+  authorizeResourceOwner('LOAD'),
+  loadController.getTrackingLinks
+);
+
+// Revoke a tracking link
+router.delete('/:id/tracking-links/:linkId',
+  authenticateToken,
+  authorizeUserTypes('SHIPPER_USER', 'INTERNAL_USER'),
+  authorizeResourceOwner('LOAD'),
+  auditLog('REVOKE_TRACKING_LINK', 'LOAD_TRACKING_LINK'),
+  loadController.revokeTrackingLink
+);
+
+// Get routed loaded and deadhead miles
+router.get('/:id/mileage',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  loadController.getLoadMileage
+);
+
+// Recompute routed miles
+router.post('/:id/mileage/refresh',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  loadController.refreshLoadMileage
+);
+
+// Re-run geocoding for a load's stops
+router.post('/:id/geocode',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  auditLog('GEOCODE_LOAD', 'LOAD'),
+  loadController.geocodeLoad
+);
+
+// Set a stop's coordinates by hand
+router.put('/:id/stops/:stopId/location',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  validateStopLocation,
+  auditLog('SET_STOP_LOCATION', 'LOAD_STOP'),
+  loadController.setStopLocation
+);
+
+// Get stop geofences
+router.get('/:id/geofences',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  loadController.getLoadGeofences
+);
+
+// Set a stop's geofence radius or turn automatic arrival/departure off
+router.put('/:id/stops/:stopId/geofence',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  validateStopGeofence,
+  auditLog('UPDATE_GEOFENCE', 'LOAD_STOP'),
+  loadController.updateStopGeofence
+);
+
 // Get load negotiations
 router.get('/:id/negotiations',
   authenticateToken,
@@ -103,6 +291,7 @@ router.post('/:id/negotiate',
 // Accept negotiation
 router.post('/negotiations/:negotiationId/accept',
   authenticateToken,
+  requireIfMatch,
   auditLog('ACCEPT_NEGOTIATION', 'LOAD'),
   loadController.acceptNegotiation
 );
@@ -110,6 +299,7 @@ router.post('/negotiations/:negotiationId/accept',
 // Reject negotiation
 router.post('/negotiations/:negotiationId/reject',
   authenticateToken,
+  requireIfMatch,
   auditLog('REJECT_NEGOTIATION', 'LOAD'),
   loadController.rejectNegotiation
 );
@@ -0,0 +1,33 @@
+// ==================== src/routes/numbering.routes.js ====================
+const express = require('express');
+const router = express.Router();
+const numberingController = require('../controllers/numbering.controller');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { validateNumberingFormat } = require('../validators/numbering.validator');
+const auditLog = require('../middleware/auditLog');
+
+// Get number formats
+router.get('/',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  numberingController.getFormats
+);
+
+// Create or update a number format
+router.put('/',
+  authenticateToken,
+  authorizeRoles('ADMIN'),
+  validateNumberingFormat,
+  auditLog('UPDATE', 'NUMBERING_FORMAT'),
+  numberingController.saveFormat
+);
+
+// Remove a number format override
+router.delete('/:id',
+  authenticateToken,
+  authorizeRoles('ADMIN'),
+  auditLog('DELETE', 'NUMBERING_FORMAT'),
+  numberingController.deleteFormat
+);
+
+module.exports = router;
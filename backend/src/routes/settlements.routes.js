@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const settlementController = require('../controllers/settlements.controller');
 const { authenticateToken, authorizeRoles, authorizeUserTypes } = require('../middleware/auth');
+const { requireIfMatch } = require('../middleware/concurrency');
 const auditLog = require('../middleware/auditLog');
 
 // Get all settlements
@@ -37,6 +38,7 @@ router.post('/create-period',
 router.post('/:id/approve',
   authenticateToken,
   authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  requireIfMatch,
   auditLog('APPROVE', 'SETTLEMENT'),
   settlementController.approveSettlement
 );
@@ -45,6 +47,7 @@ router.post('/:id/approve',
 router.post('/:id/mark-paid',
   authenticateToken,
   authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  requireIfMatch,
   auditLog('MARK_PAID', 'SETTLEMENT'),
   settlementController.markAsPaid
 );
@@ -53,6 +56,7 @@ router.post('/:id/mark-paid',
 router.post('/:id/dispute',
   authenticateToken,
   authorizeUserTypes('DRIVER'),
+  requireIfMatch,
   auditLog('DISPUTE', 'SETTLEMENT'),
   settlementController.disputeSettlement
 );
@@ -0,0 +1,25 @@
+// ==================== src/routes/shippers.routes.js ====================
+const express = require('express');
+const router = express.Router();
+const shipperController = require('../controllers/shippers.controller');
+const { authenticateToken, authorizeRoles, authorizeUserTypes } = require('../middleware/auth');
+const { validateDetentionPolicy } = require('../validators/shipper.validator');
+const auditLog = require('../middleware/auditLog');
+
+// Get shipper detention policy
+router.get('/:id/detention-policy',
+  authenticateToken,
+  authorizeUserTypes('INTERNAL_USER'),
+  shipperController.getDetentionPolicy
+);
+
+// Update shipper detention policy
+router.put('/:id/detention-policy',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  validateDetentionPolicy,
+  auditLog('UPDATE_DETENTION_POLICY', 'SHIPPER_CLIENT'),
+  shipperController.updateDetentionPolicy
+);
+
+module.exports = router;
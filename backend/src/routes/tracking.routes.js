@@ -0,0 +1,26 @@
+// ==================== src/routes/tracking.routes.js ====================
+// Public, token-authenticated load tracking for consignees. No login: the
+// link token is the credential, so every route is rate limited.
+const express = require('express');
+const router = express.Router();
+const trackingController = require('../controllers/tracking.controller');
+const { publicTrackingLimiter } = require('../middleware/rateLimit');
+
+router.use(publicTrackingLimiter);
+
+// Get status timeline, ETA, approximate location and POD
+router.get('/:token',
+  trackingController.getPublicTracking
+);
+
+// Get POD signature
+router.get('/:token/pod/:podId/signature',
+  trackingController.getPublicPodSignature
+);
+
+// Get POD photo
+router.get('/:token/pod/:podId/photos/:photoId',
+  trackingController.getPublicPodPhoto
+);
+
+module.exports = router;
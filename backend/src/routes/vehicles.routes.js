@@ -4,6 +4,7 @@ const router = express.Router();
 const vehicleController = require('../controllers/vehicles.controller');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const auditLog = require('../middleware/auditLog');
+const { validateFuelPurchase } = require('../validators/vehicle.validator');
 
 // Get all vehicles
 router.get('/',
@@ -12,6 +13,13 @@ router.get('/',
   vehicleController.getAllVehicles
 );
 
+// Fleet IFTA summary for a quarter (?quarter=2026-Q3&format=csv|pdf)
+router.get('/ifta',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  vehicleController.getIftaReport
+);
+
 // Get vehicle by ID
 router.get('/:id',
   authenticateToken,
@@ -51,6 +59,13 @@ router.post('/:id/unassign',
   vehicleController.unassignVehicle
 );
 
+// Get vehicle schedule (committed load windows)
+router.get('/:id/schedule',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER'),
+  vehicleController.getVehicleSchedule
+);
+
 // Get maintenance records
 router.get('/:id/maintenance',
   authenticateToken,
@@ -66,4 +81,35 @@ router.post('/:id/maintenance',
   vehicleController.addMaintenanceRecord
 );
 
+// Get fuel purchases
+router.get('/:id/fuel-purchases',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER', 'ACCOUNTANT'),
+  vehicleController.getFuelPurchases
+);
+
+// Record fuel purchase
+router.post('/:id/fuel-purchases',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'DISPATCHER', 'ACCOUNTANT'),
+  validateFuelPurchase,
+  auditLog('ADD_FUEL_PURCHASE', 'VEHICLE'),
+  vehicleController.addFuelPurchase
+);
+
+// Delete fuel purchase
+router.delete('/:id/fuel-purchases/:purchaseId',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  auditLog('DELETE_FUEL_PURCHASE', 'VEHICLE'),
+  vehicleController.deleteFuelPurchase
+);
+
+// Vehicle IFTA miles by jurisdiction for a quarter
+router.get('/:id/ifta',
+  authenticateToken,
+  authorizeRoles('ADMIN', 'ACCOUNTANT'),
+  vehicleController.getVehicleIfta
+);
+
 module.exports = router;
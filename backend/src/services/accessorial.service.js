@@ -0,0 +1,366 @@
+// ==================== src/services/accessorial.service.js ====================
+const prisma = require('../config/database');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { ACCESSORIAL_TYPES, NOT_PENDING_REQUEST } = require('../utils/constants');
+
+const ACCESSORIAL_LABELS = {
+  DETENTION: 'Detention',
+  LUMPER: 'Lumper',
+  LAYOVER: 'Layover',
+  DRIVER_ASSIST: 'Driver assist',
+  STOP_OFF: 'Stop-off',
+  TONU: 'Truck ordered not used (TONU)',
+  OTHER: 'Accessorial'
+};
+
+class AccessorialService {
+  /**
+   * Make sure the actor may see or request charges on the load
+   * @param {Object} load - Load with assignments included
+   * @param {Object} actor - { id, type } (req.user)
+   * @param {Object} [shipperUser] - { shipperClientId } for shipper actors
+   * @throws {ForbiddenError}
+   */
+  assertLoadAccess(load, actor, shipperUser = null) {
+    if (actor.type === 'DRIVER' && !load.assignments.some(a => a.driverId === actor.id)) {
+      throw new ForbiddenError('You are not assigned to this load');
+    }
+
+    if (actor.type === 'SHIPPER_USER' && shipperUser?.shipperClientId !== load.shipperClientId) {
+      throw new ForbiddenError('Access denied. You do not own this resource.');
+    }
+  }
+
+  /**
+   * List a load's accessorial charges. Shipper users only see what they are billed.
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - { id, type } (req.user)
+   * @returns {Promise<Array>} Charges
+   */
+  async listForLoad(loadId, actor) {
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      include: { assignments: { where: { rejectedAt: null, ...NOT_PENDING_REQUEST } } }
+    });
+
+    if (!load) {
+      throw new NotFoundError('Load not found');
+    }
+
+    const shipperUser = actor.type === 'SHIPPER_USER'
+      ? await prisma.shipperUser.findUnique({ where: { id: actor.id }, select: { shipperClientId: true } })
+      : null;
+    this.assertLoadAccess(load, actor, shipperUser);
+
+    const charges = await prisma.accessorialCharge.findMany({
+      where: {
+        loadId,
+        ...(actor.type === 'DRIVER' && { OR: [{ requestedById: actor.id }, { payableAmount: { gt: 0 } }] })
+      },
+      include: {
+        receiptDocument: {
+          select: {
+            id: true,
+            fileName: true,
+            documentType: true,
+            status: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (actor.type === 'SHIPPER_USER') {
+      return charges.map(({ payableAmount, ...charge }) => charge);
+    }
+
+    if (actor.type === 'DRIVER') {
+      return charges.map(({ billableAmount, ...charge }) => charge);
+    }
+
+    return charges;
+  }
+
+  /**
+   * Request an accessorial charge on a load (dispatcher or assigned driver)
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - { id, type } (req.user)
+   * @param {Object} data - { type, description, quantity, unitRate, amount, payableAmount, payeeDriverId, stopId, receiptDocumentId, notes }
+   * @param {Object} [options]
+   * @param {boolean} [options.approved] - Create already approved (system-generated charges)
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Created charge
+   */
+  async requestCharge(loadId, actor, data, options = {}) {
+    const { approved = false, db = prisma } = options;
+
+    if (!ACCESSORIAL_TYPES.includes(data.type)) {
+      throw new BadRequestError(`Invalid accessorial type ${data.type}`);
+    }
+
+    const load = await db.load.findUnique({
+      where: { id: loadId },
+      include: { assignments: { where: { rejectedAt: null, ...NOT_PENDING_REQUEST } } }
+    });
+
+    if (!load) {
+      throw new NotFoundError('Load not found');
+    }
+
+    this.assertLoadAccess(load, actor);
+
+    if (['DRAFT', 'PENDING_REVIEW', 'NEGOTIATING', 'RATE_APPROVED'].includes(load.status)) {
+      throw new BadRequestError('Accessorial charges can only be added once a load is scheduled');
+    }
+
+    if (data.stopId) {
+      const stop = await db.loadStop.findUnique({ where: { id: data.stopId } });
+      if (!stop || stop.loadId !== loadId) {
+        throw new BadRequestError('Stop not found on this load');
+      }
+    }
+
+    // Receipts are uploaded through the documents module first
+    if (data.receiptDocumentId) {
+      const document = await db.loadDocument.findUnique({ where: { id: data.receiptDocumentId } });
+      if (!document || document.loadId !== loadId) {
+        throw new BadRequestError('Receipt document not found on this load');
+      }
+    }
+
+    const quantity = data.quantity != null ? parseFloat(data.quantity) : 1;
+    const unitRate = data.unitRate != null ? parseFloat(data.unitRate) : null;
+    const billableAmount = data.amount != null
+      ? parseFloat(data.amount)
+      : (unitRate != null ? quantity * unitRate : NaN);
+
+    if (isNaN(billableAmount) || billableAmount < 0) {
+      throw new BadRequestError('Provide an amount or a unit rate for the charge');
+    }
+
+    const payableAmount = data.payableAmount != null ? parseFloat(data.payableAmount) : billableAmount;
+    const now = new Date();
+
+    return await db.accessorialCharge.create({
+      data: {
+        loadId,
+        stopId: data.stopId || null,
+        type: data.type,
+        description: data.description || ACCESSORIAL_LABELS[data.type],
+        quantity,
+        unitRate,
+        billableAmount,
+        payableAmount,
+        receiptDocumentId: data.receiptDocumentId || null,
+        payeeDriverId: data.payeeDriverId || null,
+        notes: data.notes || null,
+        status: approved ? 'APPROVED' : 'REQUESTED',
+        requestedById: actor.id,
+        requestedByType: actor.type,
+        ...(approved && {
+          reviewedById: actor.id,
+          reviewedAt: now
+        })
+      }
+    });
+  }
+
+  /**
+   * Attach a receipt (a load document uploaded through the documents module)
+   * to a charge that is still awaiting approval
+   * @param {string} id - Charge ID
+   * @param {Object} actor - { id, type } (req.user)
+   * @param {string} documentId - LoadDocument ID
+   * @returns {Promise<Object>} Updated charge
+   */
+  async attachReceipt(id, actor, documentId) {
+    const charge = await this.getPendingCharge(id);
+
+    if (actor.type === 'DRIVER' && charge.requestedById !== actor.id) {
+      throw new ForbiddenError('You can only attach receipts to your own charges');
+    }
+
+    const document = await prisma.loadDocument.findUnique({ where: { id: documentId } });
+    if (!document || document.loadId !== charge.loadId) {
+      throw new BadRequestError('Receipt document not found on this load');
+    }
+
+    return await prisma.accessorialCharge.update({
+      where: { id },
+      data: { receiptDocumentId: documentId }
+    });
+  }
+
+  /**
+   * Approve a requested charge, optionally adjusting amounts
+   * @param {string} id - Charge ID
+   * @param {Object} actor - { id } (req.user)
+   * @param {Object} data - { billableAmount, payableAmount, notes }
+   * @returns {Promise<Object>} Updated charge
+   */
+  async approveCharge(id, actor, data = {}) {
+    const charge = await this.getPendingCharge(id);
+
+    return await prisma.accessorialCharge.update({
+      where: { id },
+      data: {
+        status: 'APPROVED',
+        billableAmount: data.billableAmount != null ? parseFloat(data.billableAmount) : charge.billableAmount,
+        payableAmount: data.payableAmount != null ? parseFloat(data.payableAmount) : charge.payableAmount,
+        reviewedById: actor.id,
+        reviewedAt: new Date(),
+        notes: data.notes || charge.notes
+      }
+    });
+  }
+
+  /**
+   * Reject a requested charge
+   * @param {string} id - Charge ID
+   * @param {Object} actor - { id } (req.user)
+   * @param {string} reason - Rejection reason
+   * @returns {Promise<Object>} Updated charge
+   */
+  async rejectCharge(id, actor, reason) {
+    if (!reason || reason.trim().length === 0) {
+      throw new BadRequestError('Rejection reason is required');
+    }
+
+    await this.getPendingCharge(id);
+
+    return await prisma.accessorialCharge.update({
+      where: { id },
+      data: {
+        status: 'REJECTED',
+        rejectionReason: reason,
+        reviewedById: actor.id,
+        reviewedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async getPendingCharge(id) {
+    const charge = await prisma.accessorialCharge.findUnique({ where: { id } });
+
+    if (!charge) {
+      throw new NotFoundError('Accessorial charge not found');
+    }
+
+    if (charge.status !== 'REQUESTED') {
+      throw new BadRequestError(`Charge already ${charge.status.toLowerCase()}`);
+    }
+
+    return charge;
+  }
+
+  /**
+   * Approved charges not yet on a live invoice
+   * @param {string} loadId - Load ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Array>} Charges
+   */
+  async getBillableCharges(loadId, db = prisma) {
+    return await db.accessorialCharge.findMany({
+      where: {
+        loadId,
+        status: 'APPROVED',
+        billableAmount: { gt: 0 },
+        invoiceId: null
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Convert charges to invoice line items
+   * @param {Array} charges - Approved charges
+   * @param {Object} load - Load (for the line description)
+   * @returns {Array} Line items
+   */
+  toInvoiceLineItems(charges, load) {
+    return charges.map(charge => ({
+      description: `${charge.description} - Load ${load.loadNumber}`,
+      quantity: Number(charge.quantity),
+      unitPrice: charge.unitRate != null ? Number(charge.unitRate) : Number(charge.billableAmount),
+      amount: Number(charge.billableAmount)
+    }));
+  }
+
+  /**
+   * Link charges to the invoice that bills them. Only charges still
+   * unbilled are claimed, so a concurrent invoice can't bill them twice.
+   * @param {Array} charges - Charges
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @throws {ConflictError} When another invoice claimed a charge first
+   */
+  async markInvoiced(charges, invoiceId, db = prisma) {
+    if (charges.length === 0) return;
+
+    const { count } = await db.accessorialCharge.updateMany({
+      where: { id: { in: charges.map(c => c.id) }, invoiceId: null },
+      data: { invoiceId }
+    });
+
+    if (count !== charges.length) {
+      throw new ConflictError('Charges were invoiced by another request; reload and try again');
+    }
+  }
+
+  /**
+   * Free charges from a cancelled invoice so the next invoice picks them up
+   * @param {string} invoiceId - Invoice ID
+   * @param {Object} [db] - Prisma client or transaction client
+   */
+  async releaseFromInvoice(invoiceId, db = prisma) {
+    await db.accessorialCharge.updateMany({
+      where: { invoiceId },
+      data: { invoiceId: null }
+    });
+  }
+
+  /**
+   * Approved driver-payable charges not yet on any settlement. Charges on a
+   * disputed settlement stay there until the dispute is resolved.
+   * @param {Array<string>} loadIds - Load IDs
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Array>} Charges
+   */
+  async getPayableCharges(loadIds, db = prisma) {
+    return await db.accessorialCharge.findMany({
+      where: {
+        loadId: { in: loadIds },
+        status: 'APPROVED',
+        payableAmount: { gt: 0 },
+        settlementId: null
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Link charges to the settlement that pays them. Only charges still
+   * unsettled are claimed, so concurrent settlements can't both pay one.
+   * @param {Array} charges - Charges
+   * @param {string} settlementId - Settlement ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @throws {ConflictError} When another settlement claimed a charge first
+   */
+  async markSettled(charges, settlementId, db = prisma) {
+    if (charges.length === 0) return;
+
+    const { count } = await db.accessorialCharge.updateMany({
+      where: { id: { in: charges.map(c => c.id) }, settlementId: null },
+      data: { settlementId }
+    });
+
+    if (count !== charges.length) {
+      throw new ConflictError('Charges were settled by another request; reload and try again');
+    }
+  }
+}
+
+module.exports = new AccessorialService();
@@ -0,0 +1,329 @@
+// ==================== src/services/detention.service.js ====================
+const prisma = require('../config/database');
+const accessorialService = require('./accessorial.service');
+const notificationService = require('./notification.service');
+const { NotFoundError } = require('../utils/errors');
+const { IN_TRANSIT_LOAD_STATUSES, DETENTION_POLICY_DEFAULTS } = require('../utils/constants');
+
+const SYSTEM_ACTOR = { id: null, type: 'SYSTEM' };
+const MS_PER_MINUTE = 60 * 1000;
+
+class DetentionService {
+  /**
+   * Resolve the detention policy for a shipper client, falling back to defaults
+   * @param {string} shipperClientId - Shipper client ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} { freeTimeMinutes, hourlyRate, driverHourlyRate, billingIncrementMinutes, isDefault }
+   */
+  async getPolicy(shipperClientId, db = prisma) {
+    const policy = await db.detentionPolicy.findUnique({
+      where: { shipperClientId }
+    });
+
+    if (!policy || !policy.isActive) {
+      return { ...DETENTION_POLICY_DEFAULTS, isDefault: true };
+    }
+
+    return {
+      freeTimeMinutes: policy.freeTimeMinutes,
+      hourlyRate: Number(policy.hourlyRate),
+      driverHourlyRate: Number(policy.driverHourlyRate || 0),
+      billingIncrementMinutes: policy.billingIncrementMinutes || DETENTION_POLICY_DEFAULTS.billingIncrementMinutes,
+      isDefault: false
+    };
+  }
+
+  /**
+   * Create or update a shipper client's detention policy
+   * @param {string} shipperClientId - Shipper client ID
+   * @param {Object} data - { freeTimeMinutes, hourlyRate, driverHourlyRate, billingIncrementMinutes, isActive }
+   * @returns {Promise<Object>} Saved policy
+   */
+  async savePolicy(shipperClientId, data) {
+    const shipperClient = await prisma.shipperClient.findUnique({
+      where: { id: shipperClientId },
+      select: { id: true }
+    });
+
+    if (!shipperClient) {
+      throw new NotFoundError('Shipper client not found');
+    }
+
+    const fields = {
+      freeTimeMinutes: parseInt(data.freeTimeMinutes),
+      hourlyRate: parseFloat(data.hourlyRate),
+      driverHourlyRate: data.driverHourlyRate != null ? parseFloat(data.driverHourlyRate) : 0,
+      billingIncrementMinutes: data.billingIncrementMinutes != null
+        ? parseInt(data.billingIncrementMinutes)
+        : DETENTION_POLICY_DEFAULTS.billingIncrementMinutes,
+      isActive: data.isActive !== false
+    };
+
+    return await prisma.detentionPolicy.upsert({
+      where: { shipperClientId },
+      update: fields,
+      create: { shipperClientId, ...fields }
+    });
+  }
+
+  /**
+   * Arrival and departure times for each stop. Explicit stop events win;
+   * single-stop loads tracked only by status fall back to the AT_PICKUP/LOADED
+   * and AT_DELIVERY/DELIVERED status events.
+   * @param {Array} stops - Stops in sequence order
+   * @param {Array} events - loadStatusEvent rows in chronological order
+   * @returns {Array} [{ stop, arrivedAt, departedAt }]
+   */
+  resolveStopTimes(stops, events) {
+    const firstEventAt = status => {
+      const event = events.find(e => e.status === status && !e.stopId);
+      return event ? event.createdAt : null;
+    };
+
+    const firstPickup = stops.find(s => s.stopType === 'PICKUP');
+    const lastDelivery = stops.filter(s => s.stopType === 'DELIVERY').pop();
+
+    return stops.map(stop => {
+      let arrivedAt = stop.arrivedAt;
+      let departedAt = stop.departedAt;
+
+      if (stop === firstPickup) {
+        arrivedAt = arrivedAt || firstEventAt('AT_PICKUP');
+        departedAt = departedAt || firstEventAt('LOADED');
+      } else if (stop === lastDelivery) {
+        arrivedAt = arrivedAt || firstEventAt('AT_DELIVERY');
+        departedAt = departedAt || firstEventAt('DELIVERED');
+      }
+
+      return { stop, arrivedAt, departedAt };
+    });
+  }
+
+  /**
+   * Compute dwell and detention for one stop. The detention clock starts at
+   * the appointment for early arrivals and at arrival otherwise; arriving
+   * after the appointment window closes forfeits detention.
+   * @param {Object} stopTimes - { stop, arrivedAt, departedAt }
+   * @param {Object} policy - Detention policy
+   * @param {Date} [now] - Reference time for stops not yet departed
+   * @returns {Object|null} Detention breakdown, or null if the stop has not been reached
+   */
+  calculateStopDetention({ stop, arrivedAt, departedAt }, policy, now = new Date()) {
+    if (!arrivedAt) return null;
+
+    const arrival = new Date(arrivedAt);
+    const end = departedAt ? new Date(departedAt) : now;
+    const windowStart = stop.appointmentStart ? new Date(stop.appointmentStart) : null;
+    const windowEnd = stop.appointmentEnd ? new Date(stop.appointmentEnd) : windowStart;
+
+    const lateArrival = Boolean(windowEnd && arrival > windowEnd);
+    const clockStartedAt = windowStart && arrival < windowStart ? windowStart : arrival;
+    const detentionStartsAt = new Date(clockStartedAt.getTime() + policy.freeTimeMinutes * MS_PER_MINUTE);
+
+    const dwellMinutes = Math.max(0, Math.round((end - arrival) / MS_PER_MINUTE));
+    const detentionMinutes = lateArrival
+      ? 0
+      : Math.max(0, Math.round((end - detentionStartsAt) / MS_PER_MINUTE));
+
+    const increment = policy.billingIncrementMinutes;
+    const billableMinutes = Math.ceil(detentionMinutes / increment) * increment;
+    const billableHours = billableMinutes / 60;
+
+    return {
+      stopId: stop.id,
+      stopSequence: stop.stopSequence,
+      stopType: stop.stopType,
+      locationName: stop.locationName,
+      appointmentStart: stop.appointmentStart,
+      appointmentEnd: stop.appointmentEnd,
+      arrivedAt: arrival,
+      departedAt: departedAt ? new Date(departedAt) : null,
+      lateArrival,
+      clockStartedAt,
+      detentionStartsAt,
+      dwellMinutes,
+      detentionMinutes,
+      billableHours,
+      billableAmount: Math.round(billableHours * policy.hourlyRate * 100) / 100,
+      payableAmount: Math.round(billableHours * policy.driverHourlyRate * 100) / 100
+    };
+  }
+
+  /**
+   * Dwell and detention for every reached stop on a load
+   * @param {string} loadId - Load ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} { load, policy, stops }
+   */
+  async getLoadDetention(loadId, db = prisma) {
+    const load = await db.load.findUnique({
+      where: { id: loadId },
+      include: {
+        stops: { orderBy: { stopSequence: 'asc' } },
+        statusEvents: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+
+    if (!load) {
+      throw new NotFoundError('Load not found');
+    }
+
+    const policy = await this.getPolicy(load.shipperClientId, db);
+    const now = new Date();
+
+    const stops = this.resolveStopTimes(load.stops, load.statusEvents)
+      .map(times => ({ times, detention: this.calculateStopDetention(times, policy, now) }))
+      .filter(({ detention }) => detention)
+      .map(({ times, detention }) => ({
+        ...detention,
+        detentionAlertedAt: times.stop.detentionAlertedAt || null
+      }));
+
+    return { load, policy, stops };
+  }
+
+  /**
+   * After a departure, propose a DETENTION accessorial for the stop if it ran
+   * past free time. Billing approves it through the accessorial workflow.
+   * Safe to call repeatedly, even concurrently: a stop gets at most one
+   * proposed detention charge.
+   * @param {string} loadId - Load ID
+   * @param {string} stopId - Departed stop ID
+   * @returns {Promise<Object|null>} Proposed charge, if any
+   */
+  async proposeDetentionCharge(loadId, stopId) {
+    const { policy, stops } = await this.getLoadDetention(loadId);
+    const detention = stops.find(s => s.stopId === stopId);
+
+    if (!detention || !detention.departedAt || detention.billableHours === 0) {
+      return null;
+    }
+
+    // The stop is claimed and the charge created together. The claim only
+    // lands once, so a geofence departure racing the driver's status update
+    // can't both propose detention for the same stop
+    return await prisma.$transaction(async (tx) => {
+      const { count } = await tx.loadStop.updateMany({
+        where: { id: stopId, detentionProposedAt: null },
+        data: { detentionProposedAt: new Date() }
+      });
+
+      if (count === 0) return null;
+
+      // Billing may already have added the charge by hand
+      const existing = await tx.accessorialCharge.findFirst({
+        where: {
+          loadId,
+          stopId,
+          type: 'DETENTION',
+          status: { not: 'REJECTED' }
+        }
+      });
+
+      if (existing) return null;
+
+      return await accessorialService.requestCharge(loadId, SYSTEM_ACTOR, {
+        type: 'DETENTION',
+        stopId,
+        description: `Detention - stop ${detention.stopSequence} (${detention.locationName})`,
+        quantity: detention.billableHours,
+        unitRate: policy.hourlyRate,
+        payableAmount: detention.payableAmount,
+        notes: `Dwell ${detention.dwellMinutes} min, free time ${policy.freeTimeMinutes} min, ` +
+          `detention ${detention.detentionMinutes} min`
+      }, { db: tx });
+    });
+  }
+
+  /**
+   * Resolve which stop a status update departed from
+   * @param {string} loadId - Load ID
+   * @param {Object} update - { status, stopId, stopEvent }
+   * @returns {Promise<string|null>} Stop ID
+   */
+  async getDepartedStopId(loadId, { status, stopId, stopEvent }) {
+    if (stopId) {
+      return stopEvent === 'DEPARTED' ? stopId : null;
+    }
+
+    if (status !== 'LOADED' && status !== 'DELIVERED') {
+      return null;
+    }
+
+    const stops = await prisma.loadStop.findMany({
+      where: { loadId },
+      orderBy: { stopSequence: 'asc' }
+    });
+
+    const stop = status === 'LOADED'
+      ? stops.find(s => s.stopType === 'PICKUP')
+      : stops.filter(s => s.stopType === 'DELIVERY').pop();
+
+    return stop ? stop.id : null;
+  }
+
+  /**
+   * Propose detention when a status update closes out a stop. Never throws,
+   * so a detention problem cannot fail the driver's status update.
+   * @param {string} loadId - Load ID
+   * @param {Object} update - { status, stopId, stopEvent }
+   * @returns {Promise<Object|null>} Proposed charge, if any
+   */
+  async assessStatusUpdate(loadId, update) {
+    try {
+      const stopId = await this.getDepartedStopId(loadId, update);
+      return stopId ? await this.proposeDetentionCharge(loadId, stopId) : null;
+    } catch (error) {
+      console.error('Failed to assess detention:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Alert dispatchers about stops that have just run past free time.
+   * Each stop is alerted once.
+   * @returns {Promise<number>} Number of stops that entered detention
+   */
+  async checkActiveDetention() {
+    const loads = await prisma.load.findMany({
+      where: {
+        deletedAt: null,
+        status: { in: IN_TRANSIT_LOAD_STATUSES },
+        OR: [
+          { status: { in: ['AT_PICKUP', 'AT_DELIVERY'] } },
+          { stops: { some: { arrivedAt: { not: null }, departedAt: null } } }
+        ]
+      },
+      select: { id: true }
+    });
+
+    let alerted = 0;
+
+    for (const { id } of loads) {
+      try {
+        const { load, stops } = await this.getLoadDetention(id);
+
+        const started = stops.filter(s => !s.departedAt
+          && !s.lateArrival
+          && !s.detentionAlertedAt
+          && s.detentionMinutes > 0);
+
+        for (const detention of started) {
+          await prisma.loadStop.update({
+            where: { id: detention.stopId },
+            data: { detentionAlertedAt: new Date() }
+          });
+
+          await notificationService.notifyDetentionStarted(load, detention);
+          alerted++;
+        }
+      } catch (error) {
+        console.error(`Failed to check detention for load ${id}:`, error);
+      }
+    }
+
+    return alerted;
+  }
+}
+
+module.exports = new DetentionService();
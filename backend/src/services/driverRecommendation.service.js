@@ -0,0 +1,430 @@
+// ==================== src/services/driverRecommendation.service.js ====================
+const prisma = require('../config/database');
+const scheduleService = require('./schedule.service');
+const { NotFoundError } = require('../utils/errors');
+const {
+  COMMITTED_LOAD_STATUSES,
+  DELIVERED_LOAD_STATUSES,
+  NOT_PENDING_REQUEST,
+  DRIVER_RECOMMENDATION_WEIGHTS
+} = require('../utils/constants');
+const { distanceMiles, isCoordinate } = require('../utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const LOAD_SCHEDULE_SELECT = {
+  id: true,
+  loadNumber: true,
+  status: true,
+  origin: true,
+  destination: true,
+  pickupDate: true,
+  deliveryDate: true,
+  actualDeliveryTime: true,
+  stops: {
+    select: { stopSequence: true, stopType: true, state: true, appointmentStart: true, appointmentEnd: true },
+    orderBy: { stopSequence: 'asc' }
+  },
+  geoLocations: {
+    orderBy: { stopSequence: 'asc' }
+  }
+};
+
+// Points for a component, rounded to one decimal
+const points = (max, fraction) => Math.round(max * Math.min(Math.max(fraction, 0), 1) * 10) / 10;
+
+const formatDate = date => date.toISOString().split('T')[0];
+
+class DriverRecommendationService {
+  constructor() {
+    this.maxDeadheadMiles = parseFloat(process.env.DRIVER_RECOMMENDATION_MAX_DEADHEAD_MILES) || 500;
+    this.comfortableGapHours = parseFloat(process.env.DRIVER_RECOMMENDATION_GAP_HOURS) || 24;
+    this.historyDays = parseInt(process.env.DRIVER_RECOMMENDATION_HISTORY_DAYS) || 365;
+    this.familiarLaneLoads = 5;
+    this.documentWarningDays = 30;
+  }
+
+  /**
+   * Coordinates of a load's first or last stop
+   * @param {Object} load - Load with ordered geoLocations
+   * @param {string} which - 'first' or 'last'
+   * @returns {Object|null} { lat, lng }
+   */
+  stopPoint(load, which) {
+    const locations = load.geoLocations || [];
+    const location = which === 'first' ? locations[0] : locations[locations.length - 1];
+
+    if (!location || !isCoordinate(location.latitude, location.longitude)) return null;
+
+    return { lat: parseFloat(location.latitude), lng: parseFloat(location.longitude) };
+  }
+
+  /**
+   * Origin/destination key used to compare lanes (stop states, else the
+   * load's origin and destination text)
+   * @param {Object} load - Load with ordered stops
+   * @returns {string}
+   */
+  laneKey(load) {
+    const stops = load.stops || [];
+    const from = stops.length ? stops[0].state : null;
+    const to = stops.length ? stops[stops.length - 1].state : null;
+
+    return from && to
+      ? `${from} -> ${to}`.toUpperCase()
+      : `${load.origin} -> ${load.destination}`.toUpperCase();
+  }
+
+  /**
+   * Rank active, available drivers for a load. Each driver gets a 0-100
+   * score built from the components in DRIVER_RECOMMENDATION_WEIGHTS, with
+   * an explanation per component. Drivers who can't take the load (no truck,
+   * wrong equipment, expired documents, overlapping load or time off) are listed after
+   * the others with the blockers spelled out.
+   * @param {string} loadId - Load ID
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Number of drivers to return
+   * @returns {Promise<Object>} { load, weights, drivers }
+   * @throws {NotFoundError}
+   */
+  async recommend(loadId, options = {}) {
+    const limit = parseInt(options.limit) || 10;
+
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      select: { ...LOAD_SCHEDULE_SELECT, equipmentType: true, deletedAt: true }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    const drivers = await prisma.driver.findMany({
+      where: { isActive: true, isAvailable: true, deletedAt: null },
+      include: {
+        vehicleAssignments: {
+          where: { isCurrentlyAssigned: true },
+          include: {
+            vehicle: {
+              select: { id: true, unitNumber: true, equipmentType: true }
+            }
+          }
+        }
+      }
+    });
+
+    const driverIds = drivers.map(d => d.id);
+    const assignedTo = {
+      some: { driverId: { in: driverIds }, rejectedAt: null, releasedAt: null, ...NOT_PENDING_REQUEST }
+    };
+    const driverAssignments = {
+      where: { driverId: { in: driverIds }, rejectedAt: null, releasedAt: null, ...NOT_PENDING_REQUEST },
+      select: { driverId: true, estimatedPickup: true, estimatedDelivery: true }
+    };
+
+    const target = {
+      ...load,
+      ...scheduleService.loadWindow(load),
+      pickupPoint: this.stopPoint(load, 'first'),
+      lane: this.laneKey(load)
+    };
+
+    const [history, committed, timeOff] = await Promise.all([
+      prisma.load.findMany({
+        where: {
+          id: { not: loadId },
+          deletedAt: null,
+          status: { in: DELIVERED_LOAD_STATUSES },
+          deliveryDate: { gte: new Date(Date.now() - this.historyDays * DAY_MS) },
+          assignments: assignedTo
+        },
+        select: { ...LOAD_SCHEDULE_SELECT, assignments: driverAssignments }
+      }),
+      prisma.load.findMany({
+        where: {
+          id: { not: loadId },
+          deletedAt: null,
+          status: { in: COMMITTED_LOAD_STATUSES },
+          assignments: assignedTo
+        },
+        select: { ...LOAD_SCHEDULE_SELECT, assignments: driverAssignments }
+      }),
+      scheduleService.getTimeOff(driverIds, { from: target.pickupAt, to: target.deliveryAt })
+    ]);
+
+    // Each load with the window it holds this driver for
+    const byDriver = (loads, driverId) => loads
+      .map(l => ({ load: l, assignment: l.assignments.find(a => a.driverId === driverId) }))
+      .filter(({ assignment }) => assignment)
+      .map(({ load: l, assignment }) => ({ ...l, ...scheduleService.assignmentWindow(assignment, l) }));
+
+    const scored = drivers.map(driver => this.scoreDriver(
+      driver,
+      target,
+      byDriver(history, driver.id),
+      byDriver(committed, driver.id),
+      timeOff.filter(t => t.driverId === driver.id)
+    ));
+
+    scored.sort((a, b) => (b.eligible - a.eligible) || (b.score - a.score));
+
+    return {
+      load: {
+        id: load.id,
+        loadNumber: load.loadNumber,
+        equipmentType: load.equipmentType,
+        pickupAt: target.pickupAt,
+        deliveryAt: target.deliveryAt,
+        lane: target.lane
+      },
+      weights: DRIVER_RECOMMENDATION_WEIGHTS,
+      drivers: scored.slice(0, limit)
+    };
+  }
+
+  /**
+   * Score one driver against a load
+   * @param {Object} driver - Driver with current vehicleAssignments
+   * @param {Object} target - Load with pickupAt, deliveryAt, pickupPoint, lane
+   * @param {Array} history - Driver's delivered loads
+   * @param {Array} committed - Driver's assigned/in-progress loads
+   * @param {Array} timeOff - Driver's approved time off during the load
+   * @returns {Object} { driver, vehicle, score, eligible, blockers, components }
+   */
+  scoreDriver(driver, target, history, committed, timeOff) {
+    const blockers = [];
+    const vehicle = driver.vehicleAssignments[0] ? driver.vehicleAssignments[0].vehicle : null;
+
+    const components = {
+      equipment: this.scoreEquipment(vehicle, target, blockers),
+      deadhead: this.scoreDeadhead(driver, target, history, committed),
+      availability: this.scoreAvailability(target, committed, timeOff, blockers),
+      documents: this.scoreDocuments(driver, target, blockers),
+      onTime: this.scoreOnTime(history),
+      lane: this.scoreLane(target, history)
+    };
+
+    const score = Object.values(components).reduce((sum, c) => sum + c.score, 0);
+
+    return {
+      driver: {
+        id: driver.id,
+        firstName: driver.firstName,
+        lastName: driver.lastName,
+        phone: driver.phone,
+        driverType: driver.driverType
+      },
+      vehicle,
+      score: Math.round(score * 10) / 10,
+      eligible: blockers.length === 0,
+      blockers,
+      components
+    };
+  }
+
+  /**
+   * Current truck against the load's equipment type
+   * @param {Object|null} vehicle - Driver's current vehicle
+   * @param {Object} target - Load being matched
+   * @param {Array} blockers - Collects reasons the driver can't take the load
+   * @returns {Object} { score, maxScore, detail }
+   */
+  scoreEquipment(vehicle, target, blockers) {
+    const maxScore = DRIVER_RECOMMENDATION_WEIGHTS.equipment;
+
+    if (!vehicle) {
+      blockers.push('No truck assigned');
+      return { score: 0, maxScore, detail: 'No truck assigned' };
+    }
+
+    if (!target.equipmentType) {
+      return { score: maxScore, maxScore, detail: 'Load has no equipment requirement' };
+    }
+
+    if (vehicle.equipmentType !== target.equipmentType) {
+      const detail = `Truck ${vehicle.unitNumber} is ${vehicle.equipmentType}, load needs ${target.equipmentType}`;
+      blockers.push(detail);
+      return { score: 0, maxScore, detail };
+    }
+
+    return { score: maxScore, maxScore, detail: `Truck ${vehicle.unitNumber} is ${vehicle.equipmentType}` };
+  }
+
+  /**
+   * Empty miles from where the driver will be to the pickup
+   * @param {Object} driver - Driver (home base columns)
+   * @param {Object} target - Load being matched
+   * @param {Array} history - Driver's delivered loads
+   * @param {Array} committed - Driver's assigned/in-progress loads
+   * @returns {Object} { score, maxScore, detail, miles }
+   */
+  scoreDeadhead(driver, target, history, committed) {
+    const maxScore = DRIVER_RECOMMENDATION_WEIGHTS.deadhead;
+
+    if (!target.pickupPoint) {
+      return { score: maxScore / 2, maxScore, detail: 'Pickup is not geocoded' };
+    }
+
+    // Where the driver will be: the drop of their latest load finishing
+    // before this pickup, otherwise their home base
+    const previous = [
+      ...history.map(l => ({ load: l, at: l.actualDeliveryTime ? new Date(l.actualDeliveryTime) : l.end })),
+      ...committed.map(l => ({ load: l, at: l.end }))
+    ]
+      .filter(p => p.at <= target.pickupAt && this.stopPoint(p.load, 'last'))
+      .sort((a, b) => b.at - a.at)[0];
+
+    let from = null;
+    let source = null;
+    if (previous) {
+      from = this.stopPoint(previous.load, 'last');
+      source = `last delivery (${previous.load.loadNumber})`;
+    } else if (isCoordinate(driver.homeBaseLat, driver.homeBaseLng)) {
+      from = { lat: parseFloat(driver.homeBaseLat), lng: parseFloat(driver.homeBaseLng) };
+      source = 'home base';
+    }
+
+    if (!from) {
+      return { score: maxScore / 2, maxScore, detail: 'Driver location unknown' };
+    }
+
+    const miles = Math.round(distanceMiles(from, target.pickupPoint));
+
+    return {
+      score: points(maxScore, 1 - miles / this.maxDeadheadMiles),
+      maxScore,
+      detail: `${miles} mi deadhead from ${source}`,
+      miles
+    };
+  }
+
+  /**
+   * Slack between this delivery and the driver's next commitment
+   * @param {Object} target - Load being matched
+   * @param {Array} committed - Driver's assigned/in-progress loads
+   * @param {Array} timeOff - Driver's approved time off during the load
+   * @param {Array} blockers - Collects reasons the driver can't take the load
+   * @returns {Object} { score, maxScore, detail, hoursToNext }
+   */
+  scoreAvailability(target, committed, timeOff, blockers) {
+    const maxScore = DRIVER_RECOMMENDATION_WEIGHTS.availability;
+    const window = { start: target.pickupAt, end: target.deliveryAt };
+
+    if (timeOff.length > 0) {
+      const detail = `Approved ${timeOff[0].kind === 'HOME_TIME' ? 'home time' : 'time off'} until ${timeOff[0].end.toISOString()}`;
+      blockers.push(detail);
+      return { score: 0, maxScore, detail, hoursToNext: null };
+    }
+
+    const overlap = committed.find(l => scheduleService.overlaps(l, window));
+    if (overlap) {
+      blockers.push(`Overlaps load ${overlap.loadNumber}`);
+      return { score: 0, maxScore, detail: `Overlaps load ${overlap.loadNumber}` };
+    }
+
+    const next = committed
+      .filter(l => l.start >= target.deliveryAt)
+      .sort((a, b) => a.start - b.start)[0];
+
+    if (!next) {
+      return { score: maxScore, maxScore, detail: 'No later commitments', hoursToNext: null };
+    }
+
+    const hoursToNext = Math.round((next.start - target.deliveryAt) / HOUR_MS * 10) / 10;
+
+    return {
+      score: points(maxScore, hoursToNext / this.comfortableGapHours),
+      maxScore,
+      detail: `${hoursToNext} h between this delivery and load ${next.loadNumber}`,
+      hoursToNext
+    };
+  }
+
+  /**
+   * CDL and medical certificate valid through delivery
+   * @param {Object} driver - Driver
+   * @param {Object} target - Load being matched
+   * @param {Array} blockers - Collects reasons the driver can't take the load
+   * @returns {Object} { score, maxScore, detail }
+   */
+  scoreDocuments(driver, target, blockers) {
+    const maxScore = DRIVER_RECOMMENDATION_WEIGHTS.documents;
+    const documents = [
+      { label: 'CDL', expiresAt: driver.licenseExpiry },
+      { label: 'Medical certificate', expiresAt: driver.medicalCertExpiry }
+    ];
+    const warnBefore = new Date(target.deliveryAt.getTime() + this.documentWarningDays * DAY_MS);
+
+    const notes = [];
+    let fraction = 1;
+
+    for (const { label, expiresAt } of documents) {
+      if (!expiresAt) {
+        notes.push(`${label} expiry not on file`);
+        fraction = Math.min(fraction, 0);
+      } else if (new Date(expiresAt) < target.deliveryAt) {
+        notes.push(`${label} expires ${formatDate(new Date(expiresAt))}, before delivery`);
+        blockers.push(`${label} expires before delivery`);
+        fraction = 0;
+      } else if (new Date(expiresAt) < warnBefore) {
+        notes.push(`${label} expires ${formatDate(new Date(expiresAt))}`);
+        fraction = Math.min(fraction, 0.5);
+      }
+    }
+
+    return {
+      score: points(maxScore, fraction),
+      maxScore,
+      detail: notes.length ? notes.join('; ') : 'CDL and medical certificate valid'
+    };
+  }
+
+  /**
+   * Historical on-time delivery rate
+   * @param {Array} history - Driver's delivered loads
+   * @returns {Object} { score, maxScore, detail, onTimePercentage }
+   */
+  scoreOnTime(history) {
+    const maxScore = DRIVER_RECOMMENDATION_WEIGHTS.onTime;
+
+    // Same rule as the driver metrics: completed on or before the delivery date
+    const delivered = history.filter(l => l.status === 'COMPLETED' && l.actualDeliveryTime);
+
+    if (delivered.length === 0) {
+      return { score: maxScore / 2, maxScore, detail: 'No completed deliveries yet', onTimePercentage: null };
+    }
+
+    const onTime = delivered.filter(l => l.actualDeliveryTime <= l.deliveryDate).length;
+    const onTimePercentage = Math.round((onTime / delivered.length) * 1000) / 10;
+
+    return {
+      score: points(maxScore, onTime / delivered.length),
+      maxScore,
+      detail: `${onTimePercentage}% on time over ${delivered.length} completed loads`,
+      onTimePercentage
+    };
+  }
+
+  /**
+   * Loads the driver has run on the same lane
+   * @param {Object} target - Load being matched
+   * @param {Array} history - Driver's delivered loads
+   * @returns {Object} { score, maxScore, detail, laneLoads }
+   */
+  scoreLane(target, history) {
+    const maxScore = DRIVER_RECOMMENDATION_WEIGHTS.lane;
+    const laneLoads = history.filter(l => this.laneKey(l) === target.lane).length;
+
+    return {
+      score: points(maxScore, laneLoads / this.familiarLaneLoads),
+      maxScore,
+      detail: laneLoads > 0
+        ? `${laneLoads} loads on ${target.lane} in the last ${this.historyDays} days`
+        : `No loads on ${target.lane} in the last ${this.historyDays} days`,
+      laneLoads
+    };
+  }
+}
+
+module.exports = new DriverRecommendationService();
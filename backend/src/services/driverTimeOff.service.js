@@ -0,0 +1,392 @@
+// ==================== src/services/driverTimeOff.service.js ====================
+const prisma = require('../config/database');
+const scheduleService = require('./schedule.service');
+const notificationService = require('./notification.service');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const DRIVER_SELECT = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+    phone: true
+  }
+};
+
+class DriverTimeOffService {
+  /**
+   * Submit a time-off or home-time request for a date range. It blocks the
+   * driver's schedule once a dispatcher approves it.
+   * @param {string} driverId - Driver ID
+   * @param {Object} actor - The driver, or a dispatcher entering it for them (req.user)
+   * @param {Object} data - { type, startAt, endAt, reason }
+   * @returns {Promise<Object>} Created request
+   * @throws {NotFoundError|BadRequestError|ConflictError}
+   */
+  async requestTimeOff(driverId, actor, data) {
+    const startAt = new Date(data.startAt);
+    const endAt = new Date(data.endAt);
+
+    if (endAt <= startAt) {
+      throw new BadRequestError('Time off must end after it starts');
+    }
+
+    if (endAt <= new Date()) {
+      throw new BadRequestError('Time off must end in the future');
+    }
+
+    const driver = await prisma.driver.findUnique({ where: { id: driverId } });
+
+    if (!driver || driver.deletedAt) {
+      throw new NotFoundError('Driver not found');
+    }
+
+    const existing = await scheduleService.getTimeOff([driverId], {
+      from: startAt,
+      to: endAt,
+      statuses: ['PENDING', 'APPROVED']
+    });
+
+    if (existing.length > 0) {
+      throw new ConflictError('Overlaps another time-off request', { conflicts: existing });
+    }
+
+    const timeOff = await prisma.driverTimeOff.create({
+      data: {
+        driverId,
+        type: data.type,
+        startAt,
+        endAt,
+        reason: data.reason || null,
+        status: 'PENDING',
+        requestedById: actor.id,
+        requestedByType: actor.type
+      },
+      include: { driver: DRIVER_SELECT }
+    });
+
+    try {
+      await notificationService.notifyTimeOffRequested(timeOff, timeOff.driver);
+    } catch (error) {
+      console.error('Failed to send time-off request notification:', error);
+    }
+
+    return timeOff;
+  }
+
+  /**
+   * A driver's time-off requests, newest first
+   * @param {string} driverId - Driver ID
+   * @param {Object} [options]
+   * @param {string} [options.status] - PENDING, APPROVED, DENIED or CANCELLED
+   * @param {boolean} [options.upcoming] - Only requests that haven't ended
+   * @returns {Promise<Array>}
+   */
+  async getDriverTimeOff(driverId, options = {}) {
+    const { status, upcoming } = options;
+
+    return await prisma.driverTimeOff.findMany({
+      where: {
+        driverId,
+        ...(status && { status }),
+        ...(upcoming && { endAt: { gt: new Date() } })
+      },
+      orderBy: { startAt: 'desc' }
+    });
+  }
+
+  /**
+   * Time-off requests across drivers (the dispatcher approval queue is PENDING)
+   * @param {Object} [options]
+   * @param {string} [options.status] - Defaults to PENDING
+   * @param {number} [options.page]
+   * @param {number} [options.limit]
+   * @returns {Promise<Object>} { requests, total }
+   */
+  async getRequests(options = {}) {
+    const { status = 'PENDING', page = 1, limit = 20 } = options;
+    const where = { status };
+
+    const [requests, total] = await Promise.all([
+      prisma.driverTimeOff.findMany({
+        where,
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        include: { driver: DRIVER_SELECT },
+        orderBy: { startAt: 'asc' }
+      }),
+      prisma.driverTimeOff.count({ where })
+    ]);
+
+    return { requests, total };
+  }
+
+  /**
+   * Get a time-off request
+   * @param {string} id - DriverTimeOff ID
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError}
+   */
+  async getTimeOff(id) {
+    const timeOff = await prisma.driverTimeOff.findUnique({
+      where: { id },
+      include: { driver: DRIVER_SELECT }
+    });
+
+    if (!timeOff) {
+      throw new NotFoundError('Time-off request not found');
+    }
+
+    return timeOff;
+  }
+
+  /**
+   * Approve a request. Loads already booked inside the window have to be
+   * reassigned first. A window that has already started takes effect now.
+   * @param {string} id - DriverTimeOff ID
+   * @param {Object} actor - Dispatcher (req.user)
+   * @param {string} [notes] - Shown to the driver
+   * @returns {Promise<Object>} Approved request
+   * @throws {NotFoundError|BadRequestError|ConflictError}
+   */
+  async approve(id, actor, notes) {
+    const timeOff = await this.getTimeOff(id);
+
+    if (timeOff.status !== 'PENDING') {
+      throw new BadRequestError('Time-off request already reviewed');
+    }
+
+    const approved = await prisma.$transaction(async (tx) => {
+      await scheduleService.lockDriver(timeOff.driverId, tx);
+
+      const conflicts = await scheduleService.getCommitments(
+        { driverId: timeOff.driverId },
+        { from: timeOff.startAt, to: timeOff.endAt, db: tx }
+      );
+
+      if (conflicts.length > 0) {
+        const loadNumbers = conflicts.map(c => c.loadNumber).join(', ');
+        throw new ConflictError(`Driver is booked on load ${loadNumbers} during this time off`, { conflicts });
+      }
+
+      const now = new Date();
+      const started = timeOff.startAt <= now;
+
+      const approved = await tx.driverTimeOff.update({
+        where: { id },
+        data: {
+          status: 'APPROVED',
+          reviewedById: actor.id,
+          reviewedAt: now,
+          reviewNotes: notes || null,
+          ...(started && { appliedAt: now })
+        }
+      });
+
+      if (started) {
+        await tx.driver.update({
+          where: { id: timeOff.driverId },
+          data: { isAvailable: false }
+        });
+      }
+
+      return approved;
+    });
+
+    await this.notifyReviewed(approved);
+
+    return approved;
+  }
+
+  /**
+   * Deny a request
+   * @param {string} id - DriverTimeOff ID
+   * @param {Object} actor - Dispatcher (req.user)
+   * @param {string} notes - Reason shown to the driver
+   * @returns {Promise<Object>} Denied request
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async deny(id, actor, notes) {
+    const timeOff = await this.getTimeOff(id);
+
+    if (timeOff.status !== 'PENDING') {
+      throw new BadRequestError('Time-off request already reviewed');
+    }
+
+    const denied = await prisma.driverTimeOff.update({
+      where: { id },
+      data: {
+        status: 'DENIED',
+        reviewedById: actor.id,
+        reviewedAt: new Date(),
+        reviewNotes: notes
+      }
+    });
+
+    await this.notifyReviewed(denied);
+
+    return denied;
+  }
+
+  /**
+   * Withdraw a request that hasn't ended. Cancelling time off the driver is
+   * already on puts them back on the board.
+   * @param {string} id - DriverTimeOff ID
+   * @param {Object} actor - The driver or a dispatcher (req.user)
+   * @returns {Promise<Object>} Cancelled request
+   * @throws {NotFoundError|ForbiddenError|BadRequestError}
+   */
+  async cancel(id, actor) {
+    const timeOff = await this.getTimeOff(id);
+
+    if (actor.type === 'DRIVER' && timeOff.driverId !== actor.id) {
+      throw new ForbiddenError('Not your time-off request');
+    }
+
+    if (!['PENDING', 'APPROVED'].includes(timeOff.status) || timeOff.endedAt) {
+      throw new BadRequestError('Only pending or upcoming time off can be cancelled');
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const now = new Date();
+
+      const cancelled = await tx.driverTimeOff.update({
+        where: { id },
+        data: { status: 'CANCELLED', endedAt: timeOff.appliedAt ? now : null }
+      });
+
+      if (timeOff.appliedAt) {
+        await this.restoreAvailability(timeOff.driverId, now, tx);
+      }
+
+      return cancelled;
+    });
+  }
+
+  /**
+   * Mark a driver available again unless another approved window is running
+   * @param {string} driverId - Driver ID
+   * @param {Date} now - Current time
+   * @param {Object} db - Prisma client or transaction client
+   * @returns {Promise<boolean>} Whether the driver was made available
+   */
+  async restoreAvailability(driverId, now, db) {
+    const stillOff = await db.driverTimeOff.findFirst({
+      where: {
+        driverId,
+        status: 'APPROVED',
+        startAt: { lte: now },
+        endAt: { gt: now }
+      }
+    });
+
+    if (stillOff) return false;
+
+    await db.driver.update({
+      where: { id: driverId },
+      data: { isAvailable: true }
+    });
+
+    return true;
+  }
+
+  /**
+   * Flip isAvailable at the edges of approved windows (background job).
+   * Windows that start take drivers off the board; windows that end put
+   * them back. A window that opened and closed between runs is only
+   * marked ended.
+   * @returns {Promise<Object>} { started, ended }
+   */
+  async applyWindows() {
+    const now = new Date();
+
+    const starting = await prisma.driverTimeOff.findMany({
+      where: {
+        status: 'APPROVED',
+        appliedAt: null,
+        startAt: { lte: now },
+        endAt: { gt: now }
+      }
+    });
+
+    let started = 0;
+    for (const timeOff of starting) {
+      try {
+        await prisma.$transaction([
+          prisma.driverTimeOff.update({
+            where: { id: timeOff.id },
+            data: { appliedAt: now }
+          }),
+          prisma.driver.update({
+            where: { id: timeOff.driverId },
+            data: { isAvailable: false }
+          })
+        ]);
+        started++;
+      } catch (error) {
+        console.error(`Failed to start time off ${timeOff.id}:`, error);
+      }
+    }
+
+    const ending = await prisma.driverTimeOff.findMany({
+      where: {
+        status: 'APPROVED',
+        endedAt: null,
+        endAt: { lte: now }
+      }
+    });
+
+    let ended = 0;
+    for (const timeOff of ending) {
+      try {
+        await prisma.$transaction(async (tx) => {
+          await tx.driverTimeOff.update({
+            where: { id: timeOff.id },
+            data: { endedAt: now }
+          });
+
+          if (timeOff.appliedAt) {
+            await this.restoreAvailability(timeOff.driverId, now, tx);
+          }
+        });
+        ended++;
+      } catch (error) {
+        console.error(`Failed to end time off ${timeOff.id}:`, error);
+      }
+    }
+
+    return { started, ended };
+  }
+
+  /**
+   * Approved time off running right now for a driver
+   * @param {string} driverId - Driver ID
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveTimeOff(driverId) {
+    const now = new Date();
+
+    return await prisma.driverTimeOff.findFirst({
+      where: {
+        driverId,
+        status: 'APPROVED',
+        startAt: { lte: now },
+        endAt: { gt: now }
+      }
+    });
+  }
+
+  /**
+   * Tell the driver how dispatch answered. Never throws.
+   * @param {Object} timeOff - Reviewed request
+   */
+  async notifyReviewed(timeOff) {
+    try {
+      await notificationService.notifyTimeOffReviewed(timeOff);
+    } catch (error) {
+      console.error('Failed to send time-off review notification:', error);
+    }
+  }
+}
+
+module.exports = new DriverTimeOffService();
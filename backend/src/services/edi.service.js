@@ -0,0 +1,1195 @@
+// ==================== src/services/edi.service.js ====================
+const fs = require('fs').promises;
+const path = require('path');
+const prisma = require('../config/database');
+const loadService = require('./loads.service');
+const loadStateMachine = require('./loadStateMachine.service');
+const notificationService = require('./notification.service');
+const numberingService = require('./numbering.service');
+const { parseInterchange, buildInterchange, parseDateTime, formatDate, formatTime, formatCoordinate } = require('../utils/x12');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { updateVersioned } = require('../utils/concurrency');
+
+// Tenders arrive with no user behind them: loads are created and cancelled
+// as the EDI system actor, which the state machine lets cancel like a shipper
+const EDI_ACTOR = { id: null, type: 'SYSTEM', source: 'EDI' };
+
+// ISA13 is nine digits; outbound control numbers wrap after the last one
+const MAX_CONTROL_NUMBER = 999999999;
+
+// Files younger than this may still be uploading into the drop directory
+const DROP_FILE_MIN_AGE_MS = 30000;
+
+// Outbound delivery: retries back off 1, 2, 4, 8 minutes before giving up
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 60000;
+
+// How long a delivered file is watched for partner pickup
+const PICKUP_TRACKING_DAYS = 7;
+
+// S5-02 stop reason codes
+const PICKUP_REASONS = ['CL', 'LD', 'PL'];
+const DELIVERY_REASONS = ['CU', 'UL', 'PU'];
+
+// N7-11 equipment description codes
+const EQUIPMENT_CODES = {
+  TF: 'DRY_VAN',
+  TV: 'DRY_VAN',
+  TL: 'DRY_VAN',
+  RT: 'REEFER',
+  CN: 'REEFER',
+  FT: 'FLATBED',
+  FR: 'FLATBED',
+  SD: 'STEP_DECK',
+  DD: 'LOWBOY',
+  LO: 'LOWBOY'
+};
+
+// L11-02 reference qualifiers we label; anything else keeps its code
+const REFERENCE_TYPES = {
+  BM: 'BOL',
+  PO: 'PO',
+  CR: 'CUSTOMER_REF',
+  SI: 'SHIPPER_REF',
+  DO: 'DELIVERY_ORDER',
+  AO: 'APPOINTMENT',
+  CO: 'ORDER'
+};
+
+// AT7-01 shipment status codes sent in 214s. Stop arrivals/departures are
+// more specific than the load status, so they win when an event has both.
+const STATUS_CODES = {
+  EN_ROUTE_PICKUP: 'P1',
+  AT_PICKUP: 'X3',
+  LOADED: 'CP',
+  EN_ROUTE_DELIVERY: 'AF',
+  AT_DELIVERY: 'X1',
+  DELIVERED: 'D1'
+};
+
+const STOP_EVENT_CODES = {
+  PICKUP: { ARRIVED: 'X3', DEPARTED: 'AF' },
+  DELIVERY: { ARRIVED: 'X1', DEPARTED: 'CD' }
+};
+
+// B2A-01 transaction set purposes
+const TENDER_PURPOSES = {
+  ORIGINAL: '00',
+  CANCELLATION: '01',
+  CHANGE: '04',
+  REPLACE: '05'
+};
+
+const KG_TO_LBS = 2.20462;
+
+class EdiService {
+  constructor() {
+    this.inboundDir = process.env.EDI_INBOUND_DIR || './edi/inbound';
+    this.outboundDir = process.env.EDI_OUTBOUND_DIR || './edi/outbound';
+    this.sender = {
+      qualifier: process.env.EDI_ISA_QUALIFIER || 'ZZ',
+      id: process.env.EDI_ISA_ID || 'TMS'
+    };
+    this.scac = process.env.EDI_SCAC || '';
+    this.testMode = process.env.EDI_TEST_MODE === 'true';
+    this.isPolling = false;
+    this.isDelivering = false;
+  }
+
+  /**
+   * Convert an X12 weight to pounds
+   * @param {string} value - Weight
+   * @param {string} [qualifier] - 'L' pounds or 'K' kilograms
+   * @returns {number|null}
+   */
+  toPounds(value, qualifier) {
+    const weight = parseFloat(value);
+    if (!(weight > 0)) return null;
+    return Math.round(qualifier === 'K' ? weight * KG_TO_LBS : weight);
+  }
+
+  /**
+   * Read an X12 charge amount. Charges are N2 (implied two decimals, so
+   * 150000 is 1500.00); a value with an explicit decimal point is read as is.
+   * @param {string} value - Charge
+   * @returns {number|null}
+   */
+  toAmount(value) {
+    if (!/^\d+(\.\d+)?$/.test(value || '')) return null;
+    const amount = value.includes('.') ? parseFloat(value) : parseInt(value) / 100;
+    return amount > 0 ? amount : null;
+  }
+
+  /**
+   * Read a 204 transaction into a tender: header data, references and the
+   * S5 stop loops with their N1/N3/N4 addresses and G62 appointment times
+   * @param {Object} transaction - Parsed transaction (utils/x12)
+   * @returns {Object} Tender
+   * @throws {BadRequestError}
+   */
+  parseTender(transaction) {
+    const tender = {
+      shipmentId: null,
+      scac: null,
+      purpose: TENDER_PURPOSES.ORIGINAL,
+      references: [],
+      equipmentCode: null,
+      weightLbs: null,
+      shipperRate: null,
+      commodity: null,
+      notes: [],
+      stops: []
+    };
+
+    let stop = null;
+
+    for (const segment of transaction.segments) {
+      switch (segment[0]) {
+        case 'B2':
+          tender.scac = segment[2] || null;
+          tender.shipmentId = segment[4] || null;
+          break;
+
+        case 'B2A':
+          tender.purpose = segment[1];
+          break;
+
+        case 'L11': {
+          const reference = { type: REFERENCE_TYPES[segment[2]] || segment[2], value: segment[1] };
+          (stop ? stop.referenceNumbers : tender.references).push(reference);
+          break;
+        }
+
+        case 'NTE':
+          (stop ? stop.notes : tender.notes).push(segment[2]);
+          break;
+
+        case 'N7':
+          tender.equipmentCode = tender.equipmentCode || segment[11] || null;
+          break;
+
+        case 'AT8': {
+          const weight = this.toPounds(segment[3], segment[2]);
+          if (stop) stop.weightLbs = weight;
+          else tender.weightLbs = weight;
+          break;
+        }
+
+        case 'L5':
+          tender.commodity = tender.commodity || segment[2] || null;
+          break;
+
+        case 'L3':
+          tender.weightLbs = tender.weightLbs || this.toPounds(segment[1], segment[2]);
+          tender.shipperRate = this.toAmount(segment[5]);
+          break;
+
+        case 'S5': {
+          const reason = segment[2];
+          stop = {
+            sequence: segment[1],
+            stopType: PICKUP_REASONS.includes(reason) ? 'PICKUP' : DELIVERY_REASONS.includes(reason) ? 'DELIVERY' : null,
+            reasonCode: reason,
+            locationName: null,
+            addressLines: [],
+            city: null,
+            state: null,
+            zipCode: null,
+            times: [],
+            referenceNumbers: [],
+            weightLbs: null,
+            contactName: null,
+            contactPhone: null,
+            notes: []
+          };
+          tender.stops.push(stop);
+          break;
+        }
+
+        case 'G62':
+          if (stop) stop.times.push(parseDateTime(segment[2], segment[4]));
+          break;
+
+        case 'N1':
+          if (stop && !stop.locationName) stop.locationName = segment[2] || null;
+          break;
+
+        case 'N3':
+          if (stop) stop.addressLines.push(...segment.slice(1).filter(Boolean));
+          break;
+
+        case 'N4':
+          if (stop) {
+            stop.city = segment[1] || null;
+            stop.state = segment[2] || null;
+            stop.zipCode = segment[3] || null;
+          }
+          break;
+
+        case 'G61':
+          if (stop) {
+            stop.contactName = segment[2] || null;
+            if (segment[3] === 'TE') stop.contactPhone = segment[4] || null;
+          }
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    if (!tender.shipmentId) {
+      throw new BadRequestError('204 is missing the shipment identification number (B2-04)');
+    }
+
+    return tender;
+  }
+
+  /**
+   * Map a tender to a createLoad payload
+   * @param {Object} tender - Parsed tender
+   * @returns {Object} createLoad payload with stops
+   * @throws {BadRequestError}
+   */
+  buildLoadData(tender) {
+    const stops = tender.stops.map((stop, index) => {
+      const label = `Stop ${stop.sequence || index + 1}`;
+      const times = stop.times.filter(Boolean).sort((a, b) => a - b);
+
+      if (!stop.stopType) {
+        throw new BadRequestError(`${label}: unsupported stop reason code ${stop.reasonCode}`);
+      }
+      if (!stop.locationName || stop.addressLines.length === 0) {
+        throw new BadRequestError(`${label}: missing N1 name or N3 address`);
+      }
+      if (times.length === 0) {
+        throw new BadRequestError(`${label}: missing G62 appointment date`);
+      }
+
+      const cityLine = [stop.city, [stop.state, stop.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+
+      return {
+        stopType: stop.stopType,
+        locationName: stop.locationName,
+        address: [...stop.addressLines, cityLine].filter(Boolean).join(', '),
+        city: stop.city,
+        state: stop.state,
+        zipCode: stop.zipCode,
+        appointmentStart: times[0],
+        appointmentEnd: times.length > 1 ? times[times.length - 1] : null,
+        referenceNumbers: stop.referenceNumbers,
+        weightLbs: stop.weightLbs,
+        contactName: stop.contactName,
+        contactPhone: stop.contactPhone,
+        notes: stop.notes.join('\n') || null
+      };
+    });
+
+    const pickupWeight = stops
+      .filter(s => s.stopType === 'PICKUP')
+      .reduce((sum, s) => sum + (s.weightLbs || 0), 0);
+
+    if (!tender.weightLbs && !pickupWeight) {
+      throw new BadRequestError('204 has no shipment weight (AT8 or L3)');
+    }
+
+    return {
+      equipmentType: EQUIPMENT_CODES[tender.equipmentCode] || 'DRY_VAN',
+      weightLbs: tender.weightLbs || pickupWeight,
+      commodity: tender.commodity || 'FAK',
+      specialInstructions: tender.notes.join('\n') || null,
+      shipperRate: tender.shipperRate,
+      stops
+    };
+  }
+
+  /**
+   * Find the original tender (and its load) for a shipment
+   * @param {string} tradingPartnerId - Trading partner ID
+   * @param {string} shipmentId - B2-04 shipment identification number
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object|null>} Inbound 204 ediDocument with load
+   */
+  async findTender(tradingPartnerId, shipmentId, db = prisma) {
+    return await db.ediDocument.findFirst({
+      where: {
+        tradingPartnerId,
+        direction: 'INBOUND',
+        transactionSet: '204',
+        purpose: TENDER_PURPOSES.ORIGINAL,
+        shipmentId,
+        loadId: { not: null }
+      },
+      include: { load: true }
+    });
+  }
+
+  /**
+   * Refuse to approve or cancel a load by hand while its EDI tender waits
+   * for an answer: the partner only hears back through the 990 that
+   * accepting or declining the tender sends
+   * @param {string} loadId - Load ID
+   * @throws {BadRequestError}
+   */
+  async assertNoPendingTender(loadId) {
+    const tender = await prisma.ediDocument.findFirst({
+      where: {
+        loadId,
+        direction: 'INBOUND',
+        transactionSet: '204',
+        purpose: TENDER_PURPOSES.ORIGINAL,
+        responseStatus: 'PENDING'
+      },
+      select: { shipmentId: true }
+    });
+
+    if (tender) {
+      throw new BadRequestError(
+        `Load was tendered via EDI (shipment ${tender.shipmentId}); accept or decline the tender instead`
+      );
+    }
+  }
+
+  /**
+   * Parse an interchange and process every transaction in it. Each
+   * transaction is recorded as an ediDocument; a transaction that fails is
+   * recorded as FAILED without affecting the others.
+   * @param {string} text - Raw interchange
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - Source file name
+   * @param {string} [options.source] - 'UPLOAD' or 'DROP_DIRECTORY'
+   * @param {string} [options.receivedById] - Uploading internal user
+   * @returns {Promise<Array>} Recorded inbound documents
+   * @throws {BadRequestError} When the interchange itself cannot be read
+   */
+  async processInterchange(text, options = {}) {
+    const { fileName = null, source = 'UPLOAD', receivedById = null } = options;
+
+    const interchange = parseInterchange(text);
+
+    const partner = await prisma.ediTradingPartner.findFirst({
+      where: {
+        isaId: interchange.isa.senderId,
+        isActive: true
+      }
+    });
+
+    if (!partner) {
+      throw new BadRequestError(`No active EDI trading partner for ISA sender ${interchange.isa.senderId}`);
+    }
+
+    const transactions = interchange.groups.flatMap(group => group.transactions);
+
+    if (transactions.length === 0) {
+      throw new BadRequestError('Interchange contains no transactions');
+    }
+
+    const documents = [];
+
+    for (const transaction of transactions) {
+      const base = {
+        direction: 'INBOUND',
+        transactionSet: transaction.type,
+        tradingPartnerId: partner.id,
+        shipperClientId: partner.shipperClientId,
+        controlNumber: parseInt(interchange.isa.controlNumber),
+        transactionControlNumber: transaction.controlNumber,
+        fileName,
+        source,
+        receivedById,
+        content: text
+      };
+
+      documents.push(await this.receiveTransaction(transaction, partner, base));
+    }
+
+    return documents;
+  }
+
+  /**
+   * Process one inbound transaction and record it
+   * @param {Object} transaction - Parsed transaction
+   * @param {Object} partner - Trading partner
+   * @param {Object} base - ediDocument columns shared by the interchange
+   * @returns {Promise<Object>} Recorded ediDocument
+   */
+  async receiveTransaction(transaction, partner, base) {
+    let tender = null;
+
+    try {
+      if (transaction.type !== '204') {
+        throw new BadRequestError(`Unsupported transaction set ${transaction.type}`);
+      }
+
+      tender = this.parseTender(transaction);
+
+      switch (tender.purpose) {
+        case TENDER_PURPOSES.ORIGINAL:
+          return await this.createTender(tender, partner, base);
+        case TENDER_PURPOSES.CANCELLATION:
+          return await this.cancelTender(tender, partner, base);
+        case TENDER_PURPOSES.CHANGE:
+        case TENDER_PURPOSES.REPLACE:
+          return await this.changeTender(tender, partner, base);
+        default:
+          throw new BadRequestError(`Unsupported 204 purpose code ${tender.purpose}`);
+      }
+    } catch (error) {
+      if (!(error instanceof BadRequestError)) {
+        console.error(`Failed to process EDI ${transaction.type} ${transaction.controlNumber}:`, error);
+      }
+
+      return await prisma.ediDocument.create({
+        data: {
+          ...base,
+          shipmentId: tender ? tender.shipmentId : null,
+          purpose: tender ? tender.purpose : null,
+          status: 'FAILED',
+          errorMessage: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Create a PENDING_REVIEW load from an original tender
+   * @param {Object} tender - Parsed tender
+   * @param {Object} partner - Trading partner
+   * @param {Object} base - ediDocument columns
+   * @returns {Promise<Object>} Recorded ediDocument (responseStatus PENDING)
+   * @throws {BadRequestError}
+   */
+  async createTender(tender, partner, base) {
+    const existing = await this.findTender(partner.id, tender.shipmentId);
+
+    if (existing) {
+      throw new BadRequestError(`Tender ${tender.shipmentId} was already received as load ${existing.load.loadNumber}`);
+    }
+
+    const loadData = this.buildLoadData(tender);
+
+    const { load, document } = await prisma.$transaction(async (tx) => {
+      const load = await loadService.createLoad(partner.shipperClientId, EDI_ACTOR, loadData, {
+        status: 'PENDING_REVIEW',
+        historyNotes: `Load tendered via EDI 204 (shipment ${tender.shipmentId})`,
+        extra: {
+          ediShipmentId: tender.shipmentId,
+          referenceNumbers: tender.references
+        },
+        db: tx
+      });
+
+      const document = await tx.ediDocument.create({
+        data: {
+          ...base,
+          shipmentId: tender.shipmentId,
+          purpose: tender.purpose,
+          loadId: load.id,
+          status: 'PROCESSED',
+          responseStatus: 'PENDING',
+          processedAt: new Date()
+        }
+      });
+
+      return { load, document };
+    });
+
+    try {
+      await notificationService.notifyTenderReceived(load, document);
+    } catch (error) {
+      console.error('Failed to send tender notifications:', error);
+    }
+
+    return document;
+  }
+
+  /**
+   * Cancel the load behind a tender (B2A-01 = 01)
+   * @param {Object} tender - Parsed tender
+   * @param {Object} partner - Trading partner
+   * @param {Object} base - ediDocument columns
+   * @returns {Promise<Object>} Recorded ediDocument
+   * @throws {BadRequestError}
+   */
+  async cancelTender(tender, partner, base) {
+    const original = await this.findTender(partner.id, tender.shipmentId);
+
+    if (!original) {
+      throw new BadRequestError(`Cancellation received for unknown tender ${tender.shipmentId}`);
+    }
+
+    const { document, afterCommit } = await prisma.$transaction(async (tx) => {
+      let afterCommit = async () => {};
+      if (original.load.status !== 'CANCELLED') {
+        ({ afterCommit } = await loadService.cancelLoad(original.loadId, EDI_ACTOR, {
+          reasonCode: 'SHIPPER_REQUEST',
+          initiatedBy: 'SHIPPER',
+          notes: `Tender ${tender.shipmentId} cancelled via EDI 204`,
+          tx
+        }));
+      }
+
+      if (original.responseStatus === 'PENDING') {
+        await tx.ediDocument.update({
+          where: { id: original.id },
+          data: {
+            responseStatus: 'CANCELLED',
+            respondedAt: new Date()
+          }
+        });
+      }
+
+      const document = await tx.ediDocument.create({
+        data: {
+          ...base,
+          shipmentId: tender.shipmentId,
+          purpose: tender.purpose,
+          loadId: original.loadId,
+          status: 'PROCESSED',
+          processedAt: new Date()
+        }
+      });
+
+      return { document, afterCommit };
+    });
+
+    await afterCommit();
+
+    return document;
+  }
+
+  /**
+   * Apply a changed tender (B2A-01 = 04/05) to a load still under review
+   * @param {Object} tender - Parsed tender
+   * @param {Object} partner - Trading partner
+   * @param {Object} base - ediDocument columns
+   * @returns {Promise<Object>} Recorded ediDocument
+   * @throws {BadRequestError}
+   */
+  async changeTender(tender, partner, base) {
+    const original = await this.findTender(partner.id, tender.shipmentId);
+
+    if (!original) {
+      throw new BadRequestError(`Change received for unknown tender ${tender.shipmentId}`);
+    }
+
+    if (original.load.status !== 'PENDING_REVIEW') {
+      throw new BadRequestError(
+        `Load ${original.load.loadNumber} is already ${original.load.status}; apply tender changes manually`
+      );
+    }
+
+    const { stops, ...loadData } = this.buildLoadData(tender);
+    const loadStops = loadService.normalizeStops(stops);
+
+    return await prisma.$transaction(async (tx) => {
+      // Only lands if the load hasn't moved since the status check above
+      await updateVersioned(tx.load, original.load, {
+        data: {
+          ...loadData,
+          referenceNumbers: tender.references,
+          ...loadService.summarizeStops(loadStops)
+        }
+      }, 'Load');
+
+      await loadService.replaceStops(original.loadId, loadStops, tx);
+
+      return await tx.ediDocument.create({
+        data: {
+          ...base,
+          shipmentId: tender.shipmentId,
+          purpose: tender.purpose,
+          loadId: original.loadId,
+          status: 'PROCESSED',
+          processedAt: new Date()
+        }
+      });
+    });
+  }
+
+  /**
+   * Accept or decline a tender and generate the 990 response. Accepting
+   * agrees the tendered rate (RATE_APPROVED); declining cancels the load
+   * as a carrier cancellation.
+   * @param {string} id - Inbound 204 ediDocument ID
+   * @param {Object} actor - { id, type, role } (req.user)
+   * @param {Object} options
+   * @param {boolean} options.accept - Accept (true) or decline (false)
+   * @param {number} [options.shipperRate] - Agreed rate when the tender carries none
+   * @param {string} [options.reasonCode] - Decline reason (CANCELLATION_REASONS)
+   * @param {string} [options.reason] - Decline remarks sent in the 990
+   * @returns {Promise<Object>} { tender, response, load }
+   * @throws {NotFoundError|BadRequestError|ConflictError}
+   */
+  async respondToTender(id, actor, options) {
+    const { accept, shipperRate, reasonCode, reason } = options;
+
+    const tender = await prisma.ediDocument.findUnique({
+      where: { id },
+      include: { tradingPartner: true }
+    });
+
+    if (!tender || tender.direction !== 'INBOUND' || tender.transactionSet !== '204' || !tender.loadId) {
+      throw new NotFoundError('EDI tender not found');
+    }
+
+    if (tender.responseStatus !== 'PENDING') {
+      throw new BadRequestError(`Tender already ${tender.responseStatus.toLowerCase()}`);
+    }
+
+    // The load change, the 990 and the tender's response status commit
+    // together; the 990 is only written to the mailbox once they have
+    const { load, queued, updated, afterCommit } = await prisma.$transaction(async (tx) => {
+      let result;
+      if (accept) {
+        result = await loadStateMachine.transition(tender.loadId, 'RATE_APPROVED', actor, {
+          notes: `EDI tender ${tender.shipmentId} accepted`,
+          data: shipperRate != null ? { shipperRate: parseFloat(shipperRate) } : {},
+          tx
+        });
+      } else {
+        result = await loadService.cancelLoad(tender.loadId, actor, {
+          reasonCode: reasonCode || 'NO_CAPACITY',
+          initiatedBy: 'CARRIER',
+          notes: reason || `EDI tender ${tender.shipmentId} declined`,
+          tx
+        });
+      }
+
+      const queued = await this.generate990(tender, result.load, accept, reason, tx);
+
+      // Only a tender still PENDING can be answered, once
+      const { count } = await tx.ediDocument.updateMany({
+        where: { id, responseStatus: 'PENDING' },
+        data: {
+          responseStatus: accept ? 'ACCEPTED' : 'DECLINED',
+          respondedAt: new Date(),
+          respondedById: actor.id,
+          responseDocumentId: queued.id
+        }
+      });
+      if (count !== 1) {
+        throw new ConflictError('Tender was answered by another request');
+      }
+
+      const updated = await tx.ediDocument.findUnique({ where: { id } });
+
+      return { load: result.load, queued, updated, afterCommit: result.afterCommit };
+    });
+
+    await afterCommit();
+    const response = await this.deliver(queued, tender.tradingPartner);
+
+    return { tender: updated, response, load };
+  }
+
+  /**
+   * Generate the 990 (response to a load tender)
+   * @param {Object} tender - Inbound 204 ediDocument with tradingPartner
+   * @param {Object} load - Load created from the tender
+   * @param {boolean} accepted - B1-04 A (accept) or D (decline)
+   * @param {string} [reason] - Decline remarks (K1)
+   * @param {Object} db - Transaction client; the caller delivers after commit
+   * @returns {Promise<Object>} Queued outbound ediDocument
+   */
+  async generate990(tender, load, accepted, reason, db) {
+    const segments = [
+      ['B1', this.scac, tender.shipmentId, formatDate(new Date()), accepted ? 'A' : 'D'],
+      ['N9', 'CN', load.loadNumber]
+    ];
+
+    if (!accepted && reason) {
+      segments.push(['K1', reason.slice(0, 30)]);
+    }
+
+    return await this.queueOutbound('990', tender.tradingPartner, segments, {
+      loadId: load.id,
+      shipmentId: tender.shipmentId,
+      relatedDocumentId: tender.id
+    }, db);
+  }
+
+  /**
+   * Active trading partner of a shipper client with an outbound message
+   * type switched on
+   * @param {string} shipperClientId - Shipper client ID
+   * @param {string} setting - 'send214' or 'send210'
+   * @returns {Promise<Object|null>} Trading partner
+   */
+  async getPartnerForShipper(shipperClientId, setting) {
+    return await prisma.ediTradingPartner.findFirst({
+      where: {
+        shipperClientId,
+        isActive: true,
+        [setting]: true
+      }
+    });
+  }
+
+  /**
+   * Queue a 214 for every status event of the load that doesn't have one
+   * yet, when its shipper client receives status messages by EDI. A single
+   * update (a geofence crossing, say) can record several events; each gets
+   * its own 214. Events from before the partner was set up aren't
+   * backfilled. Never throws: a failure here must not fail the status
+   * update that triggered it.
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Array>} Outbound ediDocuments queued
+   */
+  async queueStatusUpdate(loadId) {
+    try {
+      const load = await prisma.load.findUnique({
+        where: { id: loadId },
+        select: { id: true, loadNumber: true, shipperClientId: true, ediShipmentId: true }
+      });
+
+      const partner = await this.getPartnerForShipper(load.shipperClientId, 'send214');
+      if (!partner) return [];
+
+      const sent = await prisma.ediDocument.findMany({
+        where: { loadId, loadStatusEventId: { not: null } },
+        select: { loadStatusEventId: true }
+      });
+
+      const events = await prisma.loadStatusEvent.findMany({
+        where: {
+          loadId,
+          id: { notIn: sent.map(document => document.loadStatusEventId) },
+          createdAt: { gte: partner.createdAt }
+        },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const documents = [];
+      for (const event of events) {
+        const stop = event.stopId
+          ? await prisma.loadStop.findUnique({ where: { id: event.stopId } })
+          : null;
+
+        const document = await this.generate214(load, event, stop, partner);
+        if (document) documents.push(document);
+      }
+
+      return documents;
+    } catch (error) {
+      console.error(`Failed to queue EDI 214 for load ${loadId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Generate the 214 (shipment status message) for one status event
+   * @param {Object} load - Load
+   * @param {Object} event - loadStatusEvent
+   * @param {Object|null} stop - Stop the event was recorded at
+   * @param {Object} partner - Trading partner
+   * @returns {Promise<Object|null>} Outbound ediDocument, or null when the event has no status code
+   */
+  async generate214(load, event, stop, partner) {
+    const code = (stop && event.stopEvent && STOP_EVENT_CODES[stop.stopType][event.stopEvent])
+      || STATUS_CODES[event.status];
+
+    if (!code) return null;
+
+    const segments = [
+      ['B10', load.loadNumber, load.ediShipmentId || load.loadNumber, this.scac],
+      ['LX', 1],
+      ['AT7', code, 'NS', '', '', formatDate(event.createdAt), formatTime(event.createdAt), 'LT']
+    ];
+
+    if (stop && stop.city) {
+      segments.push(['MS1', stop.city, stop.state, 'US']);
+    } else if (event.gpsLat != null && event.gpsLng != null) {
+      const lat = parseFloat(event.gpsLat);
+      const lng = parseFloat(event.gpsLng);
+      segments.push(['MS1', '', '', '', formatCoordinate(lng, 3), formatCoordinate(lat, 2), lng < 0 ? 'W' : 'E', lat < 0 ? 'S' : 'N']);
+    }
+
+    if (stop) {
+      segments.push(['L11', stop.stopSequence, 'QN']);
+    }
+
+    return await this.createOutbound('214', partner, segments, {
+      loadId: load.id,
+      shipmentId: load.ediShipmentId || load.loadNumber,
+      loadStatusEventId: event.id
+    });
+  }
+
+  /**
+   * Queue a 210 for an issued invoice when its shipper client receives
+   * invoices by EDI. Never throws: the invoice is already issued.
+   * @param {string} invoiceId - Shipper invoice ID
+   * @returns {Promise<Object|null>} Outbound ediDocument, if one was queued
+   */
+  async queueInvoice(invoiceId) {
+    try {
+      const invoice = await prisma.shipperInvoice.findUnique({
+        where: { id: invoiceId },
+        include: {
+          lineItems: true,
+          shipperClient: true,
+          load: {
+            include: {
+              stops: { orderBy: { stopSequence: 'asc' } }
+            }
+          }
+        }
+      });
+
+      const partner = await this.getPartnerForShipper(invoice.shipperClientId, 'send210');
+      if (!partner) return null;
+
+      const existing = await prisma.ediDocument.findFirst({
+        where: { invoiceId, transactionSet: '210' },
+        select: { id: true }
+      });
+      if (existing) return null;
+
+      return await this.generate210(invoice, partner);
+    } catch (error) {
+      console.error(`Failed to queue EDI 210 for invoice ${invoiceId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Generate the 210 (motor carrier freight details and invoice)
+   * @param {Object} invoice - Invoice with lineItems, shipperClient and load (with stops)
+   * @param {Object} partner - Trading partner
+   * @returns {Promise<Object>} Outbound ediDocument
+   */
+  async generate210(invoice, partner) {
+    const { load } = invoice;
+    const cents = amount => Math.round(parseFloat(amount) * 100);
+    const shipmentId = load.ediShipmentId || load.loadNumber;
+
+    const pickup = load.stops.find(s => s.stopType === 'PICKUP');
+    const delivery = load.stops.filter(s => s.stopType === 'DELIVERY').pop();
+    const party = (code, stop) => [
+      ['N1', code, stop.locationName],
+      ['N3', stop.address],
+      ...(stop.city ? [['N4', stop.city, stop.state, stop.zipCode]] : [])
+    ];
+
+    const lineItems = [...invoice.lineItems];
+    if (parseFloat(invoice.taxAmount) > 0) {
+      lineItems.push({ description: 'Tax', unitPrice: invoice.taxAmount, amount: invoice.taxAmount });
+    }
+
+    const segments = [
+      [
+        'B3', '', invoice.invoiceNumber, shipmentId, 'PP', 'L',
+        formatDate(invoice.issuedAt || new Date()), cents(invoice.total), '',
+        load.actualDeliveryTime ? formatDate(load.actualDeliveryTime) : '',
+        load.actualDeliveryTime ? '035' : '',
+        this.scac
+      ],
+      ['C3', 'USD'],
+      ['N9', 'CN', load.loadNumber],
+      ['N1', 'BT', invoice.shipperClient.legalName],
+      ...(pickup ? party('SH', pickup) : []),
+      ...(delivery ? party('CN', delivery) : []),
+      ...lineItems.flatMap((item, index) => [
+        ['LX', index + 1],
+        ['L5', index + 1, item.description],
+        ['L1', index + 1, parseFloat(item.unitPrice).toFixed(2), 'FR', cents(item.amount)]
+      ]),
+      ['L3', load.weightLbs, 'G', '', '', cents(invoice.total)]
+    ];
+
+    return await this.createOutbound('210', partner, segments, {
+      loadId: load.id,
+      invoiceId: invoice.id,
+      shipmentId
+    });
+  }
+
+  /**
+   * Next outbound interchange control number (ISA13), issued from a
+   * counter row so no two outbound files share one
+   * @param {Object} db - Transaction client creating the ediDocument
+   * @returns {Promise<number>}
+   */
+  async nextControlNumber(db) {
+    const value = await numberingService.increment('EDI_INTERCHANGE', 'EDI_INTERCHANGE', async () => {
+      const last = await db.ediDocument.findFirst({
+        where: { direction: 'OUTBOUND' },
+        orderBy: { createdAt: 'desc' },
+        select: { controlNumber: true }
+      });
+      return last ? last.controlNumber : 0;
+    }, db);
+
+    return ((value - 1) % MAX_CONTROL_NUMBER) + 1;
+  }
+
+  /**
+   * Build an outbound interchange and record it as QUEUED. The control
+   * number and the document are written in the same transaction.
+   * @param {string} type - Transaction set
+   * @param {Object} partner - Trading partner
+   * @param {Array<Array>} segments - Body segments
+   * @param {Object} [fields] - Extra ediDocument columns (loadId, invoiceId...)
+   * @param {Object} [db] - Transaction client; a new transaction when omitted
+   * @returns {Promise<Object>} Queued outbound ediDocument
+   */
+  async queueOutbound(type, partner, segments, fields = {}, db) {
+    if (!db) {
+      return await prisma.$transaction(tx => this.queueOutbound(type, partner, segments, fields, tx));
+    }
+
+    const controlNumber = await this.nextControlNumber(db);
+
+    const content = buildInterchange({
+      type,
+      segments,
+      sender: this.sender,
+      receiver: { qualifier: partner.isaQualifier, id: partner.isaId },
+      controlNumber,
+      test: this.testMode
+    });
+
+    const fileName = `${type}_${partner.isaId}_${String(controlNumber).padStart(9, '0')}.edi`
+      .replace(/[^\w.-]/g, '_');
+
+    return await db.ediDocument.create({
+      data: {
+        direction: 'OUTBOUND',
+        transactionSet: type,
+        tradingPartnerId: partner.id,
+        shipperClientId: partner.shipperClientId,
+        controlNumber,
+        transactionControlNumber: '0001',
+        fileName,
+        content,
+        status: 'QUEUED',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        ...fields
+      }
+    });
+  }
+
+  /**
+   * Queue an outbound interchange and make the first delivery attempt into
+   * the trading partner's outbound mailbox
+   * @param {string} type - Transaction set
+   * @param {Object} partner - Trading partner
+   * @param {Array<Array>} segments - Body segments
+   * @param {Object} [fields] - Extra ediDocument columns (loadId, invoiceId...)
+   * @returns {Promise<Object>} Outbound ediDocument
+   */
+  async createOutbound(type, partner, segments, fields = {}) {
+    const document = await this.queueOutbound(type, partner, segments, fields);
+    return await this.deliver(document, partner);
+  }
+
+  /**
+   * Outbound mailbox directory for a trading partner
+   * @param {Object} partner - Trading partner
+   * @returns {string} Directory path
+   */
+  getMailboxDir(partner) {
+    return path.join(this.outboundDir, partner.isaId.replace(/[^\w.-]/g, '_'));
+  }
+
+  /**
+   * Write a queued document into the partner's mailbox. Failed attempts are
+   * retried with exponential backoff until MAX_DELIVERY_ATTEMPTS, after
+   * which the document is FAILED and needs a manual retry.
+   * @param {Object} document - Outbound ediDocument
+   * @param {Object} [partner] - Trading partner (looked up when omitted)
+   * @returns {Promise<Object>} Updated ediDocument
+   */
+  async deliver(document, partner) {
+    const tradingPartner = partner || await prisma.ediTradingPartner.findUnique({
+      where: { id: document.tradingPartnerId }
+    });
+
+    const now = new Date();
+    const attempts = (document.attempts || 0) + 1;
+
+    try {
+      const dir = this.getMailboxDir(tradingPartner);
+      const filePath = path.join(dir, document.fileName);
+
+      // Write under a temporary name so the partner never picks up half a file
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, document.content);
+      await fs.rename(`${filePath}.tmp`, filePath);
+
+      return await prisma.ediDocument.update({
+        where: { id: document.id },
+        data: {
+          status: 'DELIVERED',
+          attempts,
+          lastAttemptAt: now,
+          nextAttemptAt: null,
+          deliveredAt: now,
+          filePath,
+          errorMessage: null
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to deliver EDI ${document.transactionSet} ${document.fileName}:`, error);
+
+      const exhausted = attempts >= MAX_DELIVERY_ATTEMPTS;
+
+      return await prisma.ediDocument.update({
+        where: { id: document.id },
+        data: {
+          status: exhausted ? 'FAILED' : 'QUEUED',
+          attempts,
+          lastAttemptAt: now,
+          nextAttemptAt: exhausted ? null : new Date(now.getTime() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)),
+          errorMessage: error.message
+        }
+      });
+    }
+  }
+
+  /**
+   * Put a FAILED outbound document back on the queue and try it now
+   * @param {string} id - Outbound ediDocument ID
+   * @returns {Promise<Object>} Updated ediDocument
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async retryDocument(id) {
+    const document = await prisma.ediDocument.findUnique({ where: { id } });
+
+    if (!document || document.direction !== 'OUTBOUND') {
+      throw new NotFoundError('Outbound EDI document not found');
+    }
+
+    if (document.status !== 'FAILED') {
+      throw new BadRequestError(`Only failed documents can be retried (document is ${document.status})`);
+    }
+
+    const queued = await prisma.ediDocument.update({
+      where: { id },
+      data: {
+        status: 'QUEUED',
+        attempts: 0,
+        nextAttemptAt: new Date()
+      }
+    });
+
+    return await this.deliver(queued);
+  }
+
+  /**
+   * Deliver queued documents that are due and track pickups: a delivered
+   * file that has left the mailbox was collected by the partner.
+   * @returns {Promise<Object>} { delivered, failed, pickedUp }
+   */
+  async processOutboundQueue() {
+    const result = { delivered: 0, failed: 0, pickedUp: 0 };
+
+    if (this.isDelivering) return result;
+    this.isDelivering = true;
+
+    try {
+      const due = await prisma.ediDocument.findMany({
+        where: {
+          direction: 'OUTBOUND',
+          status: 'QUEUED',
+          nextAttemptAt: { lte: new Date() }
+        },
+        include: { tradingPartner: true },
+        orderBy: { createdAt: 'asc' },
+        take: 100
+      });
+
+      for (const document of due) {
+        const updated = await this.deliver(document, document.tradingPartner);
+        if (updated.status === 'DELIVERED') result.delivered++;
+        if (updated.status === 'FAILED') result.failed++;
+      }
+
+      const awaitingPickup = await prisma.ediDocument.findMany({
+        where: {
+          direction: 'OUTBOUND',
+          status: 'DELIVERED',
+          deliveredAt: { gte: new Date(Date.now() - PICKUP_TRACKING_DAYS * 24 * 60 * 60 * 1000) }
+        },
+        select: { id: true, filePath: true }
+      });
+
+      for (const document of awaitingPickup) {
+        try {
+          await fs.access(document.filePath);
+        } catch (error) {
+          if (error.code !== 'ENOENT') continue;
+
+          await prisma.ediDocument.update({
+            where: { id: document.id },
+            data: {
+              status: 'PICKED_UP',
+              pickedUpAt: new Date()
+            }
+          });
+          result.pickedUp++;
+        }
+      }
+
+      return result;
+    } finally {
+      this.isDelivering = false;
+    }
+  }
+
+  /**
+   * Process files dropped into the inbound directory (stand-in for an SFTP
+   * mailbox). Handled files move to processed/ or failed/; a file whose
+   * interchange cannot be read gets a .error.txt next to it.
+   * @returns {Promise<number>} Number of files handled
+   */
+  async processDropDirectory() {
+    if (this.isPolling) return 0;
+    this.isPolling = true;
+
+    try {
+      const processedDir = path.join(this.inboundDir, 'processed');
+      const failedDir = path.join(this.inboundDir, 'failed');
+      await fs.mkdir(processedDir, { recursive: true });
+      await fs.mkdir(failedDir, { recursive: true });
+
+      const entries = await fs.readdir(this.inboundDir, { withFileTypes: true });
+      let handled = 0;
+
+      for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+        const filePath = path.join(this.inboundDir, entry.name);
+        const stat = await fs.stat(filePath);
+        if (Date.now() - stat.mtimeMs < DROP_FILE_MIN_AGE_MS) continue;
+
+        const archivedName = `${Date.now()}-${entry.name}`;
+
+        try {
+          const text = await fs.readFile(filePath, 'utf8');
+          const documents = await this.processInterchange(text, {
+            fileName: entry.name,
+            source: 'DROP_DIRECTORY'
+          });
+
+          const failed = documents.some(d => d.status === 'FAILED');
+          await fs.rename(filePath, path.join(failed ? failedDir : processedDir, archivedName));
+        } catch (error) {
+          console.error(`Failed to process EDI file ${entry.name}:`, error);
+          await fs.rename(filePath, path.join(failedDir, archivedName));
+          await fs.writeFile(path.join(failedDir, `${archivedName}.error.txt`), error.message);
+        }
+
+        handled++;
+      }
+
+      return handled;
+    } finally {
+      this.isPolling = false;
+    }
+  }
+}
+
+module.exports = new EdiService();
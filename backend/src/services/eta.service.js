@@ -0,0 +1,336 @@
+// ==================== src/services/eta.service.js ====================
+const prisma = require('../config/database');
+const hosService = require('./hos.service');
+const trackingService = require('./tracking.service');
+const notificationService = require('./notification.service');
+const { NotFoundError } = require('../utils/errors');
+const { IN_TRANSIT_LOAD_STATUSES, NOT_PENDING_REQUEST } = require('../utils/constants');
+const { distanceMiles, isCoordinate } = require('../utils/geo');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// In transit and not yet delivered
+const ETA_LOAD_STATUSES = IN_TRANSIT_LOAD_STATUSES.filter(status => status !== 'DELIVERED');
+
+const ETA_LOAD_INCLUDE = {
+  stops: { orderBy: { stopSequence: 'asc' } },
+  geoLocations: { orderBy: { stopSequence: 'asc' } },
+  assignments: {
+    where: { rejectedAt: null, releasedAt: null, ...NOT_PENDING_REQUEST },
+    select: { driverId: true }
+  },
+  eta: true
+};
+
+class EtaService {
+  constructor() {
+    // Straight-line miles times this approximates road miles
+    this.roadFactor = parseFloat(process.env.ETA_ROAD_FACTOR) || 1.2;
+    this.riskGraceMinutes = parseInt(process.env.ETA_RISK_GRACE_MINUTES) || 15;
+    this.stalePositionMinutes = parseInt(process.env.ETA_STALE_POSITION_MINUTES) || 60;
+  }
+
+  /**
+   * Where the truck is: the tracked last known position, else the last
+   * status event that carried GPS
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Object|null>} { latitude, longitude, recordedAt, source }
+   */
+  async getPosition(loadId) {
+    const tracked = await trackingService.getLastPosition(loadId);
+
+    if (tracked) {
+      return { ...tracked, source: 'GPS_TRACK' };
+    }
+
+    const event = await prisma.loadStatusEvent.findFirst({
+      where: { loadId, gpsLat: { not: null }, gpsLng: { not: null } },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!event || !isCoordinate(event.gpsLat, event.gpsLng)) return null;
+
+    return {
+      latitude: parseFloat(event.gpsLat),
+      longitude: parseFloat(event.gpsLng),
+      recordedAt: event.createdAt,
+      source: 'STATUS_EVENT'
+    };
+  }
+
+  /**
+   * Latest time a stop can be reached without being late
+   * @param {Object} stop - Stop
+   * @returns {Date|null}
+   */
+  stopDeadline(stop) {
+    const deadline = stop.appointmentEnd || stop.appointmentStart;
+    return deadline ? new Date(deadline) : null;
+  }
+
+  /**
+   * Predict arrival at each remaining stop. From the truck's position it
+   * drives stop to stop (straight-line miles x ETA_ROAD_FACTOR at the HOS
+   * average speed), stopping for the breaks and resets the driver's clocks
+   * require, waits for appointments it would be early for and spends the
+   * usual on-duty time at each stop. A delivery predicted past its
+   * appointment by more than ETA_RISK_GRACE_MINUTES makes the load at-risk.
+   * @param {Object} load - Load with ETA_LOAD_INCLUDE
+   * @param {Object} position - { latitude, longitude, recordedAt }
+   * @param {Object|null} clocks - Driver's HOS clocks (null skips the HOS allowance)
+   * @param {Date} now - Current time
+   * @returns {Object} { etaAt, deadline, minutesLate, atRisk, stops }
+   */
+  predict(load, position, clocks, now) {
+    const remaining = load.stops.filter(stop => !stop.departedAt);
+    const speed = hosService.averageSpeedMph;
+    const dwellMs = hosService.stopOnDutyHours * HOUR_MS;
+
+    let clock = now.getTime();
+    let from = { lat: position.latitude, lng: position.longitude };
+    let drivenHours = 0;
+    const stops = [];
+
+    for (const stop of remaining) {
+      const location = load.geoLocations.find(l => l.stopSequence === stop.stopSequence);
+
+      // Without coordinates the rest of the route can't be predicted
+      if (!location || !isCoordinate(location.latitude, location.longitude)) break;
+
+      const to = { lat: parseFloat(location.latitude), lng: parseFloat(location.longitude) };
+      let etaAt;
+
+      if (stop.arrivedAt) {
+        etaAt = new Date(stop.arrivedAt);
+        clock = Math.max(clock, etaAt.getTime() + dwellMs);
+      } else {
+        const driveHours = distanceMiles(from, to) * this.roadFactor / speed;
+
+        // Rest needed on this leg given the driving before it
+        const hours = clocks
+          ? hosService.drivingHoursWithRest(drivenHours + driveHours, clocks) - hosService.drivingHoursWithRest(drivenHours, clocks)
+          : driveHours;
+        drivenHours += driveHours;
+
+        clock += hours * HOUR_MS;
+        etaAt = new Date(clock);
+
+        // Early arrivals wait for the appointment
+        const opens = stop.appointmentStart ? new Date(stop.appointmentStart).getTime() : clock;
+        clock = Math.max(clock, opens) + dwellMs;
+      }
+
+      const deadline = this.stopDeadline(stop);
+      stops.push({
+        stopId: stop.id,
+        stopSequence: stop.stopSequence,
+        stopType: stop.stopType,
+        etaAt,
+        deadline,
+        arrived: Boolean(stop.arrivedAt),
+        minutesLate: deadline ? Math.round((etaAt - deadline) / MINUTE_MS) : null
+      });
+
+      from = to;
+    }
+
+    const finalStop = load.stops[load.stops.length - 1];
+    const final = stops.find(s => finalStop && s.stopId === finalStop.id);
+    const deadline = (finalStop && this.stopDeadline(finalStop)) || (load.deliveryDate ? new Date(load.deliveryDate) : null);
+
+    if (!final) {
+      return { etaAt: null, deadline, minutesLate: null, atRisk: false, stops };
+    }
+
+    const minutesLate = deadline ? Math.round((final.etaAt - deadline) / MINUTE_MS) : null;
+
+    return {
+      etaAt: final.etaAt,
+      deadline,
+      minutesLate,
+      atRisk: stops.some(s => s.stopType === 'DELIVERY' && !s.arrived &&
+        s.minutesLate !== null && s.minutesLate > this.riskGraceMinutes) ||
+        (!final.arrived && minutesLate !== null && minutesLate > this.riskGraceMinutes),
+      stops
+    };
+  }
+
+  /**
+   * Compute a load's ETA and store it in its loadEta row (kept off the load
+   * itself so recomputing doesn't bump the load version). The first time a
+   * load turns at-risk dispatchers and the shipper are alerted; once it is
+   * back on time a later slip alerts again.
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Object>} { loadId, etaAt, deadline, minutesLate, atRisk, position, stops, computedAt, reason }
+   * @throws {NotFoundError}
+   */
+  async refreshEta(loadId) {
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      include: ETA_LOAD_INCLUDE
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    const now = new Date();
+    const base = { loadId, computedAt: now };
+
+    if (!ETA_LOAD_STATUSES.includes(load.status)) {
+      return { ...base, etaAt: null, atRisk: false, reason: `No ETA while load is ${load.status}` };
+    }
+
+    const position = await this.getPosition(loadId);
+
+    if (!position) {
+      return { ...base, etaAt: null, atRisk: false, reason: 'No position reported yet' };
+    }
+
+    const driverId = load.assignments[0] ? load.assignments[0].driverId : null;
+    const clocks = driverId ? await hosService.getClocks(driverId) : null;
+    const prediction = this.predict(load, position, clocks, now);
+    const positionAgeMinutes = Math.floor((now - new Date(position.recordedAt)) / MINUTE_MS);
+
+    const fields = {
+      etaAt: prediction.etaAt,
+      deadline: prediction.deadline,
+      minutesLate: prediction.minutesLate,
+      atRisk: prediction.atRisk,
+      stops: prediction.stops,
+      positionRecordedAt: position.recordedAt,
+      computedAt: now,
+      // Cleared when back on time so a later slip alerts again
+      ...(!prediction.atRisk && { riskAlertedAt: null })
+    };
+
+    await prisma.loadEta.upsert({
+      where: { loadId },
+      create: { loadId, ...fields },
+      update: fields
+    });
+
+    if (prediction.atRisk && !(load.eta && load.eta.riskAlertedAt)) {
+      await this.alertAtRisk(load, prediction);
+    }
+
+    return {
+      ...base,
+      ...prediction,
+      position: {
+        latitude: position.latitude,
+        longitude: position.longitude,
+        recordedAt: position.recordedAt,
+        source: position.source,
+        ageMinutes: positionAgeMinutes,
+        stale: positionAgeMinutes > this.stalePositionMinutes
+      },
+      hos: clocks && { availableDrivingHours: clocks.availableDrivingHours, breakDueInHours: clocks.breakDueInHours },
+      reason: prediction.etaAt ? null : 'Remaining stops are not geocoded'
+    };
+  }
+
+  /**
+   * The load's ETA as last computed by refreshEta. Reading it never
+   * recomputes; the background job keeps in-transit loads current.
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Object>} { loadId, etaAt, deadline, minutesLate, atRisk, stops, positionRecordedAt, computedAt, reason }
+   * @throws {NotFoundError}
+   */
+  async getEta(loadId) {
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      select: { status: true, deletedAt: true, eta: true }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    if (!ETA_LOAD_STATUSES.includes(load.status)) {
+      return { loadId, etaAt: null, atRisk: false, computedAt: null, reason: `No ETA while load is ${load.status}` };
+    }
+
+    if (!load.eta) {
+      return { loadId, etaAt: null, atRisk: false, computedAt: null, reason: 'ETA not computed yet' };
+    }
+
+    const { etaAt, deadline, minutesLate, atRisk, stops, positionRecordedAt, computedAt } = load.eta;
+
+    return {
+      loadId,
+      etaAt,
+      deadline,
+      minutesLate,
+      atRisk,
+      stops,
+      positionRecordedAt,
+      computedAt,
+      reason: etaAt ? null : 'Remaining stops are not geocoded'
+    };
+  }
+
+  /**
+   * Notify dispatch and the shipper that a load is predicted late. Never
+   * throws.
+   * @param {Object} load - Load
+   * @param {Object} prediction - From predict()
+   */
+  async alertAtRisk(load, prediction) {
+    try {
+      await prisma.loadEta.update({
+        where: { loadId: load.id },
+        data: { riskAlertedAt: new Date() }
+      });
+      await notificationService.notifyDeliveryAtRisk(load, prediction);
+    } catch (error) {
+      console.error(`Failed to send at-risk alert for load ${load.loadNumber}:`, error);
+    }
+  }
+
+  /**
+   * Recompute ETAs for every in-transit load (background job)
+   * @returns {Promise<Object>} { updated, atRisk }
+   */
+  async refreshActiveLoads() {
+    const loads = await prisma.load.findMany({
+      where: { deletedAt: null, status: { in: ETA_LOAD_STATUSES } },
+      select: { id: true }
+    });
+
+    let updated = 0;
+    let atRisk = 0;
+
+    for (const { id } of loads) {
+      try {
+        const eta = await this.refreshEta(id);
+        if (eta.etaAt) updated++;
+        if (eta.atRisk) atRisk++;
+      } catch (error) {
+        console.error(`Failed to compute ETA for load ${id}:`, error);
+      }
+    }
+
+    return { updated, atRisk };
+  }
+
+  /**
+   * Stored ETA of a load, for API responses
+   * @param {Object|null} eta - loadEta row
+   * @returns {Object|null} { etaAt, deadline, minutesLate, atRisk, computedAt }
+   */
+  summary(eta) {
+    if (!eta) return null;
+
+    return {
+      etaAt: eta.etaAt,
+      deadline: eta.deadline,
+      minutesLate: eta.minutesLate,
+      atRisk: eta.atRisk,
+      computedAt: eta.computedAt
+    };
+  }
+}
+
+module.exports = new EtaService();
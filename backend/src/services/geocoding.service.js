@@ -0,0 +1,620 @@
+// ==================== src/services/geocoding.service.js ====================
+const fs = require('fs');
+const path = require('path');
+const prisma = require('../config/database');
+const mileageService = require('./mileage.service');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { distanceMiles, isCoordinate } = require('../utils/geo');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_DATASET = path.join(__dirname, '..', 'data', 'us-places.csv');
+
+const ZIP_PATTERN = /\b(\d{5})(?:-\d{4})?\b/g;
+// The state can't be followed by a period, so "Yard, St. Louis, MO" isn't read as state ST
+const CITY_STATE_PATTERN = /([A-Za-z][A-Za-z .'-]*?)\s*,\s*([A-Za-z]{2})\b(?!\.)/g;
+
+// Degrees searched around a point for the nearest offline place
+const MAX_NEAREST_RING = 5;
+
+// Stops whose load is finished don't need coordinates any more
+const CLOSED_LOAD_STATUSES = ['COMPLETED', 'CANCELLED'];
+
+/**
+ * Normalize a city name for lookups ("St. Louis" and "saint louis" match)
+ * @param {string} city - City name
+ * @returns {string}
+ */
+const cityKey = city => city
+  .toLowerCase()
+  .replace(/^(st|ste)\.?\s+/, 'saint ')
+  .replace(/^ft\.?\s+/, 'fort ')
+  .replace(/[^a-z ]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Last match of a global pattern in a string
+ * @param {RegExp} pattern - Global regex
+ * @param {string} text - Text to search
+ * @returns {Array|null} Match groups
+ */
+const lastMatch = (pattern, text) => {
+  const matches = [...(text || '').matchAll(pattern)];
+  return matches.length ? matches[matches.length - 1] : null;
+};
+
+/**
+ * Offline provider backed by a CSV of US ZIP/city centroids
+ * (zip,city,state,latitude,longitude). Resolves to ZIP or city precision.
+ * A point's jurisdiction is the state of the nearest place, so accuracy near
+ * borders depends on how dense the dataset is.
+ * @param {string} file - Dataset path
+ * @returns {Object} Provider
+ */
+const createOfflineProvider = (file) => {
+  let index = null;
+
+  // Places bucketed by whole degree for nearest-place searches
+  const cell = (lat, lng) => `${Math.floor(lat)}|${Math.floor(lng)}`;
+
+  const load = () => {
+    if (index) return index;
+
+    index = { byZip: new Map(), byCity: new Map(), byCell: new Map() };
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).slice(1);
+
+    for (const line of lines) {
+      const [zip, city, state, latitude, longitude] = line.split(',').map(value => value.trim());
+      if (!isCoordinate(latitude, longitude)) continue;
+
+      const place = {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        formattedAddress: [city, state, zip].filter(Boolean).join(', ')
+      };
+
+      if (zip) index.byZip.set(zip, { ...place, precision: 'ZIP' });
+
+      if (state) {
+        const bucket = cell(place.latitude, place.longitude);
+        if (!index.byCell.has(bucket)) index.byCell.set(bucket, []);
+        index.byCell.get(bucket).push({ ...place, state: state.toUpperCase() });
+      }
+
+      const key = `${cityKey(city)}|${state.toUpperCase()}`;
+      if (city && state && !index.byCity.has(key)) {
+        index.byCity.set(key, { ...place, precision: 'CITY' });
+      }
+    }
+
+    return index;
+  };
+
+  return {
+    name: 'offline',
+    cacheable: false,
+    async geocode(query) {
+      const { byZip, byCity } = load();
+
+      if (query.zip && byZip.has(query.zip)) return byZip.get(query.zip);
+      if (query.city && query.state) return byCity.get(`${cityKey(query.city)}|${query.state}`) || null;
+
+      return null;
+    },
+    async jurisdiction(point) {
+      const { byCell } = load();
+      const latCell = Math.floor(point.lat);
+      const lngCell = Math.floor(point.lng);
+      let best = null;
+      let bestMiles = Infinity;
+      let lastRing = MAX_NEAREST_RING;
+
+      // Widen ring by ring; one ring past the first hit catches a closer
+      // place just across a cell edge
+      for (let ring = 0; ring <= lastRing; ring++) {
+        for (let dLat = -ring; dLat <= ring; dLat++) {
+          for (let dLng = -ring; dLng <= ring; dLng++) {
+            if (Math.max(Math.abs(dLat), Math.abs(dLng)) !== ring) continue;
+
+            for (const place of byCell.get(`${latCell + dLat}|${lngCell + dLng}`) || []) {
+              const miles = distanceMiles(point, { lat: place.latitude, lng: place.longitude });
+              if (miles < bestMiles) {
+                best = place;
+                bestMiles = miles;
+              }
+            }
+          }
+        }
+
+        if (best && lastRing > ring + 1) lastRing = ring + 1;
+      }
+
+      return best ? { jurisdiction: best.state, country: 'US', precision: 'NEAREST_PLACE' } : null;
+    }
+  };
+};
+
+/**
+ * Google Maps Geocoding API provider
+ * @param {Object} options - { apiKey, timeoutMs }
+ * @returns {Object} Provider
+ */
+const createGoogleProvider = ({ apiKey, timeoutMs }) => ({
+  name: 'google',
+  cacheable: true,
+  async geocode(query) {
+    const params = new URLSearchParams({
+      address: query.text,
+      components: 'country:US',
+      key: apiKey
+    });
+
+    const response = await fetch(`https://maps.googleapis.com/maps/api/geocode/json?${params}`, {
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const body = await response.json();
+
+    if (body.status === 'ZERO_RESULTS') return null;
+    if (body.status !== 'OK') {
+      throw new Error(`Google geocoding failed: ${body.status}${body.error_message ? ` (${body.error_message})` : ''}`);
+    }
+
+    const [result] = body.results;
+    return {
+      latitude: result.geometry.location.lat,
+      longitude: result.geometry.location.lng,
+      precision: result.geometry.location_type === 'ROOFTOP' ? 'ADDRESS' : 'APPROXIMATE',
+      formattedAddress: result.formatted_address
+    };
+  },
+  async jurisdiction(point) {
+    const params = new URLSearchParams({
+      latlng: `${point.lat},${point.lng}`,
+      result_type: 'administrative_area_level_1',
+      key: apiKey
+    });
+
+    const response = await fetch(`https://maps.googleapis.com/maps/api/geocode/json?${params}`, {
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const body = await response.json();
+
+    if (body.status === 'ZERO_RESULTS') return null;
+    if (body.status !== 'OK') {
+      throw new Error(`Google reverse geocoding failed: ${body.status}${body.error_message ? ` (${body.error_message})` : ''}`);
+    }
+
+    const components = body.results[0].address_components;
+    const area = components.find(c => c.types.includes('administrative_area_level_1'));
+    const country = components.find(c => c.types.includes('country'));
+
+    return area ? { jurisdiction: area.short_name, country: country ? country.short_name : null, precision: 'BOUNDARY' } : null;
+  }
+});
+
+class GeocodingService {
+  constructor() {
+    this.cacheDays = parseInt(process.env.GEOCODING_CACHE_DAYS) || 90;
+    this.negativeCacheHours = parseInt(process.env.GEOCODING_NEGATIVE_CACHE_HOURS) || 24;
+    this.batchSize = parseInt(process.env.GEOCODING_BATCH_SIZE) || 50;
+    // Points are snapped to this grid (degrees) before a jurisdiction lookup
+    this.jurisdictionGrid = parseFloat(process.env.GEOCODING_JURISDICTION_GRID) || 0.05;
+
+    this.offline = createOfflineProvider(process.env.GEOCODING_OFFLINE_DATASET || DEFAULT_DATASET);
+    this.providers = { offline: this.offline };
+
+    if (process.env.GOOGLE_MAPS_API_KEY) {
+      this.registerProvider(createGoogleProvider({
+        apiKey: process.env.GOOGLE_MAPS_API_KEY,
+        timeoutMs: parseInt(process.env.GEOCODING_TIMEOUT_MS) || 5000
+      }));
+    }
+
+    this.providerName = process.env.GEOCODING_PROVIDER || (process.env.GOOGLE_MAPS_API_KEY ? 'google' : 'offline');
+  }
+
+  /**
+   * Add a geocoding provider. A provider is { name, cacheable, geocode(query) }
+   * where geocode resolves to { latitude, longitude, precision,
+   * formattedAddress } or null when the address isn't found, and throws
+   * when the provider itself fails. It may also offer jurisdiction({ lat, lng })
+   * resolving to { jurisdiction, country, precision } or null; without it
+   * jurisdictions come from the offline dataset.
+   * @param {Object} provider - Provider
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  /**
+   * Configured provider, falling back to offline when it isn't registered
+   * @returns {Object}
+   */
+  get provider() {
+    return this.providers[this.providerName] || this.offline;
+  }
+
+  /**
+   * Pull ZIP, city and state out of a stop. Structured fields win; free
+   * text ("Acme DC, 123 Main St, Dallas, TX 75201") fills the gaps.
+   * @param {Object} stop - Stop
+   * @returns {Object} { zip, city, state, text, key }
+   */
+  buildQuery(stop) {
+    const freeText = [stop.address, stop.locationName].filter(Boolean).join(', ');
+    const zipMatch = lastMatch(ZIP_PATTERN, freeText);
+    const cityMatch = lastMatch(CITY_STATE_PATTERN, stop.address) || lastMatch(CITY_STATE_PATTERN, stop.locationName);
+
+    const zip = (stop.zipCode || (zipMatch && zipMatch[1]) || '').slice(0, 5) || null;
+    const city = stop.city || (cityMatch && cityMatch[1].trim()) || null;
+    const state = (stop.state || (cityMatch && cityMatch[2]) || '').toUpperCase() || null;
+
+    // Structured fields are only appended when the free text lacks them
+    const base = stop.address || stop.locationName || '';
+    const missing = [city, state, zip].filter(part => part && !base.toUpperCase().includes(part.toUpperCase()));
+    const text = [base, ...missing].filter(Boolean).join(', ');
+
+    return {
+      zip,
+      city,
+      state,
+      text,
+      key: text.toLowerCase().replace(/\s+/g, ' ').trim()
+    };
+  }
+
+  /**
+   * Geocode one query: cache, then the configured provider, then the
+   * offline dataset if the provider fails. Fallback answers aren't cached
+   * so the provider gets another try next time.
+   * @param {Object} query - From buildQuery()
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignore cached misses
+   * @returns {Promise<Object>} { result, provider, error }
+   */
+  async geocode(query, { refresh = false } = {}) {
+    if (!query.text) {
+      return { result: null, provider: null, error: 'No address on stop' };
+    }
+
+    const provider = this.provider;
+
+    if (provider.cacheable) {
+      const cached = await prisma.geocodeCache.findUnique({ where: { queryKey: query.key } });
+
+      if (cached && cached.expiresAt > new Date() && (cached.resolved || !refresh)) {
+        return {
+          result: cached.resolved ? {
+            latitude: parseFloat(cached.latitude),
+            longitude: parseFloat(cached.longitude),
+            precision: cached.precision,
+            formattedAddress: cached.formattedAddress
+          } : null,
+          provider: cached.provider,
+          error: null
+        };
+      }
+    }
+
+    try {
+      const result = await provider.geocode(query);
+
+      if (provider.cacheable) {
+        const ttl = result ? this.cacheDays * DAY_MS : this.negativeCacheHours * HOUR_MS;
+        const fields = {
+          provider: provider.name,
+          resolved: Boolean(result),
+          latitude: result ? result.latitude : null,
+          longitude: result ? result.longitude : null,
+          precision: result ? result.precision : null,
+          formattedAddress: result ? result.formattedAddress : null,
+          expiresAt: new Date(Date.now() + ttl)
+        };
+
+        await prisma.geocodeCache.upsert({
+          where: { queryKey: query.key },
+          create: { queryKey: query.key, ...fields },
+          update: fields
+        });
+      }
+
+      return { result, provider: provider.name, error: null };
+    } catch (error) {
+      if (provider === this.offline) throw error;
+
+      console.error(`Geocoding provider ${provider.name} failed, using offline dataset:`, error.message);
+      const result = await this.offline.geocode(query);
+      return { result, provider: this.offline.name, error: result ? null : error.message };
+    }
+  }
+
+  /**
+   * State or province containing a point (IFTA jurisdiction). Points are
+   * snapped to a GEOCODING_JURISDICTION_GRID grid so nearby lookups share a
+   * cache row; pass a Map as memo to also skip the cache within one run.
+   * Falls back to the offline dataset when the provider can't answer.
+   * @param {Object} point - { lat, lng }
+   * @param {Map} [memo] - Per-run results by grid cell
+   * @returns {Promise<Object|null>} { jurisdiction, country, provider, approximate }
+   */
+  async jurisdictionAt(point, memo = null) {
+    const snap = value => (Math.round(value / this.jurisdictionGrid) * this.jurisdictionGrid).toFixed(4);
+    const key = `jurisdiction:${snap(point.lat)},${snap(point.lng)}`;
+
+    if (memo && memo.has(key)) return memo.get(key);
+
+    const cellPoint = { lat: parseFloat(snap(point.lat)), lng: parseFloat(snap(point.lng)) };
+    const provider = this.provider.jurisdiction ? this.provider : this.offline;
+    let answer;
+
+    if (provider.cacheable) {
+      const cached = await prisma.geocodeCache.findUnique({ where: { queryKey: key } });
+
+      if (cached && cached.expiresAt > new Date()) {
+        answer = cached.resolved
+          ? { jurisdiction: cached.jurisdiction, country: cached.country, provider: cached.provider, approximate: false }
+          : null;
+      }
+    }
+
+    if (answer === undefined) {
+      try {
+        const result = await provider.jurisdiction(cellPoint);
+        answer = result && {
+          jurisdiction: result.jurisdiction,
+          country: result.country,
+          provider: provider.name,
+          approximate: result.precision === 'NEAREST_PLACE'
+        };
+
+        if (provider.cacheable) {
+          const ttl = result ? this.cacheDays * DAY_MS : this.negativeCacheHours * HOUR_MS;
+          const fields = {
+            provider: provider.name,
+            resolved: Boolean(result),
+            jurisdiction: result ? result.jurisdiction : null,
+            country: result ? result.country : null,
+            expiresAt: new Date(Date.now() + ttl)
+          };
+
+          await prisma.geocodeCache.upsert({
+            where: { queryKey: key },
+            create: { queryKey: key, ...fields },
+            update: fields
+          });
+        }
+      } catch (error) {
+        if (provider === this.offline) throw error;
+
+        console.error(`Geocoding provider ${provider.name} failed, using offline dataset:`, error.message);
+        const result = await this.offline.jurisdiction(cellPoint);
+        answer = result && {
+          jurisdiction: result.jurisdiction,
+          country: result.country,
+          provider: this.offline.name,
+          approximate: true
+        };
+      }
+    }
+
+    if (memo) memo.set(key, answer);
+    return answer;
+  }
+
+  /**
+   * Geocode every stop on a load into its geoLocations, then recompute its
+   * mileage. Stops that can't be resolved are marked UNRESOLVED for
+   * dispatcher review; a location set by hand is kept while the stop's
+   * address is unchanged.
+   * @param {string} loadId - Load ID
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Ignore cached misses
+   * @returns {Promise<Object>} { resolved, unresolved, stops }
+   * @throws {NotFoundError}
+   */
+  async geocodeLoad(loadId, { refresh = false } = {}) {
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      include: {
+        stops: { orderBy: { stopSequence: 'asc' } },
+        geoLocations: true
+      }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    const stops = [];
+
+    for (const stop of load.stops) {
+      const query = this.buildQuery(stop);
+      const existing = load.geoLocations.find(l => l.stopSequence === stop.stopSequence);
+
+      if (existing && existing.provider === 'MANUAL' && existing.queryKey === query.key) {
+        await prisma.loadStop.update({
+          where: { id: stop.id },
+          data: { geocodeStatus: 'MANUAL', geocodeNote: null }
+        });
+        stops.push({ stopId: stop.id, stopSequence: stop.stopSequence, status: 'MANUAL' });
+        continue;
+      }
+
+      const { result, provider, error } = await this.geocode(query, { refresh });
+
+      if (result) {
+        const fields = {
+          latitude: result.latitude,
+          longitude: result.longitude,
+          precision: result.precision,
+          formattedAddress: result.formattedAddress,
+          provider,
+          queryKey: query.key,
+          geocodedAt: new Date()
+        };
+
+        await prisma.loadGeoLocation.upsert({
+          where: { loadId_stopSequence: { loadId, stopSequence: stop.stopSequence } },
+          create: { loadId, stopSequence: stop.stopSequence, ...fields },
+          update: fields
+        });
+      } else {
+        await prisma.loadGeoLocation.deleteMany({
+          where: { loadId, stopSequence: stop.stopSequence }
+        });
+      }
+
+      const note = result ? null : error || `Could not locate "${query.text || stop.locationName}"`;
+
+      await prisma.loadStop.update({
+        where: { id: stop.id },
+        data: {
+          geocodeStatus: result ? 'RESOLVED' : 'UNRESOLVED',
+          geocodeNote: note
+        }
+      });
+
+      stops.push({
+        stopId: stop.id,
+        stopSequence: stop.stopSequence,
+        status: result ? 'RESOLVED' : 'UNRESOLVED',
+        precision: result ? result.precision : null,
+        provider,
+        note
+      });
+    }
+
+    // Stops were removed by an update
+    await prisma.loadGeoLocation.deleteMany({
+      where: { loadId, stopSequence: { gt: load.stops.length } }
+    });
+
+    await mileageService.refreshLoadQuietly(loadId);
+
+    return {
+      resolved: stops.filter(s => s.status !== 'UNRESOLVED').length,
+      unresolved: stops.filter(s => s.status === 'UNRESOLVED').length,
+      stops
+    };
+  }
+
+  /**
+   * Geocode a load after it was written, without failing the write
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Object|null>} geocodeLoad() result, null on failure
+   */
+  async geocodeLoadQuietly(loadId) {
+    try {
+      return await this.geocodeLoad(loadId);
+    } catch (error) {
+      console.error(`Failed to geocode load ${loadId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Geocode loads with stops that haven't been geocoded yet (background
+   * job; covers loads created by imports, templates and EDI)
+   * @returns {Promise<Object>} { loads, unresolved }
+   */
+  async geocodePending() {
+    const pending = await prisma.loadStop.findMany({
+      where: {
+        geocodeStatus: null,
+        load: { deletedAt: null, status: { notIn: CLOSED_LOAD_STATUSES } }
+      },
+      select: { loadId: true },
+      distinct: ['loadId'],
+      take: this.batchSize
+    });
+
+    let loads = 0;
+    let unresolved = 0;
+
+    for (const { loadId } of pending) {
+      const result = await this.geocodeLoadQuietly(loadId);
+      if (!result) continue;
+
+      loads++;
+      unresolved += result.unresolved;
+    }
+
+    return { loads, unresolved };
+  }
+
+  /**
+   * Stops dispatch needs to locate by hand
+   * @returns {Promise<Array>} Stops with their load
+   */
+  async getReviewQueue() {
+    return await prisma.loadStop.findMany({
+      where: {
+        geocodeStatus: 'UNRESOLVED',
+        load: { deletedAt: null, status: { notIn: CLOSED_LOAD_STATUSES } }
+      },
+      include: {
+        load: {
+          select: {
+            id: true,
+            loadNumber: true,
+            status: true,
+            pickupDate: true,
+            shipperClientId: true
+          }
+        }
+      },
+      orderBy: { appointmentStart: 'asc' }
+    });
+  }
+
+  /**
+   * Set a stop's coordinates by hand, resolving its review flag
+   * @param {string} loadId - Load ID
+   * @param {string} stopId - Stop ID
+   * @param {Object} data - { latitude, longitude }
+   * @returns {Promise<Object>} loadGeoLocation
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async setManualLocation(loadId, stopId, data) {
+    const stop = await prisma.loadStop.findUnique({ where: { id: stopId } });
+
+    if (!stop || stop.loadId !== loadId) {
+      throw new NotFoundError('Stop not found on this load');
+    }
+
+    if (!isCoordinate(data.latitude, data.longitude)) {
+      throw new BadRequestError('latitude and longitude are required');
+    }
+
+    const fields = {
+      latitude: parseFloat(data.latitude),
+      longitude: parseFloat(data.longitude),
+      precision: 'MANUAL',
+      formattedAddress: null,
+      provider: 'MANUAL',
+      queryKey: this.buildQuery(stop).key,
+      geocodedAt: new Date()
+    };
+
+    const location = await prisma.$transaction(async (tx) => {
+      await tx.loadStop.update({
+        where: { id: stopId },
+        data: { geocodeStatus: 'MANUAL', geocodeNote: null }
+      });
+
+      return await tx.loadGeoLocation.upsert({
+        where: { loadId_stopSequence: { loadId, stopSequence: stop.stopSequence } },
+        create: { loadId, stopSequence: stop.stopSequence, ...fields },
+        update: fields
+      });
+    });
+
+    await mileageService.refreshLoadQuietly(loadId);
+
+    return location;
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,306 @@
+// ==================== src/services/geofence.service.js ====================
+const prisma = require('../config/database');
+const loadStateMachine = require('./loadStateMachine.service');
+const loadService = require('./loads.service');
+const detentionService = require('./detention.service');
+const ediService = require('./edi.service');
+const { NotFoundError } = require('../utils/errors');
+const { updateVersioned } = require('../utils/concurrency');
+const { distanceMiles, isCoordinate } = require('../utils/geo');
+
+const SYSTEM_ACTOR = { id: null, type: 'SYSTEM' };
+
+const METERS_PER_MILE = 1609.344;
+
+// Statuses a load moves through on the road, in order
+const ROAD_STATUSES = ['ACCEPTED', ...loadStateMachine.trackingStatuses];
+
+class GeofenceService {
+  constructor() {
+    this.defaultRadiusMeters = parseInt(process.env.GEOFENCE_RADIUS_METERS) || 500;
+    // Departure only counts once the truck is this far past the radius, so
+    // GPS jitter at the edge of a fence can't arrive and depart repeatedly
+    this.exitFactor = parseFloat(process.env.GEOFENCE_EXIT_FACTOR) || 1.5;
+  }
+
+  /**
+   * Geofence of a stop: its geocoded point and radius
+   * @param {Object} stop - Stop
+   * @param {Array} geoLocations - Load geoLocations (matched on stopSequence)
+   * @returns {Object|null} { center, radiusMeters } - null when disabled or not geocoded
+   */
+  fenceFor(stop, geoLocations) {
+    if (stop.geofenceEnabled === false) return null;
+
+    const location = (geoLocations || []).find(l => l.stopSequence === stop.stopSequence);
+    if (!location || !isCoordinate(location.latitude, location.longitude)) return null;
+
+    return {
+      center: { lat: parseFloat(location.latitude), lng: parseFloat(location.longitude) },
+      radiusMeters: stop.geofenceRadiusMeters || this.defaultRadiusMeters
+    };
+  }
+
+  /**
+   * Meters from a point to a fence's center
+   * @param {Object} fence - From fenceFor()
+   * @param {Object} point - { latitude, longitude }
+   * @returns {number}
+   */
+  metersFrom(fence, point) {
+    return distanceMiles(fence.center, { lat: point.latitude, lng: point.longitude }) * METERS_PER_MILE;
+  }
+
+  /**
+   * Stops of a load with their geofences, for dispatch
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Array>} [{ stopId, stopSequence, stopType, enabled, radiusMeters, center, arrivedAt, departedAt }]
+   * @throws {NotFoundError}
+   */
+  async getFences(loadId) {
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      include: {
+        stops: { orderBy: { stopSequence: 'asc' } },
+        geoLocations: { orderBy: { stopSequence: 'asc' } }
+      }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    return load.stops.map(stop => {
+      const fence = this.fenceFor({ ...stop, geofenceEnabled: true }, load.geoLocations);
+
+      return {
+        stopId: stop.id,
+        stopSequence: stop.stopSequence,
+        stopType: stop.stopType,
+        enabled: stop.geofenceEnabled !== false,
+        radiusMeters: stop.geofenceRadiusMeters || this.defaultRadiusMeters,
+        customRadius: stop.geofenceRadiusMeters != null,
+        center: fence ? fence.center : null,
+        arrivedAt: stop.arrivedAt,
+        departedAt: stop.departedAt
+      };
+    });
+  }
+
+  /**
+   * Set a stop's geofence radius or switch automatic events off for it
+   * @param {string} loadId - Load ID
+   * @param {string} stopId - Stop ID
+   * @param {Object} data - { radiusMeters (null for the default), enabled }
+   * @returns {Promise<Object>} Updated stop
+   * @throws {NotFoundError}
+   */
+  async configureStop(loadId, stopId, data) {
+    await loadService.getStop(loadId, stopId);
+
+    return await prisma.loadStop.update({
+      where: { id: stopId },
+      data: {
+        ...(data.radiusMeters !== undefined && {
+          geofenceRadiusMeters: data.radiusMeters === null ? null : parseInt(data.radiusMeters)
+        }),
+        ...(data.enabled !== undefined && { geofenceEnabled: data.enabled })
+      }
+    });
+  }
+
+  /**
+   * Status the load should reach after a stop event, if any: arriving at a
+   * pickup or delivery, leaving the last pickup, leaving the final delivery
+   * @param {Object} stop - Stop
+   * @param {string} stopEvent - ARRIVED or DEPARTED
+   * @param {Array} stops - All stops on the load
+   * @returns {string|null}
+   */
+  targetStatus(stop, stopEvent, stops) {
+    if (stop.stopType === 'PICKUP') {
+      if (stopEvent === 'ARRIVED') return 'AT_PICKUP';
+      const lastPickup = stops.filter(s => s.stopType === 'PICKUP').pop();
+      return lastPickup.id === stop.id ? 'EN_ROUTE_DELIVERY' : null;
+    }
+
+    if (stopEvent === 'ARRIVED') return 'AT_DELIVERY';
+    return loadService.isFinalDelivery(stop, stops) ? 'DELIVERED' : null;
+  }
+
+  /**
+   * Statuses to step through to reach a target. Loads are only moved
+   * forward; a driver who skipped a tap (e.g. never marked LOADED) is
+   * walked through the steps they missed.
+   * @param {string} fromStatus - Current status
+   * @param {string|null} toStatus - Target status
+   * @returns {Array<string>}
+   */
+  statusPath(fromStatus, toStatus) {
+    const from = ROAD_STATUSES.indexOf(fromStatus);
+    const to = ROAD_STATUSES.indexOf(toStatus);
+
+    return from === -1 || to <= from ? [] : ROAD_STATUSES.slice(from + 1, to + 1);
+  }
+
+  /**
+   * Find fence crossings in a driver's positions. Stops are visited in
+   * sequence starting at the first one not departed; a stop without a
+   * usable fence ends the scan, as it has to be reported by hand.
+   * @param {Object} load - Load with ordered stops and geoLocations
+   * @param {Array<Object>} points - { recordedAt, latitude, longitude } earliest first
+   * @returns {Array<Object>} [{ stop, stopEvent, point }]
+   */
+  detectCrossings(load, points) {
+    const { stops, geoLocations } = load;
+    const crossings = [];
+
+    let index = stops.findIndex(s => !s.departedAt);
+    if (index === -1) return crossings;
+    let arrivedAt = stops[index].arrivedAt ? new Date(stops[index].arrivedAt) : null;
+
+    for (const point of points) {
+      if (index >= stops.length) break;
+
+      const stop = stops[index];
+      const fence = this.fenceFor(stop, geoLocations);
+      if (!fence) break;
+
+      const meters = this.metersFrom(fence, point);
+
+      if (!arrivedAt) {
+        if (meters <= fence.radiusMeters) {
+          crossings.push({ stop, stopEvent: 'ARRIVED', point });
+          arrivedAt = point.recordedAt;
+        }
+      } else if (point.recordedAt > arrivedAt && meters > fence.radiusMeters * this.exitFactor) {
+        crossings.push({ stop, stopEvent: 'DEPARTED', point });
+        index++;
+        arrivedAt = index < stops.length && stops[index].arrivedAt ? new Date(stops[index].arrivedAt) : null;
+      }
+    }
+
+    return crossings;
+  }
+
+  /**
+   * Record one automatic stop event and advance the load as far as the
+   * state machine allows. Everything written is flagged system-generated;
+   * a stop event with no status change still gets a history row so the
+   * timeline shows it.
+   * @param {string} loadId - Load ID
+   * @param {string} driverId - Driver whose position crossed the fence
+   * @param {Object} crossing - { stop, stopEvent, point }
+   * @returns {Promise<Object|null>} { stopId, stopSequence, stopEvent, at, statuses, afterCommit } - null if already recorded
+   */
+  async applyCrossing(loadId, driverId, crossing) {
+    const { stopEvent, point } = crossing;
+
+    return await prisma.$transaction(async (tx) => {
+      // The driver may have tapped the stop since positions were read
+      const stops = await loadService.getStops(loadId, tx);
+      const stop = stops.find(s => s.id === crossing.stop.id);
+
+      if (stopEvent === 'ARRIVED' ? stop.arrivedAt : stop.departedAt || !stop.arrivedAt) {
+        return null;
+      }
+
+      await loadService.recordStopEvent(loadId, stop.id, stopEvent, point.recordedAt, tx);
+
+      const load = await loadStateMachine.getLoadForTransition(loadId, tx);
+      const statuses = this.statusPath(load.status, this.targetStatus(stop, stopEvent, stops));
+      const notes = `Automatic: ${stopEvent === 'ARRIVED' ? 'arrived at' : 'departed'} stop ${stop.stopSequence} (${stop.stopType.toLowerCase()}) geofence`;
+      const event = {
+        gpsLat: point.latitude,
+        gpsLng: point.longitude,
+        stopId: stop.id,
+        stopEvent,
+        driverId
+      };
+
+      if (statuses.length === 0) {
+        // Clients holding the old version must reload to see the stop event
+        await updateVersioned(tx.load, load, { data: {} }, 'Load');
+        await loadStateMachine.recordEvent(loadId, load.status, SYSTEM_ACTOR, { ...event, notes }, tx);
+        await tx.loadStatusHistory.create({
+          data: {
+            loadId,
+            fromStatus: load.status,
+            toStatus: load.status,
+            changedById: null,
+            changedByType: SYSTEM_ACTOR.type,
+            systemGenerated: true,
+            notes
+          }
+        });
+      }
+
+      const notifications = [];
+      for (const status of statuses) {
+        const { afterCommit } = await loadStateMachine.transition(loadId, status, SYSTEM_ACTOR, {
+          notes,
+          event,
+          tx
+        });
+        notifications.push(afterCommit);
+      }
+
+      return {
+        stopId: stop.id,
+        stopSequence: stop.stopSequence,
+        stopEvent,
+        at: point.recordedAt,
+        statuses,
+        afterCommit: async () => {
+          for (const notify of notifications) await notify();
+        }
+      };
+    });
+  }
+
+  /**
+   * Check new driver positions against the load's stop geofences and
+   * record the arrivals and departures they show. Never throws, so a
+   * geofence problem can't fail a location upload.
+   * @param {string} loadId - Load ID
+   * @param {string} driverId - Driver who sent the positions
+   * @param {Array<Object>} points - { recordedAt, latitude, longitude } earliest first
+   * @returns {Promise<Array>} Recorded events [{ stopId, stopSequence, stopEvent, at, statuses }]
+   */
+  async processPositions(loadId, driverId, points) {
+    const recorded = [];
+
+    try {
+      const load = await prisma.load.findUnique({
+        where: { id: loadId },
+        select: {
+          status: true,
+          stops: { orderBy: { stopSequence: 'asc' } },
+          geoLocations: { orderBy: { stopSequence: 'asc' } }
+        }
+      });
+
+      // Nothing left to detect once the load is delivered
+      if (!load || !ROAD_STATUSES.slice(0, -1).includes(load.status)) {
+        return recorded;
+      }
+
+      for (const crossing of this.detectCrossings(load, points)) {
+        const result = await this.applyCrossing(loadId, driverId, crossing);
+        if (!result) continue;
+
+        const { afterCommit, ...event } = result;
+        await afterCommit();
+        await detentionService.assessStatusUpdate(loadId, { stopId: event.stopId, stopEvent: event.stopEvent });
+        await ediService.queueStatusUpdate(loadId);
+        recorded.push(event);
+      }
+    } catch (error) {
+      console.error(`Failed to process geofences for load ${loadId}:`, error);
+    }
+
+    return recorded;
+  }
+}
+
+module.exports = new GeofenceService();
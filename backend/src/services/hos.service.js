@@ -0,0 +1,670 @@
+// ==================== src/services/hos.service.js ====================
+const prisma = require('../config/database');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { HOS_LIMITS } = require('../utils/constants');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Off duty and sleeper berth both count toward the 10-hour reset, the
+// 34-hour restart and the 30-minute break
+const REST_STATUSES = ['OFF_DUTY', 'SLEEPER_BERTH'];
+
+// Duty status implied by a driver's status event. DELIVERED ends the
+// previous period without starting a new one.
+const STATUS_EVENT_DUTY = {
+  EN_ROUTE_PICKUP: 'DRIVING',
+  AT_PICKUP: 'ON_DUTY',
+  LOADED: 'ON_DUTY',
+  EN_ROUTE_DELIVERY: 'DRIVING',
+  AT_DELIVERY: 'ON_DUTY'
+};
+
+const STOP_EVENT_DUTY = {
+  ARRIVED: 'ON_DUTY',
+  DEPARTED: 'DRIVING'
+};
+
+const VIOLATION_MESSAGES = {
+  DRIVE_11: `Drove past the ${HOS_LIMITS.driveHours}-hour driving limit`,
+  SHIFT_14: `Drove past the ${HOS_LIMITS.shiftHours}-hour duty window`,
+  BREAK_30: `Drove more than ${HOS_LIMITS.breakAfterDriveHours} hours without a ${HOS_LIMITS.breakMinutes}-minute break`,
+  CYCLE_70: `Drove past the ${HOS_LIMITS.cycleHours}-hour/${HOS_LIMITS.cycleDays}-day limit`
+};
+
+const REPORT_COLUMNS = ['OFF_DUTY', 'SLEEPER_BERTH', 'DRIVING', 'ON_DUTY'];
+
+const toHours = ms => Math.round((ms / HOUR_MS) * 100) / 100;
+
+const formatDate = date => {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const csvEscape = value => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class HosService {
+  constructor() {
+    this.enforcement = process.env.HOS_ENFORCEMENT === 'warn' ? 'warn' : 'block';
+    this.averageSpeedMph = parseFloat(process.env.HOS_AVERAGE_SPEED_MPH) || 50;
+    this.stopOnDutyHours = parseFloat(process.env.HOS_STOP_ON_DUTY_HOURS) || 1;
+    this.maxReportDays = 31;
+  }
+
+  /**
+   * Duty status logs overlapping a range, earliest first
+   * @param {string} driverId - Driver ID
+   * @param {Object} [options]
+   * @param {Date} [options.from] - Only logs ending after this
+   * @param {Date} [options.to] - Only logs starting before this
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Array>}
+   */
+  async getLogs(driverId, options = {}) {
+    const { from, to, db = prisma } = options;
+
+    return await db.hosLog.findMany({
+      where: {
+        driverId,
+        ...(from && { OR: [{ endAt: null }, { endAt: { gt: from } }] }),
+        ...(to && { startAt: { lt: to } })
+      },
+      include: { load: { select: { id: true, loadNumber: true } } },
+      orderBy: { startAt: 'asc' }
+    });
+  }
+
+  /**
+   * A driver's logs for display
+   * @param {string} driverId - Driver ID
+   * @param {Object} [range] - { from, to } (defaults: the 8-day cycle to now)
+   * @returns {Promise<Array>}
+   * @throws {BadRequestError}
+   */
+  async getDriverLogs(driverId, range = {}) {
+    const to = range.to ? new Date(range.to) : new Date();
+    const from = range.from ? new Date(range.from) : new Date(to.getTime() - HOS_LIMITS.cycleDays * DAY_MS);
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      throw new BadRequestError('Invalid range');
+    }
+
+    return await this.getLogs(driverId, { from, to });
+  }
+
+  /**
+   * Record a duty status period. Without endAt the entry becomes the
+   * driver's current status and closes the one it replaces. Entries may not
+   * overlap other logged periods.
+   * @param {string} driverId - Driver ID
+   * @param {Object} actor - The driver, or a dispatcher logging for them (req.user)
+   * @param {Object} data - { dutyStatus, startAt, endAt, loadId, location, notes }
+   * @param {Object} [options]
+   * @param {string} [options.source] - MANUAL (default) or STATUS_EVENT
+   * @returns {Promise<Object>} Created log
+   * @throws {NotFoundError|BadRequestError|ConflictError}
+   */
+  async logDutyStatus(driverId, actor, data, options = {}) {
+    const { source = 'MANUAL' } = options;
+    const now = new Date();
+    const startAt = data.startAt ? new Date(data.startAt) : now;
+    const endAt = data.endAt ? new Date(data.endAt) : null;
+
+    if (startAt > now || (endAt && endAt > now)) {
+      throw new BadRequestError('Duty status can only be logged up to the current time');
+    }
+
+    if (endAt && endAt <= startAt) {
+      throw new BadRequestError('Duty status must end after it starts');
+    }
+
+    const driver = await prisma.driver.findUnique({ where: { id: driverId } });
+
+    if (!driver || driver.deletedAt) {
+      throw new NotFoundError('Driver not found');
+    }
+
+    return await prisma.$transaction(async (tx) => {
+      const current = await tx.hosLog.findFirst({
+        where: { driverId, endAt: null }
+      });
+
+      // A new current status takes over from the open one
+      const closesCurrent = !endAt && current && current.startAt < startAt;
+
+      const overlapping = (await tx.hosLog.findMany({
+        where: {
+          driverId,
+          OR: [{ endAt: null }, { endAt: { gt: startAt } }],
+          ...(endAt && { startAt: { lt: endAt } })
+        },
+        orderBy: { startAt: 'asc' }
+      })).filter(log => !(closesCurrent && log.id === current.id));
+
+      if (overlapping.length > 0) {
+        throw new ConflictError('Overlaps logged duty status', {
+          conflicts: overlapping.map(log => ({
+            id: log.id,
+            dutyStatus: log.dutyStatus,
+            startAt: log.startAt,
+            endAt: log.endAt
+          }))
+        });
+      }
+
+      if (closesCurrent) {
+        await tx.hosLog.update({
+          where: { id: current.id },
+          data: { endAt: startAt }
+        });
+      }
+
+      return await tx.hosLog.create({
+        data: {
+          driverId,
+          dutyStatus: data.dutyStatus,
+          startAt,
+          endAt,
+          loadId: data.loadId || null,
+          location: data.location || null,
+          notes: data.notes || null,
+          source,
+          createdById: actor.id,
+          createdByType: actor.type
+        }
+      });
+    });
+  }
+
+  /**
+   * Build duty status logs from the driver's load status events: en route
+   * and stop departures are driving, arrivals, loading and stop time are on
+   * duty, and delivery ends the period. Derived periods are capped at the
+   * 14-hour window so a missed status update can't log days of driving.
+   * Periods that overlap existing logs are skipped, so it is safe to re-run.
+   * @param {string} driverId - Driver ID
+   * @param {Object} actor - Who asked for the derivation (req.user)
+   * @param {Object} [range] - { from, to } (defaults: the last 24 hours)
+   * @returns {Promise<Object>} { created, skipped }
+   * @throws {BadRequestError|NotFoundError}
+   */
+  async deriveFromStatusEvents(driverId, actor, range = {}) {
+    const now = new Date();
+    const to = range.to ? new Date(range.to) : now;
+    const from = range.from ? new Date(range.from) : new Date(to.getTime() - DAY_MS);
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      throw new BadRequestError('Invalid range');
+    }
+
+    const [events, nextEvent] = await Promise.all([
+      prisma.loadStatusEvent.findMany({
+        where: { driverId, createdAt: { gte: from, lt: to } },
+        include: { load: { select: { loadNumber: true } } },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.loadStatusEvent.findFirst({
+        where: { driverId, createdAt: { gte: to } },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    const maxMs = HOS_LIMITS.shiftHours * HOUR_MS;
+    const periods = [];
+
+    events.forEach((event, index) => {
+      const dutyStatus = (event.stopEvent && STOP_EVENT_DUTY[event.stopEvent]) || STATUS_EVENT_DUTY[event.status];
+      if (!dutyStatus) return;
+
+      const next = events[index + 1] || nextEvent;
+      const startAt = event.createdAt;
+      let endAt = next ? next.createdAt : null;
+
+      if ((endAt || now) - startAt > maxMs) {
+        endAt = new Date(startAt.getTime() + maxMs);
+      }
+
+      const previous = periods[periods.length - 1];
+      if (previous && previous.dutyStatus === dutyStatus && previous.loadId === event.loadId &&
+          previous.endAt && previous.endAt.getTime() === startAt.getTime()) {
+        previous.endAt = endAt;
+        return;
+      }
+
+      periods.push({
+        dutyStatus,
+        startAt,
+        endAt,
+        loadId: event.loadId,
+        location: event.gpsLat != null && event.gpsLng != null ? `${event.gpsLat}, ${event.gpsLng}` : null,
+        notes: `From ${event.stopEvent ? `stop ${event.stopEvent.toLowerCase()}` : event.status} on load ${event.load.loadNumber}`
+      });
+    });
+
+    const created = [];
+    let skipped = 0;
+
+    for (const period of periods) {
+      try {
+        created.push(await this.logDutyStatus(driverId, actor, period, { source: 'STATUS_EVENT' }));
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+        skipped++;
+      }
+    }
+
+    return { created, skipped };
+  }
+
+  /**
+   * Lay logs out as back-to-back periods from `from` to `to`. Time nobody
+   * logged counts as off duty; an open log runs until `now`.
+   * @param {Array} logs - hosLog rows, earliest first
+   * @param {Object} range - { from, to, now }
+   * @returns {Array} [{ dutyStatus, start, end, log }] - log is null for unlogged time
+   */
+  toSegments(logs, range) {
+    const { from, to, now } = range;
+    const segments = [];
+    let cursor = from;
+
+    const pushGap = (end) => {
+      if (end > cursor) {
+        segments.push({ dutyStatus: 'OFF_DUTY', start: cursor, end, log: null });
+      }
+    };
+
+    for (const log of logs) {
+      const start = new Date(Math.max(log.startAt, cursor));
+      const end = new Date(Math.min(log.endAt || Math.min(now, to), to));
+      if (end <= start) continue;
+
+      pushGap(start);
+      segments.push({ dutyStatus: log.dutyStatus, start, end, log });
+      cursor = end;
+    }
+
+    pushGap(to);
+
+    return segments;
+  }
+
+  /**
+   * Walk a driver's periods and track the 11/14/70 clocks. Driving periods
+   * that run past a limit are returned as violations. Time before `from`
+   * is treated as rest, so pass at least the 8-day cycle of history.
+   * @param {Array} segments - From toSegments()
+   * @returns {Object} { state, onDuty, violations }
+   */
+  evaluate(segments) {
+    const state = {
+      restRun: Infinity, // consecutive rest
+      breakRun: Infinity, // consecutive time not driving
+      shiftStart: null,
+      drive: 0,
+      driveSinceBreak: 0,
+      cycleFrom: null
+    };
+    const onDuty = [];
+    const violations = [];
+
+    for (const segment of segments) {
+      const duration = segment.end - segment.start;
+
+      if (REST_STATUSES.includes(segment.dutyStatus)) {
+        state.restRun += duration;
+        state.breakRun += duration;
+
+        if (state.restRun >= HOS_LIMITS.resetHours * HOUR_MS) {
+          state.shiftStart = null;
+          state.drive = 0;
+          state.driveSinceBreak = 0;
+        }
+        if (state.restRun >= HOS_LIMITS.restartHours * HOUR_MS) {
+          state.cycleFrom = segment.end;
+        }
+        if (state.breakRun >= HOS_LIMITS.breakMinutes * MINUTE_MS) {
+          state.driveSinceBreak = 0;
+        }
+        continue;
+      }
+
+      if (!state.shiftStart) {
+        state.shiftStart = segment.start;
+      }
+      state.restRun = 0;
+
+      if (segment.dutyStatus === 'DRIVING') {
+        const limits = this.limitsAt(state, onDuty, segment.start);
+        const remaining = {
+          DRIVE_11: limits.driveLeft,
+          SHIFT_14: limits.shiftLeft,
+          BREAK_30: limits.breakLeft,
+          CYCLE_70: limits.cycleLeft
+        };
+
+        for (const [type, left] of Object.entries(remaining)) {
+          if (duration > left) {
+            violations.push({
+              type,
+              message: VIOLATION_MESSAGES[type],
+              at: new Date(segment.start.getTime() + left),
+              exceededByHours: toHours(duration - left),
+              logId: segment.log ? segment.log.id : null
+            });
+          }
+        }
+
+        state.drive += duration;
+        state.driveSinceBreak += duration;
+        state.breakRun = 0;
+      } else {
+        state.breakRun += duration;
+        if (state.breakRun >= HOS_LIMITS.breakMinutes * MINUTE_MS) {
+          state.driveSinceBreak = 0;
+        }
+      }
+
+      onDuty.push({ start: segment.start, end: segment.end });
+    }
+
+    return { state, onDuty, violations };
+  }
+
+  /**
+   * Used and remaining time (ms) on each clock at a moment of the walk
+   * @param {Object} state - Walk state from evaluate()
+   * @param {Array} onDuty - On-duty periods so far
+   * @param {Date} at - Moment to measure at
+   * @returns {Object} { driveUsed, driveLeft, shiftUsed, shiftLeft, cycleUsed, cycleLeft, breakLeft }
+   */
+  limitsAt(state, onDuty, at) {
+    const cycleStart = Math.max(at - HOS_LIMITS.cycleDays * DAY_MS, state.cycleFrom || 0);
+    const cycleUsed = onDuty.reduce((sum, period) => {
+      const overlap = Math.min(period.end, at) - Math.max(period.start, cycleStart);
+      return sum + Math.max(overlap, 0);
+    }, 0);
+    const shiftUsed = state.shiftStart ? at - state.shiftStart : 0;
+
+    return {
+      driveUsed: state.drive,
+      driveLeft: Math.max(HOS_LIMITS.driveHours * HOUR_MS - state.drive, 0),
+      shiftUsed,
+      shiftLeft: Math.max(HOS_LIMITS.shiftHours * HOUR_MS - shiftUsed, 0),
+      cycleUsed,
+      cycleLeft: Math.max(HOS_LIMITS.cycleHours * HOUR_MS - cycleUsed, 0),
+      breakLeft: Math.max(HOS_LIMITS.breakAfterDriveHours * HOUR_MS - state.driveSinceBreak, 0)
+    };
+  }
+
+  /**
+   * Remaining drive, shift and cycle time at a moment. A future moment
+   * assumes the driver is off duty from now until then.
+   * @param {string} driverId - Driver ID
+   * @param {Object} [options]
+   * @param {Date} [options.at] - Defaults to now
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Clocks in hours, with the current duty status
+   */
+  async getClocks(driverId, options = {}) {
+    const { db = prisma } = options;
+    const now = new Date();
+    const at = options.at ? new Date(options.at) : now;
+
+    if (isNaN(at)) {
+      throw new BadRequestError('Invalid time');
+    }
+
+    const from = new Date(at.getTime() - HOS_LIMITS.cycleDays * DAY_MS);
+    const logs = await this.getLogs(driverId, { from, to: at, db });
+    const segments = this.toSegments(logs, { from, to: at, now });
+    const { state, onDuty } = this.evaluate(segments);
+    const limits = this.limitsAt(state, onDuty, at);
+    const current = logs.find(log => !log.endAt && at <= now);
+
+    return {
+      driverId,
+      at,
+      currentStatus: current ? current.dutyStatus : 'OFF_DUTY',
+      currentSince: current ? current.startAt : null,
+      drive: { usedHours: toHours(limits.driveUsed), remainingHours: toHours(limits.driveLeft) },
+      shift: { usedHours: toHours(limits.shiftUsed), remainingHours: toHours(limits.shiftLeft) },
+      cycle: { usedHours: toHours(limits.cycleUsed), remainingHours: toHours(limits.cycleLeft) },
+      breakDueInHours: toHours(limits.breakLeft),
+      availableDrivingHours: toHours(Math.min(limits.driveLeft, limits.shiftLeft, limits.cycleLeft)),
+      limits: HOS_LIMITS
+    };
+  }
+
+  /**
+   * Elapsed hours to drive a distance from the given clocks: driving runs
+   * until a limit is reached, then a 30-minute break or a 10-hour reset
+   * (34-hour restart once the cycle is used up) before the next stretch
+   * @param {number} driveHours - Driving time needed
+   * @param {Object} clocks - From getClocks()
+   * @returns {number} Hours including required rest
+   */
+  drivingHoursWithRest(driveHours, clocks) {
+    let remaining = driveHours;
+    let elapsed = 0;
+    let drive = clocks.drive.remainingHours;
+    let shift = clocks.shift.remainingHours;
+    let sinceBreak = clocks.breakDueInHours;
+    let cycle = clocks.cycle.remainingHours;
+
+    while (remaining > 0) {
+      const stretch = Math.min(remaining, drive, shift, sinceBreak, cycle);
+      remaining -= stretch;
+      elapsed += stretch;
+      drive -= stretch;
+      shift -= stretch;
+      sinceBreak -= stretch;
+      cycle -= stretch;
+
+      if (remaining <= 0) break;
+
+      if (cycle <= 0) {
+        elapsed += HOS_LIMITS.restartHours;
+        cycle = HOS_LIMITS.cycleHours;
+      } else if (drive <= 0 || shift <= 0) {
+        elapsed += HOS_LIMITS.resetHours;
+      } else {
+        elapsed += HOS_LIMITS.breakMinutes / 60;
+        shift -= HOS_LIMITS.breakMinutes / 60;
+        sinceBreak = HOS_LIMITS.breakAfterDriveHours;
+        continue;
+      }
+
+      drive = HOS_LIMITS.driveHours;
+      shift = HOS_LIMITS.shiftHours;
+      sinceBreak = HOS_LIMITS.breakAfterDriveHours;
+    }
+
+    return elapsed;
+  }
+
+  /**
+   * Rough hours a load keeps a driver busy: miles at the average speed,
+   * plus on-duty time at each stop. Routed practical miles are preferred
+   * over the distance the shipper entered.
+   * @param {Object} load - Load with distanceMiles, mileage and stops
+   * @returns {Object} { driveHours, onDutyHours } - driveHours is null without a distance
+   */
+  estimateTrip(load) {
+    const stopCount = Math.max((load.stops || []).length, 2);
+    const miles = (load.mileage && load.mileage.loadedPracticalMiles) || load.distanceMiles;
+
+    return {
+      driveHours: miles ? parseFloat(miles) / this.averageSpeedMph : null,
+      onDutyHours: stopCount * this.stopOnDutyHours
+    };
+  }
+
+  /**
+   * Check a driver has the hours to run a load in its window. The clocks are
+   * taken at pickup (assuming rest until then) and the trip's driving is
+   * laid over them with the breaks and 10-hour resets it would need. With
+   * HOS_ENFORCEMENT=warn problems are returned instead of thrown.
+   * @param {string} driverId - Driver ID
+   * @param {Object} load - Load with distanceMiles, mileage and stops
+   * @param {Object} window - { start, end } the assignment would hold
+   * @param {Object} [options]
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Array>} Warnings ([] when the trip fits)
+   * @throws {ConflictError} In block mode when the trip would cause a violation
+   */
+  async checkAssignment(driverId, load, window, options = {}) {
+    const { db = prisma } = options;
+    const clocks = await this.getClocks(driverId, { at: window.start, db });
+    const { driveHours, onDutyHours } = this.estimateTrip(load);
+    const issues = [];
+
+    if (clocks.availableDrivingHours <= 0) {
+      issues.push({
+        type: 'NO_DRIVING_TIME',
+        message: 'Driver has no driving time left at pickup'
+      });
+    }
+
+    if (driveHours !== null) {
+      const tripHours = driveHours + onDutyHours;
+
+      if (tripHours > clocks.cycle.remainingHours) {
+        issues.push({
+          type: 'CYCLE_70',
+          message: `Trip needs about ${toHours(tripHours * HOUR_MS)} on-duty hours; driver has ${clocks.cycle.remainingHours} left in the ${HOS_LIMITS.cycleHours}-hour cycle`
+        });
+      }
+
+      const neededHours = onDutyHours + this.drivingHoursWithRest(driveHours, clocks);
+      const windowHours = (window.end - window.start) / HOUR_MS;
+
+      if (neededHours > windowHours) {
+        issues.push({
+          type: 'TRANSIT_TIME',
+          message: `Trip needs about ${toHours(neededHours * HOUR_MS)} hours with required rest; the window is ${toHours(windowHours * HOUR_MS)} hours`
+        });
+      }
+    }
+
+    if (issues.length > 0 && this.enforcement === 'block') {
+      throw new ConflictError(
+        `Hours of service: ${issues.map(issue => issue.message).join('; ')}`,
+        { window, hos: { clocks, driveHours, onDutyHours, issues } }
+      );
+    }
+
+    return issues;
+  }
+
+  /**
+   * Per-day record of duty status for a range: each day's periods, hours
+   * per duty status and violations. Days run midnight to midnight server
+   * time; unlogged time counts as off duty and days end at the current time.
+   * @param {string} driverId - Driver ID
+   * @param {Object} [range] - { from, to } (defaults: the last 7 days through today)
+   * @returns {Promise<Object>} { driver, from, to, days, violations }
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async getDailyReport(driverId, range = {}) {
+    const now = new Date();
+    const today = new Date(new Date(now).setHours(0, 0, 0, 0));
+    const from = range.from ? new Date(range.from) : new Date(today.getTime() - 6 * DAY_MS);
+    from.setHours(0, 0, 0, 0);
+    const to = range.to ? new Date(range.to) : new Date(today.getTime() + DAY_MS);
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      throw new BadRequestError('Invalid report range');
+    }
+
+    if (to - from > this.maxReportDays * DAY_MS) {
+      throw new BadRequestError(`Reports cover at most ${this.maxReportDays} days`);
+    }
+
+    const driver = await prisma.driver.findUnique({
+      where: { id: driverId },
+      select: { id: true, firstName: true, lastName: true, licenseNumber: true, licenseState: true }
+    });
+
+    if (!driver) {
+      throw new NotFoundError('Driver not found');
+    }
+
+    // Violations depend on the cycle before the report starts
+    const end = new Date(Math.min(to, now));
+    const historyFrom = new Date(from.getTime() - HOS_LIMITS.cycleDays * DAY_MS);
+    const logs = await this.getLogs(driverId, { from: historyFrom, to: end });
+    const segments = this.toSegments(logs, { from: historyFrom, to: end, now });
+    const violations = this.evaluate(segments).violations.filter(v => v.at >= from && v.at < to);
+
+    const days = [];
+    for (let dayStart = from; dayStart < to && dayStart < now; ) {
+      const next = new Date(dayStart);
+      next.setDate(next.getDate() + 1);
+      const dayEnd = new Date(Math.min(next, to, now));
+
+      const entries = segments
+        .filter(s => s.start < dayEnd && s.end > dayStart)
+        .map(s => {
+          const start = new Date(Math.max(s.start, dayStart));
+          const end = new Date(Math.min(s.end, dayEnd));
+
+          return {
+            dutyStatus: s.dutyStatus,
+            start,
+            end,
+            hours: toHours(end - start),
+            logId: s.log ? s.log.id : null,
+            load: s.log ? s.log.load : null,
+            location: s.log ? s.log.location : null,
+            notes: s.log ? s.log.notes : null,
+            source: s.log ? s.log.source : null
+          };
+        });
+
+      const totals = Object.fromEntries(REPORT_COLUMNS.map(status => [
+        status,
+        toHours(entries
+          .filter(entry => entry.dutyStatus === status)
+          .reduce((sum, entry) => sum + (entry.end - entry.start), 0))
+      ]));
+
+      days.push({
+        date: formatDate(dayStart),
+        totals,
+        entries,
+        violations: violations.filter(v => v.at >= dayStart && v.at < next)
+      });
+
+      dayStart = next;
+    }
+
+    return { driver, from, to, days, violations };
+  }
+
+  /**
+   * CSV export of a daily report: one row per day with hours per duty
+   * status and the day's violations
+   * @param {Object} report - From getDailyReport()
+   * @returns {string} CSV text
+   */
+  buildReportCsv(report) {
+    const lines = [['Date', 'Off Duty', 'Sleeper Berth', 'Driving', 'On Duty', 'Violations'].join(',')];
+
+    for (const day of report.days) {
+      lines.push([
+        day.date,
+        ...REPORT_COLUMNS.map(status => day.totals[status]),
+        day.violations.map(v => `${v.message} at ${v.at.toISOString()} (+${v.exceededByHours}h)`).join('; ')
+      ].map(csvEscape).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new HosService();
@@ -0,0 +1,675 @@
+// ==================== src/services/ifta.service.js ====================
+const prisma = require('../config/database');
+const trackingService = require('./tracking.service');
+const geocodingService = require('./geocoding.service');
+const mileageService = require('./mileage.service');
+const pdfService = require('./pdf.service');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { IFTA_JURISDICTIONS, NOT_PENDING_REQUEST } = require('../utils/constants');
+const { distanceMiles, isCoordinate } = require('../utils/geo');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const QUARTER_PATTERN = /^(\d{4})-Q([1-4])$/;
+
+// Miles that couldn't be placed in any state or province
+const UNKNOWN_JURISDICTION = 'UNKNOWN';
+
+const round = (value, places = 0) => Math.round(value * 10 ** places) / 10 ** places;
+
+const csvEscape = value => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Running miles per jurisdiction
+ * @returns {Object} Tally
+ */
+const createTally = () => ({
+  totalMiles: 0,
+  estimatedMiles: 0,
+  approximateMiles: 0,
+  byJurisdiction: new Map(),
+
+  add(jurisdiction, miles, { estimated, approximate }) {
+    if (!this.byJurisdiction.has(jurisdiction)) {
+      this.byJurisdiction.set(jurisdiction, { miles: 0, estimatedMiles: 0 });
+    }
+
+    const entry = this.byJurisdiction.get(jurisdiction);
+    entry.miles += miles;
+    this.totalMiles += miles;
+
+    if (estimated) {
+      entry.estimatedMiles += miles;
+      this.estimatedMiles += miles;
+    }
+    if (approximate) this.approximateMiles += miles;
+  },
+
+  merge(other) {
+    for (const [jurisdiction, entry] of other.byJurisdiction) {
+      this.add(jurisdiction, entry.miles - entry.estimatedMiles, { estimated: false, approximate: false });
+      this.add(jurisdiction, entry.estimatedMiles, { estimated: true, approximate: false });
+    }
+    this.approximateMiles += other.approximateMiles;
+  }
+});
+
+class IftaService {
+  constructor() {
+    // Breadcrumbs further apart than this are a gap, filled with routed miles
+    this.maxGpsGapMinutes = parseInt(process.env.IFTA_MAX_GPS_GAP_MINUTES) || 30;
+    // A segment's miles are split between jurisdictions sampled this far apart
+    this.sampleMiles = parseFloat(process.env.IFTA_SAMPLE_MILES) || 2;
+    // Loads picked up this long before a vehicle assignment may still be on the road in it
+    this.loadLookbackDays = 30;
+  }
+
+  /**
+   * Date range of a quarter ("2026-Q3"), end exclusive
+   * @param {string} quarter - Quarter
+   * @returns {Object} { quarter, from, to }
+   * @throws {BadRequestError}
+   */
+  parseQuarter(quarter) {
+    const match = QUARTER_PATTERN.exec(quarter || '');
+
+    if (!match) {
+      throw new BadRequestError('Quarter must look like 2026-Q3');
+    }
+
+    const year = parseInt(match[1]);
+    const firstMonth = (parseInt(match[2]) - 1) * 3;
+
+    return {
+      quarter,
+      from: new Date(year, firstMonth, 1),
+      to: new Date(year, firstMonth + 3, 1)
+    };
+  }
+
+  /**
+   * Who drove a vehicle when: its driver assignments clipped to a range
+   * (and to now, for a quarter still running)
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end (exclusive)
+   * @returns {Promise<Array>} { driverId, from, to }
+   */
+  async assignmentWindows(vehicleId, from, to) {
+    const assignments = await prisma.vehicleAssignment.findMany({
+      where: {
+        vehicleId,
+        assignedAt: { lt: to },
+        OR: [{ unassignedAt: null }, { unassignedAt: { gt: from } }]
+      },
+      orderBy: { assignedAt: 'asc' }
+    });
+
+    const now = new Date();
+
+    return assignments
+      .map(assignment => ({
+        driverId: assignment.driverId,
+        from: new Date(Math.max(from, assignment.assignedAt)),
+        to: new Date(Math.min(to, assignment.unassignedAt || now))
+      }))
+      .filter(window => window.from < window.to);
+  }
+
+  /**
+   * Positions of a vehicle during one driver assignment, in time order:
+   * the breadcrumbs of the driver's loads on this vehicle, or for a load
+   * that wasn't tracked, its geocoded stops at their arrival times
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} window - { driverId, from, to }
+   * @returns {Promise<Object>} { points, loadIds }
+   */
+  async windowPoints(vehicleId, window) {
+    const loads = await prisma.load.findMany({
+      where: {
+        deletedAt: null,
+        status: { not: 'CANCELLED' },
+        pickupDate: { gte: new Date(window.from - this.loadLookbackDays * DAY_MS), lt: window.to },
+        assignments: {
+          some: {
+            driverId: window.driverId,
+            rejectedAt: null,
+            ...NOT_PENDING_REQUEST,
+            AND: [{ OR: [{ vehicleId: null }, { vehicleId }] }]
+          }
+        }
+      },
+      select: {
+        id: true,
+        stops: {
+          orderBy: { stopSequence: 'asc' },
+          select: { stopSequence: true, arrivedAt: true, departedAt: true }
+        },
+        geoLocations: { orderBy: { stopSequence: 'asc' } }
+      }
+    });
+
+    const inWindow = at => at >= window.from && at < window.to;
+    const points = [];
+    const loadIds = [];
+
+    for (const load of loads) {
+      const track = await trackingService.getTrack(load.id);
+      const tracked = track.points.filter(point => inWindow(point.recordedAt));
+      let loadPoints;
+
+      if (tracked.length > 0) {
+        loadPoints = tracked.map(point => ({
+          lat: point.latitude,
+          lng: point.longitude,
+          at: point.recordedAt,
+          loadId: load.id,
+          gps: true
+        }));
+      } else {
+        loadPoints = load.stops
+          .map(stop => {
+            const location = load.geoLocations.find(l => l.stopSequence === stop.stopSequence);
+            const at = stop.arrivedAt || stop.departedAt;
+
+            if (!at || !location || !isCoordinate(location.latitude, location.longitude)) return null;
+
+            return {
+              lat: parseFloat(location.latitude),
+              lng: parseFloat(location.longitude),
+              at: new Date(at),
+              loadId: load.id,
+              gps: false
+            };
+          })
+          .filter(point => point && inWindow(point.at));
+      }
+
+      if (loadPoints.length > 0) {
+        points.push(...loadPoints);
+        loadIds.push(load.id);
+      }
+    }
+
+    // Overlapping loads share the truck: keep one point per instant
+    points.sort((a, b) => a.at - b.at);
+
+    return {
+      points: points.filter((point, i) => i === 0 || point.at.getTime() !== points[i - 1].at.getTime()),
+      loadIds
+    };
+  }
+
+  /**
+   * Add the miles between two consecutive positions to a tally. Close
+   * breadcrumbs count as driven; anything else (a tracking gap, the empty
+   * move between loads, untracked stops) is routed and marked estimated. Miles are split between the jurisdictions found at points
+   * sampled along the segment.
+   * @param {Object} tally - From createTally()
+   * @param {Object} from - Position
+   * @param {Object} to - Position
+   * @param {Map} memo - Jurisdiction lookups for this run
+   */
+  async addSegment(tally, from, to, memo) {
+    const estimated = !(from.gps && to.gps && to.at - from.at <= this.maxGpsGapMinutes * MINUTE_MS);
+
+    const straightMiles = distanceMiles(from, to);
+    if (straightMiles < 0.01) return;
+
+    const miles = estimated
+      ? (await mileageService.route([from, to])).practicalMiles
+      : straightMiles;
+
+    const samples = Math.max(1, Math.ceil(straightMiles / this.sampleMiles));
+
+    for (let i = 0; i < samples; i++) {
+      const t = (i + 0.5) / samples;
+      const place = await geocodingService.jurisdictionAt({
+        lat: from.lat + (to.lat - from.lat) * t,
+        lng: from.lng + (to.lng - from.lng) * t
+      }, memo);
+
+      tally.add(place ? place.jurisdiction : UNKNOWN_JURISDICTION, miles / samples, {
+        estimated,
+        approximate: Boolean(place && place.approximate)
+      });
+    }
+  }
+
+  /**
+   * Miles a vehicle drove per jurisdiction in a date range
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end (exclusive)
+   * @param {Map} [memo] - Jurisdiction lookups shared across vehicles
+   * @returns {Promise<Object>} { tally, loadCount, assigned }
+   */
+  async vehicleMiles(vehicleId, from, to, memo = new Map()) {
+    const tally = createTally();
+    const windows = await this.assignmentWindows(vehicleId, from, to);
+    const loadIds = new Set();
+
+    for (const window of windows) {
+      const { points, loadIds: windowLoadIds } = await this.windowPoints(vehicleId, window);
+      windowLoadIds.forEach(id => loadIds.add(id));
+
+      for (let i = 1; i < points.length; i++) {
+        await this.addSegment(tally, points[i - 1], points[i], memo);
+      }
+    }
+
+    return { tally, loadCount: loadIds.size, assigned: windows.length > 0 };
+  }
+
+  /**
+   * Fuel bought for vehicles in a date range
+   * @param {Object} where - Extra filter (e.g. { vehicleId })
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end (exclusive)
+   * @returns {Promise<Array>}
+   */
+  async fuelPurchasesBetween(where, from, to) {
+    return await prisma.fuelPurchase.findMany({
+      where: { ...where, purchasedAt: { gte: from, lt: to } },
+      orderBy: { purchasedAt: 'asc' }
+    });
+  }
+
+  /**
+   * Caveats a reader of the report should know about
+   * @param {Object} tally - Tally
+   * @returns {Array<string>}
+   */
+  tallyWarnings(tally) {
+    const warnings = [];
+    const unknown = tally.byJurisdiction.get(UNKNOWN_JURISDICTION);
+
+    if (tally.estimatedMiles >= 1) {
+      warnings.push(`${round(tally.estimatedMiles)} miles were estimated from routing where breadcrumbs were missing (tracking gaps, moves between loads, untracked loads)`);
+    }
+    if (tally.approximateMiles >= 1) {
+      warnings.push(`${round(tally.approximateMiles)} miles were placed by nearest town in the offline dataset; miles near borders may be misattributed`);
+    }
+    if (unknown && unknown.miles >= 1) {
+      warnings.push(`${round(unknown.miles)} miles could not be placed in a jurisdiction`);
+    }
+
+    return warnings;
+  }
+
+  /**
+   * One vehicle's IFTA mileage and fuel for a quarter, with its own MPG
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} quarter - Quarter ("2026-Q3")
+   * @returns {Promise<Object>} { vehicle, quarter, from, to, totalMiles, estimatedMiles, totalGallons, mpg, loadCount, jurisdictions, warnings }
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async getVehicleReport(vehicleId, quarter) {
+    const range = this.parseQuarter(quarter);
+
+    const vehicle = await prisma.vehicle.findUnique({
+      where: { id: vehicleId },
+      select: { id: true, unitNumber: true }
+    });
+
+    if (!vehicle) {
+      throw new NotFoundError('Vehicle not found');
+    }
+
+    const [{ tally, loadCount, assigned }, purchases] = await Promise.all([
+      this.vehicleMiles(vehicleId, range.from, range.to),
+      this.fuelPurchasesBetween({ vehicleId }, range.from, range.to)
+    ]);
+
+    const gallonsIn = jurisdiction => purchases
+      .filter(p => p.jurisdiction === jurisdiction)
+      .reduce((sum, p) => sum + parseFloat(p.gallons), 0);
+    const totalGallons = purchases.reduce((sum, p) => sum + parseFloat(p.gallons), 0);
+    const codes = new Set([...tally.byJurisdiction.keys(), ...purchases.map(p => p.jurisdiction)]);
+
+    const warnings = this.tallyWarnings(tally);
+    if (!assigned) warnings.unshift('No driver was assigned to this vehicle during the quarter');
+
+    return {
+      vehicle,
+      ...range,
+      totalMiles: round(tally.totalMiles),
+      estimatedMiles: round(tally.estimatedMiles),
+      totalGallons: round(totalGallons, 3),
+      mpg: totalGallons > 0 ? round(tally.totalMiles / totalGallons, 2) : null,
+      loadCount,
+      jurisdictions: [...codes].sort().map(jurisdiction => {
+        const entry = tally.byJurisdiction.get(jurisdiction) || { miles: 0, estimatedMiles: 0 };
+        return {
+          jurisdiction,
+          member: IFTA_JURISDICTIONS.includes(jurisdiction),
+          miles: round(entry.miles),
+          estimatedMiles: round(entry.estimatedMiles),
+          gallonsPurchased: round(gallonsIn(jurisdiction), 3)
+        };
+      }),
+      warnings
+    };
+  }
+
+  /**
+   * Fleet IFTA summary for a quarter, as filed: fleet MPG from all miles and
+   * gallons, then per jurisdiction the taxable gallons (taxable miles / fleet
+   * MPG) less the tax-paid gallons bought there. A negative net is a credit.
+   * Rates change every quarter and are applied when filing, so tax due is
+   * left out.
+   * @param {string} quarter - Quarter ("2026-Q3")
+   * @returns {Promise<Object>} { quarter, from, to, totalMiles, taxableMiles, totalGallons, fleetMpg, jurisdictions, vehicles, warnings, generatedAt }
+   * @throws {BadRequestError}
+   */
+  async getFleetReport(quarter) {
+    const range = this.parseQuarter(quarter);
+
+    const [assignments, purchases] = await Promise.all([
+      prisma.vehicleAssignment.findMany({
+        where: {
+          assignedAt: { lt: range.to },
+          OR: [{ unassignedAt: null }, { unassignedAt: { gt: range.from } }]
+        },
+        select: { vehicleId: true }
+      }),
+      this.fuelPurchasesBetween({}, range.from, range.to)
+    ]);
+
+    const vehicleIds = [...new Set([...assignments, ...purchases].map(row => row.vehicleId))];
+    const vehicleRows = await prisma.vehicle.findMany({
+      where: { id: { in: vehicleIds } },
+      select: { id: true, unitNumber: true },
+      orderBy: { unitNumber: 'asc' }
+    });
+
+    const fleet = createTally();
+    const memo = new Map();
+    const vehicles = [];
+    const warnings = [];
+
+    // One vehicle at a time: each walks its loads' full tracks
+    for (const vehicle of vehicleRows) {
+      const { tally, loadCount } = await this.vehicleMiles(vehicle.id, range.from, range.to, memo);
+      const gallons = purchases
+        .filter(p => p.vehicleId === vehicle.id)
+        .reduce((sum, p) => sum + parseFloat(p.gallons), 0);
+
+      fleet.merge(tally);
+
+      if (tally.totalMiles === 0 && gallons > 0) {
+        warnings.push(`Unit ${vehicle.unitNumber} has fuel purchases but no recorded miles`);
+      }
+
+      vehicles.push({
+        vehicle,
+        totalMiles: round(tally.totalMiles),
+        estimatedMiles: round(tally.estimatedMiles),
+        totalGallons: round(gallons, 3),
+        mpg: gallons > 0 ? round(tally.totalMiles / gallons, 2) : null,
+        loadCount
+      });
+    }
+
+    const totalGallons = purchases.reduce((sum, p) => sum + parseFloat(p.gallons), 0);
+    const fleetMpg = totalGallons > 0 && fleet.totalMiles > 0 ? round(fleet.totalMiles / totalGallons, 2) : null;
+
+    if (totalGallons === 0) {
+      warnings.push('No fuel purchases recorded for the quarter, so taxable gallons cannot be computed');
+    }
+    warnings.push(...this.tallyWarnings(fleet));
+
+    const codes = new Set([...fleet.byJurisdiction.keys(), ...purchases.map(p => p.jurisdiction)]);
+
+    const jurisdictions = [...codes].sort().map(jurisdiction => {
+      const entry = fleet.byJurisdiction.get(jurisdiction) || { miles: 0, estimatedMiles: 0 };
+      const member = IFTA_JURISDICTIONS.includes(jurisdiction);
+      const taxableMiles = member ? entry.miles : 0;
+      const taxableGallons = fleetMpg ? taxableMiles / fleetMpg : null;
+      const taxPaidGallons = purchases
+        .filter(p => p.jurisdiction === jurisdiction && p.taxPaid)
+        .reduce((sum, p) => sum + parseFloat(p.gallons), 0);
+
+      return {
+        jurisdiction,
+        member,
+        totalMiles: round(entry.miles),
+        taxableMiles: round(taxableMiles),
+        estimatedMiles: round(entry.estimatedMiles),
+        taxableGallons: taxableGallons !== null ? round(taxableGallons) : null,
+        taxPaidGallons: round(taxPaidGallons),
+        netTaxableGallons: member && taxableGallons !== null ? round(taxableGallons) - round(taxPaidGallons) : null
+      };
+    });
+
+    return {
+      ...range,
+      totalMiles: round(fleet.totalMiles),
+      taxableMiles: jurisdictions.reduce((sum, row) => sum + row.taxableMiles, 0),
+      estimatedMiles: round(fleet.estimatedMiles),
+      totalGallons: round(totalGallons, 3),
+      fleetMpg,
+      jurisdictions,
+      vehicles,
+      warnings,
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * CSV export of a fleet report: summary lines, the jurisdiction table and
+   * the per-vehicle breakdown
+   * @param {Object} report - From getFleetReport()
+   * @returns {string} CSV text
+   */
+  buildReportCsv(report) {
+    const lines = [
+      ['Quarter', report.quarter],
+      ['Total Miles', report.totalMiles],
+      ['Taxable Miles', report.taxableMiles],
+      ['Total Gallons', report.totalGallons],
+      ['Fleet MPG', report.fleetMpg],
+      [],
+      ['Jurisdiction', 'IFTA Member', 'Total Miles', 'Taxable Miles', 'Taxable Gallons', 'Tax-Paid Gallons', 'Net Taxable Gallons', 'Estimated Miles'],
+      ...report.jurisdictions.map(row => [
+        row.jurisdiction,
+        row.member ? 'Y' : 'N',
+        row.totalMiles,
+        row.taxableMiles,
+        row.taxableGallons,
+        row.taxPaidGallons,
+        row.netTaxableGallons,
+        row.estimatedMiles
+      ]),
+      [],
+      ['Unit', 'Total Miles', 'Gallons', 'MPG', 'Estimated Miles', 'Loads'],
+      ...report.vehicles.map(row => [
+        row.vehicle.unitNumber,
+        row.totalMiles,
+        row.totalGallons,
+        row.mpg,
+        row.estimatedMiles,
+        row.loadCount
+      ]),
+      ...(report.warnings.length ? [[], ['Notes'], ...report.warnings.map(warning => [warning])] : [])
+    ];
+
+    return lines.map(line => line.map(csvEscape).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * PDF of a fleet report with the same content as the CSV
+   * @param {Object} report - From getFleetReport()
+   * @returns {Buffer} PDF file
+   */
+  buildReportPdf(report) {
+    const cell = (value, width) => String(value == null ? '-' : value).padStart(width);
+    const text = (value, width) => String(value == null ? '-' : value).padEnd(width);
+
+    const lines = [
+      `Period:        ${report.from.toDateString()} - ${new Date(report.to - 1).toDateString()}`,
+      `Total miles:   ${report.totalMiles}`,
+      `Taxable miles: ${report.taxableMiles}`,
+      `Total gallons: ${report.totalGallons}`,
+      `Fleet MPG:     ${report.fleetMpg == null ? '-' : report.fleetMpg}`,
+      '',
+      `${text('Juris.', 7)}${text('Member', 7)}${cell('Total Mi', 11)}${cell('Taxable Mi', 12)}${cell('Taxable Gal', 13)}${cell('Paid Gal', 10)}${cell('Net Gal', 10)}${cell('Est. Mi', 10)}`,
+      ...report.jurisdictions.map(row =>
+        `${text(row.jurisdiction, 7)}${text(row.member ? 'Y' : 'N', 7)}${cell(row.totalMiles, 11)}${cell(row.taxableMiles, 12)}` +
+        `${cell(row.taxableGallons, 13)}${cell(row.taxPaidGallons, 10)}${cell(row.netTaxableGallons, 10)}${cell(row.estimatedMiles, 10)}`),
+      '',
+      `${text('Unit', 16)}${cell('Total Mi', 11)}${cell('Gallons', 12)}${cell('MPG', 8)}${cell('Est. Mi', 10)}${cell('Loads', 7)}`,
+      ...report.vehicles.map(row =>
+        `${text(row.vehicle.unitNumber, 16)}${cell(row.totalMiles, 11)}${cell(row.totalGallons, 12)}` +
+        `${cell(row.mpg, 8)}${cell(row.estimatedMiles, 10)}${cell(row.loadCount, 7)}`)
+    ];
+
+    if (report.warnings.length) {
+      lines.push('', 'Notes:');
+      // Wrap notes at the page width
+      for (const warning of report.warnings) {
+        let rest = `- ${warning}`;
+        while (rest.length > pdfService.maxColumns) {
+          const cut = rest.lastIndexOf(' ', pdfService.maxColumns);
+          const at = cut > 0 ? cut : pdfService.maxColumns;
+          lines.push(rest.slice(0, at));
+          rest = `  ${rest.slice(at).trim()}`;
+        }
+        lines.push(rest);
+      }
+    }
+
+    lines.push('', `Generated ${report.generatedAt.toISOString()}`);
+
+    return pdfService.renderText(`IFTA Summary - ${report.quarter}`, lines);
+  }
+
+  /**
+   * Record fuel bought for a vehicle. The driver defaults to whoever had
+   * the vehicle at purchase time.
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} actor - { id, type }
+   * @param {Object} data - { purchasedAt, jurisdiction, gallons, pricePerGallon, totalCost, taxPaid, vendor, city, receiptNumber, driverId, notes }
+   * @returns {Promise<Object>} fuelPurchase row
+   * @throws {NotFoundError|BadRequestError|ConflictError}
+   */
+  async addFuelPurchase(vehicleId, actor, data) {
+    const vehicle = await prisma.vehicle.findUnique({
+      where: { id: vehicleId },
+      select: { id: true }
+    });
+
+    if (!vehicle) {
+      throw new NotFoundError('Vehicle not found');
+    }
+
+    const purchasedAt = new Date(data.purchasedAt);
+
+    if (purchasedAt > new Date()) {
+      throw new BadRequestError('Purchase date cannot be in the future');
+    }
+
+    if (data.receiptNumber) {
+      const existing = await prisma.fuelPurchase.findFirst({
+        where: { vehicleId, receiptNumber: data.receiptNumber },
+        select: { id: true }
+      });
+
+      if (existing) {
+        throw new ConflictError('A fuel purchase with this receipt number is already recorded for this vehicle');
+      }
+    }
+
+    let driverId = data.driverId || null;
+
+    if (!driverId) {
+      const assignment = await prisma.vehicleAssignment.findFirst({
+        where: {
+          vehicleId,
+          assignedAt: { lte: purchasedAt },
+          OR: [{ unassignedAt: null }, { unassignedAt: { gt: purchasedAt } }]
+        },
+        orderBy: { assignedAt: 'desc' },
+        select: { driverId: true }
+      });
+      driverId = assignment ? assignment.driverId : null;
+    }
+
+    const gallons = parseFloat(data.gallons);
+    const pricePerGallon = data.pricePerGallon != null ? parseFloat(data.pricePerGallon) : null;
+
+    return await prisma.fuelPurchase.create({
+      data: {
+        vehicleId,
+        driverId,
+        purchasedAt,
+        jurisdiction: data.jurisdiction.toUpperCase(),
+        city: data.city || null,
+        gallons,
+        pricePerGallon,
+        totalCost: data.totalCost != null
+          ? parseFloat(data.totalCost)
+          : (pricePerGallon !== null ? round(gallons * pricePerGallon, 2) : null),
+        taxPaid: data.taxPaid !== false,
+        vendor: data.vendor || null,
+        receiptNumber: data.receiptNumber || null,
+        notes: data.notes || null,
+        createdById: actor.id,
+        createdByType: actor.type
+      }
+    });
+  }
+
+  /**
+   * Fuel purchases of a vehicle, newest first, optionally for one quarter
+   * @param {string} vehicleId - Vehicle ID
+   * @param {Object} [options] - { quarter, skip, take }
+   * @returns {Promise<Object>} { purchases, total }
+   * @throws {BadRequestError}
+   */
+  async listFuelPurchases(vehicleId, { quarter, skip = 0, take = 20 } = {}) {
+    const where = { vehicleId };
+
+    if (quarter) {
+      const range = this.parseQuarter(quarter);
+      where.purchasedAt = { gte: range.from, lt: range.to };
+    }
+
+    const [purchases, total] = await Promise.all([
+      prisma.fuelPurchase.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { purchasedAt: 'desc' }
+      }),
+      prisma.fuelPurchase.count({ where })
+    ]);
+
+    return { purchases, total };
+  }
+
+  /**
+   * Delete a fuel purchase entered by mistake
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} purchaseId - Fuel purchase ID
+   * @throws {NotFoundError}
+   */
+  async deleteFuelPurchase(vehicleId, purchaseId) {
+    const purchase = await prisma.fuelPurchase.findUnique({
+      where: { id: purchaseId },
+      select: { vehicleId: true }
+    });
+
+    if (!purchase || purchase.vehicleId !== vehicleId) {
+      throw new NotFoundError('Fuel purchase not found');
+    }
+
+    await prisma.fuelPurchase.delete({ where: { id: purchaseId } });
+  }
+}
+
+module.exports = new IftaService();
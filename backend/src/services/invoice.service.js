@@ -0,0 +1,127 @@
+// ==================== src/services/invoice.service.js ====================
+const prisma = require('../config/database');
+const accessorialService = require('./accessorial.service');
+const numberingService = require('./numbering.service');
+const { BadRequestError } = require('../utils/errors');
+
+class InvoiceService {
+  /**
+   * Create a DRAFT invoice for a load
+   * @param {Object} load - Load with shipperClient included
+   * @param {Array} lineItems - { description, quantity, unitPrice, amount }
+   * @param {Object} [options]
+   * @param {number} [options.taxRate] - Tax percentage
+   * @param {string} [options.notes] - Invoice notes
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Created invoice with line items
+   */
+  async createDraftInvoice(load, lineItems, options = {}) {
+    const { taxRate = 0, notes, db = prisma } = options;
+
+    const invoiceNumber = await numberingService.next('INVOICE', {
+      shipperClientId: load.shipperClientId,
+      db
+    });
+
+    // Calculate amounts
+    const subtotal = lineItems.reduce((sum, item) => sum + parseFloat(item.amount), 0);
+    const taxAmount = subtotal * (taxRate / 100);
+    const total = subtotal + taxAmount;
+
+    // Calculate due date (payment terms from shipper client)
+    const paymentTerms = load.shipperClient.paymentTerms || 30;
+    const dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + paymentTerms);
+
+    return await db.shipperInvoice.create({
+      data: {
+        shipperClientId: load.shipperClientId,
+        loadId: load.id,
+        invoiceNumber,
+        subtotal,
+        taxAmount,
+        total,
+        status: 'DRAFT',
+        notes,
+        dueDate,
+        lineItems: {
+          create: lineItems
+        }
+      },
+      include: {
+        lineItems: true,
+        shipperClient: {
+          select: {
+            id: true,
+            legalName: true,
+            tradeName: true
+          }
+        },
+        load: {
+          select: {
+            id: true,
+            loadNumber: true
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Invoice a load: freight plus every approved, not yet invoiced accessorial.
+   * Freight is only billed once; when the load already has a live invoice the
+   * new invoice carries just the accessorials approved since.
+   * @param {Object} load - Load with shipperClient included
+   * @param {Object} [options]
+   * @param {Array} [options.lineItems] - Overrides the default freight line
+   * @param {number} [options.taxRate] - Tax percentage
+   * @param {string} [options.notes] - Invoice notes
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Created invoice with line items
+   * @throws {BadRequestError} When there is nothing left to bill
+   */
+  async createInvoiceForLoad(load, options = {}) {
+    const { lineItems, taxRate = 0, notes, db = prisma } = options;
+
+    const existingInvoice = await db.shipperInvoice.findFirst({
+      where: {
+        loadId: load.id,
+        status: { not: 'CANCELLED' }
+      }
+    });
+
+    const charges = await accessorialService.getBillableCharges(load.id, db);
+
+    if (existingInvoice && charges.length === 0) {
+      throw new BadRequestError('Invoice already exists for this load');
+    }
+
+    let freightLineItems = [];
+    if (!existingInvoice && load.status === 'COMPLETED') {
+      freightLineItems = lineItems || [
+        {
+          description: `Freight charges - Load ${load.loadNumber}`,
+          quantity: 1,
+          unitPrice: parseFloat(load.shipperRate),
+          amount: parseFloat(load.shipperRate)
+        }
+      ];
+    }
+
+    const invoiceLineItems = [
+      ...freightLineItems,
+      ...accessorialService.toInvoiceLineItems(charges, load)
+    ];
+
+    if (invoiceLineItems.length === 0) {
+      throw new BadRequestError('Nothing to invoice for this load');
+    }
+
+    const invoice = await this.createDraftInvoice(load, invoiceLineItems, { taxRate, notes, db });
+    await accessorialService.markInvoiced(charges, invoice.id, db);
+
+    return invoice;
+  }
+}
+
+module.exports = new InvoiceService();
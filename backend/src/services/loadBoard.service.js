@@ -0,0 +1,508 @@
+// ==================== src/services/loadBoard.service.js ====================
+const prisma = require('../config/database');
+const loadStateMachine = require('./loadStateMachine.service');
+const notificationService = require('./notification.service');
+const scheduleService = require('./schedule.service');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { LOAD_BOARD_DRIVER_TYPES } = require('../utils/constants');
+const { distanceMiles, isCoordinate } = require('../utils/geo');
+
+// What a driver sees of a load on the board (no shipper rate)
+const BOARD_LOAD_SELECT = {
+  id: true,
+  loadNumber: true,
+  status: true,
+  origin: true,
+  destination: true,
+  pickupDate: true,
+  pickupTimeStart: true,
+  pickupTimeEnd: true,
+  deliveryDate: true,
+  deliveryTimeStart: true,
+  deliveryTimeEnd: true,
+  equipmentType: true,
+  weightLbs: true,
+  distanceMiles: true,
+  commodity: true,
+  driverPay: true,
+  firstCome: true,
+  stops: {
+    select: {
+      stopSequence: true,
+      stopType: true,
+      locationName: true,
+      city: true,
+      state: true,
+      appointmentStart: true,
+      appointmentEnd: true
+    },
+    orderBy: { stopSequence: 'asc' }
+  },
+  geoLocations: {
+    orderBy: { stopSequence: 'asc' },
+    take: 1
+  }
+};
+
+class LoadBoardService {
+  constructor() {
+    this.defaultRadiusMiles = parseFloat(process.env.LOAD_BOARD_DEFAULT_RADIUS_MILES) || 250;
+  }
+
+  /**
+   * Get a driver with their current vehicles and make sure they may use the board
+   * @param {string} driverId - Driver ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Driver with equipmentTypes
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  async getBoardDriver(driverId, db = prisma) {
+    const driver = await db.driver.findUnique({
+      where: { id: driverId },
+      include: {
+        vehicleAssignments: {
+          where: { isCurrentlyAssigned: true },
+          include: {
+            vehicle: {
+              select: { id: true, unitNumber: true, equipmentType: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!driver || driver.deletedAt) {
+      throw new NotFoundError('Driver not found');
+    }
+
+    if (!LOAD_BOARD_DRIVER_TYPES.includes(driver.driverType)) {
+      throw new ForbiddenError('The load board is only available to owner-operators');
+    }
+
+    return {
+      ...driver,
+      equipmentTypes: [...new Set(driver.vehicleAssignments.map(a => a.vehicle.equipmentType))]
+    };
+  }
+
+  /**
+   * Check a driver can take a load right now
+   * @param {Object} driver - Driver from getBoardDriver
+   * @param {Object} load - Load
+   * @throws {BadRequestError}
+   */
+  assertCanTake(driver, load) {
+    if (!driver.isActive || !driver.isAvailable) {
+      throw new BadRequestError('Mark yourself available before requesting loads');
+    }
+
+    if (load.status !== 'SCHEDULED') {
+      throw new BadRequestError('This load is no longer on the load board');
+    }
+
+    if (!driver.equipmentTypes.includes(load.equipmentType)) {
+      throw new BadRequestError(`This load needs ${load.equipmentType} equipment`);
+    }
+  }
+
+  /**
+   * Loads on the board for a driver: scheduled, not yet picked up, matching
+   * their equipment, clear of their other loads and time off and within
+   * their home base radius. Loads whose origin
+   * hasn't been geocoded can't be ranged and are listed last.
+   * @param {string} driverId - Driver ID
+   * @param {Object} [options]
+   * @param {number} [options.page]
+   * @param {number} [options.limit]
+   * @returns {Promise<Object>} { loads, total, available }
+   */
+  async getBoard(driverId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const driver = await this.getBoardDriver(driverId);
+
+    const homeBase = isCoordinate(driver.homeBaseLat, driver.homeBaseLng)
+      ? {
+        lat: parseFloat(driver.homeBaseLat),
+        lng: parseFloat(driver.homeBaseLng),
+        radiusMiles: driver.homeBaseRadiusMiles || this.defaultRadiusMiles
+      }
+      : null;
+
+    if (!driver.isActive || !driver.isAvailable || driver.equipmentTypes.length === 0) {
+      return { loads: [], total: 0, available: false };
+    }
+
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    const loads = await prisma.load.findMany({
+      where: {
+        status: 'SCHEDULED',
+        deletedAt: null,
+        equipmentType: { in: driver.equipmentTypes },
+        pickupDate: { gte: startOfToday }
+      },
+      select: {
+        ...BOARD_LOAD_SELECT,
+        assignments: {
+          where: { driverId, requestedAt: { not: null } },
+          select: { id: true, requestedAt: true, rejectedAt: true, rejectionReason: true },
+          orderBy: { requestedAt: 'desc' },
+          take: 1
+        }
+      },
+      orderBy: { pickupDate: 'asc' }
+    });
+
+    // Loads the driver couldn't run without double-booking or cutting into
+    // approved time off stay off their board
+    const [commitments, timeOff] = await Promise.all([
+      scheduleService.getCommitments({ driverId }),
+      scheduleService.getTimeOff([driverId], { from: startOfToday })
+    ]);
+    const busy = [...commitments, ...timeOff];
+
+    const board = [];
+    for (const { geoLocations, assignments, ...load } of loads) {
+      const { pickupAt, deliveryAt } = scheduleService.loadWindow(load);
+      if (busy.some(b => scheduleService.overlaps(b, { start: pickupAt, end: deliveryAt }))) continue;
+
+      const origin = geoLocations[0];
+      const distanceFromHome = homeBase && origin && isCoordinate(origin.latitude, origin.longitude)
+        ? Math.round(distanceMiles(homeBase, { lat: parseFloat(origin.latitude), lng: parseFloat(origin.longitude) }))
+        : null;
+
+      if (homeBase && distanceFromHome !== null && distanceFromHome > homeBase.radiusMiles) continue;
+
+      const request = assignments[0];
+      board.push({
+        ...load,
+        distanceFromHomeMiles: distanceFromHome,
+        request: request
+          ? { id: request.id, status: request.rejectedAt ? 'DECLINED' : 'PENDING', reason: request.rejectionReason }
+          : null
+      });
+    }
+
+    // Closest first; unranged loads keep pickup order at the end
+    board.sort((a, b) => {
+      if (a.distanceFromHomeMiles === null) return b.distanceFromHomeMiles === null ? 0 : 1;
+      if (b.distanceFromHomeMiles === null) return -1;
+      return a.distanceFromHomeMiles - b.distanceFromHomeMiles;
+    });
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    return {
+      loads: board.slice(skip, skip + parseInt(limit)),
+      total: board.length,
+      available: true
+    };
+  }
+
+  /**
+   * Request a load from the board. First-come loads are claimed on the spot
+   * (assigned and accepted in one go); others join the dispatcher queue.
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - Driver (req.user)
+   * @param {Object} [data] - { notes }
+   * @returns {Promise<Object>} { assignment, claimed }
+   * @throws {NotFoundError|ForbiddenError|BadRequestError|ConflictError}
+   */
+  async requestLoad(loadId, actor, data = {}) {
+    const driver = await this.getBoardDriver(actor.id);
+    const load = await loadStateMachine.getLoadForTransition(loadId);
+    this.assertCanTake(driver, load);
+
+    const openRequest = await prisma.loadAssignment.findFirst({
+      where: { loadId, driverId: driver.id, requestedAt: { not: null }, approvedAt: null, rejectedAt: null }
+    });
+
+    if (openRequest) {
+      throw new BadRequestError('You have already requested this load');
+    }
+
+    const driverName = `${driver.firstName} ${driver.lastName}`;
+
+    if (!load.firstCome) {
+      const assignment = await prisma.loadAssignment.create({
+        data: {
+          loadId,
+          driverId: driver.id,
+          requestedAt: new Date(),
+          notes: data.notes || null
+        }
+      });
+
+      try {
+        await notificationService.notifyLoadRequested(load, driver, assignment);
+      } catch (error) {
+        console.error('Failed to send load request notification:', error);
+      }
+
+      return { assignment, claimed: false };
+    }
+
+    // Claim: the versioned status change means only the first of two racing
+    // drivers gets the load; the other's transaction rolls back with a 409
+    const { assignment, declined, afterCommit } = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+      const { vehicleId } = await scheduleService.checkAssignment(loadId, driver.id, { db: tx });
+
+      const assignment = await tx.loadAssignment.create({
+        data: {
+          loadId,
+          driverId: driver.id,
+          vehicleId,
+          requestedAt: now,
+          approvedAt: now,
+          acceptedAt: now,
+          notes: data.notes || null
+        }
+      });
+
+      const assigned = await loadStateMachine.transition(loadId, 'ASSIGNED', actor, {
+        notes: `Claimed from the load board by ${driverName}`,
+        tx
+      });
+
+      const accepted = await loadStateMachine.transition(loadId, 'ACCEPTED', actor, {
+        context: { driver },
+        tx
+      });
+
+      const declined = await this.declineOpenRequests(loadId, 'Load was claimed by another driver', tx);
+
+      const afterCommit = async () => {
+        await assigned.afterCommit();
+        await accepted.afterCommit();
+      };
+
+      return { assignment, declined, afterCommit };
+    });
+
+    // Refresh deadhead miles and tell dispatch who took it
+    await afterCommit();
+    await this.notifyDeclined(declined, load);
+
+    return { assignment, claimed: true };
+  }
+
+  /**
+   * Load-board requests, oldest first (the dispatcher approval queue)
+   * @param {Object} actor - req.user; drivers only see their own requests
+   * @param {Object} [options]
+   * @param {string} [options.status] - PENDING (default), APPROVED or DECLINED
+   * @param {number} [options.page]
+   * @param {number} [options.limit]
+   * @returns {Promise<Object>} { requests, total }
+   */
+  async getRequests(actor, options = {}) {
+    const { status = 'PENDING', page = 1, limit = 20 } = options;
+
+    const where = {
+      requestedAt: { not: null },
+      ...(actor.type === 'DRIVER' && { driverId: actor.id })
+    };
+
+    if (status === 'PENDING') {
+      Object.assign(where, { approvedAt: null, rejectedAt: null, load: { status: 'SCHEDULED' } });
+    } else if (status === 'APPROVED') {
+      where.approvedAt = { not: null };
+    } else if (status === 'DECLINED') {
+      where.rejectedAt = { not: null };
+    }
+
+    const [requests, total] = await Promise.all([
+      prisma.loadAssignment.findMany({
+        where,
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit),
+        include: {
+          driver: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              phone: true,
+              driverType: true
+            }
+          },
+          load: {
+            select: {
+              id: true,
+              loadNumber: true,
+              status: true,
+              origin: true,
+              destination: true,
+              pickupDate: true,
+              deliveryDate: true,
+              equipmentType: true,
+              driverPay: true
+            }
+          }
+        },
+        orderBy: { requestedAt: 'asc' }
+      }),
+      prisma.loadAssignment.count({ where })
+    ]);
+
+    return { requests, total };
+  }
+
+  /**
+   * Get a request that is still awaiting a dispatcher
+   * @param {string} id - LoadAssignment ID
+   * @returns {Promise<Object>} Request with driver and load
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async getPendingRequest(id) {
+    const request = await prisma.loadAssignment.findUnique({
+      where: { id },
+      include: { driver: true, load: true }
+    });
+
+    if (!request || !request.requestedAt) {
+      throw new NotFoundError('Load request not found');
+    }
+
+    if (request.approvedAt || request.rejectedAt) {
+      throw new BadRequestError('Load request already reviewed');
+    }
+
+    return request;
+  }
+
+  /**
+   * Approve a driver's request: the request becomes the load's assignment and,
+   * since the driver asked for the load, it is accepted on their behalf.
+   * Other open requests for the load are declined.
+   * @param {string} id - LoadAssignment ID
+   * @param {Object} actor - Dispatcher (req.user)
+   * @param {Object} [data] - { notes }
+   * @returns {Promise<Object>} Approved assignment
+   * @throws {NotFoundError|BadRequestError|ForbiddenError|ConflictError}
+   */
+  async approveRequest(id, actor, data = {}) {
+    const request = await this.getPendingRequest(id);
+    const { driver } = request;
+
+    loadStateMachine.assertTransition(
+      await loadStateMachine.getLoadForTransition(request.loadId),
+      'ASSIGNED',
+      actor
+    );
+
+    if (!driver.isActive || !driver.isAvailable) {
+      throw new BadRequestError('Driver is no longer available');
+    }
+
+    const driverName = `${driver.firstName} ${driver.lastName}`;
+
+    const { assignment, declined, afterCommit } = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+      const { vehicleId } = await scheduleService.checkAssignment(request.loadId, driver.id, { db: tx });
+
+      const assignment = await tx.loadAssignment.update({
+        where: { id },
+        data: {
+          vehicleId,
+          approvedAt: now,
+          acceptedAt: now,
+          assignedById: actor.id,
+          ...(data.notes && { notes: data.notes })
+        }
+      });
+
+      const assigned = await loadStateMachine.transition(request.loadId, 'ASSIGNED', actor, {
+        notes: `Load board request from ${driverName} approved`,
+        context: { assignment },
+        tx
+      });
+
+      const accepted = await loadStateMachine.transition(request.loadId, 'ACCEPTED', { id: driver.id, type: 'DRIVER' }, {
+        notes: 'Accepted through load board request',
+        context: { driver },
+        tx
+      });
+
+      const declined = await this.declineOpenRequests(request.loadId, 'Load was assigned to another driver', tx);
+
+      const afterCommit = async () => {
+        await assigned.afterCommit();
+        await accepted.afterCommit();
+      };
+
+      return { assignment, declined, afterCommit };
+    });
+
+    // Tell the driver the load is theirs and dispatch that it's accepted
+    await afterCommit();
+    await this.notifyDeclined(declined, request.load);
+
+    return assignment;
+  }
+
+  /**
+   * Decline a driver's request
+   * @param {string} id - LoadAssignment ID
+   * @param {Object} actor - Dispatcher (req.user)
+   * @param {string} reason - Shown to the driver
+   * @returns {Promise<Object>} Declined request
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async declineRequest(id, actor, reason) {
+    const request = await this.getPendingRequest(id);
+
+    const declined = await prisma.loadAssignment.update({
+      where: { id },
+      data: {
+        rejectedAt: new Date(),
+        rejectionReason: reason,
+        assignedById: actor.id
+      }
+    });
+
+    await this.notifyDeclined([declined], request.load);
+
+    return declined;
+  }
+
+  /**
+   * Decline every open request for a load (it was assigned or claimed)
+   * @param {string} loadId - Load ID
+   * @param {string} reason - Shown to the drivers
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Array>} Declined requests
+   */
+  async declineOpenRequests(loadId, reason, db = prisma) {
+    const where = { loadId, requestedAt: { not: null }, approvedAt: null, rejectedAt: null };
+    const requests = await db.loadAssignment.findMany({ where });
+
+    if (requests.length > 0) {
+      await db.loadAssignment.updateMany({
+        where,
+        data: { rejectedAt: new Date(), rejectionReason: reason }
+      });
+    }
+
+    return requests.map(r => ({ ...r, rejectionReason: reason }));
+  }
+
+  /**
+   * Let drivers know their requests were declined. Never throws.
+   * @param {Array} requests - Declined requests
+   * @param {Object} load - Load
+   */
+  async notifyDeclined(requests, load) {
+    for (const request of requests) {
+      try {
+        await notificationService.notifyLoadRequestDeclined(request.driverId, load, request.rejectionReason);
+      } catch (error) {
+        console.error('Failed to send load request notification:', error);
+      }
+    }
+  }
+}
+
+module.exports = new LoadBoardService();
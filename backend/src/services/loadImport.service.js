@@ -0,0 +1,394 @@
+// ==================== src/services/loadImport.service.js ====================
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const prisma = require('../config/database');
+const loadService = require('./loads.service');
+const storageService = require('./storage.service');
+const { loadRules } = require('../validators/load.validator');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Columns accepted in an import file (one load per row)
+const IMPORT_COLUMNS = [
+  'origin',
+  'originAddress',
+  'destination',
+  'destinationAddress',
+  'equipmentType',
+  'weightLbs',
+  'distanceMiles',
+  'commodity',
+  'specialInstructions',
+  'pickupDate',
+  'pickupTimeStart',
+  'pickupTimeEnd',
+  'deliveryDate',
+  'deliveryTimeStart',
+  'deliveryTimeEnd',
+  'shipperRate'
+];
+
+const MAX_IMPORT_ROWS = 1000;
+const COMMIT_TIMEOUT_MS = 120000;
+
+// Headers match case-insensitively, ignoring spaces, dashes and underscores
+const normalizeHeader = header => String(header || '').toLowerCase().replace(/[\s_-]/g, '');
+const COLUMN_BY_HEADER = new Map(IMPORT_COLUMNS.map(column => [column.toLowerCase(), column]));
+
+const csvEscape = value => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class LoadImportService {
+  /**
+   * Parse CSV text into rows of cell strings (RFC 4180 quoting)
+   * @param {string} text - CSV content
+   * @returns {Array<Array<string>>} Rows
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^﻿/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Parse the first worksheet of an XLSX workbook into rows of cell strings
+   * @param {Buffer} buffer - XLSX file content
+   * @returns {Promise<Array<Array<string>>>} Rows
+   */
+  async parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const cellText = value => {
+      if (value == null) return '';
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === 'object') {
+        if (value.result !== undefined) return cellText(value.result);
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+      }
+      return String(value);
+    };
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, row => {
+      // row.values is 1-indexed
+      rows.push(row.values.slice(1).map(cellText));
+    });
+
+    return rows;
+  }
+
+  /**
+   * Read an uploaded CSV/XLSX file into header-mapped records
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<Object>} { records: [{ rowNumber, values }], unknownColumns }
+   * @throws {BadRequestError}
+   */
+  async parseFile(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    let rows;
+    if (extension === '.csv') {
+      rows = this.parseCsv(file.buffer.toString('utf8'));
+    } else if (extension === '.xlsx') {
+      rows = await this.parseXlsx(file.buffer);
+    } else {
+      throw new BadRequestError('Import file must be .csv or .xlsx');
+    }
+
+    if (rows.length < 2) {
+      throw new BadRequestError('Import file has no data rows');
+    }
+
+    const [headerRow, ...dataRows] = rows;
+    const columns = headerRow.map(header => COLUMN_BY_HEADER.get(normalizeHeader(header)) || null);
+    const unknownColumns = headerRow.filter((header, index) => header && !columns[index]);
+
+    const records = dataRows
+      .map((cells, index) => {
+        const values = {};
+        columns.forEach((column, i) => {
+          const value = (cells[i] || '').trim();
+          // Leave blanks out so optional rules skip them and required rules flag them
+          if (column && value !== '') values[column] = value;
+        });
+        // +2: 1-based numbering plus the header row
+        return { rowNumber: index + 2, values };
+      })
+      .filter(record => Object.keys(record.values).length > 0);
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new BadRequestError(`Import files are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return { records, unknownColumns };
+  }
+
+  /**
+   * Run one row through the POST /loads rules
+   * @param {Object} values - Header-mapped cell values
+   * @returns {Promise<Object>} { data, errors } - data is the createLoad payload
+   */
+  async validateRow(values) {
+    const req = { body: { ...values } };
+
+    for (const rule of loadRules) {
+      await rule.run(req);
+    }
+
+    const errors = validationResult(req).array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+
+    if (errors.length === 0) {
+      try {
+        loadService.normalizeStops(loadService.stopsFromLoadFields(req.body));
+      } catch (error) {
+        if (!(error instanceof BadRequestError)) throw error;
+        errors.push({ field: null, message: error.message, value: null });
+      }
+    }
+
+    const data = {
+      ...req.body,
+      weightLbs: parseInt(req.body.weightLbs),
+      distanceMiles: req.body.distanceMiles != null ? parseInt(req.body.distanceMiles) : undefined,
+      shipperRate: req.body.shipperRate != null ? parseFloat(req.body.shipperRate) : undefined
+    };
+
+    return { data, errors };
+  }
+
+  /**
+   * Store the upload, validate every row and record the import (dry run)
+   * @param {Object} file - Multer file
+   * @param {Object} actor - { id, type } shipper user (req.user)
+   * @returns {Promise<Object>} Import record
+   */
+  async createImport(file, actor) {
+    const user = await prisma.shipperUser.findUnique({
+      where: { id: actor.id },
+      select: { shipperClientId: true }
+    });
+
+    const { records, unknownColumns } = await this.parseFile(file);
+
+    const validRows = [];
+    const rowErrors = [];
+
+    for (const record of records) {
+      const { data, errors } = await this.validateRow(record.values);
+
+      if (errors.length === 0) {
+        validRows.push({ rowNumber: record.rowNumber, data });
+      } else {
+        rowErrors.push(...errors.map(error => ({ rowNumber: record.rowNumber, ...error })));
+      }
+    }
+
+    // Keep the original file alongside the import record
+    const fileData = await storageService.upload(file, 'LOAD_IMPORT', {
+      uploadedBy: actor.id
+    });
+
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const fileUpload = await tx.fileUpload.create({
+          data: {
+            uploadedById: actor.id,
+            uploadedByType: actor.type,
+            ...fileData,
+            relatedEntityType: 'LOAD_IMPORT',
+            relatedEntityId: null
+          }
+        });
+
+        const loadImport = await tx.loadImport.create({
+          data: {
+            shipperClientId: user.shipperClientId,
+            uploadedById: actor.id,
+            fileUploadId: fileUpload.id,
+            fileName: file.originalname,
+            status: 'VALIDATED',
+            totalRows: records.length,
+            validRows: validRows.length,
+            errorRows: new Set(rowErrors.map(e => e.rowNumber)).size,
+            rows: validRows,
+            errors: rowErrors,
+            unknownColumns
+          }
+        });
+
+        await tx.fileUpload.update({
+          where: { id: fileUpload.id },
+          data: { relatedEntityId: loadImport.id }
+        });
+
+        return loadImport;
+      });
+    } catch (error) {
+      await storageService.discard([fileData]);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an import and make sure the actor may see it
+   * @param {string} id - Import ID
+   * @param {Object} actor - { id, type } (req.user)
+   * @returns {Promise<Object>} Import record
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  async getImport(id, actor) {
+    const loadImport = await prisma.loadImport.findUnique({ where: { id } });
+
+    if (!loadImport) {
+      throw new NotFoundError('Load import not found');
+    }
+
+    if (actor.type === 'SHIPPER_USER') {
+      const user = await prisma.shipperUser.findUnique({
+        where: { id: actor.id },
+        select: { shipperClientId: true }
+      });
+
+      if (user.shipperClientId !== loadImport.shipperClientId) {
+        throw new ForbiddenError('Access denied. You do not own this resource.');
+      }
+    }
+
+    return loadImport;
+  }
+
+  /**
+   * Create the valid rows of a validated import as DRAFT loads in one
+   * transaction: either every valid row becomes a load or none do.
+   * @param {Object} loadImport - Import record (status VALIDATED)
+   * @param {Object} actor - { id, type } shipper user (req.user)
+   * @returns {Promise<Object>} { loadImport, loads }
+   * @throws {BadRequestError}
+   * @throws {ConflictError} When another request is committing the import
+   */
+  async commitImport(loadImport, actor) {
+    if (loadImport.status !== 'VALIDATED') {
+      throw new BadRequestError(`Import already ${loadImport.status.toLowerCase()}`);
+    }
+
+    if (loadImport.validRows === 0) {
+      throw new BadRequestError('Import has no valid rows to commit');
+    }
+
+    let result;
+    try {
+      result = await prisma.$transaction(async (tx) => {
+        // Claim the import so a concurrent commit can't create the loads again
+        const { count } = await tx.loadImport.updateMany({
+          where: { id: loadImport.id, status: 'VALIDATED' },
+          data: { status: 'COMMITTING' }
+        });
+        if (count !== 1) {
+          throw new ConflictError('Import is already being committed');
+        }
+
+        const loads = [];
+        for (const row of loadImport.rows) {
+          loads.push(await loadService.createLoad(loadImport.shipperClientId, actor, row.data, {
+            historyNotes: `Load created by import of ${loadImport.fileName} (row ${row.rowNumber})`,
+            extra: { importId: loadImport.id },
+            db: tx
+          }));
+        }
+
+        const updated = await tx.loadImport.update({
+          where: { id: loadImport.id },
+          data: {
+            status: 'COMPLETED',
+            createdLoadIds: loads.map(load => load.id),
+            committedAt: new Date(),
+            committedById: actor.id,
+            lastError: null
+          }
+        });
+
+        return { loadImport: updated, loads };
+      }, { timeout: COMMIT_TIMEOUT_MS });
+    } catch (error) {
+      if (!(error instanceof ConflictError)) {
+        await prisma.loadImport.update({
+          where: { id: loadImport.id },
+          data: { lastError: error.message }
+        });
+      }
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Per-row error report as CSV
+   * @param {Object} loadImport - Import record
+   * @returns {string} CSV content
+   */
+  buildErrorReport(loadImport) {
+    const lines = [['Row', 'Field', 'Error', 'Value'].join(',')];
+
+    for (const error of loadImport.errors) {
+      lines.push([
+        error.rowNumber,
+        error.field,
+        error.message,
+        error.value
+      ].map(csvEscape).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+module.exports = new LoadImportService();
@@ -0,0 +1,451 @@
+// ==================== src/services/loadStateMachine.service.js ====================
+const prisma = require('../config/database');
+const notificationService = require('./notification.service');
+const mileageService = require('./mileage.service');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { assertVersion, updateVersioned } = require('../utils/concurrency');
+const { NOT_PENDING_REQUEST } = require('../utils/constants');
+
+// Actor rules. A transition lists the actors allowed to trigger it.
+const DISPATCH = { type: 'INTERNAL_USER', roles: ['ADMIN', 'DISPATCHER'] };
+const SHIPPER = { type: 'SHIPPER_USER' };
+const ASSIGNED_DRIVER = { type: 'DRIVER', assignedOnly: true };
+const CLAIMING_DRIVER = { type: 'DRIVER' };
+const SYSTEM = { type: 'SYSTEM' }; // tender offers rolling to the next driver, geofence arrivals/departures
+const EDI = { type: 'SYSTEM', source: 'EDI' }; // trading partners cancelling a tender by 204
+
+// Statuses drivers report from the road through POST /loads/:id/status.
+// Each of these also writes a loadStatusEvent (GPS + timestamp).
+const TRACKING_STATUSES = [
+  'EN_ROUTE_PICKUP',
+  'AT_PICKUP',
+  'LOADED',
+  'EN_ROUTE_DELIVERY',
+  'AT_DELIVERY',
+  'DELIVERED'
+];
+
+const CANCELLABLE_BY_SHIPPER = ['DRAFT', 'PENDING_REVIEW', 'NEGOTIATING', 'RATE_APPROVED', 'SCHEDULED'];
+
+/**
+ * Every legal load status change, DRAFT through COMPLETED/CANCELLED.
+ *
+ * from      - statuses the transition may start from
+ * to        - resulting status
+ * actors    - who may trigger it (see actor rules above)
+ * guard     - optional (load, actor) => error message | null
+ * setFields - optional (load, now) => extra columns written with the status
+ * notify    - optional (load, context) => Promise, fired after the change is saved
+ */
+const TRANSITIONS = [
+  {
+    action: 'SUBMIT',
+    label: 'Submit for review',
+    from: ['DRAFT'],
+    to: 'PENDING_REVIEW',
+    actors: [SHIPPER],
+    defaultNotes: 'Load submitted for review',
+    notify: (load) => notificationService.notifyLoadSubmitted(load)
+  },
+  {
+    action: 'NEGOTIATE',
+    label: 'Start rate negotiation',
+    from: ['PENDING_REVIEW'],
+    to: 'NEGOTIATING',
+    actors: [SHIPPER, DISPATCH],
+    defaultNotes: 'Rate negotiation started'
+  },
+  {
+    action: 'APPROVE_RATE',
+    label: 'Approve rate',
+    from: ['PENDING_REVIEW', 'NEGOTIATING'],
+    to: 'RATE_APPROVED',
+    actors: [SHIPPER, DISPATCH],
+    defaultNotes: 'Rate agreed'
+  },
+  {
+    action: 'SCHEDULE',
+    label: 'Approve and schedule',
+    from: ['RATE_APPROVED'],
+    to: 'SCHEDULED',
+    actors: [DISPATCH],
+    guard: (load) => (load.shipperRate == null ? 'Load must have an agreed rate' : null),
+    defaultNotes: 'Load approved and scheduled'
+  },
+  {
+    action: 'ASSIGN',
+    label: 'Assign driver',
+    from: ['SCHEDULED'],
+    to: 'ASSIGNED',
+    actors: [DISPATCH, CLAIMING_DRIVER, SYSTEM],
+    guard: (load, actor) => (actor.type === 'DRIVER' && !load.firstCome
+      ? 'Only first-come loads can be claimed from the load board'
+      : null),
+    defaultNotes: 'Load assigned to driver',
+    notify: async (load, context) => {
+      // Deadhead miles depend on which driver took the load
+      await mileageService.refreshLoadQuietly(load.id);
+
+      if (context.assignment) {
+        await notificationService.notifyLoadAssignment(context.assignment.driverId, load, context.assignment);
+      }
+    }
+  },
+  {
+    action: 'ACCEPT',
+    label: 'Accept assignment',
+    from: ['ASSIGNED'],
+    to: 'ACCEPTED',
+    actors: [ASSIGNED_DRIVER],
+    defaultNotes: 'Driver accepted assignment',
+    notify: (load, context) => context.driver
+      ? notificationService.notifyLoadAccepted(load, context.driver)
+      : null
+  },
+  {
+    action: 'RELEASE',
+    label: 'Release assignment',
+    from: ['ASSIGNED'],
+    to: 'SCHEDULED',
+    actors: [ASSIGNED_DRIVER, DISPATCH, SYSTEM],
+    defaultNotes: 'Assignment released',
+    notify: (load, context) => context.rejection
+      ? notificationService.notifyAssignmentRejected(load, context.rejection.driver, context.rejection.reason)
+      : null
+  },
+  {
+    action: 'START_PICKUP',
+    label: 'En route to pickup',
+    from: ['ACCEPTED'],
+    to: 'EN_ROUTE_PICKUP',
+    actors: [ASSIGNED_DRIVER, DISPATCH, SYSTEM]
+  },
+  {
+    action: 'ARRIVE_PICKUP',
+    label: 'Arrived at pickup',
+    from: ['EN_ROUTE_PICKUP'],
+    to: 'AT_PICKUP',
+    actors: [ASSIGNED_DRIVER, DISPATCH, SYSTEM]
+  },
+  {
+    action: 'LOAD',
+    label: 'Loaded',
+    from: ['AT_PICKUP'],
+    to: 'LOADED',
+    actors: [ASSIGNED_DRIVER, DISPATCH, SYSTEM],
+    setFields: (load, now) => ({ actualPickupTime: now })
+  },
+  {
+    action: 'START_DELIVERY',
+    label: 'En route to delivery',
+    from: ['LOADED'],
+    to: 'EN_ROUTE_DELIVERY',
+    actors: [ASSIGNED_DRIVER, DISPATCH, SYSTEM]
+  },
+  {
+    action: 'ARRIVE_DELIVERY',
+    label: 'Arrived at delivery',
+    from: ['EN_ROUTE_DELIVERY'],
+    to: 'AT_DELIVERY',
+    actors: [ASSIGNED_DRIVER, DISPATCH, SYSTEM]
+  },
+  {
+    action: 'DELIVER',
+    label: 'Delivered',
+    from: ['AT_DELIVERY'],
+    to: 'DELIVERED',
+    actors: [ASSIGNED_DRIVER, DISPATCH, SYSTEM],
+    setFields: (load, now) => ({ actualDeliveryTime: now })
+  },
+  {
+    action: 'SUBMIT_POD',
+    label: 'Submit POD',
+    from: ['AT_DELIVERY', 'DELIVERED', 'POD_PENDING'],
+    to: 'POD_SUBMITTED',
+    actors: [ASSIGNED_DRIVER],
+    defaultNotes: 'POD submitted by driver',
+    setFields: (load, now) => (load.actualDeliveryTime ? {} : { actualDeliveryTime: now }),
+    notify: (load, context) => context.podDocument
+      ? notificationService.notifyPODSubmitted(load, context.podDocument)
+      : null
+  },
+  {
+    action: 'COMPLETE',
+    label: 'Verify POD and complete',
+    from: ['POD_SUBMITTED'],
+    to: 'COMPLETED',
+    actors: [DISPATCH],
+    defaultNotes: 'POD verified and approved',
+    notify: (load, context) => context.podDocument
+      ? notificationService.notifyPODVerified(context.podDocument.driverId, load, context.podDocument)
+      : null
+  },
+  {
+    action: 'REQUEST_POD_CORRECTION',
+    label: 'Request POD correction',
+    from: ['POD_SUBMITTED'],
+    to: 'POD_PENDING',
+    actors: [DISPATCH],
+    defaultNotes: 'POD needs correction'
+  },
+  {
+    action: 'CANCEL',
+    label: 'Cancel load',
+    from: [...CANCELLABLE_BY_SHIPPER, 'ASSIGNED', 'ACCEPTED', 'EN_ROUTE_PICKUP', 'AT_PICKUP'],
+    to: 'CANCELLED',
+    actors: [SHIPPER, DISPATCH, EDI],
+    guard: (load, actor) => (actor.type !== 'INTERNAL_USER' && !CANCELLABLE_BY_SHIPPER.includes(load.status)
+      ? 'Dispatched loads can only be cancelled by dispatch'
+      : null),
+    defaultNotes: 'Load cancelled'
+  }
+];
+
+class LoadStateMachineService {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.trackingStatuses = TRACKING_STATUSES;
+  }
+
+  /**
+   * Find the transition definition between two statuses
+   * @param {string} fromStatus - Current load status
+   * @param {string} toStatus - Requested load status
+   * @returns {Object|undefined} Transition definition
+   */
+  findTransition(fromStatus, toStatus) {
+    return this.transitions.find(t => t.to === toStatus && t.from.includes(fromStatus));
+  }
+
+  /**
+   * Whether a status is reported through the driver status endpoint
+   * @param {string} status - Load status
+   * @returns {boolean}
+   */
+  isTrackingStatus(status) {
+    return this.trackingStatuses.includes(status);
+  }
+
+  /**
+   * Check whether an actor satisfies one of the transition's actor rules
+   * @param {Object} transition - Transition definition
+   * @param {Object} load - Load with active assignments included
+   * @param {Object} actor - { id, type, role } (req.user), or a system actor with its source
+   * @returns {boolean}
+   */
+  isActorAllowed(transition, load, actor) {
+    return transition.actors.some(rule => {
+      if (rule.type !== actor.type) return false;
+      if (rule.roles && !rule.roles.includes(actor.role)) return false;
+      if (rule.source && rule.source !== actor.source) return false;
+      if (rule.assignedOnly) {
+        return (load.assignments || []).some(a => a.driverId === actor.id);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Validate a transition without applying it
+   * @param {Object} load - Load with active assignments included
+   * @param {string} toStatus - Requested status
+   * @param {Object} actor - { id, type, role } (req.user)
+   * @returns {Object} Matching transition definition
+   * @throws {BadRequestError|ForbiddenError}
+   */
+  assertTransition(load, toStatus, actor) {
+    const transition = this.findTransition(load.status, toStatus);
+
+    if (!transition) {
+      throw new BadRequestError(`Invalid status transition from ${load.status} to ${toStatus}`);
+    }
+
+    if (!this.isActorAllowed(transition, load, actor)) {
+      throw new ForbiddenError(`You are not allowed to move this load from ${load.status} to ${toStatus}`);
+    }
+
+    const guardError = transition.guard ? transition.guard(load, actor) : null;
+    if (guardError) {
+      throw new BadRequestError(guardError);
+    }
+
+    return transition;
+  }
+
+  /**
+   * Load a load together with the data the machine needs for its checks
+   * @param {string} loadId - Load ID
+   * @param {Object} db - Prisma client or transaction client
+   * @returns {Promise<Object>} Load with active assignments
+   * @throws {NotFoundError}
+   */
+  async getLoadForTransition(loadId, db = prisma) {
+    const load = await db.load.findUnique({
+      where: { id: loadId },
+      include: {
+        assignments: {
+          where: { rejectedAt: null, releasedAt: null, ...NOT_PENDING_REQUEST }
+        }
+      }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    return load;
+  }
+
+  /**
+   * List the transitions the actor may take from the load's current status
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - { id, type, role } (req.user)
+   * @returns {Promise<Object>} Current status and available transitions
+   */
+  async getAvailableTransitions(loadId, actor) {
+    const load = await this.getLoadForTransition(loadId);
+
+    const transitions = this.transitions
+      .filter(t => t.from.includes(load.status))
+      .filter(t => this.isActorAllowed(t, load, actor))
+      .filter(t => !t.guard || !t.guard(load, actor))
+      .map(t => ({
+        action: t.action,
+        label: t.label,
+        toStatus: t.to
+      }));
+
+    return {
+      loadId: load.id,
+      currentStatus: load.status,
+      transitions
+    };
+  }
+
+  /**
+   * Move a load to a new status. Validates the transition, writes the
+   * status change, its side-effect columns, a loadStatusEvent for tracking
+   * statuses and the loadStatusHistory row in one transaction, then fires
+   * notifications. Inside a caller's transaction (options.tx) notifications
+   * are held back: call the returned afterCommit() once that transaction
+   * has committed, so nobody is told about a change that was rolled back.
+   * @param {string} loadId - Load ID
+   * @param {string} toStatus - Requested status
+   * @param {Object} actor - { id, type, role } (req.user)
+   * @param {Object} options
+   * @param {string} [options.notes] - History/event notes
+   * @param {Object} [options.data] - Extra load columns to write with the status
+   * @param {Object} [options.event] - { gpsLat, gpsLng, stopId, stopEvent, driverId } for tracking statuses
+   * @param {Object} [options.context] - Objects handed to notify hooks (assignment, driver, podDocument, rejection)
+   * @param {Object} [options.tx] - Prisma transaction client
+   * @param {number} [options.expectedVersion] - Load version from If-Match
+   * @returns {Promise<Object>} { load, fromStatus, toStatus, action, afterCommit }
+   * @throws {BadRequestError|ForbiddenError|PreconditionFailedError|ConflictError}
+   */
+  async transition(loadId, toStatus, actor, options = {}) {
+    const { notes, data = {}, event = {}, context = {}, tx, expectedVersion } = options;
+
+    if (!tx) {
+      const result = await prisma.$transaction(tx => this.transition(loadId, toStatus, actor, { ...options, tx }));
+      await result.afterCommit();
+      return { ...result, afterCommit: async () => {} };
+    }
+
+    const load = await this.getLoadForTransition(loadId, tx);
+    assertVersion(load, expectedVersion, 'Load');
+    const transition = this.assertTransition(load, toStatus, actor);
+    const now = new Date();
+
+    // The write only lands on the version validated above, so two
+    // transitions racing from the same status can't both apply
+    const updatedLoad = await updateVersioned(tx.load, load, {
+      data: {
+        ...data,
+        ...(transition.setFields ? transition.setFields(load, now) : {}),
+        status: toStatus
+      }
+    }, 'Load');
+
+    if (this.isTrackingStatus(toStatus)) {
+      await this.recordEvent(loadId, toStatus, actor, { ...event, notes }, tx);
+    }
+
+    await tx.loadStatusHistory.create({
+      data: {
+        loadId,
+        fromStatus: load.status,
+        toStatus,
+        changedById: actor.id,
+        changedByType: actor.type,
+        systemGenerated: actor.type === 'SYSTEM',
+        notes: notes || transition.defaultNotes || null
+      }
+    });
+
+    const notify = async () => {
+      if (!transition.notify) return;
+      try {
+        await transition.notify(updatedLoad, context);
+      } catch (error) {
+        console.error(`Failed to send ${transition.action} notification:`, error);
+      }
+    };
+
+    return {
+      load: updatedLoad,
+      fromStatus: load.status,
+      toStatus,
+      action: transition.action,
+      afterCommit: notify
+    };
+  }
+
+  /**
+   * Write a loadStatusEvent row (driver-reported position/timestamp).
+   * System events (geofences) name the driver in event.driverId.
+   * @param {string} loadId - Load ID
+   * @param {string} status - Load status at the time of the event
+   * @param {Object} actor - { id, type } (req.user)
+   * @param {Object} event - { gpsLat, gpsLng, notes, stopId, stopEvent, driverId }
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Created event
+   */
+  async recordEvent(loadId, status, actor, event = {}, db = prisma) {
+    return await db.loadStatusEvent.create({
+      data: {
+        loadId,
+        driverId: actor.type === 'DRIVER' ? actor.id : event.driverId || null,
+        status,
+        notes: event.notes,
+        gpsLat: event.gpsLat,
+        gpsLng: event.gpsLng,
+        stopId: event.stopId || null,
+        stopEvent: event.stopEvent || null,
+        systemGenerated: actor.type === 'SYSTEM'
+      }
+    });
+  }
+
+  /**
+   * Record the initial status history row for a newly created load
+   * @param {Object} load - Created load
+   * @param {Object} actor - { id, type } (req.user)
+   * @param {string} notes - History notes
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Created history row
+   */
+  async recordCreation(load, actor, notes = 'Load created', db = prisma) {
+    return await db.loadStatusHistory.create({
+      data: {
+        loadId: load.id,
+        fromStatus: null,
+        toStatus: load.status,
+        changedById: actor.id,
+        changedByType: actor.type,
+        notes
+      }
+    });
+  }
+}
+
+module.exports = new LoadStateMachineService();
@@ -0,0 +1,338 @@
+// ==================== src/services/loadTemplate.service.js ====================
+const prisma = require('../config/database');
+const loadService = require('./loads.service');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const SYSTEM_ACTOR = { id: null, type: 'SYSTEM' };
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Occurrence dates are handled as 'YYYY-MM-DD' strings so recurrence math
+// never drifts across DST changes
+const toDateKey = date => new Date(date).toISOString().split('T')[0];
+const fromDateKey = key => new Date(`${key}T00:00:00.000Z`);
+const addDays = (key, days) => toDateKey(fromDateKey(key).getTime() + days * MS_PER_DAY);
+const daysBetween = (fromKey, toKey) => Math.round((fromDateKey(toKey) - fromDateKey(fromKey)) / MS_PER_DAY);
+
+class LoadTemplateService {
+  /**
+   * Get a template and make sure the actor may manage it
+   * @param {string} id - Template ID
+   * @param {Object} actor - { id, type } (req.user)
+   * @returns {Promise<Object>} Template
+   * @throws {NotFoundError|ForbiddenError}
+   */
+  async getTemplate(id, actor) {
+    const template = await prisma.loadTemplate.findUnique({ where: { id } });
+
+    if (!template || template.deletedAt) {
+      throw new NotFoundError('Load template not found');
+    }
+
+    if (actor.type === 'SHIPPER_USER') {
+      const user = await prisma.shipperUser.findUnique({
+        where: { id: actor.id },
+        select: { shipperClientId: true }
+      });
+
+      if (user.shipperClientId !== template.shipperClientId) {
+        throw new ForbiddenError('Access denied. You do not own this resource.');
+      }
+    }
+
+    return template;
+  }
+
+  /**
+   * Build the stored template fields from a request payload. The stops are
+   * dry-run through the regular stop validation so a template cannot
+   * produce loads that createLoad would reject.
+   * @param {Object} data - { name, description, equipmentType, weightLbs, distanceMiles, commodity, specialInstructions, shipperRate, stops, recurrence, leadTimeDays, generatedStatus, isActive }
+   * @returns {Object} Template columns
+   * @throws {BadRequestError}
+   */
+  buildTemplateFields(data) {
+    const recurrence = this.normalizeRecurrence(data.recurrence);
+
+    const loadData = {
+      equipmentType: data.equipmentType,
+      weightLbs: data.weightLbs,
+      distanceMiles: data.distanceMiles,
+      commodity: data.commodity,
+      specialInstructions: data.specialInstructions,
+      shipperRate: data.shipperRate,
+      stops: data.stops.map(stop => ({
+        stopType: stop.stopType,
+        locationName: stop.locationName,
+        address: stop.address,
+        city: stop.city,
+        state: stop.state,
+        zipCode: stop.zipCode,
+        dayOffset: parseInt(stop.dayOffset || 0),
+        startTime: stop.startTime,
+        endTime: stop.endTime || null,
+        referenceNumbers: stop.referenceNumbers,
+        weightLbs: stop.weightLbs,
+        contactName: stop.contactName,
+        contactPhone: stop.contactPhone,
+        notes: stop.notes
+      }))
+    };
+
+    loadService.normalizeStops(this.buildLoadData({ loadData }, recurrence.startDate).stops);
+
+    return {
+      name: data.name,
+      description: data.description || null,
+      loadData,
+      recurrence,
+      leadTimeDays: data.leadTimeDays != null ? parseInt(data.leadTimeDays) : 7,
+      generatedStatus: data.generatedStatus || 'DRAFT',
+      isActive: data.isActive !== false
+    };
+  }
+
+  /**
+   * Validate and normalize a recurrence rule
+   * @param {Object} recurrence - { frequency, interval, daysOfWeek, weekOfMonth, startDate, endDate }
+   * @returns {Object} Normalized rule with date keys
+   * @throws {BadRequestError}
+   */
+  normalizeRecurrence(recurrence) {
+    const { frequency, interval = 1, daysOfWeek = [], weekOfMonth, startDate, endDate } = recurrence;
+
+    if (frequency !== 'DAILY' && daysOfWeek.length === 0) {
+      throw new BadRequestError(`${frequency} recurrence needs at least one day of the week`);
+    }
+
+    if (frequency === 'MONTHLY' && weekOfMonth == null) {
+      throw new BadRequestError('MONTHLY recurrence needs weekOfMonth (1-5, or -1 for the last week)');
+    }
+
+    const rule = {
+      frequency,
+      interval: parseInt(interval),
+      daysOfWeek: daysOfWeek.map(d => parseInt(d)),
+      weekOfMonth: weekOfMonth != null ? parseInt(weekOfMonth) : null,
+      startDate: toDateKey(startDate),
+      endDate: endDate ? toDateKey(endDate) : null
+    };
+
+    if (rule.endDate && rule.endDate < rule.startDate) {
+      throw new BadRequestError('Recurrence ends before it starts');
+    }
+
+    return rule;
+  }
+
+  /**
+   * Whether a date falls on the recurrence
+   * @param {Object} rule - Normalized recurrence rule
+   * @param {string} dateKey - 'YYYY-MM-DD'
+   * @returns {boolean}
+   */
+  matchesRecurrence(rule, dateKey) {
+    if (dateKey < rule.startDate || (rule.endDate && dateKey > rule.endDate)) {
+      return false;
+    }
+
+    const date = fromDateKey(dateKey);
+    const dayOfWeek = date.getUTCDay();
+
+    switch (rule.frequency) {
+      case 'DAILY':
+        return daysBetween(rule.startDate, dateKey) % rule.interval === 0;
+
+      case 'WEEKLY': {
+        if (!rule.daysOfWeek.includes(dayOfWeek)) return false;
+
+        // Count whole weeks between the Sundays of the start week and this week
+        const start = fromDateKey(rule.startDate);
+        const startWeek = addDays(rule.startDate, -start.getUTCDay());
+        const thisWeek = addDays(dateKey, -dayOfWeek);
+        return (daysBetween(startWeek, thisWeek) / 7) % rule.interval === 0;
+      }
+
+      case 'MONTHLY': {
+        if (!rule.daysOfWeek.includes(dayOfWeek)) return false;
+
+        const start = fromDateKey(rule.startDate);
+        const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12
+          + (date.getUTCMonth() - start.getUTCMonth());
+        if (months % rule.interval !== 0) return false;
+
+        const day = date.getUTCDate();
+        if (rule.weekOfMonth === -1) {
+          // Last such weekday: a week later falls in the next month
+          return fromDateKey(addDays(dateKey, 7)).getUTCMonth() !== date.getUTCMonth();
+        }
+        return Math.ceil(day / 7) === rule.weekOfMonth;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Configured holidays between two dates
+   * @param {string} fromKey - 'YYYY-MM-DD'
+   * @param {string} toKey - 'YYYY-MM-DD'
+   * @returns {Promise<Set<string>>} Holiday date keys
+   */
+  async getHolidayKeys(fromKey, toKey) {
+    const holidays = await prisma.holiday.findMany({
+      where: {
+        date: {
+          gte: fromDateKey(fromKey),
+          lte: fromDateKey(toKey)
+        }
+      },
+      select: { date: true }
+    });
+
+    return new Set(holidays.map(h => toDateKey(h.date)));
+  }
+
+  /**
+   * Upcoming occurrence dates for a template, with holidays and already
+   * generated loads flagged
+   * @param {Object} template - Load template
+   * @param {string} fromKey - 'YYYY-MM-DD'
+   * @param {string} toKey - 'YYYY-MM-DD'
+   * @returns {Promise<Array>} [{ date, isHoliday, loadId }]
+   */
+  async getOccurrences(template, fromKey, toKey) {
+    const rule = template.recurrence;
+    const holidays = await this.getHolidayKeys(fromKey, toKey);
+
+    const dates = [];
+    for (let key = fromKey; key <= toKey; key = addDays(key, 1)) {
+      if (this.matchesRecurrence(rule, key)) dates.push(key);
+    }
+
+    const generated = await prisma.load.findMany({
+      where: {
+        templateId: template.id,
+        templateOccurrenceDate: { in: dates.map(fromDateKey) }
+      },
+      select: { id: true, templateOccurrenceDate: true }
+    });
+    const loadByDate = new Map(generated.map(l => [toDateKey(l.templateOccurrenceDate), l.id]));
+
+    return dates.map(date => ({
+      date,
+      isHoliday: holidays.has(date),
+      loadId: loadByDate.get(date) || null
+    }));
+  }
+
+  /**
+   * Build a createLoad payload for one occurrence. Template stops carry a
+   * day offset from the occurrence date and HH:mm appointment times
+   * (server local time).
+   * @param {Object} template - Load template
+   * @param {string} dateKey - Occurrence date 'YYYY-MM-DD'
+   * @returns {Object} createLoad payload with dated stops
+   */
+  buildLoadData(template, dateKey) {
+    const { stops, ...loadData } = template.loadData;
+    const base = fromDateKey(dateKey);
+
+    const at = (dayOffset, time) => {
+      const [hours, minutes] = time.split(':').map(n => parseInt(n));
+      return new Date(
+        base.getUTCFullYear(),
+        base.getUTCMonth(),
+        base.getUTCDate() + (dayOffset || 0),
+        hours,
+        minutes
+      );
+    };
+
+    return {
+      ...loadData,
+      stops: stops.map(({ dayOffset, startTime, endTime, ...stop }) => ({
+        ...stop,
+        appointmentStart: at(dayOffset, startTime),
+        appointmentEnd: endTime ? at(dayOffset, endTime) : null
+      }))
+    };
+  }
+
+  /**
+   * Materialize loads for a template's occurrences within its lead time.
+   * Holidays and dates that already have a load are skipped, so this is
+   * safe to run repeatedly.
+   * @param {Object} template - Load template
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Array>} Created loads
+   */
+  async generateLoads(template, now = new Date()) {
+    const todayKey = toDateKey(now);
+    const fromKey = template.recurrence.startDate > todayKey ? template.recurrence.startDate : todayKey;
+    const toKey = addDays(todayKey, template.leadTimeDays);
+
+    if (fromKey > toKey) return [];
+
+    const occurrences = await this.getOccurrences(template, fromKey, toKey);
+    const created = [];
+
+    for (const occurrence of occurrences) {
+      if (occurrence.isHoliday || occurrence.loadId) continue;
+
+      const load = await loadService.createLoad(
+        template.shipperClientId,
+        SYSTEM_ACTOR,
+        this.buildLoadData(template, occurrence.date),
+        {
+          status: template.generatedStatus,
+          createdById: template.createdById,
+          historyNotes: `Generated from template "${template.name}" for ${occurrence.date}`,
+          extra: {
+            templateId: template.id,
+            templateOccurrenceDate: fromDateKey(occurrence.date)
+          }
+        }
+      );
+
+      created.push(load);
+    }
+
+    if (created.length > 0) {
+      await prisma.loadTemplate.update({
+        where: { id: template.id },
+        data: { lastGeneratedAt: now }
+      });
+    }
+
+    return created;
+  }
+
+  /**
+   * Run generation for every active template
+   * @returns {Promise<number>} Number of loads created
+   */
+  async generateAll() {
+    const templates = await prisma.loadTemplate.findMany({
+      where: {
+        isActive: true,
+        deletedAt: null
+      }
+    });
+
+    let count = 0;
+
+    for (const template of templates) {
+      try {
+        const loads = await this.generateLoads(template);
+        count += loads.length;
+      } catch (error) {
+        console.error(`Failed to generate loads for template ${template.id}:`, error);
+      }
+    }
+
+    return count;
+  }
+}
+
+module.exports = new LoadTemplateService();
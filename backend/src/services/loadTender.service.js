@@ -0,0 +1,465 @@
+// ==================== src/services/loadTender.service.js ====================
+const prisma = require('../config/database');
+const loadStateMachine = require('./loadStateMachine.service');
+const notificationService = require('./notification.service');
+const scheduleService = require('./schedule.service');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { assertVersion } = require('../utils/concurrency');
+
+const SYSTEM_ACTOR = { id: null, type: 'SYSTEM' };
+
+const OFFER_INCLUDE = {
+  driver: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      phone: true
+    }
+  }
+};
+
+class LoadTenderService {
+  constructor() {
+    this.defaultOfferMinutes = parseInt(process.env.LOAD_TENDER_OFFER_MINUTES) || 30;
+  }
+
+  /**
+   * Tender a scheduled load to a ranked list of drivers. The first available
+   * driver gets the load straight away; each offer is a regular assignment
+   * that rolls to the next driver when it is rejected or expires.
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - Dispatcher (req.user)
+   * @param {Object} data - { driverIds (ranked), offerMinutes, notes }
+   * @param {number} [expectedVersion] - Load version from If-Match
+   * @returns {Promise<Object>} { tender, offer, load }
+   * @throws {NotFoundError|BadRequestError|ForbiddenError|ConflictError|PreconditionFailedError}
+   */
+  async createTender(loadId, actor, data, expectedVersion) {
+    const { driverIds, notes } = data;
+    const offerMinutes = data.offerMinutes ? parseInt(data.offerMinutes) : this.defaultOfferMinutes;
+
+    const load = await loadStateMachine.getLoadForTransition(loadId);
+    assertVersion(load, expectedVersion, 'Load');
+    loadStateMachine.assertTransition(load, 'ASSIGNED', actor);
+
+    if (new Set(driverIds).size !== driverIds.length) {
+      throw new BadRequestError('Each driver can only be listed once');
+    }
+
+    const drivers = await prisma.driver.findMany({
+      where: { id: { in: driverIds }, deletedAt: null },
+      select: { id: true, isActive: true }
+    });
+
+    const missing = driverIds.filter(id => !drivers.some(d => d.id === id));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Driver not found: ${missing.join(', ')}`);
+    }
+
+    const { tender, offer, load: updatedLoad, afterCommit } = await prisma.$transaction(async (tx) => {
+      // A tender still marked active on a SCHEDULED load lost its offer
+      // outside the tender (e.g. a manual release)
+      await this.closeForLoad(loadId, 'Replaced by a new tender', tx);
+
+      const tender = await tx.loadTender.create({
+        data: {
+          loadId,
+          offerMinutes,
+          notes: notes || null,
+          createdById: actor.id,
+          offers: {
+            create: driverIds.map((driverId, index) => ({
+              driverId,
+              rank: index + 1
+            }))
+          }
+        }
+      });
+
+      const next = await this.offerNext(tender.id, actor, tx, expectedVersion);
+
+      return { tender, ...next };
+    });
+
+    await afterCommit();
+
+    return {
+      tender: await this.getTender(tender.id),
+      offer,
+      load: updatedLoad || load
+    };
+  }
+
+  /**
+   * Offer the load to the next pending driver in rank order. Drivers who are
+   * no longer active or available, or already booked over the load's
+   * window, are skipped. With nobody left the tender
+   * is exhausted, the load stays SCHEDULED and dispatch is told.
+   * @param {string} tenderId - LoadTender ID
+   * @param {Object} actor - Who is moving the load (dispatcher or system)
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} [expectedVersion] - Load version from If-Match
+   * @returns {Promise<Object>} { offer, load, afterCommit } - offer is null when exhausted
+   */
+  async offerNext(tenderId, actor, tx, expectedVersion) {
+    const tender = await tx.loadTender.findUnique({
+      where: { id: tenderId },
+      include: {
+        offers: {
+          where: { status: 'PENDING' },
+          orderBy: { rank: 'asc' },
+          include: { driver: true }
+        }
+      }
+    });
+    const now = new Date();
+
+    for (const pending of tender.offers) {
+      const { driver } = pending;
+
+      if (!driver.isActive || !driver.isAvailable || driver.deletedAt) {
+        await tx.loadTenderOffer.update({
+          where: { id: pending.id },
+          data: { status: 'SKIPPED', respondedAt: now, responseNotes: 'Driver not available' }
+        });
+        continue;
+      }
+
+      let vehicleId;
+      try {
+        ({ vehicleId } = await scheduleService.checkAssignment(tender.loadId, driver.id, { db: tx }));
+      } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+
+        await tx.loadTenderOffer.update({
+          where: { id: pending.id },
+          data: { status: 'SKIPPED', respondedAt: now, responseNotes: error.message }
+        });
+        continue;
+      }
+
+      const expiresAt = new Date(now.getTime() + tender.offerMinutes * 60 * 1000);
+
+      const assignment = await tx.loadAssignment.create({
+        data: {
+          loadId: tender.loadId,
+          driverId: driver.id,
+          vehicleId,
+          assignedById: actor.id,
+          notes: tender.notes
+        }
+      });
+
+      const assigned = await loadStateMachine.transition(tender.loadId, 'ASSIGNED', actor, {
+        notes: `Tender offer ${pending.rank} to ${driver.firstName} ${driver.lastName}, expires ${expiresAt.toISOString()}`,
+        tx,
+        expectedVersion
+      });
+
+      const { load } = assigned;
+
+      const offer = await tx.loadTenderOffer.update({
+        where: { id: pending.id },
+        data: {
+          status: 'OFFERED',
+          assignmentId: assignment.id,
+          offeredAt: now,
+          expiresAt
+        },
+        include: OFFER_INCLUDE
+      });
+
+      const afterCommit = async () => {
+        // Refreshes deadhead miles for the driver now holding the load
+        await assigned.afterCommit();
+
+        try {
+          await notificationService.notifyLoadOffered(driver.id, load, offer);
+        } catch (error) {
+          console.error('Failed to send load offer notification:', error);
+        }
+      };
+
+      return { offer, load, afterCommit };
+    }
+
+    const exhausted = await tx.loadTender.update({
+      where: { id: tenderId },
+      data: { status: 'EXHAUSTED', completedAt: now }
+    });
+    const load = await tx.load.findUnique({ where: { id: tender.loadId } });
+
+    const afterCommit = async () => {
+      try {
+        await notificationService.notifyTenderExhausted(load, exhausted);
+      } catch (error) {
+        console.error('Failed to send tender exhausted notification:', error);
+      }
+    };
+
+    return { offer: null, load, afterCommit };
+  }
+
+  /**
+   * Record a driver accepting a tendered assignment. The tender closes and
+   * the drivers further down the list are never offered the load.
+   * @param {string} assignmentId - LoadAssignment ID
+   * @param {Object} tx - Prisma transaction client
+   * @returns {Promise<Object|null>} Accepted offer, or null if the assignment wasn't tendered
+   * @throws {BadRequestError}
+   */
+  async recordAcceptance(assignmentId, tx) {
+    const offer = await tx.loadTenderOffer.findFirst({
+      where: { assignmentId },
+      include: { tender: true }
+    });
+
+    if (!offer) return null;
+
+    const now = new Date();
+
+    if (offer.status !== 'OFFERED' || offer.expiresAt <= now) {
+      throw new BadRequestError('This load offer has expired');
+    }
+
+    // Only wins if the expiry job hasn't claimed the offer meanwhile
+    const { count } = await tx.loadTenderOffer.updateMany({
+      where: { id: offer.id, status: 'OFFERED' },
+      data: { status: 'ACCEPTED', respondedAt: now }
+    });
+
+    if (count === 0) {
+      throw new BadRequestError('This load offer has expired');
+    }
+
+    await tx.loadTenderOffer.updateMany({
+      where: { tenderId: offer.tenderId, status: 'PENDING' },
+      data: { status: 'CANCELLED', responseNotes: 'Load accepted by a higher-ranked driver' }
+    });
+
+    await tx.loadTender.update({
+      where: { id: offer.tenderId },
+      data: { status: 'ACCEPTED', completedAt: now }
+    });
+
+    return { ...offer, status: 'ACCEPTED', respondedAt: now };
+  }
+
+  /**
+   * Record a driver rejecting a tendered assignment and roll the load to the
+   * next driver. Call after the load has been released back to SCHEDULED.
+   * @param {string} assignmentId - LoadAssignment ID
+   * @param {string} reason - Driver's reason
+   * @param {Object} tx - Prisma transaction client
+   * @returns {Promise<Function>} afterCommit - sends the next offer/exhausted notification
+   */
+  async recordRejection(assignmentId, reason, tx) {
+    const offer = await tx.loadTenderOffer.findFirst({
+      where: { assignmentId, status: 'OFFERED' }
+    });
+
+    if (!offer) return async () => {};
+
+    await tx.loadTenderOffer.update({
+      where: { id: offer.id },
+      data: { status: 'REJECTED', respondedAt: new Date(), responseNotes: reason }
+    });
+
+    const { afterCommit } = await this.offerNext(offer.tenderId, SYSTEM_ACTOR, tx);
+    return afterCommit;
+  }
+
+  /**
+   * Expire one offer: release the driver's assignment and roll the load to
+   * the next driver. Skips offers answered in the meantime.
+   * @param {Object} offer - LoadTenderOffer with assignment and driver
+   * @returns {Promise<Object|null>} { offer } of the next offer (null when exhausted), or null if skipped
+   */
+  async expireOffer(offer) {
+    const result = await prisma.$transaction(async (tx) => {
+      const now = new Date();
+
+      // Claim the offer first so a driver accepting at the same moment
+      // either wins outright or finds it expired
+      const { count } = await tx.loadTenderOffer.updateMany({
+        where: { id: offer.id, status: 'OFFERED' },
+        data: { status: 'EXPIRED', respondedAt: now }
+      });
+
+      if (count === 0) return null;
+
+      const load = await loadStateMachine.getLoadForTransition(offer.tender.loadId, tx);
+      const stillOffered = load.status === 'ASSIGNED'
+        && load.assignments.some(a => a.id === offer.assignmentId);
+
+      // The load moved on without the tender (released or cancelled by hand)
+      if (!stillOffered) {
+        await this.closeForLoad(offer.tender.loadId, 'Load is no longer out for tender', tx);
+        return { offer: null, afterCommit: async () => {} };
+      }
+
+      const driverName = `${offer.driver.firstName} ${offer.driver.lastName}`;
+
+      await tx.loadAssignment.update({
+        where: { id: offer.assignmentId },
+        data: { releasedAt: now, releaseReason: 'Tender offer expired' }
+      });
+
+      await loadStateMachine.transition(offer.tender.loadId, 'SCHEDULED', SYSTEM_ACTOR, {
+        notes: `Tender offer to ${driverName} expired`,
+        tx
+      });
+
+      return await this.offerNext(offer.tenderId, SYSTEM_ACTOR, tx);
+    });
+
+    if (!result) return null;
+
+    await result.afterCommit();
+    return { offer: result.offer };
+  }
+
+  /**
+   * Expire every offer past its deadline (background job)
+   * @returns {Promise<Object>} { expired, exhausted }
+   */
+  async expireOffers() {
+    const offers = await prisma.loadTenderOffer.findMany({
+      where: { status: 'OFFERED', expiresAt: { lte: new Date() } },
+      include: { tender: true, driver: true },
+      orderBy: { expiresAt: 'asc' }
+    });
+
+    let expired = 0;
+    let exhausted = 0;
+
+    for (const offer of offers) {
+      try {
+        const result = await this.expireOffer(offer);
+        if (!result) continue;
+
+        expired++;
+        if (!result.offer) exhausted++;
+      } catch (error) {
+        console.error(`Failed to expire tender offer ${offer.id}:`, error);
+      }
+    }
+
+    return { expired, exhausted };
+  }
+
+  /**
+   * Withdraw a load's active tender. The driver holding the current offer
+   * is released and the load goes back to SCHEDULED.
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - Dispatcher (req.user)
+   * @param {string} [reason] - Why the tender was withdrawn
+   * @param {number} [expectedVersion] - Load version from If-Match
+   * @returns {Promise<Object>} { tender, load }
+   * @throws {NotFoundError|BadRequestError|ForbiddenError|ConflictError|PreconditionFailedError}
+   */
+  async cancelTender(loadId, actor, reason, expectedVersion) {
+    const tender = await prisma.loadTender.findFirst({
+      where: { loadId, status: 'ACTIVE' }
+    });
+
+    if (!tender) {
+      throw new NotFoundError('Load has no active tender');
+    }
+
+    const load = await prisma.$transaction(async (tx) => {
+      const current = await tx.loadTenderOffer.findFirst({
+        where: { tenderId: tender.id, status: 'OFFERED' }
+      });
+
+      let load = null;
+      if (current) {
+        await tx.loadAssignment.update({
+          where: { id: current.assignmentId },
+          data: { releasedAt: new Date(), releaseReason: 'Tender withdrawn' }
+        });
+
+        ({ load } = await loadStateMachine.transition(loadId, 'SCHEDULED', actor, {
+          notes: `Tender withdrawn${reason ? `: ${reason}` : ''}`,
+          tx,
+          expectedVersion
+        }));
+      }
+
+      await this.closeForLoad(loadId, reason || 'Tender withdrawn', tx);
+
+      return load;
+    });
+
+    return {
+      tender: await this.getTender(tender.id),
+      load: load || await loadStateMachine.getLoadForTransition(loadId)
+    };
+  }
+
+  /**
+   * Close a load's active tender without touching the load or its
+   * assignments (the caller has already dealt with them)
+   * @param {string} loadId - Load ID
+   * @param {string} reason - Recorded on the open offers
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object|null>} Cancelled tender, or null if none was active
+   */
+  async closeForLoad(loadId, reason, db = prisma) {
+    const tender = await db.loadTender.findFirst({
+      where: { loadId, status: 'ACTIVE' }
+    });
+
+    if (!tender) return null;
+
+    const now = new Date();
+
+    await db.loadTenderOffer.updateMany({
+      where: { tenderId: tender.id, status: { in: ['PENDING', 'OFFERED'] } },
+      data: { status: 'CANCELLED', respondedAt: now, responseNotes: reason }
+    });
+
+    return await db.loadTender.update({
+      where: { id: tender.id },
+      data: { status: 'CANCELLED', completedAt: now }
+    });
+  }
+
+  /**
+   * Get a tender with every offer and response, in rank order
+   * @param {string} id - LoadTender ID
+   * @returns {Promise<Object>} Tender with offers
+   */
+  async getTender(id) {
+    return await prisma.loadTender.findUnique({
+      where: { id },
+      include: {
+        offers: {
+          include: OFFER_INCLUDE,
+          orderBy: { rank: 'asc' }
+        }
+      }
+    });
+  }
+
+  /**
+   * All tenders for a load, newest first
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Array>} Tenders with offers
+   */
+  async getTendersForLoad(loadId) {
+    return await prisma.loadTender.findMany({
+      where: { loadId },
+      include: {
+        offers: {
+          include: OFFER_INCLUDE,
+          orderBy: { rank: 'asc' }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+}
+
+module.exports = new LoadTenderService();
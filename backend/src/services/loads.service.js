@@ -0,0 +1,503 @@
+// ==================== src/services/loads.service.js ====================
+const prisma = require('../config/database');
+const loadStateMachine = require('./loadStateMachine.service');
+const invoiceService = require('./invoice.service');
+const accessorialService = require('./accessorial.service');
+const notificationService = require('./notification.service');
+const numberingService = require('./numbering.service');
+const loadTenderService = require('./loadTender.service');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { STOP_TYPES, STOP_EVENTS, DISPATCHED_LOAD_STATUSES, IN_TRANSIT_LOAD_STATUSES } = require('../utils/constants');
+const { assertVersion, updateVersioned } = require('../utils/concurrency');
+
+// Negotiations still waiting for an answer
+const OPEN_NEGOTIATION_STATUSES = ['PENDING', 'COUNTER_OFFERED'];
+
+class LoadService {
+  /**
+   * Create a load with its stops and initial status history entry
+   * @param {string} shipperClientId - Owning shipper client
+   * @param {Object} actor - { id, type } creating shipper user (or system)
+   * @param {Object} data - createLoad payload (legacy origin/destination fields or stops)
+   * @param {Object} [options]
+   * @param {string} [options.status] - Initial status (DRAFT or PENDING_REVIEW)
+   * @param {string} [options.createdById] - Shipper user recorded as creator
+   * @param {string} [options.historyNotes] - Initial status history notes
+   * @param {Object} [options.extra] - Additional load columns (e.g. template link)
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Created load with stops
+   */
+  async createLoad(shipperClientId, actor, data, options = {}) {
+    const {
+      status = 'DRAFT',
+      createdById = actor.id,
+      historyNotes = 'Load created',
+      extra = {},
+      db = prisma
+    } = options;
+
+    // Single origin/destination loads get a pickup and a delivery stop
+    const loadStops = this.normalizeStops(data.stops || this.stopsFromLoadFields(data));
+    const stopSummary = data.stops ? this.summarizeStops(loadStops) : {};
+
+    const loadNumber = await numberingService.next('LOAD', { shipperClientId, db });
+
+    const load = await db.load.create({
+      data: {
+        shipperClientId,
+        createdById,
+        loadNumber,
+        origin: data.origin,
+        originAddress: data.originAddress,
+        destination: data.destination,
+        destinationAddress: data.destinationAddress,
+        equipmentType: data.equipmentType,
+        weightLbs: data.weightLbs,
+        distanceMiles: data.distanceMiles,
+        commodity: data.commodity,
+        specialInstructions: data.specialInstructions,
+        pickupDate: data.pickupDate ? new Date(data.pickupDate) : undefined,
+        pickupTimeStart: data.pickupTimeStart ? new Date(data.pickupTimeStart) : null,
+        pickupTimeEnd: data.pickupTimeEnd ? new Date(data.pickupTimeEnd) : null,
+        deliveryDate: data.deliveryDate ? new Date(data.deliveryDate) : undefined,
+        deliveryTimeStart: data.deliveryTimeStart ? new Date(data.deliveryTimeStart) : null,
+        deliveryTimeEnd: data.deliveryTimeEnd ? new Date(data.deliveryTimeEnd) : null,
+        shipperRate: data.shipperRate,
+        ...stopSummary,
+        ...extra,
+        status,
+        stops: {
+          create: loadStops
+        }
+      },
+      include: {
+        shipperClient: {
+          select: {
+            id: true,
+            legalName: true,
+            tradeName: true
+          }
+        },
+        stops: {
+          orderBy: { stopSequence: 'asc' }
+        },
+        createdBy: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
+        }
+      }
+    });
+
+    // Create initial status history
+    await loadStateMachine.recordCreation(load, actor, historyNotes, db);
+
+    return load;
+  }
+
+  /**
+   * Normalize and validate an ordered list of stops. Stops are sequenced in
+   * the order given; the first must be a pickup and the last a delivery.
+   * @param {Array} stops - Raw stop payloads
+   * @returns {Array} Stop rows ready for prisma (without loadId)
+   * @throws {BadRequestError}
+   */
+  normalizeStops(stops) {
+    if (!Array.isArray(stops) || stops.length < 2) {
+      throw new BadRequestError('A load needs at least one pickup and one delivery stop');
+    }
+
+    if (stops[0].stopType !== 'PICKUP') {
+      throw new BadRequestError('The first stop must be a pickup');
+    }
+
+    if (stops[stops.length - 1].stopType !== 'DELIVERY') {
+      throw new BadRequestError('The last stop must be a delivery');
+    }
+
+    return stops.map((stop, index) => {
+      if (!STOP_TYPES.includes(stop.stopType)) {
+        throw new BadRequestError(`Stop ${index + 1}: invalid stop type ${stop.stopType}`);
+      }
+
+      const appointmentStart = new Date(stop.appointmentStart);
+      const appointmentEnd = stop.appointmentEnd ? new Date(stop.appointmentEnd) : null;
+
+      if (appointmentEnd && appointmentEnd < appointmentStart) {
+        throw new BadRequestError(`Stop ${index + 1}: appointment window ends before it starts`);
+      }
+
+      return {
+        stopSequence: index + 1,
+        stopType: stop.stopType,
+        locationName: stop.locationName,
+        address: stop.address,
+        city: stop.city || null,
+        state: stop.state || null,
+        zipCode: stop.zipCode || null,
+        appointmentStart,
+        appointmentEnd,
+        referenceNumbers: stop.referenceNumbers || [],
+        weightLbs: stop.weightLbs != null ? parseInt(stop.weightLbs) : null,
+        contactName: stop.contactName || null,
+        contactPhone: stop.contactPhone || null,
+        notes: stop.notes || null
+      };
+    });
+  }
+
+  /**
+   * Build single origin/destination stops from the legacy load fields
+   * @param {Object} data - Load payload (origin, destination, dates...)
+   * @returns {Array} Raw stop payloads for normalizeStops
+   */
+  stopsFromLoadFields(data) {
+    return [
+      {
+        stopType: 'PICKUP',
+        locationName: data.origin,
+        address: data.originAddress,
+        appointmentStart: data.pickupTimeStart || data.pickupDate,
+        appointmentEnd: data.pickupTimeEnd,
+        weightLbs: data.weightLbs
+      },
+      {
+        stopType: 'DELIVERY',
+        locationName: data.destination,
+        address: data.destinationAddress,
+        appointmentStart: data.deliveryTimeStart || data.deliveryDate,
+        appointmentEnd: data.deliveryTimeEnd,
+        weightLbs: data.weightLbs
+      }
+    ];
+  }
+
+  /**
+   * Derive the load's summary columns (origin, destination, windows, weight)
+   * from its ordered stops, so list views and filters keep working
+   * @param {Array} stops - Normalized stops
+   * @returns {Object} Load columns
+   */
+  summarizeStops(stops) {
+    const pickups = stops.filter(s => s.stopType === 'PICKUP');
+    const firstPickup = pickups[0];
+    const lastDelivery = stops.filter(s => s.stopType === 'DELIVERY').pop();
+    const pickupWeight = pickups.reduce((sum, s) => sum + (s.weightLbs || 0), 0);
+
+    return {
+      origin: firstPickup.locationName,
+      originAddress: firstPickup.address,
+      destination: lastDelivery.locationName,
+      destinationAddress: lastDelivery.address,
+      pickupDate: firstPickup.appointmentStart,
+      pickupTimeStart: firstPickup.appointmentStart,
+      pickupTimeEnd: firstPickup.appointmentEnd,
+      deliveryDate: lastDelivery.appointmentStart,
+      deliveryTimeStart: lastDelivery.appointmentStart,
+      deliveryTimeEnd: lastDelivery.appointmentEnd,
+      ...(pickupWeight > 0 && { weightLbs: pickupWeight })
+    };
+  }
+
+  /**
+   * Replace a load's stops with a new ordered list
+   * @param {string} loadId - Load ID
+   * @param {Array} stops - Normalized stops
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Array>} Saved stops in sequence order
+   */
+  async replaceStops(loadId, stops, db = prisma) {
+    await db.loadStop.deleteMany({ where: { loadId } });
+
+    await db.loadStop.createMany({
+      data: stops.map(stop => ({ ...stop, loadId }))
+    });
+
+    return await this.getStops(loadId, db);
+  }
+
+  /**
+   * Get a load's stops in sequence order
+   * @param {string} loadId - Load ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Array>} Stops
+   */
+  async getStops(loadId, db = prisma) {
+    return await db.loadStop.findMany({
+      where: { loadId },
+      orderBy: { stopSequence: 'asc' }
+    });
+  }
+
+  /**
+   * Whether a stop is the load's final delivery
+   * @param {Object} stop - Stop
+   * @param {Array} stops - All stops on the load
+   * @returns {boolean}
+   */
+  isFinalDelivery(stop, stops) {
+    const lastDelivery = stops.filter(s => s.stopType === 'DELIVERY').pop();
+    return Boolean(stop && lastDelivery) && lastDelivery.id === stop.id;
+  }
+
+  /**
+   * Get a stop and make sure it belongs to the load
+   * @param {string} loadId - Load ID
+   * @param {string} stopId - Stop ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Stop
+   * @throws {NotFoundError}
+   */
+  async getStop(loadId, stopId, db = prisma) {
+    const stop = await db.loadStop.findUnique({ where: { id: stopId } });
+
+    if (!stop || stop.loadId !== loadId) {
+      throw new NotFoundError('Stop not found on this load');
+    }
+
+    return stop;
+  }
+
+  /**
+   * Record a driver's arrival at or departure from a stop
+   * @param {string} loadId - Load ID
+   * @param {string} stopId - Stop ID
+   * @param {string} stopEvent - 'ARRIVED' or 'DEPARTED'
+   * @param {Date} [at] - Event time
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Updated stop
+   * @throws {BadRequestError}
+   */
+  async recordStopEvent(loadId, stopId, stopEvent, at = new Date(), db = prisma) {
+    if (!STOP_EVENTS.includes(stopEvent)) {
+      throw new BadRequestError(`Invalid stop event ${stopEvent}`);
+    }
+
+    const stop = await this.getStop(loadId, stopId, db);
+
+    if (stopEvent === 'ARRIVED') {
+      if (stop.arrivedAt) {
+        throw new BadRequestError(`Arrival already recorded for stop ${stop.stopSequence}`);
+      }
+
+      return await db.loadStop.update({
+        where: { id: stopId },
+        data: { arrivedAt: at }
+      });
+    }
+
+    if (!stop.arrivedAt) {
+      throw new BadRequestError(`Cannot depart stop ${stop.stopSequence} before arriving`);
+    }
+
+    if (stop.departedAt) {
+      throw new BadRequestError(`Departure already recorded for stop ${stop.stopSequence}`);
+    }
+
+    return await db.loadStop.update({
+      where: { id: stopId },
+      data: { departedAt: at }
+    });
+  }
+
+  /**
+   * Apply a driver status report: a tracking status, a stop arrival or
+   * departure, or both. The stop write, the status change and their
+   * history land in one transaction, so a rejected transition or a stale
+   * If-Match leaves the stop untouched. A stop event on its own still bumps
+   * the load version.
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - { id, type, role } (req.user)
+   * @param {Object} report - { status, notes, gpsLat, gpsLng, stopId, stopEvent }
+   * @param {number} [expectedVersion] - Load version from If-Match
+   * @returns {Promise<Object>} { load, stop, afterCommit }
+   * @throws {BadRequestError|ForbiddenError|PreconditionFailedError|ConflictError}
+   */
+  async reportStatus(loadId, actor, report, expectedVersion) {
+    const { status, notes, gpsLat, gpsLng, stopId, stopEvent } = report;
+
+    return await prisma.$transaction(async (tx) => {
+      const current = await loadStateMachine.getLoadForTransition(loadId, tx);
+      assertVersion(current, expectedVersion, 'Load');
+
+      if (status) {
+        loadStateMachine.assertTransition(current, status, actor);
+      } else if (!IN_TRANSIT_LOAD_STATUSES.includes(current.status)) {
+        throw new BadRequestError(`Stop events cannot be recorded while load is ${current.status}`);
+      }
+
+      const stop = stopId
+        ? await this.recordStopEvent(loadId, stopId, stopEvent, new Date(), tx)
+        : null;
+      const event = { gpsLat, gpsLng, stopId, stopEvent };
+
+      if (!status) {
+        const load = await updateVersioned(tx.load, current, { data: {} }, 'Load');
+        await loadStateMachine.recordEvent(loadId, current.status, actor, { ...event, notes }, tx);
+        return { load, stop, afterCommit: async () => {} };
+      }
+
+      const { load, afterCommit } = await loadStateMachine.transition(loadId, status, actor, {
+        notes,
+        event,
+        tx
+      });
+
+      return { load, stop, afterCommit };
+    });
+  }
+
+  /**
+   * Cancel a load. Releases the active assignment (making the driver
+   * available again), optionally records an approved TONU accessorial and
+   * invoices it when the truck was already dispatched, and notifies the
+   * driver and shipper.
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - { id, type, role } (req.user)
+   * @param {Object} options
+   * @param {string} options.reasonCode - One of CANCELLATION_REASONS
+   * @param {string} options.initiatedBy - 'SHIPPER' or 'CARRIER'
+   * @param {string} [options.notes] - Free-text explanation
+   * @param {boolean} [options.chargeTonu] - Bill truck-ordered-not-used
+   * @param {number} [options.tonuAmount] - TONU charged to the shipper
+   * @param {number} [options.tonuDriverPay] - TONU paid to the driver
+   * @param {number} [options.expectedVersion] - Load version from If-Match
+   * @param {Object} [options.tx] - Prisma transaction client; notifications
+   *   then wait for the returned afterCommit()
+   * @returns {Promise<Object>} { load, releasedAssignment, invoice, afterCommit }
+   */
+  async cancelLoad(loadId, actor, options) {
+    const { reasonCode, initiatedBy, notes, chargeTonu = false, tonuAmount, tonuDriverPay, expectedVersion, tx } = options;
+
+    const load = await loadStateMachine.getLoadForTransition(loadId, tx);
+    loadStateMachine.assertTransition(load, 'CANCELLED', actor);
+
+    if (chargeTonu) {
+      if (!DISPATCHED_LOAD_STATUSES.includes(load.status)) {
+        throw new BadRequestError('TONU can only be charged when a load is cancelled after dispatch');
+      }
+
+      if (!(parseFloat(tonuAmount) > 0)) {
+        throw new BadRequestError('tonuAmount is required when charging TONU');
+      }
+    }
+
+    const now = new Date();
+    const activeAssignment = load.assignments[0] || null;
+
+    // The status change, truck release and TONU billing commit together
+    const cancel = async (tx) => {
+      const { load: cancelledLoad } = await loadStateMachine.transition(loadId, 'CANCELLED', actor, {
+        notes: `Cancelled by ${initiatedBy.toLowerCase()}: ${reasonCode}${notes ? ` - ${notes}` : ''}`,
+        data: {
+          cancelledAt: now,
+          cancelledById: actor.id,
+          cancellationReason: reasonCode,
+          cancellationInitiatedBy: initiatedBy,
+          cancellationNotes: notes || null
+        },
+        tx,
+        expectedVersion
+      });
+
+      // Release the truck
+      let releasedAssignment = null;
+      if (activeAssignment) {
+        releasedAssignment = await tx.loadAssignment.update({
+          where: { id: activeAssignment.id },
+          data: {
+            releasedAt: now,
+            releaseReason: `Load cancelled: ${reasonCode}`
+          }
+        });
+
+        await tx.driver.update({
+          where: { id: activeAssignment.driverId },
+          data: { isAvailable: true }
+        });
+
+        // Whatever is still owed on the load is owed to this driver
+        await tx.accessorialCharge.updateMany({
+          where: { loadId, settlementId: null, payeeDriverId: null },
+          data: { payeeDriverId: activeAssignment.driverId }
+        });
+      }
+
+      // Drivers further down an open tender are never offered it
+      await loadTenderService.closeForLoad(loadId, `Load cancelled: ${reasonCode}`, tx);
+
+      // Bill the shipper (and pay the driver) for the truck that was ordered
+      // and not used. Settlements pick up the payable side.
+      let invoice = null;
+      if (chargeTonu) {
+        await accessorialService.requestCharge(loadId, actor, {
+          type: 'TONU',
+          amount: tonuAmount,
+          payableAmount: activeAssignment && tonuDriverPay != null ? tonuDriverPay : 0,
+          payeeDriverId: activeAssignment ? activeAssignment.driverId : null,
+          notes: `Load cancelled: ${reasonCode}`
+        }, { approved: true, db: tx });
+
+        const shipperClient = await tx.shipperClient.findUnique({
+          where: { id: load.shipperClientId }
+        });
+
+        invoice = await invoiceService.createInvoiceForLoad(
+          { ...cancelledLoad, shipperClient },
+          { notes: `TONU for load ${load.loadNumber} cancelled on ${now.toISOString().split('T')[0]}`, db: tx }
+        );
+      }
+
+      return { cancelledLoad, releasedAssignment, invoice };
+    };
+
+    const { cancelledLoad, releasedAssignment, invoice } = tx
+      ? await cancel(tx)
+      : await prisma.$transaction(cancel);
+
+    const notify = async () => {
+      try {
+        await notificationService.notifyLoadCancelled(
+          cancelledLoad,
+          activeAssignment ? activeAssignment.driverId : null,
+          reasonCode
+        );
+      } catch (error) {
+        console.error('Failed to send load cancellation notifications:', error);
+      }
+    };
+
+    if (!tx) {
+      await notify();
+    }
+
+    return { load: cancelledLoad, releasedAssignment, invoice, afterCommit: tx ? notify : async () => {} };
+  }
+
+  /**
+   * Accept or reject an open negotiation. The write only lands while the
+   * negotiation is still open, so two answers can't both resolve it.
+   * @param {string} negotiationId - Negotiation ID
+   * @param {Object} data - Columns to write (status, respondedAt, notes)
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} Updated negotiation
+   * @throws {ConflictError}
+   */
+  async resolveNegotiation(negotiationId, data, db = prisma) {
+    try {
+      return await db.loadNegotiation.update({
+        where: { id: negotiationId, status: { in: OPEN_NEGOTIATION_STATUSES } },
+        data
+      });
+    } catch (error) {
+      // P2025: answered since it was read
+      if (error.code !== 'P2025') throw error;
+      throw new ConflictError('Negotiation was resolved by another request; reload and try again');
+    }
+  }
+}
+
+module.exports = new LoadService();
@@ -0,0 +1,310 @@
+// ==================== src/services/mileage.service.js ====================
+const prisma = require('../config/database');
+const { NotFoundError } = require('../utils/errors');
+const { NOT_PENDING_REQUEST } = require('../utils/constants');
+const { distanceMiles, isCoordinate } = require('../utils/geo');
+
+const METERS_PER_MILE = 1609.344;
+
+const round = miles => Math.round(miles * 10) / 10;
+
+/**
+ * Great-circle provider: straight-line miles times a circuity factor
+ * @param {Object} factors - { practical, shortest }
+ * @returns {Object} Provider
+ */
+const createGreatCircleProvider = factors => ({
+  name: 'greatCircle',
+  async route(points) {
+    const legs = points.slice(1).map((point, i) => {
+      const miles = distanceMiles(points[i], point);
+      return { practicalMiles: miles * factors.practical, shortestMiles: miles * factors.shortest };
+    });
+
+    return {
+      practicalMiles: legs.reduce((sum, leg) => sum + leg.practicalMiles, 0),
+      shortestMiles: legs.reduce((sum, leg) => sum + leg.shortestMiles, 0),
+      legs
+    };
+  }
+});
+
+/**
+ * OSRM-compatible HTTP routing provider. The recommended route gives
+ * practical miles; the shortest of the alternatives gives shortest miles.
+ * @param {Object} options - { baseUrl, profile, timeoutMs }
+ * @returns {Object} Provider
+ */
+const createOsrmProvider = ({ baseUrl, profile, timeoutMs }) => ({
+  name: 'osrm',
+  async route(points) {
+    const coordinates = points.map(p => `${p.lng},${p.lat}`).join(';');
+    const url = `${baseUrl.replace(/\/$/, '')}/route/v1/${profile}/${coordinates}?overview=false&alternatives=true&steps=false`;
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    const body = await response.json();
+
+    if (body.code !== 'Ok' || !body.routes || body.routes.length === 0) {
+      throw new Error(`Routing failed: ${body.code}${body.message ? ` (${body.message})` : ''}`);
+    }
+
+    const [practical] = body.routes;
+    const shortest = body.routes.reduce((best, r) => (r.distance < best.distance ? r : best), practical);
+
+    return {
+      practicalMiles: practical.distance / METERS_PER_MILE,
+      shortestMiles: shortest.distance / METERS_PER_MILE,
+      legs: practical.legs.map((leg, i) => ({
+        practicalMiles: leg.distance / METERS_PER_MILE,
+        shortestMiles: shortest.legs[i].distance / METERS_PER_MILE
+      }))
+    };
+  }
+});
+
+class MileageService {
+  constructor() {
+    this.greatCircle = createGreatCircleProvider({
+      practical: parseFloat(process.env.MILEAGE_CIRCUITY_FACTOR) || 1.2,
+      shortest: parseFloat(process.env.MILEAGE_SHORTEST_CIRCUITY_FACTOR) || 1.1
+    });
+    this.providers = { greatCircle: this.greatCircle };
+
+    if (process.env.ROUTING_OSRM_URL) {
+      this.registerProvider(createOsrmProvider({
+        baseUrl: process.env.ROUTING_OSRM_URL,
+        profile: process.env.ROUTING_OSRM_PROFILE || 'driving',
+        timeoutMs: parseInt(process.env.ROUTING_TIMEOUT_MS) || 5000
+      }));
+    }
+
+    this.providerName = process.env.ROUTING_PROVIDER || (process.env.ROUTING_OSRM_URL ? 'osrm' : 'greatCircle');
+  }
+
+  /**
+   * Add a routing provider. A provider is { name, route(points) } where
+   * points are ordered { lat, lng } and route resolves to { practicalMiles,
+   * shortestMiles, legs: [{ practicalMiles, shortestMiles }] }, throwing
+   * when the backend fails.
+   * @param {Object} provider - Provider
+   */
+  registerProvider(provider) {
+    this.providers[provider.name] = provider;
+  }
+
+  /**
+   * Configured provider, falling back to great-circle when it isn't registered
+   * @returns {Object}
+   */
+  get provider() {
+    return this.providers[this.providerName] || this.greatCircle;
+  }
+
+  /**
+   * Miles along ordered points, falling back to great-circle when the
+   * routing backend fails
+   * @param {Array<Object>} points - { lat, lng } in order
+   * @returns {Promise<Object>} { practicalMiles, shortestMiles, legs, source }
+   */
+  async route(points) {
+    const provider = this.provider;
+    let result;
+    let source = provider.name;
+
+    try {
+      result = await provider.route(points);
+    } catch (error) {
+      if (provider === this.greatCircle) throw error;
+
+      console.error(`Routing provider ${provider.name} failed, using great-circle miles:`, error.message);
+      result = await this.greatCircle.route(points);
+      source = this.greatCircle.name;
+    }
+
+    return {
+      practicalMiles: round(result.practicalMiles),
+      shortestMiles: round(result.shortestMiles),
+      legs: result.legs.map(leg => ({
+        practicalMiles: round(leg.practicalMiles),
+        shortestMiles: round(leg.shortestMiles)
+      })),
+      source
+    };
+  }
+
+  /**
+   * Where the assigned driver starts empty from: the final stop of their
+   * previous load, else their home base
+   * @param {Object} load - Load (id, pickupDate)
+   * @param {Object} driver - Driver (id, home base columns)
+   * @returns {Promise<Object|null>} { point, from }
+   */
+  async deadheadOrigin(load, driver) {
+    const previous = await prisma.load.findFirst({
+      where: {
+        id: { not: load.id },
+        deletedAt: null,
+        status: { not: 'CANCELLED' },
+        pickupDate: { lt: load.pickupDate },
+        assignments: {
+          some: { driverId: driver.id, rejectedAt: null, releasedAt: null, ...NOT_PENDING_REQUEST }
+        }
+      },
+      orderBy: { pickupDate: 'desc' },
+      select: {
+        loadNumber: true,
+        geoLocations: { orderBy: { stopSequence: 'desc' }, take: 1 }
+      }
+    });
+
+    const drop = previous && previous.geoLocations[0];
+
+    if (drop && isCoordinate(drop.latitude, drop.longitude)) {
+      return {
+        point: { lat: parseFloat(drop.latitude), lng: parseFloat(drop.longitude) },
+        from: `Last delivery (${previous.loadNumber})`
+      };
+    }
+
+    if (isCoordinate(driver.homeBaseLat, driver.homeBaseLng)) {
+      return {
+        point: { lat: parseFloat(driver.homeBaseLat), lng: parseFloat(driver.homeBaseLng) },
+        from: 'Home base'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute and store a load's loaded miles (stop to stop) and the
+   * assigned driver's deadhead miles to the first pickup. Loaded miles need
+   * every stop geocoded.
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Object>} loadMileage row
+   * @throws {NotFoundError}
+   */
+  async refreshLoad(loadId) {
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      include: {
+        stops: { orderBy: { stopSequence: 'asc' }, select: { stopSequence: true } },
+        geoLocations: { orderBy: { stopSequence: 'asc' } },
+        assignments: {
+          where: { rejectedAt: null, releasedAt: null, ...NOT_PENDING_REQUEST },
+          include: {
+            driver: { select: { id: true, homeBaseLat: true, homeBaseLng: true } }
+          }
+        }
+      }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    const points = load.stops.map(stop => {
+      const location = load.geoLocations.find(l => l.stopSequence === stop.stopSequence);
+      return location && isCoordinate(location.latitude, location.longitude)
+        ? { lat: parseFloat(location.latitude), lng: parseFloat(location.longitude) }
+        : null;
+    });
+
+    const notes = [];
+    let loaded = null;
+
+    if (points.length >= 2 && points.every(Boolean)) {
+      loaded = await this.route(points);
+    } else {
+      notes.push('Not every stop is geocoded');
+    }
+
+    const driver = load.assignments[0] ? load.assignments[0].driver : null;
+    let deadhead = null;
+    let origin = null;
+
+    if (driver && points[0]) {
+      origin = await this.deadheadOrigin(load, driver);
+
+      if (origin) {
+        deadhead = await this.route([origin.point, points[0]]);
+      } else {
+        notes.push('Driver location before pickup is unknown');
+      }
+    }
+
+    const fields = {
+      loadedPracticalMiles: loaded ? loaded.practicalMiles : null,
+      loadedShortestMiles: loaded ? loaded.shortestMiles : null,
+      legs: loaded ? loaded.legs : [],
+      driverId: driver ? driver.id : null,
+      deadheadMiles: deadhead ? deadhead.practicalMiles : null,
+      deadheadFrom: origin ? origin.from : null,
+      source: loaded ? loaded.source : null,
+      note: notes.join('; ') || null,
+      computedAt: new Date()
+    };
+
+    return await prisma.loadMileage.upsert({
+      where: { loadId },
+      create: { loadId, ...fields },
+      update: fields
+    });
+  }
+
+  /**
+   * Recompute a load's mileage after a change, without failing the change
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Object|null>} loadMileage row, null on failure
+   */
+  async refreshLoadQuietly(loadId) {
+    try {
+      return await this.refreshLoad(loadId);
+    } catch (error) {
+      console.error(`Failed to compute mileage for load ${loadId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Stored mileage of a load, computed on first request
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Object>} Mileage summary with legs
+   * @throws {NotFoundError}
+   */
+  async getLoadMileage(loadId) {
+    const stored = await prisma.loadMileage.findUnique({ where: { loadId } });
+    const mileage = stored || await this.refreshLoad(loadId);
+
+    return {
+      ...this.summary(mileage),
+      legs: mileage.legs,
+      note: mileage.note
+    };
+  }
+
+  /**
+   * Stored mileage of a load, for API responses. Deadhead is carrier-side
+   * detail (it names the driver's previous load) and is left out for
+   * shippers.
+   * @param {Object|null} mileage - loadMileage row
+   * @param {boolean} [includeDeadhead] - Include deadhead miles and origin
+   * @returns {Object|null} { practicalMiles, shortestMiles, deadheadMiles, deadheadFrom, source, computedAt }
+   */
+  summary(mileage, includeDeadhead = true) {
+    if (!mileage) return null;
+
+    return {
+      practicalMiles: mileage.loadedPracticalMiles,
+      shortestMiles: mileage.loadedShortestMiles,
+      ...(includeDeadhead && {
+        deadheadMiles: mileage.deadheadMiles,
+        deadheadFrom: mileage.deadheadFrom
+      }),
+      source: mileage.source,
+      computedAt: mileage.computedAt
+    };
+  }
+}
+
+module.exports = new MileageService();
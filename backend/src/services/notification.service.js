@@ -47,6 +47,44 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify dispatchers that a shipper submitted a load for review
+   * @param {Object} load - Load object
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyLoadSubmitted(load) {
+    const dispatchers = await prisma.internalUser.findMany({
+      where: {
+        role: { in: ['DISPATCHER', 'ADMIN'] },
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    if (dispatchers.length === 0) {
+      console.warn('No active dispatchers found to notify');
+      return 0;
+    }
+
+    const notificationsData = dispatchers.map(dispatcher => ({
+      recipientId: dispatcher.id,
+      recipientType: 'INTERNAL_USER',
+      type: 'LOAD_SUBMITTED',
+      title: 'Load Submitted for Review',
+      message: `Load ${load.loadNumber} (${load.origin} to ${load.destination}) is waiting for review`,
+      relatedEntityType: 'LOAD',
+      relatedEntityId: load.id,
+      actionUrl: `/loads/${load.id}`,
+      priority: 'NORMAL',
+      metadata: {
+        shipperClientId: load.shipperClientId
+      }
+    }));
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
   /**
    * Notify driver of new load assignment
    * @param {string} driverId - Driver ID
@@ -74,6 +112,75 @@ class NotificationService {
     });
   }
 
+  /**
+   * Notify a driver that a load was tendered to them and when the offer lapses
+   * @param {string} driverId - Driver ID
+   * @param {Object} load - Load object
+   * @param {Object} offer - LoadTenderOffer object
+   * @returns {Promise<Object>} Created notification
+   */
+  async notifyLoadOffered(driverId, load, offer) {
+    return await this.createNotification({
+      recipientId: driverId,
+      recipientType: 'DRIVER',
+      type: 'LOAD_OFFERED',
+      title: 'New Load Offer',
+      message: `Load ${load.loadNumber} from ${load.origin} to ${load.destination} is offered to you until ${offer.expiresAt.toISOString()}`,
+      relatedEntityType: 'LOAD',
+      relatedEntityId: load.id,
+      actionUrl: `/driver/loads/${load.id}`,
+      priority: 'HIGH',
+      expiresAt: offer.expiresAt,
+      metadata: {
+        loadNumber: load.loadNumber,
+        pickupDate: load.pickupDate,
+        deliveryDate: load.deliveryDate,
+        assignmentId: offer.assignmentId,
+        expiresAt: offer.expiresAt
+      }
+    });
+  }
+
+  /**
+   * Notify dispatchers that no driver on a tender took the load
+   * @param {Object} load - Load object
+   * @param {Object} tender - LoadTender object
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyTenderExhausted(load, tender) {
+    const dispatchers = await prisma.internalUser.findMany({
+      where: {
+        role: { in: ['DISPATCHER', 'ADMIN'] },
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    if (dispatchers.length === 0) {
+      console.warn('No active dispatchers found to notify');
+      return 0;
+    }
+
+    const notificationsData = dispatchers.map(dispatcher => ({
+      recipientId: dispatcher.id,
+      recipientType: 'INTERNAL_USER',
+      type: 'LOAD_TENDER_EXHAUSTED',
+      title: 'Load Not Covered',
+      message: `No driver accepted load ${load.loadNumber}; it is back to SCHEDULED and needs a driver`,
+      relatedEntityType: 'LOAD',
+      relatedEntityId: load.id,
+      actionUrl: `/loads/${load.id}`,
+      priority: 'HIGH',
+      metadata: {
+        loadNumber: load.loadNumber,
+        tenderId: tender.id
+      }
+    }));
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
   /**
    * Notify driver that load assignment was rejected
    * @param {string} driverId - Driver ID
@@ -134,6 +241,225 @@ class NotificationService {
     return result.count;
   }
 
+  /**
+   * Notify dispatchers when a driver rejects an assignment
+   * @param {Object} load - Load object
+   * @param {Object} driver - Driver object
+   * @param {string} [reason] - Reason given
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyAssignmentRejected(load, driver, reason) {
+    const dispatchers = await prisma.internalUser.findMany({
+      where: {
+        role: { in: ['DISPATCHER', 'ADMIN'] },
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    if (dispatchers.length === 0) {
+      console.warn('No active dispatchers found to notify');
+      return 0;
+    }
+
+    const notificationsData = dispatchers.map(dispatcher => ({
+      recipientId: dispatcher.id,
+      recipientType: 'INTERNAL_USER',
+      type: 'LOAD_REJECTED',
+      title: 'Load Assignment Rejected',
+      message: `${driver.firstName} ${driver.lastName} rejected load ${load.loadNumber}${reason ? `: ${reason}` : ''}`,
+      relatedEntityType: 'LOAD',
+      relatedEntityId: load.id,
+      actionUrl: `/loads/${load.id}`,
+      priority: 'HIGH',
+      metadata: {
+        driverId: driver.id,
+        driverName: `${driver.firstName} ${driver.lastName}`,
+        reason: reason || null
+      }
+    }));
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
+  /**
+   * Notify dispatchers that a driver requested a load from the load board
+   * @param {Object} load - Load object
+   * @param {Object} driver - Requesting driver
+   * @param {Object} request - LoadAssignment row for the request
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyLoadRequested(load, driver, request) {
+    const dispatchers = await prisma.internalUser.findMany({
+      where: {
+        role: { in: ['DISPATCHER', 'ADMIN'] },
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    if (dispatchers.length === 0) {
+      console.warn('No active dispatchers found to notify');
+      return 0;
+    }
+
+    const notificationsData = dispatchers.map(dispatcher => ({
+      recipientId: dispatcher.id,
+      recipientType: 'INTERNAL_USER',
+      type: 'LOAD_REQUESTED',
+      title: 'Load Requested',
+      message: `${driver.firstName} ${driver.lastName} requested load ${load.loadNumber} from the load board`,
+      relatedEntityType: 'LOAD_ASSIGNMENT',
+      relatedEntityId: request.id,
+      actionUrl: `/load-board/requests`,
+      priority: 'NORMAL',
+      metadata: {
+        loadId: load.id,
+        driverId: driver.id
+      }
+    }));
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
+  /**
+   * Notify a driver that their load board request was declined
+   * @param {string} driverId - Driver ID
+   * @param {Object} load - Load object
+   * @param {string} reason - Reason given
+   * @returns {Promise<Object>} Created notification
+   */
+  async notifyLoadRequestDeclined(driverId, load, reason) {
+    return await this.createNotification({
+      recipientId: driverId,
+      recipientType: 'DRIVER',
+      type: 'LOAD_REQUEST_DECLINED',
+      title: 'Load Request Declined',
+      message: `Your request for load ${load.loadNumber} was declined: ${reason}`,
+      relatedEntityType: 'LOAD',
+      relatedEntityId: load.id,
+      actionUrl: `/driver/load-board`,
+      priority: 'NORMAL'
+    });
+  }
+
+  /**
+   * Notify dispatchers that a driver asked for time off
+   * @param {Object} timeOff - DriverTimeOff object
+   * @param {Object} driver - Driver object
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyTimeOffRequested(timeOff, driver) {
+    const dispatchers = await prisma.internalUser.findMany({
+      where: {
+        role: { in: ['DISPATCHER', 'ADMIN'] },
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    if (dispatchers.length === 0) {
+      console.warn('No active dispatchers found to notify');
+      return 0;
+    }
+
+    const label = timeOff.type === 'HOME_TIME' ? 'home time' : 'time off';
+
+    const notificationsData = dispatchers.map(dispatcher => ({
+      recipientId: dispatcher.id,
+      recipientType: 'INTERNAL_USER',
+      type: 'TIME_OFF_REQUESTED',
+      title: 'Time Off Requested',
+      message: `${driver.firstName} ${driver.lastName} requested ${label} from ${timeOff.startAt.toISOString().split('T')[0]} to ${timeOff.endAt.toISOString().split('T')[0]}`,
+      relatedEntityType: 'DRIVER_TIME_OFF',
+      relatedEntityId: timeOff.id,
+      actionUrl: `/drivers/time-off`,
+      priority: 'NORMAL',
+      metadata: {
+        driverId: driver.id
+      }
+    }));
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
+  /**
+   * Notify a driver that dispatch approved or denied their time off
+   * @param {Object} timeOff - Reviewed DriverTimeOff object
+   * @returns {Promise<Object>} Created notification
+   */
+  async notifyTimeOffReviewed(timeOff) {
+    const approved = timeOff.status === 'APPROVED';
+    const label = timeOff.type === 'HOME_TIME' ? 'home time' : 'time off';
+    const dates = `${timeOff.startAt.toISOString().split('T')[0]} to ${timeOff.endAt.toISOString().split('T')[0]}`;
+
+    return await this.createNotification({
+      recipientId: timeOff.driverId,
+      recipientType: 'DRIVER',
+      type: approved ? 'TIME_OFF_APPROVED' : 'TIME_OFF_DENIED',
+      title: approved ? 'Time Off Approved' : 'Time Off Denied',
+      message: approved
+        ? `Your ${label} from ${dates} was approved`
+        : `Your ${label} from ${dates} was denied${timeOff.reviewNotes ? `: ${timeOff.reviewNotes}` : ''}`,
+      relatedEntityType: 'DRIVER_TIME_OFF',
+      relatedEntityId: timeOff.id,
+      actionUrl: `/driver/time-off`,
+      priority: 'NORMAL'
+    });
+  }
+
+  /**
+   * Notify the assigned driver and the shipper's users that a load was cancelled
+   * @param {Object} load - Load object
+   * @param {string|null} driverId - Driver whose assignment was released
+   * @param {string} reason - Cancellation reason code
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyLoadCancelled(load, driverId, reason) {
+    const shipperUsers = await prisma.shipperUser.findMany({
+      where: {
+        shipperClientId: load.shipperClientId,
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    const message = `Load ${load.loadNumber} from ${load.origin} to ${load.destination} has been cancelled (${reason})`;
+
+    const notificationsData = [
+      ...shipperUsers.map(user => ({
+        recipientId: user.id,
+        recipientType: 'SHIPPER_USER',
+        type: 'LOAD_CANCELLED',
+        title: 'Load Cancelled',
+        message,
+        relatedEntityType: 'LOAD',
+        relatedEntityId: load.id,
+        actionUrl: `/loads/${load.id}`,
+        priority: 'NORMAL'
+      })),
+      ...(driverId ? [{
+        recipientId: driverId,
+        recipientType: 'DRIVER',
+        type: 'LOAD_CANCELLED',
+        title: 'Load Cancelled',
+        message,
+        relatedEntityType: 'LOAD',
+        relatedEntityId: load.id,
+        actionUrl: `/driver/loads`,
+        priority: 'HIGH'
+      }] : [])
+    ];
+
+    if (notificationsData.length === 0) return 0;
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
   /**
    * Notify dispatchers when POD is submitted
    * @param {Object} load - Load object
@@ -195,6 +521,212 @@ class NotificationService {
     });
   }
 
+  /**
+   * Notify dispatchers that an accessorial charge is waiting for approval
+   * @param {Object} load - Load object
+   * @param {Object} charge - AccessorialCharge object
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyAccessorialRequested(load, charge) {
+    const dispatchers = await prisma.internalUser.findMany({
+      where: {
+        role: { in: ['DISPATCHER', 'ADMIN'] },
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    if (dispatchers.length === 0) {
+      console.warn('No active dispatchers found to notify');
+      return 0;
+    }
+
+    const notificationsData = dispatchers.map(dispatcher => ({
+      recipientId: dispatcher.id,
+      recipientType: 'INTERNAL_USER',
+      type: 'ACCESSORIAL_REQUESTED',
+      title: 'Accessorial Charge Requested',
+      message: `${charge.description} of $${Number(charge.billableAmount).toFixed(2)} requested on load ${load.loadNumber}`,
+      relatedEntityType: 'ACCESSORIAL_CHARGE',
+      relatedEntityId: charge.id,
+      actionUrl: `/loads/${load.id}`,
+      priority: 'NORMAL',
+      metadata: {
+        loadId: load.id,
+        accessorialType: charge.type
+      }
+    }));
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
+  /**
+   * Notify the requesting driver that their accessorial charge was reviewed
+   * @param {Object} charge - AccessorialCharge object (APPROVED or REJECTED)
+   * @returns {Promise<Object>} Created notification
+   */
+  async notifyAccessorialReviewed(charge) {
+    const approved = charge.status === 'APPROVED';
+
+    return await this.createNotification({
+      recipientId: charge.requestedById,
+      recipientType: 'DRIVER',
+      type: approved ? 'ACCESSORIAL_APPROVED' : 'ACCESSORIAL_REJECTED',
+      title: approved ? 'Accessorial Charge Approved' : 'Accessorial Charge Rejected',
+      message: approved
+        ? `Your ${charge.description.toLowerCase()} charge was approved. Pay: $${Number(charge.payableAmount).toFixed(2)}`
+        : `Your ${charge.description.toLowerCase()} charge was rejected: ${charge.rejectionReason}`,
+      relatedEntityType: 'ACCESSORIAL_CHARGE',
+      relatedEntityId: charge.id,
+      actionUrl: `/driver/loads/${charge.loadId}`,
+      priority: 'NORMAL'
+    });
+  }
+
+  /**
+   * Notify dispatchers that a stop has run past its free time
+   * @param {Object} load - Load object
+   * @param {Object} detention - Stop detention breakdown (detention.service)
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyDetentionStarted(load, detention) {
+    const dispatchers = await prisma.internalUser.findMany({
+      where: {
+        role: { in: ['DISPATCHER', 'ADMIN'] },
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    if (dispatchers.length === 0) {
+      console.warn('No active dispatchers found to notify');
+      return 0;
+    }
+
+    const notificationsData = dispatchers.map(dispatcher => ({
+      recipientId: dispatcher.id,
+      recipientType: 'INTERNAL_USER',
+      type: 'DETENTION_STARTED',
+      title: 'Detention Started',
+      message: `Load ${load.loadNumber} is in detention at stop ${detention.stopSequence} (${detention.locationName}) since ${detention.detentionStartsAt.toISOString()}`,
+      relatedEntityType: 'LOAD',
+      relatedEntityId: load.id,
+      actionUrl: `/loads/${load.id}`,
+      priority: 'HIGH',
+      metadata: {
+        stopId: detention.stopId,
+        detentionStartsAt: detention.detentionStartsAt
+      }
+    }));
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
+  /**
+   * Notify dispatchers and the shipper's users that a load is predicted to
+   * miss its delivery window
+   * @param {Object} load - Load object
+   * @param {Object} prediction - ETA prediction (eta.service)
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyDeliveryAtRisk(load, prediction) {
+    const [dispatchers, shipperUsers] = await Promise.all([
+      prisma.internalUser.findMany({
+        where: {
+          role: { in: ['DISPATCHER', 'ADMIN'] },
+          isActive: true
+        },
+        select: { id: true }
+      }),
+      prisma.shipperUser.findMany({
+        where: {
+          shipperClientId: load.shipperClientId,
+          isActive: true
+        },
+        select: { id: true }
+      })
+    ]);
+
+    const eta = prediction.etaAt.toISOString();
+    const late = prediction.minutesLate !== null ? ` (${prediction.minutesLate} min late)` : '';
+    const message = `Load ${load.loadNumber} to ${load.destination} is predicted to arrive ${eta}${late}, past its delivery window`;
+    const notification = {
+      type: 'DELIVERY_AT_RISK',
+      title: 'Delivery At Risk',
+      message,
+      relatedEntityType: 'LOAD',
+      relatedEntityId: load.id,
+      actionUrl: `/loads/${load.id}`,
+      metadata: {
+        etaAt: prediction.etaAt,
+        deadline: prediction.deadline,
+        minutesLate: prediction.minutesLate
+      }
+    };
+
+    const notificationsData = [
+      ...dispatchers.map(dispatcher => ({
+        ...notification,
+        recipientId: dispatcher.id,
+        recipientType: 'INTERNAL_USER',
+        priority: 'HIGH'
+      })),
+      ...shipperUsers.map(user => ({
+        ...notification,
+        recipientId: user.id,
+        recipientType: 'SHIPPER_USER',
+        priority: 'NORMAL'
+      }))
+    ];
+
+    if (notificationsData.length === 0) return 0;
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
+  /**
+   * Notify dispatchers that an EDI load tender is waiting for a response
+   * @param {Object} load - Load created from the tender
+   * @param {Object} tender - Inbound 204 ediDocument
+   * @returns {Promise<number>} Number of notifications created
+   */
+  async notifyTenderReceived(load, tender) {
+    const dispatchers = await prisma.internalUser.findMany({
+      where: {
+        role: { in: ['DISPATCHER', 'ADMIN'] },
+        isActive: true
+      },
+      select: { id: true }
+    });
+
+    if (dispatchers.length === 0) {
+      console.warn('No active dispatchers found to notify');
+      return 0;
+    }
+
+    const notificationsData = dispatchers.map(dispatcher => ({
+      recipientId: dispatcher.id,
+      recipientType: 'INTERNAL_USER',
+      type: 'EDI_TENDER_RECEIVED',
+      title: 'New Load Tender',
+      message: `Tender ${tender.shipmentId} received via EDI as load ${load.loadNumber} (${load.origin} to ${load.destination})`,
+      relatedEntityType: 'LOAD',
+      relatedEntityId: load.id,
+      actionUrl: `/loads/${load.id}`,
+      priority: 'HIGH',
+      metadata: {
+        ediDocumentId: tender.id,
+        shipmentId: tender.shipmentId
+      }
+    }));
+
+    const result = await this.createBulkNotifications(notificationsData);
+    return result.count;
+  }
+
   /**
    * Notify shipper users when invoice is issued
    * @param {Object} invoice - ShipperInvoice object
@@ -0,0 +1,139 @@
+// ==================== src/services/numbering.service.js ====================
+const prisma = require('../config/database');
+const { BadRequestError } = require('../utils/errors');
+const { DOCUMENT_NUMBER_FORMATS } = require('../utils/constants');
+
+// Where each entity's numbers live, used to seed a new counter from numbers
+// already issued under the same prefix
+const NUMBERED_ENTITIES = {
+  LOAD: { model: 'load', field: 'loadNumber' },
+  INVOICE: { model: 'shipperInvoice', field: 'invoiceNumber' },
+  SETTLEMENT: { model: 'driverSettlement', field: 'settlementNumber' }
+};
+
+class NumberingService {
+  /**
+   * Resolve the number format for an entity: the shipper's own format,
+   * then the entity-wide format, then the built-in default
+   * @param {string} entity - LOAD, INVOICE or SETTLEMENT
+   * @param {string|null} [shipperClientId] - Shipper client (LOAD/INVOICE)
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object>} { prefix, yearReset, padding }
+   */
+  async getFormat(entity, shipperClientId = null, db = prisma) {
+    const formats = await db.numberingFormat.findMany({
+      where: {
+        entity,
+        OR: [
+          { shipperClientId: null },
+          ...(shipperClientId ? [{ shipperClientId }] : [])
+        ]
+      }
+    });
+
+    const format = formats.find(f => shipperClientId && f.shipperClientId === shipperClientId)
+      || formats.find(f => f.shipperClientId === null)
+      || DOCUMENT_NUMBER_FORMATS[entity];
+
+    return {
+      prefix: format.prefix,
+      yearReset: format.yearReset,
+      padding: format.padding
+    };
+  }
+
+  /**
+   * The fixed part of a number (everything before the sequence)
+   * @param {Object} format - { prefix, yearReset }
+   * @param {number} year - Current year
+   * @returns {string} e.g. 'LOAD-2026-' or 'ACME-'
+   */
+  numberPrefix(format, year) {
+    return format.yearReset ? `${format.prefix}-${year}-` : `${format.prefix}-`;
+  }
+
+  /**
+   * Highest sequence already issued under a prefix
+   * @param {string} entity - LOAD, INVOICE or SETTLEMENT
+   * @param {string} numberPrefix - Fixed part of the number
+   * @param {Object} db - Prisma client or transaction client
+   * @returns {Promise<number>}
+   */
+  async findHighestIssued(entity, numberPrefix, db) {
+    const { model, field } = NUMBERED_ENTITIES[entity];
+
+    const rows = await db[model].findMany({
+      where: { [field]: { startsWith: numberPrefix } },
+      select: { [field]: true }
+    });
+
+    return rows.reduce((max, row) => {
+      const sequence = row[field].slice(numberPrefix.length);
+      return /^\d+$/.test(sequence) ? Math.max(max, parseInt(sequence)) : max;
+    }, 0);
+  }
+
+  /**
+   * Issue the next number for an entity. Each prefix/year has a counter row
+   * that is incremented atomically in the database, so parallel requests
+   * never get the same number. Called inside a transaction, the counter row
+   * stays locked until commit and a rollback gives the number back.
+   * @param {string} entity - LOAD, INVOICE or SETTLEMENT
+   * @param {Object} [options]
+   * @param {string} [options.shipperClientId] - Shipper client (per-shipper formats)
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<string>} Formatted number, e.g. LOAD-2026-0042
+   * @throws {BadRequestError}
+   */
+  async next(entity, options = {}) {
+    const { shipperClientId = null, db = prisma } = options;
+
+    if (!NUMBERED_ENTITIES[entity]) {
+      throw new BadRequestError(`No numbering defined for ${entity}`);
+    }
+
+    const format = await this.getFormat(entity, shipperClientId, db);
+    const year = new Date().getFullYear();
+    const numberPrefix = this.numberPrefix(format, year);
+    const key = `${entity}:${numberPrefix}`;
+
+    const value = await this.increment(key, entity, () => this.findHighestIssued(entity, numberPrefix, db), db);
+
+    return `${numberPrefix}${String(value).padStart(format.padding, '0')}`;
+  }
+
+  /**
+   * Atomically increment a counter row, creating it on first use
+   * @param {string} key - Counter key
+   * @param {string} entity - What the counter numbers (LOAD, EDI_INTERCHANGE...)
+   * @param {Function} findHighestIssued - async () => highest value issued before the counter existed
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<number>} New counter value
+   */
+  async increment(key, entity, findHighestIssued, db = prisma) {
+    try {
+      const counter = await db.documentCounter.update({
+        where: { key },
+        data: { lastValue: { increment: 1 } }
+      });
+      return counter.lastValue;
+    } catch (error) {
+      // P2025: first value under this key
+      if (error.code !== 'P2025') throw error;
+    }
+
+    // Start after anything issued before the counter existed. The upsert
+    // runs as a single INSERT ... ON CONFLICT, so a request that created
+    // the row meanwhile just gets incremented past.
+    const highest = await findHighestIssued();
+    const counter = await db.documentCounter.upsert({
+      where: { key },
+      create: { key, entity, lastValue: highest + 1 },
+      update: { lastValue: { increment: 1 } }
+    });
+
+    return counter.lastValue;
+  }
+}
+
+module.exports = new NumberingService();
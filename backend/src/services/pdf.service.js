@@ -0,0 +1,90 @@
+// ==================== src/services/pdf.service.js ====================
+
+// US Letter in points, Courier so report columns line up
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 40;
+const TITLE_SIZE = 11;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const CHAR_WIDTH = FONT_SIZE * 0.6;
+
+/**
+ * Text as a PDF string literal. The standard fonts only cover printable
+ * ASCII here; anything else prints as '?'.
+ * @param {string} text - Text
+ * @returns {string}
+ */
+const pdfString = text => `(${String(text)
+  .replace(/[^\x20-\x7e]/g, '?')
+  .replace(/([\\()])/g, '\\$1')})`;
+
+class PdfService {
+  /**
+   * Characters that fit on a line of a text document
+   * @returns {number}
+   */
+  get maxColumns() {
+    return Math.floor((PAGE_WIDTH - 2 * MARGIN) / CHAR_WIDTH);
+  }
+
+  /**
+   * Render lines of monospaced text as a PDF, with the title on every page
+   * and page numbers in the footer. Lines longer than maxColumns are cut,
+   * so callers lay tables out to fit.
+   * @param {string} title - Document title
+   * @param {Array<string>} lines - Body lines
+   * @returns {Buffer} PDF file
+   */
+  renderText(title, lines) {
+    const titleY = PAGE_HEIGHT - MARGIN - TITLE_SIZE;
+    const bodyY = titleY - 2 * LINE_HEIGHT;
+    const linesPerPage = Math.floor((bodyY - MARGIN - LINE_HEIGHT) / LINE_HEIGHT) + 1;
+
+    const pages = [];
+    for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+      pages.push(lines.slice(i, i + linesPerPage));
+    }
+
+    // 1 catalog, 2 page tree, 3-4 fonts, then a page and its content per page
+    const pageRef = i => 5 + i * 2;
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((_, i) => `${pageRef(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+
+    pages.forEach((pageLines, i) => {
+      const content = [
+        `BT /F2 ${TITLE_SIZE} Tf ${MARGIN} ${titleY} Td ${pdfString(title)} Tj ET`,
+        `BT /F1 ${FONT_SIZE} Tf ${LINE_HEIGHT} TL ${MARGIN} ${bodyY} Td`,
+        ...pageLines.map(line => `${pdfString(line.slice(0, this.maxColumns))} Tj T*`),
+        'ET',
+        `BT /F1 8 Tf ${MARGIN} ${MARGIN / 2} Td ${pdfString(`Page ${i + 1} of ${pages.length}`)} Tj ET`
+      ].join('\n');
+
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageRef(i) + 1} 0 R >>`,
+        `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+      );
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+      const offset = Buffer.byteLength(pdf);
+      pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+  }
+}
+
+module.exports = new PdfService();
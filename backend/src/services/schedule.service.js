@@ -0,0 +1,317 @@
+// ==================== src/services/schedule.service.js ====================
+const prisma = require('../config/database');
+const hosService = require('./hos.service');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { COMMITTED_LOAD_STATUSES, NOT_PENDING_REQUEST } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCHEDULE_LOAD_SELECT = {
+  id: true,
+  loadNumber: true,
+  status: true,
+  origin: true,
+  destination: true,
+  pickupDate: true,
+  deliveryDate: true,
+  distanceMiles: true,
+  mileage: { select: { loadedPracticalMiles: true } },
+  deletedAt: true,
+  stops: {
+    select: { stopSequence: true, appointmentStart: true, appointmentEnd: true },
+    orderBy: { stopSequence: 'asc' }
+  }
+};
+
+class ScheduleService {
+  /**
+   * Planned pickup and delivery times of a load: first/last stop
+   * appointments, falling back to the load's pickup and delivery dates
+   * @param {Object} load - Load with ordered stops
+   * @returns {Object} { pickupAt, deliveryAt }
+   */
+  loadWindow(load) {
+    const stops = load.stops || [];
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+
+    return {
+      pickupAt: first ? new Date(first.appointmentStart) : new Date(load.pickupDate),
+      deliveryAt: last
+        ? new Date(last.appointmentEnd || last.appointmentStart)
+        : new Date(load.deliveryDate)
+    };
+  }
+
+  /**
+   * Time an assignment holds its driver and truck: the dispatcher's
+   * estimated pickup/delivery when given, otherwise the load's own window
+   * @param {Object} assignment - { estimatedPickup, estimatedDelivery }
+   * @param {Object} load - Load with ordered stops
+   * @returns {Object} { start, end }
+   */
+  assignmentWindow(assignment, load) {
+    const { pickupAt, deliveryAt } = this.loadWindow(load);
+
+    return {
+      start: assignment.estimatedPickup ? new Date(assignment.estimatedPickup) : pickupAt,
+      end: assignment.estimatedDelivery ? new Date(assignment.estimatedDelivery) : deliveryAt
+    };
+  }
+
+  /**
+   * Whether two windows share any time
+   * @param {Object} a - { start, end }
+   * @param {Object} b - { start, end }
+   * @returns {boolean}
+   */
+  overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+
+  /**
+   * Committed windows of a driver or vehicle: active assignments on loads
+   * that are assigned and not yet delivered, earliest first
+   * @param {Object} owner - { driverId } or { vehicleId }
+   * @param {Object} [options]
+   * @param {Date} [options.from] - Only windows ending after this
+   * @param {Date} [options.to] - Only windows starting before this
+   * @param {string} [options.excludeLoadId] - Leave out this load
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Array>} [{ assignmentId, loadId, loadNumber, status, driverId, vehicleId, origin, destination, start, end }]
+   */
+  async getCommitments(owner, options = {}) {
+    const { from, to, excludeLoadId, db = prisma } = options;
+
+    const assignments = await db.loadAssignment.findMany({
+      where: {
+        ...owner,
+        rejectedAt: null,
+        releasedAt: null,
+        ...NOT_PENDING_REQUEST,
+        load: {
+          status: { in: COMMITTED_LOAD_STATUSES },
+          deletedAt: null,
+          ...(excludeLoadId && { id: { not: excludeLoadId } })
+        }
+      },
+      include: { load: { select: SCHEDULE_LOAD_SELECT } }
+    });
+
+    return assignments
+      .map(assignment => ({
+        assignmentId: assignment.id,
+        loadId: assignment.loadId,
+        loadNumber: assignment.load.loadNumber,
+        status: assignment.load.status,
+        driverId: assignment.driverId,
+        vehicleId: assignment.vehicleId,
+        origin: assignment.load.origin,
+        destination: assignment.load.destination,
+        ...this.assignmentWindow(assignment, assignment.load)
+      }))
+      .filter(c => (!from || c.end > from) && (!to || c.start < to))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Driver time off overlapping a range, earliest first
+   * @param {Array<string>} driverIds - Driver IDs
+   * @param {Object} [options]
+   * @param {Date} [options.from] - Only windows ending after this
+   * @param {Date} [options.to] - Only windows starting before this
+   * @param {Array<string>} [options.statuses] - Request statuses (default APPROVED)
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Array>} [{ timeOffId, driverId, kind, status, reason, start, end }]
+   */
+  async getTimeOff(driverIds, options = {}) {
+    const { from, to, statuses = ['APPROVED'], db = prisma } = options;
+
+    const requests = await db.driverTimeOff.findMany({
+      where: {
+        driverId: { in: driverIds },
+        status: { in: statuses },
+        ...(from && { endAt: { gt: from } }),
+        ...(to && { startAt: { lt: to } })
+      },
+      orderBy: { startAt: 'asc' }
+    });
+
+    return requests.map(r => ({
+      timeOffId: r.id,
+      driverId: r.driverId,
+      kind: r.type,
+      status: r.status,
+      reason: r.reason,
+      start: r.startAt,
+      end: r.endAt
+    }));
+  }
+
+  /**
+   * Short description of a conflict for error messages
+   * @param {Object} conflict - Commitment or time off entry
+   * @returns {string}
+   */
+  describeConflict(conflict) {
+    if (conflict.type === 'TIME_OFF') {
+      const label = conflict.kind === 'HOME_TIME' ? 'home time' : 'time off';
+      return `approved ${label} ${conflict.start.toISOString()} to ${conflict.end.toISOString()}`;
+    }
+
+    return `load ${conflict.loadNumber}`;
+  }
+
+  /**
+   * Inside a transaction, hold the driver row until commit so bookings and
+   * time-off approvals for the same driver are checked one after the other
+   * @param {string} driverId - Driver ID
+   * @param {Object} db - Transaction client
+   */
+  async lockDriver(driverId, db) {
+    await db.driver.update({
+      where: { id: driverId },
+      data: { updatedAt: new Date() }
+    });
+  }
+
+  /**
+   * Check a driver (and the truck they're on) can take a load, before the
+   * assignment is written. Overlapping commitments are rejected with the
+   * clashing loads in the error details, as are loads the driver doesn't
+   * have the hours of service for (or they come back as warnings, see
+   * HOS_ENFORCEMENT). Run it in the transaction that writes the assignment.
+   * @param {string} loadId - Load ID
+   * @param {string} driverId - Driver ID
+   * @param {Object} [options]
+   * @param {Date|string} [options.estimatedPickup] - Dispatcher's estimate
+   * @param {Date|string} [options.estimatedDelivery] - Dispatcher's estimate
+   * @param {Object} [options.db] - Prisma client or transaction client
+   * @returns {Promise<Object>} { window, vehicleId, hosWarnings } - vehicleId to record on the assignment
+   * @throws {NotFoundError|BadRequestError|ConflictError}
+   */
+  async checkAssignment(loadId, driverId, options = {}) {
+    const { estimatedPickup, estimatedDelivery, db = prisma } = options;
+
+    const load = await db.load.findUnique({
+      where: { id: loadId },
+      select: SCHEDULE_LOAD_SELECT
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    const window = this.assignmentWindow({ estimatedPickup, estimatedDelivery }, load);
+
+    if (window.end <= window.start) {
+      throw new BadRequestError('Estimated delivery must be after estimated pickup');
+    }
+
+    await this.lockDriver(driverId, db);
+
+    const vehicleAssignment = await db.vehicleAssignment.findFirst({
+      where: { driverId, isCurrentlyAssigned: true }
+    });
+    const vehicleId = vehicleAssignment ? vehicleAssignment.vehicleId : null;
+
+    const [driverCommitments, vehicleCommitments, timeOff] = await Promise.all([
+      this.getCommitments({ driverId }, { excludeLoadId: loadId, db }),
+      vehicleId
+        ? this.getCommitments({ vehicleId }, { excludeLoadId: loadId, db })
+        : [],
+      this.getTimeOff([driverId], { from: window.start, to: window.end, db })
+    ]);
+
+    const conflicts = [
+      ...driverCommitments
+        .filter(c => this.overlaps(c, window))
+        .map(c => ({ type: 'DRIVER', ...c })),
+      ...vehicleCommitments
+        .filter(c => c.driverId !== driverId && this.overlaps(c, window))
+        .map(c => ({ type: 'VEHICLE', ...c })),
+      ...timeOff.map(t => ({ type: 'TIME_OFF', ...t }))
+    ];
+
+    if (conflicts.length > 0) {
+      const descriptions = [...new Set(conflicts.map(c => this.describeConflict(c)))].join(', ');
+      throw new ConflictError(`Scheduling conflict with ${descriptions}`, { window, conflicts });
+    }
+
+    const hosWarnings = await hosService.checkAssignment(driverId, load, window, { db });
+
+    return { window, vehicleId, hosWarnings };
+  }
+
+  /**
+   * Check a vehicle can be handed to a driver. A truck still committed to
+   * another driver's loads can't be moved until those loads are delivered
+   * or reassigned.
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} driverId - Driver taking the truck
+   * @param {Object} [db] - Prisma client or transaction client
+   * @throws {ConflictError}
+   */
+  async assertVehicleTransferable(vehicleId, driverId, db = prisma) {
+    const conflicts = (await this.getCommitments({ vehicleId }, { db }))
+      .filter(c => c.driverId !== driverId)
+      .map(c => ({ type: 'VEHICLE', ...c }));
+
+    if (conflicts.length > 0) {
+      const loadNumbers = conflicts.map(c => c.loadNumber).join(', ');
+      throw new ConflictError(`Vehicle is committed to load ${loadNumbers} with another driver`, { conflicts });
+    }
+  }
+
+  /**
+   * Calendar feed for a driver or vehicle. Driver feeds include pending and
+   * approved time off.
+   * @param {Object} owner - { driverId } or { vehicleId }
+   * @param {Object} [range] - { from, to } (defaults: today through 30 days out)
+   * @returns {Promise<Object>} { from, to, events }
+   */
+  async getSchedule(owner, range = {}) {
+    const from = range.from ? new Date(range.from) : new Date(new Date().setHours(0, 0, 0, 0));
+    const to = range.to ? new Date(range.to) : new Date(from.getTime() + 30 * DAY_MS);
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      throw new BadRequestError('Invalid schedule range');
+    }
+
+    const [commitments, timeOff] = await Promise.all([
+      this.getCommitments(owner, { from, to }),
+      owner.driverId
+        ? this.getTimeOff([owner.driverId], { from, to, statuses: ['PENDING', 'APPROVED'] })
+        : []
+    ]);
+
+    const events = [
+      ...commitments.map(c => ({
+        type: 'LOAD',
+        id: c.assignmentId,
+        title: `${c.loadNumber}: ${c.origin} to ${c.destination}`,
+        start: c.start,
+        end: c.end,
+        loadId: c.loadId,
+        loadNumber: c.loadNumber,
+        status: c.status,
+        driverId: c.driverId,
+        vehicleId: c.vehicleId
+      })),
+      ...timeOff.map(t => ({
+        type: t.kind,
+        id: t.timeOffId,
+        title: t.kind === 'HOME_TIME' ? 'Home time' : 'Time off',
+        start: t.start,
+        end: t.end,
+        status: t.status,
+        driverId: t.driverId,
+        reason: t.reason
+      }))
+    ].sort((a, b) => a.start - b.start);
+
+    return { from, to, events };
+  }
+}
+
+module.exports = new ScheduleService();
@@ -33,6 +33,7 @@ class StorageService {
       'uploads/driver-docs',
       'uploads/invoices',
       'uploads/maintenance',
+      'uploads/imports',
       'uploads/temp'
     ];
 
@@ -236,6 +237,18 @@ class StorageService {
     }
   }
 
+  // Remove files stored for an operation whose database writes rolled back.
+  // Best effort: failures are logged so the original error still surfaces.
+  async discard(fileDataList) {
+    for (const fileData of fileDataList) {
+      try {
+        await this.delete(fileData.storageKey);
+      } catch (error) {
+        console.error(`Failed to remove orphaned file ${fileData.storageKey}:`, error);
+      }
+    }
+  }
+
   async get(storageKey) {
     if (this.storageMode === 'local') {
       return await this.getLocal(storageKey);
@@ -266,6 +279,7 @@ class StorageService {
       'DRIVER_DOCUMENT': 'driver-docs',
       'INVOICE_ATTACHMENT': 'invoices',
       'MAINTENANCE_RECEIPT': 'maintenance',
+      'LOAD_IMPORT': 'imports',
       'OTHER': 'temp'
     };
 
@@ -294,6 +308,15 @@ class StorageService {
     ];
     return this.validateFileType(file, allowedTypes);
   }
+
+  validateSpreadsheetFile(file) {
+    const allowedTypes = [
+      'text/csv',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+    return this.validateFileType(file, allowedTypes);
+  }
 }
 
 module.exports = new StorageService();
@@ -0,0 +1,383 @@
+// ==================== src/services/tracking.service.js ====================
+const prisma = require('../config/database');
+const geofenceService = require('./geofence.service');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const {
+  IN_TRANSIT_LOAD_STATUSES,
+  DELIVERED_LOAD_STATUSES,
+  NOT_PENDING_REQUEST
+} = require('../utils/constants');
+const { distanceMiles } = require('../utils/geo');
+
+const MINUTE_MS = 60 * 1000;
+
+const toPoint = ping => ({
+  recordedAt: new Date(ping.recordedAt),
+  latitude: parseFloat(ping.latitude),
+  longitude: parseFloat(ping.longitude),
+  speedMph: ping.speedMph != null ? parseFloat(ping.speedMph) : null,
+  heading: ping.heading != null ? parseFloat(ping.heading) : null
+});
+
+const milesBetween = (a, b) => distanceMiles(
+  { lat: a.latitude, lng: a.longitude },
+  { lat: b.latitude, lng: b.longitude }
+);
+
+// Compacted and raw points in time order; a point re-sent after its
+// original was compacted appears once
+const mergePoints = (...runs) => runs
+  .flat()
+  .map(toPoint)
+  .sort((a, b) => a.recordedAt - b.recordedAt)
+  .filter((point, i, all) => i === 0 || point.recordedAt.getTime() !== all[i - 1].recordedAt.getTime());
+
+class TrackingService {
+  constructor() {
+    this.maxBatchSize = parseInt(process.env.TRACKING_MAX_BATCH_SIZE) || 500;
+    this.maxAccuracyMeters = parseFloat(process.env.TRACKING_MAX_ACCURACY_METERS) || 500;
+    this.compactAfterMinutes = parseInt(process.env.TRACKING_COMPACT_AFTER_MINUTES) || 30;
+    this.minPointMiles = parseFloat(process.env.TRACKING_MIN_POINT_MILES) || 0.1;
+    this.maxPointGapMinutes = parseInt(process.env.TRACKING_MAX_POINT_GAP_MINUTES) || 5;
+    this.clockSkewMinutes = 5;
+    this.compactLoadsPerRun = 200;
+  }
+
+  /**
+   * Check a breadcrumb from the driver app. Returns why it can't be used,
+   * or null.
+   * @param {Object} ping - { recordedAt, latitude, longitude, accuracyMeters }
+   * @param {Object} bounds - { notBefore, notAfter } accepted recordedAt range
+   * @returns {string|null}
+   */
+  rejectReason(ping, bounds) {
+    const recordedAt = new Date(ping.recordedAt);
+    const latitude = parseFloat(ping.latitude);
+    const longitude = parseFloat(ping.longitude);
+
+    if (!ping.recordedAt || isNaN(recordedAt)) return 'Invalid recordedAt';
+    if (isNaN(latitude) || latitude < -90 || latitude > 90) return 'Invalid latitude';
+    if (isNaN(longitude) || longitude < -180 || longitude > 180) return 'Invalid longitude';
+    if (latitude === 0 && longitude === 0) return 'No position fix';
+    if (ping.accuracyMeters != null && parseFloat(ping.accuracyMeters) > this.maxAccuracyMeters) {
+      return `Accuracy worse than ${this.maxAccuracyMeters} m`;
+    }
+    if (recordedAt < bounds.notBefore) return 'Recorded before the load was assigned';
+    if (recordedAt > bounds.notAfter) return 'Recorded after delivery or in the future';
+
+    return null;
+  }
+
+  /**
+   * Store a batch of breadcrumbs for a load. Batches may arrive late and out
+   * of order (the app uploads what it buffered offline): points are keyed by
+   * the time they were recorded, repeats of a driver/time already stored are
+   * dropped, and the last known position only moves forward in time.
+   * Invalid points are reported back without failing the batch. The points
+   * are then checked against the stop geofences.
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - Assigned driver (req.user)
+   * @param {Array<Object>} pings - [{ recordedAt, latitude, longitude, speedMph, heading, accuracyMeters }]
+   * @returns {Promise<Object>} { accepted, duplicates, rejected, lastPosition, stopEvents }
+   * @throws {NotFoundError|ForbiddenError|BadRequestError}
+   */
+  async ingest(loadId, actor, pings) {
+    if (!Array.isArray(pings) || pings.length === 0) {
+      throw new BadRequestError('No locations in batch');
+    }
+
+    if (pings.length > this.maxBatchSize) {
+      throw new BadRequestError(`Batches hold at most ${this.maxBatchSize} locations`);
+    }
+
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      select: { id: true, status: true, actualDeliveryTime: true, deletedAt: true }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    // Delivered loads still take late uploads recorded before delivery
+    if (![...IN_TRANSIT_LOAD_STATUSES, ...DELIVERED_LOAD_STATUSES].includes(load.status)) {
+      throw new BadRequestError(`Locations cannot be recorded while load is ${load.status}`);
+    }
+
+    const assignment = await prisma.loadAssignment.findFirst({
+      where: {
+        loadId,
+        driverId: actor.id,
+        rejectedAt: null,
+        releasedAt: null,
+        ...NOT_PENDING_REQUEST
+      }
+    });
+
+    if (!assignment) {
+      throw new ForbiddenError('You are not assigned to this load');
+    }
+
+    const now = new Date();
+    const bounds = {
+      notBefore: assignment.createdAt,
+      notAfter: load.actualDeliveryTime
+        ? new Date(load.actualDeliveryTime)
+        : new Date(now.getTime() + this.clockSkewMinutes * MINUTE_MS)
+    };
+
+    const rejected = [];
+    const byTime = new Map();
+
+    pings.forEach((ping, index) => {
+      const reason = this.rejectReason(ping, bounds);
+      if (reason) {
+        rejected.push({ index, reason });
+        return;
+      }
+
+      // Within a batch the last copy of a timestamp wins
+      const point = toPoint(ping);
+      byTime.set(point.recordedAt.getTime(), {
+        ...point,
+        accuracyMeters: ping.accuracyMeters != null ? parseFloat(ping.accuracyMeters) : null
+      });
+    });
+
+    const points = [...byTime.values()].sort((a, b) => a.recordedAt - b.recordedAt);
+
+    if (points.length === 0) {
+      return { accepted: 0, duplicates: 0, rejected, lastPosition: await this.getLastPosition(loadId), stopEvents: [] };
+    }
+
+    const latest = points[points.length - 1];
+
+    const accepted = await prisma.$transaction(async (tx) => {
+      // Unique on (loadId, driverId, recordedAt): re-sent points are skipped
+      const { count } = await tx.loadLocationPing.createMany({
+        data: points.map(point => ({ loadId, driverId: actor.id, ...point })),
+        skipDuplicates: true
+      });
+
+      await tx.loadTrack.upsert({
+        where: { loadId },
+        create: { loadId, pingCount: count, points: [] },
+        update: { pingCount: { increment: count } }
+      });
+
+      // Only a newer fix moves the last known position
+      await tx.loadTrack.updateMany({
+        where: {
+          loadId,
+          OR: [{ lastRecordedAt: null }, { lastRecordedAt: { lt: latest.recordedAt } }]
+        },
+        data: {
+          driverId: actor.id,
+          lastLatitude: latest.latitude,
+          lastLongitude: latest.longitude,
+          lastRecordedAt: latest.recordedAt,
+          lastSpeedMph: latest.speedMph,
+          lastHeading: latest.heading
+        }
+      });
+
+      return count;
+    });
+
+    const stopEvents = await geofenceService.processPositions(loadId, actor.id, points);
+
+    return {
+      accepted,
+      duplicates: points.length - accepted,
+      rejected,
+      lastPosition: await this.getLastPosition(loadId),
+      stopEvents
+    };
+  }
+
+  /**
+   * Latest position reported for a load
+   * @param {string} loadId - Load ID
+   * @param {Object} [db] - Prisma client or transaction client
+   * @returns {Promise<Object|null>} { driverId, latitude, longitude, recordedAt, speedMph, heading, ageMinutes }
+   */
+  async getLastPosition(loadId, db = prisma) {
+    const track = await db.loadTrack.findUnique({ where: { loadId } });
+
+    return track ? this.lastPosition(track) : null;
+  }
+
+  /**
+   * Last known position stored on a track row
+   * @param {Object} track - loadTrack
+   * @returns {Object|null}
+   */
+  lastPosition(track) {
+    if (!track.lastRecordedAt) return null;
+
+    return {
+      driverId: track.driverId,
+      latitude: parseFloat(track.lastLatitude),
+      longitude: parseFloat(track.lastLongitude),
+      recordedAt: track.lastRecordedAt,
+      speedMph: track.lastSpeedMph,
+      heading: track.lastHeading,
+      ageMinutes: Math.floor((Date.now() - new Date(track.lastRecordedAt)) / MINUTE_MS)
+    };
+  }
+
+  /**
+   * Thin a time-ordered run of points: keep the first and last, and any
+   * point that moved at least TRACKING_MIN_POINT_MILES from the last kept
+   * one or comes TRACKING_MAX_POINT_GAP_MINUTES after it (so stops still
+   * show how long the truck sat)
+   * @param {Array<Object>} points - { recordedAt, latitude, longitude, ... } earliest first
+   * @returns {Array<Object>}
+   */
+  simplify(points) {
+    if (points.length <= 2) return points;
+
+    const kept = [points[0]];
+
+    for (let i = 1; i < points.length - 1; i++) {
+      const last = kept[kept.length - 1];
+      const point = points[i];
+
+      if (milesBetween(last, point) >= this.minPointMiles ||
+          point.recordedAt - last.recordedAt >= this.maxPointGapMinutes * MINUTE_MS) {
+        kept.push(point);
+      }
+    }
+
+    kept.push(points[points.length - 1]);
+
+    return kept;
+  }
+
+  /**
+   * Fold a load's raw breadcrumbs recorded before the cutoff into its
+   * track. Late points older than the compacted part are merged in time
+   * order, then the raw rows are deleted.
+   * @param {string} loadId - Load ID
+   * @param {Date} cutoff - Compact points recorded up to this time
+   * @returns {Promise<number>} Raw points compacted
+   */
+  async compactTrack(loadId, cutoff) {
+    return await prisma.$transaction(async (tx) => {
+      const [track, pings] = await Promise.all([
+        tx.loadTrack.findUnique({ where: { loadId } }),
+        tx.loadLocationPing.findMany({
+          where: { loadId, recordedAt: { lte: cutoff } },
+          orderBy: { recordedAt: 'asc' }
+        })
+      ]);
+
+      if (!track || pings.length === 0) return 0;
+
+      const merged = mergePoints(track.points || [], pings);
+      const compactedThrough = pings[pings.length - 1].recordedAt;
+
+      await tx.loadTrack.update({
+        where: { loadId },
+        data: {
+          points: this.simplify(merged),
+          compactedThrough: track.compactedThrough && track.compactedThrough > compactedThrough
+            ? track.compactedThrough
+            : compactedThrough
+        }
+      });
+
+      await tx.loadLocationPing.deleteMany({
+        where: { id: { in: pings.map(p => p.id) } }
+      });
+
+      return pings.length;
+    });
+  }
+
+  /**
+   * Compact raw breadcrumbs older than TRACKING_COMPACT_AFTER_MINUTES
+   * (background job). Recent points stay raw so late uploads for the same
+   * stretch of road are merged before they are thinned.
+   * @returns {Promise<Object>} { loads, points }
+   */
+  async compactTracks() {
+    const cutoff = new Date(Date.now() - this.compactAfterMinutes * MINUTE_MS);
+
+    const groups = await prisma.loadLocationPing.groupBy({
+      by: ['loadId'],
+      where: { recordedAt: { lte: cutoff } },
+      take: this.compactLoadsPerRun,
+      orderBy: { loadId: 'asc' }
+    });
+
+    let loads = 0;
+    let points = 0;
+
+    for (const { loadId } of groups) {
+      try {
+        points += await this.compactTrack(loadId, cutoff);
+        loads++;
+      } catch (error) {
+        console.error(`Failed to compact track for load ${loadId}:`, error);
+      }
+    }
+
+    return { loads, points };
+  }
+
+  /**
+   * Route history and last known position of a load: the compacted track
+   * followed by raw points not compacted yet
+   * @param {string} loadId - Load ID
+   * @param {Object} [options]
+   * @param {Date|string} [options.since] - Only points recorded after this (live polling)
+   * @returns {Promise<Object>} { loadId, loadNumber, status, lastPosition, distanceMiles, pointCount, points }
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async getTrack(loadId, options = {}) {
+    const since = options.since ? new Date(options.since) : null;
+
+    if (since && isNaN(since)) {
+      throw new BadRequestError('Invalid since');
+    }
+
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      select: { id: true, loadNumber: true, status: true, deletedAt: true }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    const [track, pings] = await Promise.all([
+      prisma.loadTrack.findUnique({ where: { loadId } }),
+      prisma.loadLocationPing.findMany({
+        where: { loadId },
+        orderBy: { recordedAt: 'asc' }
+      })
+    ]);
+
+    const route = mergePoints(track ? track.points || [] : [], pings);
+
+    let miles = 0;
+    for (let i = 1; i < route.length; i++) {
+      miles += milesBetween(route[i - 1], route[i]);
+    }
+
+    const points = since ? route.filter(point => point.recordedAt > since) : route;
+
+    return {
+      loadId,
+      loadNumber: load.loadNumber,
+      status: load.status,
+      lastPosition: track ? this.lastPosition(track) : null,
+      distanceMiles: Math.round(miles * 10) / 10,
+      pointCount: points.length,
+      points
+    };
+  }
+}
+
+module.exports = new TrackingService();
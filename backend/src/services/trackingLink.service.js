@@ -0,0 +1,341 @@
+// ==================== src/services/trackingLink.service.js ====================
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const trackingService = require('./tracking.service');
+const etaService = require('./eta.service');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { DELIVERED_LOAD_STATUSES } = require('../utils/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// What a consignee sees instead of the internal status codes
+const PUBLIC_STATUS_LABELS = {
+  DRAFT: 'Scheduled',
+  PENDING_REVIEW: 'Scheduled',
+  NEGOTIATING: 'Scheduled',
+  RATE_APPROVED: 'Scheduled',
+  SCHEDULED: 'Scheduled',
+  ASSIGNED: 'Scheduled',
+  ACCEPTED: 'Scheduled',
+  EN_ROUTE_PICKUP: 'En route to pickup',
+  AT_PICKUP: 'At pickup',
+  LOADED: 'Picked up',
+  EN_ROUTE_DELIVERY: 'In transit',
+  AT_DELIVERY: 'At delivery',
+  DELIVERED: 'Delivered',
+  POD_PENDING: 'Delivered',
+  POD_SUBMITTED: 'Delivered',
+  COMPLETED: 'Delivered',
+  CANCELLED: 'Cancelled'
+};
+
+// Statuses with a truck on the road whose position is worth showing
+const LOCATION_STATUSES = ['EN_ROUTE_PICKUP', 'AT_PICKUP', 'LOADED', 'EN_ROUTE_DELIVERY', 'AT_DELIVERY'];
+
+class TrackingLinkService {
+  constructor() {
+    this.defaultExpiresInHours = parseInt(process.env.TRACKING_LINK_EXPIRES_HOURS) || 168;
+    this.maxExpiresInHours = parseInt(process.env.TRACKING_LINK_MAX_EXPIRES_HOURS) || 720;
+    // Decimal places kept on the public position (1 is roughly 11 km)
+    this.locationPrecision = parseInt(process.env.TRACKING_LINK_LOCATION_PRECISION) || 1;
+    this.publicBaseUrl = process.env.TRACKING_LINK_BASE_URL || `${process.env.CORS_ORIGIN || 'http://localhost:3000'}/track`;
+  }
+
+  /**
+   * Tokens are only stored hashed, so a database read can't be turned
+   * into working links
+   * @param {string} token - Raw token
+   * @returns {string}
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Link as shown to the shipper managing it
+   * @param {Object} link - loadTrackingLink row
+   * @returns {Object}
+   */
+  present(link) {
+    const { tokenHash, ...rest } = link;
+    const now = new Date();
+
+    return {
+      ...rest,
+      active: !link.revokedAt && link.expiresAt > now
+    };
+  }
+
+  /**
+   * Create a tracking link for a load. The token is returned once, in the
+   * URL, and cannot be recovered later.
+   * @param {string} loadId - Load ID
+   * @param {Object} actor - { id, type }
+   * @param {Object} data - { label, expiresInHours }
+   * @returns {Promise<Object>} Link with url and token
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async createLink(loadId, actor, data = {}) {
+    const load = await prisma.load.findUnique({
+      where: { id: loadId },
+      select: { id: true, status: true, deletedAt: true }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Load not found');
+    }
+
+    if (load.status === 'CANCELLED') {
+      throw new BadRequestError('Cannot share tracking for a cancelled load');
+    }
+
+    const expiresInHours = data.expiresInHours !== undefined
+      ? parseInt(data.expiresInHours)
+      : this.defaultExpiresInHours;
+
+    if (expiresInHours > this.maxExpiresInHours) {
+      throw new BadRequestError(`Tracking links can last at most ${this.maxExpiresInHours} hours`);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    const link = await prisma.loadTrackingLink.create({
+      data: {
+        loadId,
+        tokenHash: this.hashToken(token),
+        label: data.label || null,
+        expiresAt: new Date(Date.now() + expiresInHours * HOUR_MS),
+        createdById: actor.id,
+        createdByType: actor.type
+      }
+    });
+
+    return {
+      ...this.present(link),
+      token,
+      url: `${this.publicBaseUrl}/${token}`
+    };
+  }
+
+  /**
+   * Links created for a load, newest first
+   * @param {string} loadId - Load ID
+   * @returns {Promise<Array>}
+   */
+  async listLinks(loadId) {
+    const links = await prisma.loadTrackingLink.findMany({
+      where: { loadId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return links.map(link => this.present(link));
+  }
+
+  /**
+   * Revoke a link; it stops working immediately
+   * @param {string} loadId - Load ID
+   * @param {string} linkId - Link ID
+   * @param {Object} actor - { id, type }
+   * @returns {Promise<Object>} Revoked link
+   * @throws {NotFoundError|BadRequestError}
+   */
+  async revokeLink(loadId, linkId, actor) {
+    const link = await prisma.loadTrackingLink.findUnique({
+      where: { id: linkId }
+    });
+
+    if (!link || link.loadId !== loadId) {
+      throw new NotFoundError('Tracking link not found');
+    }
+
+    if (link.revokedAt) {
+      throw new BadRequestError('Tracking link already revoked');
+    }
+
+    const revoked = await prisma.loadTrackingLink.update({
+      where: { id: linkId },
+      data: {
+        revokedAt: new Date(),
+        revokedById: actor.id,
+        revokedByType: actor.type
+      }
+    });
+
+    return this.present(revoked);
+  }
+
+  /**
+   * Find the live link for a token. Unknown, expired and revoked tokens all
+   * get the same answer so a caller can't probe which ones once existed.
+   * @param {string} token - Raw token
+   * @returns {Promise<Object>} Link
+   * @throws {NotFoundError}
+   */
+  async resolve(token) {
+    const link = await prisma.loadTrackingLink.findUnique({
+      where: { tokenHash: this.hashToken(token || '') }
+    });
+
+    if (!link || link.revokedAt || link.expiresAt <= new Date()) {
+      throw new NotFoundError('Tracking link not found or expired');
+    }
+
+    return link;
+  }
+
+  /**
+   * Round a position so the public view shows the area, not the truck
+   * @param {Object|null} position - { latitude, longitude, recordedAt }
+   * @returns {Object|null}
+   */
+  approximate(position) {
+    if (!position) return null;
+
+    const round = value => Number(parseFloat(value).toFixed(this.locationPrecision));
+
+    return {
+      latitude: round(position.latitude),
+      longitude: round(position.longitude),
+      recordedAt: position.recordedAt
+    };
+  }
+
+  /**
+   * Public view of a load for a tracking link. Built from an explicit
+   * allow-list: no rates, charges, driver or vehicle details, or notes.
+   * @param {string} token - Raw token
+   * @returns {Promise<Object>}
+   * @throws {NotFoundError}
+   */
+  async getPublicView(token) {
+    const link = await this.resolve(token);
+
+    const load = await prisma.load.findUnique({
+      where: { id: link.loadId },
+      select: {
+        loadNumber: true,
+        status: true,
+        deletedAt: true,
+        pickupDate: true,
+        deliveryDate: true,
+        stops: {
+          orderBy: { stopSequence: 'asc' },
+          select: {
+            stopSequence: true,
+            stopType: true,
+            locationName: true,
+            city: true,
+            state: true,
+            appointmentStart: true,
+            appointmentEnd: true,
+            arrivedAt: true,
+            departedAt: true
+          }
+        },
+        statusHistory: {
+          orderBy: { createdAt: 'asc' },
+          select: { toStatus: true, createdAt: true }
+        },
+        eta: true,
+        podDocuments: {
+          orderBy: { capturedAt: 'asc' },
+          select: {
+            id: true,
+            recipientName: true,
+            capturedAt: true,
+            stop: { select: { stopSequence: true } },
+            photos: {
+              orderBy: { photoOrder: 'asc' },
+              select: { id: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!load || load.deletedAt) {
+      throw new NotFoundError('Tracking link not found or expired');
+    }
+
+    await prisma.loadTrackingLink.update({
+      where: { id: link.id },
+      data: { lastViewedAt: new Date(), viewCount: { increment: 1 } }
+    });
+
+    const delivered = DELIVERED_LOAD_STATUSES.includes(load.status);
+    const position = LOCATION_STATUSES.includes(load.status)
+      ? await trackingService.getLastPosition(link.loadId)
+      : null;
+
+    // Consecutive rows with the same public label collapse into one step
+    const timeline = [];
+    for (const entry of load.statusHistory) {
+      const status = PUBLIC_STATUS_LABELS[entry.toStatus];
+      if (!status || (timeline.length && timeline[timeline.length - 1].status === status)) continue;
+      timeline.push({ status, at: entry.createdAt });
+    }
+
+    return {
+      loadNumber: load.loadNumber,
+      status: PUBLIC_STATUS_LABELS[load.status] || load.status,
+      pickupDate: load.pickupDate,
+      deliveryDate: load.deliveryDate,
+      stops: load.stops,
+      timeline,
+      eta: delivered ? null : etaService.summary(load.eta),
+      location: this.approximate(position),
+      pod: delivered
+        ? load.podDocuments.map(pod => ({
+          stopSequence: pod.stop ? pod.stop.stopSequence : null,
+          recipientName: pod.recipientName,
+          capturedAt: pod.capturedAt,
+          signatureUrl: `/tracking/${token}/pod/${pod.id}/signature`,
+          photoUrls: pod.photos.map(photo => `/tracking/${token}/pod/${pod.id}/photos/${photo.id}`)
+        }))
+        : [],
+      expiresAt: link.expiresAt
+    };
+  }
+
+  /**
+   * Stored file behind a POD image on a tracking link's load, once delivered
+   * @param {string} token - Raw token
+   * @param {string} podId - POD document ID
+   * @param {string|null} photoId - POD photo ID (null for the signature)
+   * @returns {Promise<Object>} fileUpload row
+   * @throws {NotFoundError}
+   */
+  async getPodFile(token, podId, photoId = null) {
+    const link = await this.resolve(token);
+
+    const pod = await prisma.podDocument.findUnique({
+      where: { id: podId },
+      include: {
+        load: { select: { status: true } },
+        photos: photoId ? { where: { id: photoId } } : false
+      }
+    });
+
+    if (!pod || pod.loadId !== link.loadId || !DELIVERED_LOAD_STATUSES.includes(pod.load.status)) {
+      throw new NotFoundError('POD not found');
+    }
+
+    const fileUrl = photoId ? pod.photos[0] && pod.photos[0].photoUrl : pod.signatureImage;
+
+    const fileUpload = fileUrl && await prisma.fileUpload.findFirst({
+      where: {
+        category: photoId ? 'POD_PHOTO' : 'POD_SIGNATURE',
+        relatedEntityId: link.loadId,
+        fileUrl
+      }
+    });
+
+    if (!fileUpload) {
+      throw new NotFoundError('File not found');
+    }
+
+    return fileUpload;
+  }
+}
+
+module.exports = new TrackingLinkService();
@@ -0,0 +1,86 @@
+// ==================== src/utils/concurrency.js ====================
+const { ConflictError, PreconditionFailedError } = require('./errors');
+
+// Loads, invoices and settlements carry a version column that every write
+// increments. It is exposed as a strong ETag ("<version>") and must be sent
+// back in If-Match on mutating requests.
+
+/**
+ * Format a record's version as an ETag value
+ * @param {number} version - Record version
+ * @returns {string} e.g. "7"
+ */
+const formatETag = version => `"${version}"`;
+
+/**
+ * Parse an If-Match header. Weak validators are accepted since the value is
+ * a plain version number either way.
+ * @param {string} header - If-Match header value
+ * @returns {number|null|undefined} Version, null for '*', undefined when malformed
+ */
+const parseIfMatch = (header) => {
+  const value = header.trim();
+  if (value === '*') return null;
+
+  const match = value.match(/^(?:W\/)?"(\d+)"$/);
+  return match ? parseInt(match[1]) : undefined;
+};
+
+/**
+ * Set the ETag header for a versioned record
+ * @param {Object} res - Express response
+ * @param {Object} record - Record with a version column
+ */
+const setETag = (res, record) => {
+  if (record && record.version != null) {
+    res.set('ETag', formatETag(record.version));
+  }
+};
+
+/**
+ * Reject a write based on a stale copy of the record
+ * @param {Object} record - Current record
+ * @param {number|null|undefined} expectedVersion - Version from If-Match (null/undefined skip the check)
+ * @param {string} [entity] - Entity name for the message
+ * @throws {PreconditionFailedError}
+ */
+const assertVersion = (record, expectedVersion, entity = 'Record') => {
+  if (expectedVersion == null || record.version === expectedVersion) return;
+
+  throw new PreconditionFailedError(
+    `${entity} has been modified since it was fetched; reload and try again`,
+    { currentVersion: record.version, currentETag: formatETag(record.version) }
+  );
+};
+
+/**
+ * Update a record only if nobody else has written it since it was read, and
+ * bump its version. Losing that race is a 409.
+ * @param {Object} model - Prisma model delegate (e.g. prisma.load or tx.load)
+ * @param {Object} record - Record as read ({ id, version })
+ * @param {Object} args - Prisma update args without where ({ data, include, select })
+ * @param {string} [entity] - Entity name for the message
+ * @returns {Promise<Object>} Updated record
+ * @throws {ConflictError}
+ */
+const updateVersioned = async (model, record, args, entity = 'Record') => {
+  try {
+    return await model.update({
+      ...args,
+      where: { id: record.id, version: record.version },
+      data: { ...args.data, version: { increment: 1 } }
+    });
+  } catch (error) {
+    // P2025: the version no longer matches
+    if (error.code !== 'P2025') throw error;
+    throw new ConflictError(`${entity} was changed by another request; reload and try again`);
+  }
+};
+
+module.exports = {
+  formatETag,
+  parseIfMatch,
+  setETag,
+  assertVersion,
+  updateVersioned
+};
@@ -0,0 +1,162 @@
+// ==================== src/utils/constants.js ====================
+
+// Load statuses between driver acceptance and delivery. Drivers report
+// stop arrivals/departures and positions while a load is in one of these.
+const IN_TRANSIT_LOAD_STATUSES = [
+  'ACCEPTED',
+  'EN_ROUTE_PICKUP',
+  'AT_PICKUP',
+  'LOADED',
+  'EN_ROUTE_DELIVERY',
+  'AT_DELIVERY',
+  'DELIVERED'
+];
+
+// Loads past this point have a truck committed; cancelling them may incur
+// a truck-ordered-not-used (TONU) charge
+const DISPATCHED_LOAD_STATUSES = [
+  'ASSIGNED',
+  'ACCEPTED',
+  'EN_ROUTE_PICKUP',
+  'AT_PICKUP'
+];
+
+// Loads holding a driver and truck: assigned and not yet delivered. Their
+// pickup-to-delivery windows make up driver and vehicle schedules.
+const COMMITTED_LOAD_STATUSES = [
+  'ASSIGNED',
+  'ACCEPTED',
+  'EN_ROUTE_PICKUP',
+  'AT_PICKUP',
+  'LOADED',
+  'EN_ROUTE_DELIVERY',
+  'AT_DELIVERY'
+];
+
+// Loads the driver has already dropped at the consignee
+const DELIVERED_LOAD_STATUSES = [
+  'DELIVERED',
+  'POD_PENDING',
+  'POD_SUBMITTED',
+  'COMPLETED'
+];
+
+const CANCELLATION_REASONS = [
+  'SHIPPER_REQUEST',
+  'FREIGHT_NOT_READY',
+  'RATE_DISPUTE',
+  'NO_CAPACITY',
+  'EQUIPMENT_FAILURE',
+  'DUPLICATE_LOAD',
+  'WEATHER',
+  'OTHER'
+];
+
+const CANCELLATION_PARTIES = ['SHIPPER', 'CARRIER'];
+
+const STOP_TYPES = ['PICKUP', 'DELIVERY'];
+const STOP_EVENTS = ['ARRIVED', 'DEPARTED'];
+
+const ACCESSORIAL_TYPES = [
+  'DETENTION',
+  'LUMPER',
+  'LAYOVER',
+  'DRIVER_ASSIST',
+  'STOP_OFF',
+  'TONU',
+  'OTHER'
+];
+
+const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Used when a shipper client has no detention policy of its own
+const DETENTION_POLICY_DEFAULTS = {
+  freeTimeMinutes: 120,
+  hourlyRate: 75,
+  driverHourlyRate: 0,
+  billingIncrementMinutes: 15
+};
+
+// Built-in number formats (PREFIX-YYYY-NNNN). Admins can override them per
+// entity, and per shipper client for loads and invoices (numberingFormat).
+const NUMBERED_ENTITY_TYPES = ['LOAD', 'INVOICE', 'SETTLEMENT'];
+
+const DOCUMENT_NUMBER_FORMATS = {
+  LOAD: { prefix: 'LOAD', yearReset: true, padding: 4 },
+  INVOICE: { prefix: 'INV', yearReset: true, padding: 4 },
+  SETTLEMENT: { prefix: 'SETTLE', yearReset: true, padding: 4 }
+};
+
+// Owner-operators pick their own freight from the driver load board
+const LOAD_BOARD_DRIVER_TYPES = ['OWNER_OPERATOR'];
+
+// Load-board requests are loadAssignment rows with requestedAt set. Until a
+// dispatcher approves one (approvedAt) it is not an assignment, so queries for
+// a load's assigned driver add this filter.
+const NOT_PENDING_REQUEST = {
+  OR: [{ requestedAt: null }, { approvedAt: { not: null } }]
+};
+
+// Driver unavailability requests (dispatch approves them)
+const TIME_OFF_TYPES = ['TIME_OFF', 'HOME_TIME'];
+
+// Hours-of-service duty statuses (FMCSA record of duty status)
+const HOS_DUTY_STATUSES = ['OFF_DUTY', 'SLEEPER_BERTH', 'DRIVING', 'ON_DUTY'];
+
+// Property-carrying limits (49 CFR 395.3), in hours: 11 hours driving and a
+// 14-hour window after 10 consecutive hours off, a 30-minute break after 8
+// hours driving, 70 hours on duty in 8 days, reset by 34 hours off.
+const HOS_LIMITS = {
+  driveHours: 11,
+  shiftHours: 14,
+  resetHours: 10,
+  breakAfterDriveHours: 8,
+  breakMinutes: 30,
+  cycleHours: 70,
+  cycleDays: 8,
+  restartHours: 34
+};
+
+// Points each driver recommendation component contributes (total 100)
+const DRIVER_RECOMMENDATION_WEIGHTS = {
+  equipment: 25,
+  deadhead: 25,
+  availability: 15,
+  documents: 15,
+  onTime: 10,
+  lane: 10
+};
+
+// IFTA member jurisdictions: the 48 contiguous states and the 10 Canadian
+// provinces. Miles elsewhere (Alaska, DC, territories, Mexico) count toward
+// fleet MPG but carry no IFTA tax.
+const IFTA_JURISDICTIONS = [
+  'AL', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'FL', 'GA', 'ID', 'IL', 'IN',
+  'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT',
+  'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA',
+  'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'ON', 'PE', 'QC', 'SK'
+];
+
+module.exports = {
+  IN_TRANSIT_LOAD_STATUSES,
+  DISPATCHED_LOAD_STATUSES,
+  COMMITTED_LOAD_STATUSES,
+  DELIVERED_LOAD_STATUSES,
+  CANCELLATION_REASONS,
+  CANCELLATION_PARTIES,
+  STOP_TYPES,
+  STOP_EVENTS,
+  ACCESSORIAL_TYPES,
+  DETENTION_POLICY_DEFAULTS,
+  RECURRENCE_FREQUENCIES,
+  NUMBERED_ENTITY_TYPES,
+  DOCUMENT_NUMBER_FORMATS,
+  LOAD_BOARD_DRIVER_TYPES,
+  NOT_PENDING_REQUEST,
+  TIME_OFF_TYPES,
+  HOS_DUTY_STATUSES,
+  HOS_LIMITS,
+  DRIVER_RECOMMENDATION_WEIGHTS,
+  IFTA_JURISDICTIONS
+};
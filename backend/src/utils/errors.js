@@ -0,0 +1,51 @@
+// ==================== src/utils/errors.js ====================
+
+// Base class for errors thrown from services. The global error handler reads
+// statusCode (and details, when present) to build the response.
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', details = null) {
+    super(message, 400, details);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', details = null) {
+    super(message, 403, details);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', details = null) {
+    super(message, 404, details);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', details = null) {
+    super(message, 409, details);
+  }
+}
+
+class PreconditionFailedError extends AppError {
+  constructor(message = 'Precondition failed', details = null) {
+    super(message, 412, details);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError
+};
@@ -0,0 +1,35 @@
+// ==================== src/utils/geo.js ====================
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - { lat, lng } in decimal degrees
+ * @param {Object} to - { lat, lng } in decimal degrees
+ * @returns {number} Distance in miles
+ */
+const distanceMiles = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Whether a value pair is a usable coordinate
+ * @param {number|string|null} lat - Latitude
+ * @param {number|string|null} lng - Longitude
+ * @returns {boolean}
+ */
+const isCoordinate = (lat, lng) => lat != null && lng != null
+  && !isNaN(parseFloat(lat)) && !isNaN(parseFloat(lng));
+
+module.exports = {
+  distanceMiles,
+  isCoordinate
+};
@@ -0,0 +1,204 @@
+// ==================== src/utils/x12.js ====================
+const { BadRequestError } = require('./errors');
+
+// Separators used for documents we generate
+const ELEMENT_SEPARATOR = '*';
+const SEGMENT_TERMINATOR = '~';
+const COMPONENT_SEPARATOR = '>';
+
+// Functional identifier codes (GS01) per transaction set
+const FUNCTIONAL_CODES = {
+  204: 'SM',
+  210: 'IM',
+  214: 'QM',
+  990: 'GF'
+};
+
+/**
+ * Parse an X12 interchange. Separators are read from the fixed-width ISA
+ * segment. Segments are returned as arrays indexed like the X12 element
+ * references, so B2-04 is segment[4].
+ * @param {string} text - Raw interchange
+ * @returns {Object} { isa, groups: [{ gs, transactions: [{ type, controlNumber, segments }] }] }
+ * @throws {BadRequestError}
+ */
+const parseInterchange = (text) => {
+  const content = text.replace(/^﻿/, '').replace(/^\s+/, '');
+
+  if (!content.startsWith('ISA') || content.length < 106) {
+    throw new BadRequestError('Not an X12 interchange (missing ISA header)');
+  }
+
+  const elementSeparator = content[3];
+  const segmentTerminator = content[105];
+
+  const segments = content
+    .split(segmentTerminator)
+    .map(segment => segment.replace(/^[\r\n]+|[\r\n]+$/g, ''))
+    .filter(segment => segment.length > 0)
+    .map(segment => segment.split(elementSeparator));
+
+  const interchange = { isa: null, groups: [] };
+  let group = null;
+  let transaction = null;
+
+  for (const segment of segments) {
+    switch (segment[0]) {
+      case 'ISA':
+        interchange.isa = {
+          senderQualifier: segment[5].trim(),
+          senderId: segment[6].trim(),
+          receiverQualifier: segment[7].trim(),
+          receiverId: segment[8].trim(),
+          controlNumber: segment[13],
+          usageIndicator: segment[15]
+        };
+        break;
+
+      case 'GS':
+        group = {
+          functionalCode: segment[1],
+          senderId: segment[2],
+          receiverId: segment[3],
+          controlNumber: segment[6],
+          version: segment[8],
+          transactions: []
+        };
+        interchange.groups.push(group);
+        break;
+
+      case 'ST':
+        if (!group) {
+          throw new BadRequestError('ST segment outside of a functional group');
+        }
+        transaction = { type: segment[1], controlNumber: segment[2], segments: [segment] };
+        group.transactions.push(transaction);
+        break;
+
+      case 'SE':
+        if (transaction) {
+          transaction.segments.push(segment);
+          transaction = null;
+        }
+        break;
+
+      case 'GE':
+      case 'IEA':
+        break;
+
+      default:
+        if (transaction) transaction.segments.push(segment);
+    }
+  }
+
+  if (transaction) {
+    throw new BadRequestError(`Transaction ${transaction.controlNumber} is missing its SE trailer`);
+  }
+
+  return interchange;
+};
+
+// Strip separators from a value going into an element
+const clean = value => (value == null ? '' : String(value).replace(/[*~>\r\n]/g, ' ').trim());
+
+// Right-pad a value to a fixed ISA width
+const pad = (value, length) => clean(value).padEnd(length, ' ').slice(0, length);
+
+const formatDate = (date, long = true) => {
+  const d = new Date(date);
+  const yyyy = String(d.getFullYear());
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${long ? yyyy : yyyy.slice(2)}${mm}${dd}`;
+};
+
+const formatTime = (date) => {
+  const d = new Date(date);
+  return `${String(d.getHours()).padStart(2, '0')}${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+/**
+ * Build a single-transaction X12 interchange (version 004010)
+ * @param {Object} options
+ * @param {string} options.type - Transaction set ('990', '214', '210')
+ * @param {Array<Array>} options.segments - Body segments between ST and SE
+ * @param {Object} options.sender - { qualifier, id }
+ * @param {Object} options.receiver - { qualifier, id }
+ * @param {number} options.controlNumber - Interchange/group control number
+ * @param {boolean} [options.test] - Mark the interchange as test data
+ * @param {Date} [options.date] - Interchange date
+ * @returns {string} Interchange text
+ */
+const buildInterchange = ({ type, segments, sender, receiver, controlNumber, test = false, date = new Date() }) => {
+  const isaControl = String(controlNumber).padStart(9, '0');
+  const stControl = '0001';
+
+  const body = [
+    ['ST', type, stControl],
+    ...segments,
+    ['SE', segments.length + 2, stControl]
+  ];
+
+  const lines = [
+    [
+      'ISA', '00', pad('', 10), '00', pad('', 10),
+      pad(sender.qualifier, 2), pad(sender.id, 15),
+      pad(receiver.qualifier, 2), pad(receiver.id, 15),
+      formatDate(date, false), formatTime(date), 'U', '00401', isaControl,
+      '0', test ? 'T' : 'P', COMPONENT_SEPARATOR
+    ].join(ELEMENT_SEPARATOR),
+    ['GS', FUNCTIONAL_CODES[type], clean(sender.id), clean(receiver.id), formatDate(date), formatTime(date), controlNumber, 'X', '004010']
+      .join(ELEMENT_SEPARATOR),
+    ...body.map(segment => [segment[0], ...segment.slice(1).map(clean)].join(ELEMENT_SEPARATOR).replace(/\*+$/, '')),
+    ['GE', 1, controlNumber].join(ELEMENT_SEPARATOR),
+    ['IEA', 1, isaControl].join(ELEMENT_SEPARATOR)
+  ];
+
+  return lines.map(line => `${line}${SEGMENT_TERMINATOR}`).join('\n') + '\n';
+};
+
+/**
+ * Format a decimal coordinate as X12 DDDMMSS (longitude) or DDMMSS (latitude);
+ * the hemisphere goes in its own element
+ * @param {number} value - Decimal degrees
+ * @param {number} degreeDigits - 3 for longitude, 2 for latitude
+ * @returns {string}
+ */
+const formatCoordinate = (value, degreeDigits) => {
+  const totalSeconds = Math.round(Math.abs(value) * 3600);
+  const degrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return `${String(degrees).padStart(degreeDigits, '0')}${String(minutes).padStart(2, '0')}${String(seconds).padStart(2, '0')}`;
+};
+
+/**
+ * Parse an X12 date (CCYYMMDD) and optional time (HHMM[SS]) as server local time
+ * @param {string} date - CCYYMMDD
+ * @param {string} [time] - HHMM or HHMMSS
+ * @returns {Date|null}
+ */
+const parseDateTime = (date, time) => {
+  if (!/^\d{8}$/.test(date || '')) return null;
+
+  const hours = time && /^\d{4}/.test(time) ? parseInt(time.slice(0, 2)) : 0;
+  const minutes = time && /^\d{4}/.test(time) ? parseInt(time.slice(2, 4)) : 0;
+
+  return new Date(
+    parseInt(date.slice(0, 4)),
+    parseInt(date.slice(4, 6)) - 1,
+    parseInt(date.slice(6, 8)),
+    hours,
+    minutes
+  );
+};
+
+module.exports = {
+  parseInterchange,
+  buildInterchange,
+  parseDateTime,
+  formatDate,
+  formatTime,
+  formatCoordinate
+};
@@ -0,0 +1,85 @@
+// ==================== src/validators/accessorial.validator.js ====================
+const { body, validationResult } = require('express-validator');
+const { ACCESSORIAL_TYPES } = require('../utils/constants');
+
+const validateAccessorialRequest = [
+  body('type').isIn(ACCESSORIAL_TYPES).withMessage('Valid accessorial type required'),
+  body('description').optional().trim(),
+  body('quantity').optional().isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+  body('unitRate').optional().isFloat({ min: 0 }).withMessage('Unit rate must be a positive number'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('amount').if(body('unitRate').not().exists()).exists().withMessage('Amount or unit rate is required'),
+  body('payableAmount').optional().isFloat({ min: 0 }).withMessage('Payable amount must be a positive number'),
+  body('stopId').optional().trim().notEmpty().withMessage('Invalid stop ID'),
+  body('receiptDocumentId').optional().trim().notEmpty().withMessage('Invalid receipt document ID'),
+  body('notes').optional().trim(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateAccessorialReceipt = [
+  body('receiptDocumentId').trim().notEmpty().withMessage('Receipt document ID is required'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateAccessorialApproval = [
+  body('billableAmount').optional().isFloat({ min: 0 }).withMessage('Billable amount must be a positive number'),
+  body('payableAmount').optional().isFloat({ min: 0 }).withMessage('Payable amount must be a positive number'),
+  body('notes').optional().trim(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateAccessorialRejection = [
+  body('reason').trim().notEmpty().withMessage('Rejection reason is required'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  validateAccessorialRequest,
+  validateAccessorialReceipt,
+  validateAccessorialApproval,
+  validateAccessorialRejection
+};
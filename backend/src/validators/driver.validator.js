@@ -0,0 +1,83 @@
+// ==================== src/validators/driver.validator.js ====================
+const { body, validationResult } = require('express-validator');
+const { TIME_OFF_TYPES, HOS_DUTY_STATUSES } = require('../utils/constants');
+
+const validateTimeOff = [
+  body('type').isIn(TIME_OFF_TYPES).withMessage('Type must be TIME_OFF or HOME_TIME'),
+  body('startAt').isISO8601().withMessage('Valid start date/time required'),
+  body('endAt').isISO8601().withMessage('Valid end date/time required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateTimeOffDenial = [
+  body('notes').trim().notEmpty().withMessage('A reason is required to deny time off'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateHosLog = [
+  body('dutyStatus').isIn(HOS_DUTY_STATUSES).withMessage(`Duty status must be one of ${HOS_DUTY_STATUSES.join(', ')}`),
+  body('startAt').optional().isISO8601().withMessage('Valid start date/time required'),
+  body('endAt').optional().isISO8601().withMessage('Valid end date/time required'),
+  body('loadId').optional().trim().notEmpty().withMessage('Invalid load ID'),
+  body('location').optional().trim().isLength({ max: 200 }).withMessage('Location must be at most 200 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateHosDerive = [
+  body('from').optional().isISO8601().withMessage('Valid from date/time required'),
+  body('to').optional().isISO8601().withMessage('Valid to date/time required'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  validateTimeOff,
+  validateTimeOffDenial,
+  validateHosLog,
+  validateHosDerive
+};
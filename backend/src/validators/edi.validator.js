@@ -0,0 +1,64 @@
+// ==================== src/validators/edi.validator.js ====================
+const { body, validationResult } = require('express-validator');
+const { CANCELLATION_REASONS } = require('../utils/constants');
+
+const validateTradingPartner = [
+  body('shipperClientId').trim().notEmpty().withMessage('Shipper client is required'),
+  body('name').trim().notEmpty().withMessage('Trading partner name is required'),
+  body('isaQualifier').trim().isLength({ min: 2, max: 2 }).withMessage('ISA qualifier must be 2 characters'),
+  body('isaId').trim().isLength({ min: 1, max: 15 }).withMessage('ISA ID must be 1-15 characters'),
+  body('send214').optional().isBoolean().toBoolean(),
+  body('send210').optional().isBoolean().toBoolean(),
+  body('isActive').optional().isBoolean().toBoolean(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateTenderAccept = [
+  body('shipperRate').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Rate must be a positive number'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateTenderDecline = [
+  body('reasonCode').optional().isIn(CANCELLATION_REASONS).withMessage('Valid cancellation reason code required'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  validateTradingPartner,
+  validateTenderAccept,
+  validateTenderDecline
+};
@@ -1,14 +1,38 @@
 // ==================== src/validators/load.validator.js ====================
 const { body, validationResult } = require('express-validator');
+const { STOP_TYPES, CANCELLATION_REASONS, CANCELLATION_PARTIES } = require('../utils/constants');
 
-const validateLoad = [
-  body('origin').trim().notEmpty().withMessage('Origin is required'),
-  body('destination').trim().notEmpty().withMessage('Destination is required'),
+// Per-stop rules for multi-stop loads
+const stopRules = [
+  body('stops').optional().isArray({ min: 2 }).withMessage('Stops must be a list with at least a pickup and a delivery'),
+  body('stops.*.stopType').isIn(STOP_TYPES).withMessage('Stop type must be PICKUP or DELIVERY'),
+  body('stops.*.locationName').trim().notEmpty().withMessage('Stop location name is required'),
+  body('stops.*.address').trim().notEmpty().withMessage('Stop address is required'),
+  body('stops.*.appointmentStart').isISO8601().withMessage('Valid stop appointment start required'),
+  body('stops.*.appointmentEnd').optional({ values: 'null' }).isISO8601().withMessage('Valid stop appointment end required'),
+  body('stops.*.weightLbs').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Stop weight must be a non-negative integer'),
+  body('stops.*.referenceNumbers').optional().isArray().withMessage('Stop reference numbers must be a list'),
+  body('stops.*.referenceNumbers.*.type').optional().trim().notEmpty().withMessage('Reference number type is required'),
+  body('stops.*.referenceNumbers.*.value').optional().trim().notEmpty().withMessage('Reference number value is required')
+];
+
+// Single origin/destination fields are only required when no stops are sent
+const withoutStops = body('stops').not().exists();
+
+// Shared with bulk import, which runs each row through the same rules
+const loadRules = [
+  body('origin').if(withoutStops).trim().notEmpty().withMessage('Origin is required'),
+  body('destination').if(withoutStops).trim().notEmpty().withMessage('Destination is required'),
   body('equipmentType').isIn(['DRY_VAN', 'REEFER', 'FLATBED', 'STEP_DECK', 'LOWBOY']).withMessage('Valid equipment type required'),
   body('weightLbs').isInt({ min: 1 }).withMessage('Weight must be a positive integer'),
   body('commodity').trim().notEmpty().withMessage('Commodity is required'),
-  body('pickupDate').isISO8601().withMessage('Valid pickup date required'),
-  body('deliveryDate').isISO8601().withMessage('Valid delivery date required'),
+  body('pickupDate').if(withoutStops).isISO8601().withMessage('Valid pickup date required'),
+  body('deliveryDate').if(withoutStops).isISO8601().withMessage('Valid delivery date required'),
+  ...stopRules
+];
+
+const validateLoad = [
+  ...loadRules,
   
   (req, res, next) => {
     const errors = validationResult(req);
@@ -28,6 +52,7 @@ const validateLoadUpdate = [
   body('weightLbs').optional().isInt({ min: 1 }),
   body('pickupDate').optional().isISO8601(),
   body('deliveryDate').optional().isISO8601(),
+  ...stopRules,
   
   (req, res, next) => {
     const errors = validationResult(req);
@@ -42,7 +67,123 @@ const validateLoadUpdate = [
   }
 ];
 
+const validateLoadCancellation = [
+  body('reasonCode').isIn(CANCELLATION_REASONS).withMessage('Valid cancellation reason code required'),
+  body('initiatedBy').isIn(CANCELLATION_PARTIES).withMessage('initiatedBy must be SHIPPER or CARRIER'),
+  body('notes').optional().trim(),
+  body('chargeTonu').optional().isBoolean().toBoolean(),
+  body('tonuAmount').optional().isFloat({ min: 0 }).withMessage('TONU amount must be a positive number'),
+  body('tonuDriverPay').optional().isFloat({ min: 0 }).withMessage('TONU driver pay must be a positive number'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateLoadTender = [
+  body('driverIds').isArray({ min: 1, max: 20 }).withMessage('driverIds must list between 1 and 20 drivers in offer order'),
+  body('driverIds.*').isString().notEmpty().withMessage('Each driver ID must be a string'),
+  body('offerMinutes').optional().isInt({ min: 5, max: 1440 }).withMessage('Offer time must be between 5 and 1440 minutes'),
+  body('notes').optional().trim(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+// Per-point checks happen in the tracking service so one bad fix doesn't
+// fail a whole offline batch
+const validateLocationBatch = [
+  body('pings').isArray({ min: 1 }).withMessage('pings must be a non-empty array of locations'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateStopGeofence = [
+  body('radiusMeters').optional({ values: 'null' }).isInt({ min: 50, max: 10000 }).withMessage('Radius must be between 50 and 10000 meters'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateStopLocation = [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateTrackingLink = [
+  body('label').optional().isString().isLength({ max: 100 }).withMessage('Label must be at most 100 characters'),
+  body('expiresInHours').optional().isInt({ min: 1 }).withMessage('expiresInHours must be a positive whole number'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
 module.exports = {
+  loadRules,
   validateLoad,
-  validateLoadUpdate
-};
\ No newline at end of file
+  validateLoadUpdate,
+  validateLoadCancellation,
+  validateLoadTender,
+  validateLocationBatch,
+  validateStopGeofence,
+  validateTrackingLink,
+  validateStopLocation
+};
@@ -0,0 +1,39 @@
+// ==================== src/validators/loadBoard.validator.js ====================
+const { body, validationResult } = require('express-validator');
+
+const validateLoadRequest = [
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateRequestDecline = [
+  body('reason').trim().notEmpty().withMessage('A reason is required to decline a request'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  validateLoadRequest,
+  validateRequestDecline
+};
@@ -0,0 +1,64 @@
+// ==================== src/validators/loadTemplate.validator.js ====================
+const { body, validationResult } = require('express-validator');
+const { STOP_TYPES, RECURRENCE_FREQUENCIES } = require('../utils/constants');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const validateLoadTemplate = [
+  body('name').trim().notEmpty().withMessage('Template name is required'),
+  body('equipmentType').isIn(['DRY_VAN', 'REEFER', 'FLATBED', 'STEP_DECK', 'LOWBOY']).withMessage('Valid equipment type required'),
+  body('weightLbs').isInt({ min: 1 }).withMessage('Weight must be a positive integer'),
+  body('commodity').trim().notEmpty().withMessage('Commodity is required'),
+  body('shipperRate').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Rate must be a positive number'),
+  body('stops').isArray({ min: 2 }).withMessage('Stops must be a list with at least a pickup and a delivery'),
+  body('stops.*.stopType').isIn(STOP_TYPES).withMessage('Stop type must be PICKUP or DELIVERY'),
+  body('stops.*.locationName').trim().notEmpty().withMessage('Stop location name is required'),
+  body('stops.*.address').trim().notEmpty().withMessage('Stop address is required'),
+  body('stops.*.dayOffset').optional().isInt({ min: 0, max: 30 }).withMessage('Stop day offset must be between 0 and 30'),
+  body('stops.*.startTime').matches(TIME_OF_DAY).withMessage('Stop start time must be HH:mm'),
+  body('stops.*.endTime').optional({ values: 'null' }).matches(TIME_OF_DAY).withMessage('Stop end time must be HH:mm'),
+  body('recurrence.frequency').isIn(RECURRENCE_FREQUENCIES).withMessage('Recurrence frequency must be DAILY, WEEKLY or MONTHLY'),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 52 }).withMessage('Recurrence interval must be between 1 and 52'),
+  body('recurrence.daysOfWeek').optional().isArray().withMessage('Days of week must be a list'),
+  body('recurrence.daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week are 0 (Sunday) to 6 (Saturday)'),
+  body('recurrence.weekOfMonth').optional({ values: 'null' }).isIn([-1, 1, 2, 3, 4, 5]).withMessage('Week of month must be 1-5 or -1 for last'),
+  body('recurrence.startDate').isISO8601().withMessage('Valid recurrence start date required'),
+  body('recurrence.endDate').optional({ values: 'null' }).isISO8601().withMessage('Valid recurrence end date required'),
+  body('leadTimeDays').optional().isInt({ min: 1, max: 60 }).withMessage('Lead time must be between 1 and 60 days'),
+  body('generatedStatus').optional().isIn(['DRAFT', 'PENDING_REVIEW']).withMessage('Generated loads must be DRAFT or PENDING_REVIEW'),
+  body('isActive').optional().isBoolean().toBoolean(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateHoliday = [
+  body('date').isISO8601().withMessage('Valid holiday date required'),
+  body('name').trim().notEmpty().withMessage('Holiday name is required'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  validateLoadTemplate,
+  validateHoliday
+};
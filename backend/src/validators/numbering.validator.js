@@ -0,0 +1,27 @@
+// ==================== src/validators/numbering.validator.js ====================
+const { body, validationResult } = require('express-validator');
+const { NUMBERED_ENTITY_TYPES } = require('../utils/constants');
+
+const validateNumberingFormat = [
+  body('entity').isIn(NUMBERED_ENTITY_TYPES).withMessage('Entity must be LOAD, INVOICE or SETTLEMENT'),
+  body('shipperClientId').optional({ values: 'null' }).trim().notEmpty().withMessage('Shipper client ID cannot be empty'),
+  body('prefix').trim().matches(/^[A-Z0-9]{1,10}$/).withMessage('Prefix must be 1-10 uppercase letters or digits'),
+  body('yearReset').isBoolean().toBoolean(),
+  body('padding').isInt({ min: 1, max: 10 }).toInt().withMessage('Padding must be between 1 and 10 digits'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  validateNumberingFormat
+};
@@ -0,0 +1,26 @@
+// ==================== src/validators/shipper.validator.js ====================
+const { body, validationResult } = require('express-validator');
+
+const validateDetentionPolicy = [
+  body('freeTimeMinutes').isInt({ min: 0 }).withMessage('Free time must be a whole number of minutes'),
+  body('hourlyRate').isFloat({ min: 0 }).withMessage('Hourly rate must be a positive number'),
+  body('driverHourlyRate').optional().isFloat({ min: 0 }).withMessage('Driver hourly rate must be a positive number'),
+  body('billingIncrementMinutes').optional().isInt({ min: 1, max: 60 }).withMessage('Billing increment must be between 1 and 60 minutes'),
+  body('isActive').optional().isBoolean().toBoolean(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  validateDetentionPolicy
+};
@@ -0,0 +1,32 @@
+// ==================== src/validators/vehicle.validator.js ====================
+const { body, validationResult } = require('express-validator');
+
+const validateFuelPurchase = [
+  body('purchasedAt').isISO8601().withMessage('Valid purchase date/time required'),
+  body('jurisdiction').trim().matches(/^[A-Za-z]{2}$/).withMessage('Jurisdiction must be a 2-letter state or province code'),
+  body('gallons').isFloat({ gt: 0, max: 1000 }).withMessage('Gallons must be more than 0 and at most 1000'),
+  body('pricePerGallon').optional().isFloat({ min: 0 }).withMessage('Price per gallon must be a positive number'),
+  body('totalCost').optional().isFloat({ min: 0 }).withMessage('Total cost must be a positive number'),
+  body('taxPaid').optional().isBoolean().withMessage('taxPaid must be true or false').toBoolean(),
+  body('vendor').optional().trim().isLength({ max: 200 }).withMessage('Vendor must be at most 200 characters'),
+  body('city').optional().trim().isLength({ max: 100 }).withMessage('City must be at most 100 characters'),
+  body('receiptNumber').optional().trim().isLength({ max: 100 }).withMessage('Receipt number must be at most 100 characters'),
+  body('driverId').optional().trim().notEmpty().withMessage('Invalid driver ID'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes must be at most 500 characters'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  validateFuelPurchase
+};
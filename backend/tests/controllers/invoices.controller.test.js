@@ -0,0 +1,66 @@
+// ==================== tests/controllers/invoices.controller.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/edi.service', () => require('../helpers/stubService').stubService());
+
+const { runHandler } = require('../helpers/http');
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const ediService = require('../../src/services/edi.service');
+const invoiceController = require('../../src/controllers/invoices.controller');
+
+const ADMIN = { id: 'user-admin', type: 'INTERNAL_USER', role: 'ADMIN' };
+
+describe('invoiceController.issueInvoice', () => {
+  let invoice;
+
+  const issue = () => runHandler(invoiceController.issueInvoice, {
+    params: { id: invoice.id },
+    user: ADMIN
+  });
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    const [client] = prisma._seed('shipperClient', [{ legalName: 'Acme Foods' }]);
+    [invoice] = prisma._seed('shipperInvoice', [{
+      invoiceNumber: 'INV-2026-0001',
+      shipperClientId: client.id,
+      status: 'DRAFT',
+      version: 1
+    }]);
+  });
+
+  it('notifies the shipper and queues the 210 once the invoice is issued', async () => {
+    const calls = [];
+    jest.spyOn(prisma, '$transaction').mockImplementation(async (callback) => {
+      const result = await callback(prisma);
+      calls.push('commit');
+      return result;
+    });
+    notificationService.notifyInvoiceIssued.mockImplementation(async () => calls.push('notify'));
+    ediService.queueInvoice.mockImplementation(async () => calls.push('queue210'));
+
+    const { res, error } = await issue();
+
+    expect(error).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(prisma._tables.shipperInvoice[0].status).toBe('SENT');
+    expect(calls).toEqual(['commit', 'notify', 'queue210']);
+    expect(ediService.queueInvoice).toHaveBeenCalledWith(invoice.id);
+  });
+
+  it('sends nothing when the invoice was issued by another request first', async () => {
+    jest.spyOn(prisma.shipperInvoice, 'update').mockRejectedValueOnce(
+      Object.assign(new Error('No record was found for shipperInvoice.update'), { code: 'P2025' })
+    );
+
+    const { error } = await issue();
+
+    expect(error).toMatchObject({ statusCode: 409 });
+    expect(notificationService.notifyInvoiceIssued).not.toHaveBeenCalled();
+    expect(ediService.queueInvoice).not.toHaveBeenCalled();
+  });
+});
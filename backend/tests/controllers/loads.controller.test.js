@@ -0,0 +1,107 @@
+// ==================== tests/controllers/loads.controller.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/mileage.service', () => require('../helpers/stubService').stubService());
+
+const { clone } = require('../helpers/fakePrisma');
+const { runHandler } = require('../helpers/http');
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const scheduleService = require('../../src/services/schedule.service');
+const loadController = require('../../src/controllers/loads.controller');
+
+const DISPATCHER = { id: 'user-dispatch', type: 'INTERNAL_USER', role: 'DISPATCHER' };
+
+// Every write assignLoad makes when another driver has asked for the load
+const ASSIGN_WRITES = [
+  ['loadAssignment', 'create'],
+  ['load', 'update'],
+  ['loadStatusHistory', 'create'],
+  ['loadAssignment', 'updateMany']
+];
+
+describe('loadController.assignLoad', () => {
+  let load;
+  let driver;
+
+  const assign = () => runHandler(loadController.assignLoad, {
+    params: { id: load.id },
+    body: { driverId: driver.id, notes: 'Dedicated lane' },
+    user: DISPATCHER
+  });
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(scheduleService, 'checkAssignment').mockResolvedValue({ vehicleId: 'vehicle-1', hosWarnings: [] });
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes', isActive: true, isAvailable: true }]);
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0001', status: 'SCHEDULED', shipperRate: 1500 }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: 'driver-requesting', requestedAt: new Date() }]);
+  });
+
+  it('assigns the driver and declines open load board requests', async () => {
+    const spies = ASSIGN_WRITES.map(([model, method]) => jest.spyOn(prisma[model], method));
+
+    const { res, error } = await assign();
+
+    expect(error).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(200);
+    spies.forEach(spy => expect(spy).toHaveBeenCalled());
+    expect(prisma._tables.load[0]).toMatchObject({ status: 'ASSIGNED', version: 2 });
+    expect(notificationService.notifyLoadAssignment).toHaveBeenCalled();
+    expect(notificationService.notifyLoadRequestDeclined).toHaveBeenCalledWith('driver-requesting', expect.anything(), expect.any(String));
+  });
+
+  it.each(ASSIGN_WRITES)('persists nothing when %s.%s fails', async (model, method) => {
+    const before = clone(prisma._tables);
+    jest.spyOn(prisma[model], method).mockRejectedValueOnce(new Error('write failed'));
+
+    const { error } = await assign();
+
+    expect(error).toEqual(new Error('write failed'));
+    expect(prisma._tables).toEqual(before);
+    expect(notificationService.notifyLoadAssignment).not.toHaveBeenCalled();
+    expect(notificationService.notifyLoadRequestDeclined).not.toHaveBeenCalled();
+  });
+});
+
+describe('loadController load reads', () => {
+  let load;
+  let assigned;
+  let requesting;
+
+  const readAs = (handler, user, req = {}) => runHandler(handler, { query: {}, ...req, user });
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+
+    [assigned, requesting] = prisma._seed('driver', [
+      { firstName: 'Dana', lastName: 'Reyes' },
+      { firstName: 'Lee', lastName: 'Park' }
+    ]);
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0001', status: 'ASSIGNED', shipperRate: 1500 }]);
+    prisma._seed('loadAssignment', [
+      { loadId: load.id, driverId: requesting.id, requestedAt: new Date(), rejectedAt: new Date() },
+      { loadId: load.id, driverId: requesting.id, requestedAt: new Date() },
+      { loadId: load.id, driverId: assigned.id }
+    ]);
+  });
+
+  it('lists a load for its assigned driver only, not for drivers who requested it', async () => {
+    const forAssigned = await readAs(loadController.getAllLoads, { id: assigned.id, type: 'DRIVER' });
+    const forRequesting = await readAs(loadController.getAllLoads, { id: requesting.id, type: 'DRIVER' });
+
+    expect(forAssigned.res.json.mock.calls[0][0].data.map(l => l.id)).toEqual([load.id]);
+    expect(forRequesting.res.json.mock.calls[0][0].data).toEqual([]);
+  });
+
+  it('shows only the active assignment on the load', async () => {
+    const { res, error } = await readAs(loadController.getLoadById, DISPATCHER, { params: { id: load.id } });
+
+    expect(error).toBeNull();
+    expect(res.json.mock.calls[0][0].data.assignments.map(a => a.driverId)).toEqual([assigned.id]);
+  });
+});
@@ -0,0 +1,173 @@
+// ==================== tests/controllers/pod.controller.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/mileage.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/storage.service', () => ({
+  validateImageFile: jest.fn(),
+  upload: jest.fn(async (file, category) => ({
+    fileName: file.originalname,
+    originalFileName: file.originalname,
+    storageKey: `uploads/${file.originalname}`,
+    fileUrl: `/uploads/${file.originalname}`,
+    category,
+    metadata: {}
+  })),
+  discard: jest.fn()
+}));
+
+const { clone } = require('../helpers/fakePrisma');
+const { runHandler } = require('../helpers/http');
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const storageService = require('../../src/services/storage.service');
+const podController = require('../../src/controllers/pod.controller');
+
+// Every write submitPOD makes for a signature and one photo
+const POD_WRITES = [
+  ['fileUpload', 'create'],
+  ['podDocument', 'create'],
+  ['podPhoto', 'create'],
+  ['load', 'update'],
+  ['loadStatusHistory', 'create']
+];
+
+describe('podController.submitPOD', () => {
+  let load;
+  let driver;
+
+  const submit = () => runHandler(podController.submitPOD, {
+    body: { loadId: load.id, recipientName: 'Sam Ortiz', gpsLat: '41.88', gpsLng: '-87.63' },
+    files: {
+      signature: [{ originalname: 'signature.png' }],
+      photos: [{ originalname: 'dock.jpg' }]
+    },
+    user: { id: driver.id, type: 'DRIVER' }
+  });
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0001', status: 'DELIVERED', actualDeliveryTime: new Date() }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, acceptedAt: new Date() }]);
+  });
+
+  it('stores the POD and moves the load to POD_SUBMITTED', async () => {
+    const spies = POD_WRITES.map(([model, method]) => jest.spyOn(prisma[model], method));
+
+    const { res, error } = await submit();
+
+    expect(error).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(201);
+    spies.forEach(spy => expect(spy).toHaveBeenCalled());
+    expect(prisma._tables.load[0].status).toBe('POD_SUBMITTED');
+    expect(prisma._tables.fileUpload).toHaveLength(2);
+    expect(storageService.discard).not.toHaveBeenCalled();
+    expect(notificationService.notifyPODSubmitted).toHaveBeenCalled();
+  });
+
+  it.each(POD_WRITES)('persists nothing and discards the files when %s.%s fails', async (model, method) => {
+    const before = clone(prisma._tables);
+    jest.spyOn(prisma[model], method).mockRejectedValueOnce(new Error('write failed'));
+
+    const { error } = await submit();
+
+    expect(error).toEqual(new Error('write failed'));
+    expect(prisma._tables).toEqual(before);
+    expect(storageService.discard).toHaveBeenCalledWith([
+      expect.objectContaining({ fileName: 'signature.png' }),
+      expect.objectContaining({ fileName: 'dock.jpg' })
+    ]);
+    expect(notificationService.notifyPODSubmitted).not.toHaveBeenCalled();
+  });
+
+  it('discards the files already stored when a later upload fails', async () => {
+    const before = clone(prisma._tables);
+    storageService.upload.mockImplementationOnce(async file => ({ fileName: file.originalname, metadata: {} }));
+    storageService.upload.mockRejectedValueOnce(new Error('disk full'));
+
+    const { error } = await submit();
+
+    expect(error).toEqual(new Error('disk full'));
+    expect(prisma._tables).toEqual(before);
+    expect(storageService.discard).toHaveBeenCalledWith([expect.objectContaining({ fileName: 'signature.png' })]);
+  });
+});
+
+describe('podController.submitPOD per stop', () => {
+  let load;
+  let driver;
+
+  const submit = () => runHandler(podController.submitPOD, {
+    body: { loadId: load.id, recipientName: 'Sam Ortiz', gpsLat: '41.88', gpsLng: '-87.63' },
+    files: { signature: [{ originalname: 'signature.png' }] },
+    user: { id: driver.id, type: 'DRIVER' }
+  });
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.clearAllMocks();
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+  });
+
+  // A load with a POD already on file for its (only) delivery
+  const seedLoad = (status, pod) => {
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0002', status, actualDeliveryTime: new Date() }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, acceptedAt: new Date() }]);
+    return prisma._seed('podDocument', [{ loadId: load.id, stopId: null, driverId: driver.id, ...pod }])[0];
+  };
+
+  it('rejects a second POD for the same stop before storing any files', async () => {
+    seedLoad('DELIVERED', { verifiedAt: null });
+
+    const { res, error } = await submit();
+
+    expect(error).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(storageService.upload).not.toHaveBeenCalled();
+    expect(prisma._tables.podDocument).toHaveLength(1);
+  });
+
+  it('replaces a POD the dispatcher sent back for correction', async () => {
+    const rejected = seedLoad('POD_PENDING', { verifiedAt: new Date(), notes: 'Signature illegible' });
+
+    const { res, error } = await submit();
+
+    expect(error).toBeNull();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(prisma._tables.podDocument).toHaveLength(1);
+    expect(prisma._tables.podDocument[0].id).not.toBe(rejected.id);
+    expect(prisma._tables.podDocument[0].verifiedAt).toBeUndefined();
+    expect(prisma._tables.load[0].status).toBe('POD_SUBMITTED');
+  });
+});
+
+describe('podController.getPODByLoadId', () => {
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+  });
+
+  it('returns the final delivery POD when no stop is given', async () => {
+    const [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0003', status: 'POD_SUBMITTED' }]);
+    const [first, last] = prisma._seed('loadStop', [
+      { loadId: load.id, stopSequence: 2, stopType: 'DELIVERY' },
+      { loadId: load.id, stopSequence: 3, stopType: 'DELIVERY' }
+    ]);
+    prisma._seed('podDocument', [
+      { loadId: load.id, stopId: first.id, capturedAt: new Date('2026-10-01T10:00:00Z') },
+      { loadId: load.id, stopId: last.id, capturedAt: new Date('2026-10-01T15:00:00Z') }
+    ]);
+
+    const { res, error } = await runHandler(podController.getPODByLoadId, {
+      params: { loadId: load.id },
+      query: {},
+      user: { id: 'dispatcher-1', type: 'INTERNAL_USER' }
+    });
+
+    expect(error).toBeNull();
+    expect(res.json.mock.calls[0][0].data.stopId).toBe(last.id);
+  });
+});
@@ -0,0 +1,140 @@
+// ==================== tests/controllers/settlement.controller.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+
+const { clone } = require('../helpers/fakePrisma');
+const { runHandler } = require('../helpers/http');
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const settlementController = require('../../src/controllers/settlement.controller');
+
+const ADMIN = { id: 'user-admin', type: 'INTERNAL_USER', role: 'ADMIN' };
+
+// Every write a settlement with an accessorial makes (first settlement number)
+const SETTLEMENT_WRITES = [
+  ['documentCounter', 'upsert'],
+  ['driverSettlement', 'create'],
+  ['accessorialCharge', 'updateMany']
+];
+
+describe('settlementController', () => {
+  let load;
+  let driver;
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+    [load] = prisma._seed('load', [{
+      loadNumber: 'LOAD-2026-0001',
+      status: 'COMPLETED',
+      driverPay: 1000,
+      actualPickupTime: new Date('2026-06-01T08:00:00Z'),
+      actualDeliveryTime: new Date('2026-06-02T16:00:00Z')
+    }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, acceptedAt: new Date('2026-05-30') }]);
+    prisma._seed('accessorialCharge', [{ loadId: load.id, type: 'DETENTION', status: 'APPROVED', billableAmount: 150, payableAmount: 75 }]);
+  });
+
+  describe.each([
+    ['createSettlementFromLoad', () => ({ params: { loadId: load.id } })],
+    ['createPeriodSettlement', () => ({
+      body: { driverId: driver.id, periodStart: '2026-06-01T00:00:00Z', periodEnd: '2026-06-30T00:00:00Z' }
+    })]
+  ])('%s', (handler, request) => {
+    const settle = () => runHandler(settlementController[handler], {
+      ...request(),
+      body: { deductions: [{ description: 'Fuel advance', amount: 100 }], ...request().body },
+      user: ADMIN
+    });
+
+    it('creates the settlement and settles the accessorial', async () => {
+      const spies = SETTLEMENT_WRITES.map(([model, method]) => jest.spyOn(prisma[model], method));
+
+      const { res, error } = await settle();
+
+      expect(error).toBeNull();
+      expect(res.status).toHaveBeenCalledWith(201);
+      spies.forEach(spy => expect(spy).toHaveBeenCalled());
+      expect(prisma._tables.driverSettlement[0]).toMatchObject({ grossAmount: 1075, totalDeductions: 100, netAmount: 975 });
+      expect(prisma._tables.settlementDeduction).toHaveLength(1);
+      expect(prisma._tables.accessorialCharge[0].settlementId).toBe(prisma._tables.driverSettlement[0].id);
+      expect(notificationService.notifySettlement).toHaveBeenCalled();
+    });
+
+    it.each(SETTLEMENT_WRITES)('persists nothing when %s.%s fails', async (model, method) => {
+      const before = clone(prisma._tables);
+      jest.spyOn(prisma[model], method).mockRejectedValueOnce(new Error('write failed'));
+
+      const { error } = await settle();
+
+      expect(error).toEqual(new Error('write failed'));
+      expect(prisma._tables).toEqual(before);
+      expect(notificationService.notifySettlement).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelled load TONU', () => {
+    let released;
+    let expired;
+
+    beforeEach(() => {
+      [released, expired] = prisma._seed('driver', [
+        { firstName: 'Lee', lastName: 'Park' },
+        { firstName: 'Sam', lastName: 'Ortiz' }
+      ]);
+      [load] = prisma._seed('load', [{
+        loadNumber: 'LOAD-2026-0002',
+        status: 'CANCELLED',
+        pickupDate: new Date('2026-06-10T08:00:00Z'),
+        cancelledAt: new Date('2026-06-09T12:00:00Z')
+      }]);
+      prisma._seed('loadAssignment', [
+        { loadId: load.id, driverId: expired.id, releasedAt: new Date('2026-06-08'), releaseReason: 'Tender offer expired' },
+        {
+          loadId: load.id,
+          driverId: released.id,
+          acceptedAt: new Date('2026-06-08'),
+          releasedAt: new Date('2026-06-09'),
+          releaseReason: 'Load cancelled: SHIPPER_REQUEST'
+        }
+      ]);
+      prisma._seed('accessorialCharge', [{
+        loadId: load.id,
+        type: 'TONU',
+        status: 'APPROVED',
+        billableAmount: 250,
+        payableAmount: 100,
+        payeeDriverId: released.id
+      }]);
+    });
+
+    it('pays the load settlement to the driver the cancellation released', async () => {
+      const { res, error } = await runHandler(settlementController.createSettlementFromLoad, {
+        params: { loadId: load.id },
+        user: ADMIN
+      });
+
+      expect(error).toBeNull();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(prisma._tables.driverSettlement[0]).toMatchObject({ driverId: released.id, grossAmount: 100 });
+    });
+
+    it('leaves the load out of the period settlement of a driver whose offer expired', async () => {
+      const settlePeriod = driverId => runHandler(settlementController.createPeriodSettlement, {
+        body: { driverId, periodStart: '2026-06-05T00:00:00Z', periodEnd: '2026-06-30T00:00:00Z' },
+        user: ADMIN
+      });
+
+      const forExpired = await settlePeriod(expired.id);
+      const forReleased = await settlePeriod(released.id);
+
+      expect(forExpired.res.status).toHaveBeenCalledWith(404);
+      expect(forReleased.res.status).toHaveBeenCalledWith(201);
+      expect(prisma._tables.driverSettlement).toHaveLength(1);
+      expect(prisma._tables.driverSettlement[0]).toMatchObject({ driverId: released.id, grossAmount: 100 });
+    });
+  });
+});
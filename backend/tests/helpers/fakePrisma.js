@@ -0,0 +1,470 @@
+// ==================== tests/helpers/fakePrisma.js ====================
+
+// In-memory stand-in for the Prisma client, covering the part of the query
+// API the services use. Every call yields before it runs so concurrent
+// calls interleave like separate requests; each call is applied atomically,
+// like a single statement. $transaction hands the callback the same client
+// and, when the callback throws, undoes the writes made inside it, like a
+// rollback; writes other requests made in the meantime are kept.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Relation fields: the model they point at and the foreign key. `many`
+// relations keep the key on the related model, `one` relations on this one
+// unless marked `inverse` (the other side of a one-to-one).
+const RELATIONS = {
+  load: {
+    assignments: { model: 'loadAssignment', many: true, foreignKey: 'loadId' },
+    stops: { model: 'loadStop', many: true, foreignKey: 'loadId' },
+    accessorialCharges: { model: 'accessorialCharge', many: true, foreignKey: 'loadId' },
+    statusHistory: { model: 'loadStatusHistory', many: true, foreignKey: 'loadId' },
+    statusEvents: { model: 'loadStatusEvent', many: true, foreignKey: 'loadId' },
+    documents: { model: 'loadDocument', many: true, foreignKey: 'loadId' },
+    negotiations: { model: 'loadNegotiation', many: true, foreignKey: 'loadId' },
+    podDocuments: { model: 'podDocument', many: true, foreignKey: 'loadId' },
+    geoLocations: { model: 'loadGeoLocation', many: true, foreignKey: 'loadId' },
+    shipperClient: { model: 'shipperClient', foreignKey: 'shipperClientId' },
+    createdBy: { model: 'shipperUser', foreignKey: 'createdById' },
+    eta: { model: 'loadEta', foreignKey: 'loadId', inverse: true },
+    mileage: { model: 'loadMileage', foreignKey: 'loadId', inverse: true }
+  },
+  loadAssignment: {
+    load: { model: 'load', foreignKey: 'loadId' },
+    driver: { model: 'driver', foreignKey: 'driverId' },
+    vehicle: { model: 'vehicle', foreignKey: 'vehicleId' },
+    assignedBy: { model: 'internalUser', foreignKey: 'assignedById' }
+  },
+  driver: {
+    vehicleAssignments: { model: 'vehicleAssignment', many: true, foreignKey: 'driverId' }
+  },
+  vehicleAssignment: {
+    vehicle: { model: 'vehicle', foreignKey: 'vehicleId' }
+  },
+  loadTender: {
+    offers: { model: 'loadTenderOffer', many: true, foreignKey: 'tenderId' },
+    load: { model: 'load', foreignKey: 'loadId' }
+  },
+  loadTenderOffer: {
+    tender: { model: 'loadTender', foreignKey: 'tenderId' },
+    driver: { model: 'driver', foreignKey: 'driverId' },
+    assignment: { model: 'loadAssignment', foreignKey: 'assignmentId' }
+  },
+  shipperInvoice: {
+    lineItems: { model: 'invoiceLineItem', many: true, foreignKey: 'invoiceId' },
+    shipperClient: { model: 'shipperClient', foreignKey: 'shipperClientId' },
+    load: { model: 'load', foreignKey: 'loadId' }
+  },
+  driverSettlement: {
+    deductions: { model: 'settlementDeduction', many: true, foreignKey: 'settlementId' },
+    driver: { model: 'driver', foreignKey: 'driverId' },
+    load: { model: 'load', foreignKey: 'loadId' }
+  },
+  accessorialCharge: {
+    load: { model: 'load', foreignKey: 'loadId' },
+    settlement: { model: 'driverSettlement', foreignKey: 'settlementId' },
+    invoice: { model: 'shipperInvoice', foreignKey: 'invoiceId' }
+  },
+  loadStop: {
+    load: { model: 'load', foreignKey: 'loadId' }
+  },
+  hosLog: {
+    load: { model: 'load', foreignKey: 'loadId' }
+  },
+  driverTimeOff: {
+    driver: { model: 'driver', foreignKey: 'driverId' }
+  },
+  podDocument: {
+    photos: { model: 'podPhoto', many: true, foreignKey: 'podDocumentId' },
+    load: { model: 'load', foreignKey: 'loadId' },
+    stop: { model: 'loadStop', foreignKey: 'stopId' },
+    driver: { model: 'driver', foreignKey: 'driverId' },
+    verifiedBy: { model: 'internalUser', foreignKey: 'verifiedById' }
+  }
+};
+
+// Columns Prisma fills in on create
+const DEFAULTS = {
+  load: { version: 1, deletedAt: null },
+  loadAssignment: { acceptedAt: null, rejectedAt: null, releasedAt: null, requestedAt: null, approvedAt: null },
+  accessorialCharge: { invoiceId: null, settlementId: null },
+  loadTender: { status: 'ACTIVE' },
+  loadTenderOffer: { status: 'PENDING' }
+};
+
+// Unique constraints beyond the id: creates that clash fail with P2002, or
+// are skipped by createMany({ skipDuplicates })
+const UNIQUE = {
+  loadLocationPing: [['loadId', 'driverId', 'recordedAt']],
+  loadTrack: [['loadId']],
+  loadEta: [['loadId']],
+  loadMileage: [['loadId']],
+  loadTrackingLink: [['tokenHash']],
+  loadGeoLocation: [['loadId', 'stopSequence']],
+  geocodeCache: [['queryKey']]
+};
+
+const OPERATORS = ['equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte', 'startsWith', 'endsWith', 'contains'];
+
+// structuredClone would hand back Dates from another realm under Jest
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, clone(v)]));
+  }
+  return value;
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Undo steps of the transaction the current call runs in
+const transactions = new AsyncLocalStorage();
+
+const comparable = value => (value instanceof Date ? value.getTime() : value);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+const notFound = (model, operation) => Object.assign(
+  new Error(`No record was found for ${model}.${operation}`),
+  { code: 'P2025' }
+);
+
+/**
+ * Create an empty fake client
+ * @returns {Object} Client with Prisma-style model delegates, plus
+ *   `_tables` (rows by model) and `_seed(model, rows)`
+ */
+function createFakePrisma() {
+  const tables = {};
+  const delegates = {};
+  let nextId = 1;
+
+  // Reads don't create tables, so a rolled back write leaves no trace
+  const table = model => tables[model] || [];
+
+  const matchesValue = (actual, condition) => {
+    if (!isPlainObject(condition) || !Object.keys(condition).some(key => OPERATORS.includes(key))) {
+      return comparable(actual) === comparable(condition) || (actual == null && condition === null);
+    }
+
+    return Object.entries(condition).every(([operator, expected]) => {
+      const value = comparable(actual);
+      switch (operator) {
+        case 'equals': return matchesValue(actual, expected);
+        case 'in': return expected.map(comparable).includes(value);
+        case 'notIn': return !expected.map(comparable).includes(value);
+        case 'not': return !matchesValue(actual, expected);
+        case 'lt': return value != null && value < comparable(expected);
+        case 'lte': return value != null && value <= comparable(expected);
+        case 'gt': return value != null && value > comparable(expected);
+        case 'gte': return value != null && value >= comparable(expected);
+        case 'startsWith': return typeof actual === 'string' && actual.startsWith(expected);
+        case 'endsWith': return typeof actual === 'string' && actual.endsWith(expected);
+        case 'contains': return typeof actual === 'string' && actual.includes(expected);
+        default: return true;
+      }
+    });
+  };
+
+  const related = (model, row, field) => {
+    const relation = RELATIONS[model][field];
+    if (relation.many) {
+      return table(relation.model).filter(r => r[relation.foreignKey] === row.id);
+    }
+    if (relation.inverse) {
+      return table(relation.model).find(r => r[relation.foreignKey] === row.id) || null;
+    }
+    return table(relation.model).find(r => r.id === row[relation.foreignKey]) || null;
+  };
+
+  const matches = (model, row, where = {}) => Object.entries(where).every(([field, condition]) => {
+    if (condition === undefined) return true;
+    if (field === 'AND') return [].concat(condition).every(w => matches(model, row, w));
+    if (field === 'OR') return condition.some(w => matches(model, row, w));
+    if (field === 'NOT') return ![].concat(condition).some(w => matches(model, row, w));
+
+    const relation = RELATIONS[model] && RELATIONS[model][field];
+    if (relation) {
+      const value = related(model, row, field);
+      if (relation.many) {
+        if (condition.some) return value.some(r => matches(relation.model, r, condition.some));
+        if (condition.none) return !value.some(r => matches(relation.model, r, condition.none));
+        if (condition.every) return value.every(r => matches(relation.model, r, condition.every));
+        return true;
+      }
+      if (condition === null) return value === null;
+      return value !== null && matches(relation.model, value, condition.is || condition);
+    }
+
+    // Compound unique input: loadId_stopSequence: { loadId, stopSequence }
+    if (isPlainObject(condition) && field === Object.keys(condition).join('_')) {
+      return matches(model, row, condition);
+    }
+
+    return matchesValue(row[field], condition);
+  });
+
+  // orderBy: { field: 'asc' }, or { relation: { field: 'desc' } } for `one` relations
+  const sortValue = (model, row, field, direction) => {
+    if (!isPlainObject(direction)) return [comparable(row[field]), direction];
+    const value = related(model, row, field);
+    const [nestedField, nestedDirection] = Object.entries(direction)[0];
+    return value
+      ? sortValue(RELATIONS[model][field].model, value, nestedField, nestedDirection)
+      : [null, nestedDirection];
+  };
+
+  const sort = (model, rows, orderBy) => {
+    const orders = [].concat(orderBy || []).flatMap(order => Object.entries(order));
+    return [...rows].sort((a, b) => {
+      for (const [field, order] of orders) {
+        const [x, direction] = sortValue(model, a, field, order);
+        const [y] = sortValue(model, b, field, order);
+        if (x === y) continue;
+        const result = x == null ? -1 : y == null ? 1 : (x < y ? -1 : 1);
+        return direction === 'desc' ? -result : result;
+      }
+      return 0;
+    });
+  };
+
+  const findRows = (model, args = {}) => {
+    let rows = sort(model, table(model).filter(row => matches(model, row, args.where)), args.orderBy);
+    if (args.distinct) {
+      const seen = new Set();
+      rows = rows.filter((row) => {
+        const key = JSON.stringify(args.distinct.map(field => comparable(row[field])));
+        return !seen.has(key) && seen.add(key);
+      });
+    }
+    const start = args.skip || 0;
+    return rows.slice(start, args.take != null ? start + args.take : undefined);
+  };
+
+  // Apply select/include to a stored row, returning a detached copy
+  const shape = (model, row, args = {}) => {
+    if (!row) return null;
+
+    const shapeRelation = (field, relationArgs) => {
+      const relation = RELATIONS[model][field];
+      if (relation.many) {
+        const rows = findRows(relation.model, {
+          ...relationArgs,
+          where: { ...(relationArgs.where || {}), [relation.foreignKey]: row.id }
+        });
+        return rows.map(r => shape(relation.model, r, relationArgs));
+      }
+      return shape(relation.model, related(model, row, field), relationArgs);
+    };
+
+    const result = {};
+    if (args.select) {
+      for (const [field, value] of Object.entries(args.select)) {
+        if (!value) continue;
+        result[field] = RELATIONS[model] && RELATIONS[model][field]
+          ? shapeRelation(field, value === true ? {} : value)
+          : clone(row[field]);
+      }
+      return result;
+    }
+
+    Object.assign(result, clone(row));
+    for (const [field, value] of Object.entries(args.include || {})) {
+      if (value) result[field] = shapeRelation(field, value === true ? {} : value);
+    }
+    return result;
+  };
+
+  const applyData = (model, row, data) => {
+    const nested = [];
+    for (const [field, value] of Object.entries(data)) {
+      if (value === undefined) continue;
+      const relation = RELATIONS[model] && RELATIONS[model][field];
+      if (relation) {
+        nested.push([relation, value]);
+      } else if (isPlainObject(value) && 'increment' in value) {
+        row[field] = (row[field] || 0) + value.increment;
+      } else if (isPlainObject(value) && 'decrement' in value) {
+        row[field] = (row[field] || 0) - value.decrement;
+      } else if (isPlainObject(value) && 'set' in value) {
+        row[field] = clone(value.set);
+      } else {
+        row[field] = clone(value);
+      }
+    }
+    return nested;
+  };
+
+  const journal = undo => {
+    const steps = transactions.getStore();
+    if (steps) steps.push(undo);
+  };
+
+  // Change a row in place, remembering how to put it back
+  const change = (model, row, data) => {
+    const previous = clone(row);
+    journal(() => {
+      for (const key of Object.keys(row)) delete row[key];
+      Object.assign(row, previous);
+    });
+    return applyData(model, row, data);
+  };
+
+  const remove = (model, rows) => {
+    const current = table(model);
+    const positions = rows.map(row => [current.indexOf(row), row]).sort(([a], [b]) => a - b);
+    tables[model] = current.filter(r => !rows.includes(r));
+    journal(() => {
+      const restored = [...table(model)];
+      positions.forEach(([index, row]) => restored.splice(index, 0, row));
+      tables[model] = restored;
+    });
+  };
+
+  // NULLs never clash, as in Postgres
+  const clashes = (model, row) => (UNIQUE[model] || []).some(fields => fields.every(f => row[f] != null) &&
+    table(model).some(other => fields.every(f => comparable(other[f]) === comparable(row[f]))));
+
+  const insert = (model, data, options = {}) => {
+    const now = new Date();
+    const row = { id: `${model}-${nextId++}`, createdAt: now, updatedAt: now, ...(DEFAULTS[model] || {}) };
+    const nested = applyData(model, row, data);
+    if (clashes(model, row)) {
+      if (options.skipDuplicates) return null;
+      throw Object.assign(new Error(`Unique constraint failed on ${model}`), { code: 'P2002' });
+    }
+    const created = !tables[model];
+    if (created) tables[model] = [];
+    tables[model].push(row);
+    journal(() => {
+      tables[model] = table(model).filter(r => r !== row);
+      if (created && tables[model].length === 0) delete tables[model];
+    });
+
+    // Nested writes: lineItems: { create: [...] }
+    for (const [relation, value] of nested) {
+      if (relation.many && value.create) {
+        for (const child of [].concat(value.create)) {
+          insert(relation.model, { ...child, [relation.foreignKey]: row.id });
+        }
+      } else if (value.connect) {
+        row[relation.foreignKey] = value.connect.id;
+      }
+    }
+    return row;
+  };
+
+  const createDelegate = model => ({
+    async findUnique(args) {
+      await tick();
+      return shape(model, findRows(model, args)[0], args);
+    },
+    async findUniqueOrThrow(args) {
+      await tick();
+      const row = findRows(model, args)[0];
+      if (!row) throw notFound(model, 'findUniqueOrThrow');
+      return shape(model, row, args);
+    },
+    async findFirst(args = {}) {
+      await tick();
+      return shape(model, findRows(model, args)[0], args);
+    },
+    async findMany(args = {}) {
+      await tick();
+      return findRows(model, args).map(row => shape(model, row, args));
+    },
+    async count(args = {}) {
+      await tick();
+      return findRows(model, args).length;
+    },
+    async create(args) {
+      await tick();
+      return shape(model, insert(model, args.data), args);
+    },
+    async createMany(args) {
+      await tick();
+      const rows = [].concat(args.data).map(data => insert(model, data, { skipDuplicates: args.skipDuplicates }));
+      return { count: rows.filter(Boolean).length };
+    },
+    async groupBy(args) {
+      await tick();
+      const groups = new Map();
+      for (const row of findRows(model, { where: args.where, orderBy: args.orderBy })) {
+        const key = JSON.stringify(args.by.map(field => comparable(row[field])));
+        if (!groups.has(key)) groups.set(key, Object.fromEntries(args.by.map(field => [field, clone(row[field])])));
+      }
+      return [...groups.values()].slice(0, args.take);
+    },
+    async update(args) {
+      await tick();
+      const row = findRows(model, { where: args.where })[0];
+      if (!row) throw notFound(model, 'update');
+      change(model, row, { ...args.data, updatedAt: new Date() });
+      return shape(model, row, args);
+    },
+    async updateMany(args) {
+      await tick();
+      const rows = findRows(model, { where: args.where });
+      rows.forEach(row => change(model, row, { ...args.data, updatedAt: new Date() }));
+      return { count: rows.length };
+    },
+    async upsert(args) {
+      await tick();
+      const row = findRows(model, { where: args.where })[0];
+      if (row) {
+        change(model, row, { ...args.update, updatedAt: new Date() });
+        return shape(model, row, args);
+      }
+      return shape(model, insert(model, args.create), args);
+    },
+    async delete(args) {
+      await tick();
+      const row = findRows(model, { where: args.where })[0];
+      if (!row) throw notFound(model, 'delete');
+      remove(model, [row]);
+      return shape(model, row);
+    },
+    async deleteMany(args = {}) {
+      await tick();
+      const rows = findRows(model, args);
+      remove(model, rows);
+      return { count: rows.length };
+    }
+  });
+
+  const client = new Proxy({
+    _tables: tables,
+
+    _seed(model, rows) {
+      return rows.map(data => shape(model, insert(model, data)));
+    },
+
+    async $transaction(callback) {
+      if (Array.isArray(callback)) return await Promise.all(callback);
+
+      // A nested transaction commits into the one around it
+      const outer = transactions.getStore();
+      const steps = [];
+      try {
+        const result = await transactions.run(steps, () => callback(client));
+        if (outer) outer.push(...steps);
+        return result;
+      } catch (error) {
+        steps.reverse().forEach(undo => undo());
+        throw error;
+      }
+    }
+  }, {
+    get(target, property) {
+      if (property in target || typeof property !== 'string' || property.startsWith('$') || property === 'then') {
+        return target[property];
+      }
+      if (!delegates[property]) delegates[property] = createDelegate(property);
+      return delegates[property];
+    }
+  });
+
+  return client;
+}
+
+module.exports = { createFakePrisma, clone };
@@ -0,0 +1,28 @@
+// ==================== tests/helpers/http.js ====================
+
+/**
+ * Express response double recording status, body and headers
+ * @returns {Object} res
+ */
+function mockResponse() {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+}
+
+/**
+ * Run a controller method the way the router does
+ * @param {Function} handler - Controller method
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} { res, error } - error is what reached next()
+ */
+async function runHandler(handler, req) {
+  const res = mockResponse();
+  let error = null;
+  await handler({ params: {}, body: {}, query: {}, ...req }, res, err => { error = err; });
+  return { res, error };
+}
+
+module.exports = { mockResponse, runHandler };
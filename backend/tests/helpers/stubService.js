@@ -0,0 +1,20 @@
+// ==================== tests/helpers/stubService.js ====================
+
+/**
+ * Stand-in for a service singleton: every method is a jest.fn() resolving
+ * to undefined, created on first access
+ * @returns {Object} Service stub
+ */
+function stubService() {
+  const methods = {};
+
+  return new Proxy(methods, {
+    get(target, property) {
+      if (property === '__esModule' || property === 'then') return undefined;
+      if (!target[property]) target[property] = jest.fn().mockResolvedValue(undefined);
+      return target[property];
+    }
+  });
+}
+
+module.exports = { stubService };
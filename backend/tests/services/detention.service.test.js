@@ -0,0 +1,130 @@
+// ==================== tests/services/detention.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const detentionService = require('../../src/services/detention.service');
+
+const HOUR = 60 * 60 * 1000;
+const POLICY = { freeTimeMinutes: 120, hourlyRate: 75, driverHourlyRate: 20, billingIncrementMinutes: 15 };
+
+describe('detentionService.calculateStopDetention', () => {
+  const appointment = new Date('2026-10-19T08:00:00Z');
+  const stop = { id: 'stop-1', appointmentStart: appointment, appointmentEnd: new Date(appointment.getTime() + HOUR) };
+
+  it('starts the clock at the appointment for an early arrival', () => {
+    const detention = detentionService.calculateStopDetention({
+      stop,
+      arrivedAt: new Date(appointment.getTime() - HOUR),
+      departedAt: new Date(appointment.getTime() + 3 * HOUR)
+    }, POLICY);
+
+    expect(detention.dwellMinutes).toBe(240);
+    expect(detention.detentionMinutes).toBe(60);
+    expect(detention.billableAmount).toBe(75);
+    expect(detention.payableAmount).toBe(20);
+  });
+
+  it('bills whole increments', () => {
+    const detention = detentionService.calculateStopDetention({
+      stop,
+      arrivedAt: appointment,
+      departedAt: new Date(appointment.getTime() + 2 * HOUR + 20 * 60 * 1000)
+    }, POLICY);
+
+    expect(detention.detentionMinutes).toBe(20);
+    expect(detention.billableHours).toBe(0.5);
+  });
+
+  it('forfeits detention when the driver arrives after the window', () => {
+    const detention = detentionService.calculateStopDetention({
+      stop,
+      arrivedAt: new Date(appointment.getTime() + 2 * HOUR),
+      departedAt: new Date(appointment.getTime() + 6 * HOUR)
+    }, POLICY);
+
+    expect(detention.lateArrival).toBe(true);
+    expect(detention.detentionMinutes).toBe(0);
+  });
+});
+
+describe('detentionService', () => {
+  const seedLoad = (status, stop) => {
+    const [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0001', status, shipperClientId: 'shipper-1' }]);
+    const [seeded] = prisma._seed('loadStop', [{
+      loadId: load.id,
+      stopSequence: 1,
+      stopType: 'PICKUP',
+      locationName: 'Acme DC',
+      appointmentStart: new Date(Date.now() - 5 * HOUR),
+      ...stop
+    }]);
+    return { load, stop: seeded };
+  };
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('proposeDetentionCharge', () => {
+    it('proposes one charge when two departures for the stop race', async () => {
+      const { load, stop } = seedLoad('LOADED', {
+        arrivedAt: new Date(Date.now() - 5 * HOUR),
+        departedAt: new Date(Date.now() - HOUR)
+      });
+
+      const charges = await Promise.all([
+        detentionService.proposeDetentionCharge(load.id, stop.id),
+        detentionService.proposeDetentionCharge(load.id, stop.id)
+      ]);
+
+      expect(charges.filter(Boolean)).toHaveLength(1);
+      expect(prisma._tables.accessorialCharge).toHaveLength(1);
+      expect(prisma._tables.accessorialCharge[0]).toMatchObject({
+        stopId: stop.id,
+        type: 'DETENTION',
+        status: 'REQUESTED',
+        quantity: 2
+      });
+      expect(prisma._tables.loadStop[0].detentionProposedAt).toBeInstanceOf(Date);
+    });
+
+    it('leaves the stop unclaimed when the charge cannot be created', async () => {
+      const { load, stop } = seedLoad('LOADED', {
+        arrivedAt: new Date(Date.now() - 5 * HOUR),
+        departedAt: new Date(Date.now() - HOUR)
+      });
+      jest.spyOn(prisma.accessorialCharge, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+      await expect(detentionService.proposeDetentionCharge(load.id, stop.id)).rejects.toThrow('write failed');
+
+      expect(prisma._tables.loadStop[0].detentionProposedAt).toBeUndefined();
+      expect(await detentionService.proposeDetentionCharge(load.id, stop.id)).not.toBeNull();
+    });
+  });
+
+  describe('checkActiveDetention', () => {
+    it('keeps alerting the remaining loads when one load fails', async () => {
+      const arrivedAt = new Date(Date.now() - 4 * HOUR);
+      const { load: broken } = seedLoad('AT_PICKUP', { arrivedAt, appointmentStart: arrivedAt });
+      const { load } = seedLoad('AT_PICKUP', { arrivedAt, appointmentStart: arrivedAt });
+
+      const getLoadDetention = detentionService.getLoadDetention.bind(detentionService);
+      jest.spyOn(detentionService, 'getLoadDetention').mockImplementation(async (loadId) => {
+        if (loadId === broken.id) throw new Error('bad stop data');
+        return getLoadDetention(loadId);
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const alerted = await detentionService.checkActiveDetention();
+
+      expect(alerted).toBe(1);
+      expect(notificationService.notifyDetentionStarted).toHaveBeenCalledTimes(1);
+      expect(notificationService.notifyDetentionStarted.mock.calls[0][0].id).toBe(load.id);
+      expect(console.error).toHaveBeenCalledWith(`Failed to check detention for load ${broken.id}:`, expect.any(Error));
+    });
+  });
+});
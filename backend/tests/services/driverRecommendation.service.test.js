@@ -0,0 +1,137 @@
+// ==================== tests/services/driverRecommendation.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+
+const prisma = require('../../src/config/database');
+const driverRecommendationService = require('../../src/services/driverRecommendation.service');
+
+const CHICAGO = { latitude: 41.88, longitude: -87.63 };
+const DALLAS = { latitude: 32.78, longitude: -96.8 };
+
+const VALID_DOCUMENTS = {
+  licenseExpiry: new Date('2028-01-01T00:00:00Z'),
+  medicalCertExpiry: new Date('2028-01-01T00:00:00Z')
+};
+
+describe('driverRecommendationService.recommend', () => {
+  let load;
+
+  // A driver with a truck of the given equipment type
+  const seedDriver = (data, equipmentType = 'DRY_VAN') => {
+    const [driver] = prisma._seed('driver', [{ isActive: true, isAvailable: true, ...VALID_DOCUMENTS, ...data }]);
+    const [vehicle] = prisma._seed('vehicle', [{ unitNumber: `T-${driver.lastName}`, equipmentType }]);
+    prisma._seed('vehicleAssignment', [{ driverId: driver.id, vehicleId: vehicle.id, isCurrentlyAssigned: true }]);
+    return driver;
+  };
+
+  // A load the driver has run or is booked on, picking up in Dallas
+  const seedDriverLoad = (driver, data) => {
+    const [other] = prisma._seed('load', [{ origin: 'Dallas, TX', destination: 'Chicago, IL', ...data }]);
+    prisma._seed('loadGeoLocation', [
+      { loadId: other.id, stopSequence: 1, ...DALLAS },
+      { loadId: other.id, stopSequence: 2, ...CHICAGO }
+    ]);
+    prisma._seed('loadAssignment', [{ loadId: other.id, driverId: driver.id, acceptedAt: new Date() }]);
+    return other;
+  };
+
+  const recommend = () => driverRecommendationService.recommend(load.id);
+
+  const byName = (result, lastName) => result.drivers.find(d => d.driver.lastName === lastName);
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+
+    [load] = prisma._seed('load', [{
+      loadNumber: 'LOAD-2026-0100',
+      status: 'SCHEDULED',
+      origin: 'Chicago, IL',
+      destination: 'Dallas, TX',
+      equipmentType: 'DRY_VAN',
+      pickupDate: new Date('2026-11-02T08:00:00Z'),
+      deliveryDate: new Date('2026-11-03T17:00:00Z')
+    }]);
+    prisma._seed('loadGeoLocation', [
+      { loadId: load.id, stopSequence: 1, ...CHICAGO },
+      { loadId: load.id, stopSequence: 2, ...DALLAS }
+    ]);
+  });
+
+  it('ranks eligible drivers by score with the nearest driver first', async () => {
+    seedDriver({ firstName: 'Lee', lastName: 'Far', homeBaseLat: 34.05, homeBaseLng: -118.24 });
+    seedDriver({ firstName: 'Dana', lastName: 'Near', homeBaseLat: 41.9, homeBaseLng: -87.7 });
+
+    const result = await recommend();
+
+    expect(result.drivers.map(d => d.driver.lastName)).toEqual(['Near', 'Far']);
+    expect(result.drivers.every(d => d.eligible)).toBe(true);
+
+    const near = byName(result, 'Near');
+    expect(near.components.deadhead).toMatchObject({ miles: 4, detail: '4 mi deadhead from home base' });
+    expect(byName(result, 'Far').components.deadhead).toMatchObject({ score: 0 });
+    expect(near.score).toBe(Object.values(near.components).reduce((sum, c) => sum + c.score, 0));
+  });
+
+  it('lists drivers who cannot take the load last, with the blockers spelled out', async () => {
+    seedDriver({ firstName: 'Dana', lastName: 'Ready' });
+    seedDriver({ firstName: 'Lee', lastName: 'Reefer' }, 'REEFER');
+    const away = seedDriver({ firstName: 'Sam', lastName: 'Away' });
+    const busy = seedDriver({ firstName: 'Kim', lastName: 'Busy' });
+    seedDriver({ firstName: 'Ana', lastName: 'Expired', medicalCertExpiry: new Date('2026-11-03T00:00:00Z') });
+
+    prisma._seed('driverTimeOff', [{
+      driverId: away.id,
+      type: 'HOME_TIME',
+      status: 'APPROVED',
+      startAt: new Date('2026-11-01T00:00:00Z'),
+      endAt: new Date('2026-11-04T00:00:00Z')
+    }]);
+    seedDriverLoad(busy, {
+      loadNumber: 'LOAD-2026-0099',
+      status: 'ACCEPTED',
+      pickupDate: new Date('2026-11-03T06:00:00Z'),
+      deliveryDate: new Date('2026-11-04T06:00:00Z')
+    });
+
+    const result = await recommend();
+
+    expect(result.drivers[0]).toMatchObject({ eligible: true, blockers: [], driver: { lastName: 'Ready' } });
+    expect(result.drivers.slice(1).every(d => !d.eligible)).toBe(true);
+    expect(byName(result, 'Reefer').blockers).toEqual(['Truck T-Reefer is REEFER, load needs DRY_VAN']);
+    expect(byName(result, 'Away').blockers).toEqual(['Approved home time until 2026-11-04T00:00:00.000Z']);
+    expect(byName(result, 'Busy').blockers).toEqual(['Overlaps load LOAD-2026-0099']);
+    expect(byName(result, 'Expired').blockers).toEqual(['Medical certificate expires before delivery']);
+  });
+
+  it('measures deadhead from the last delivery and credits on-time history on the lane', async () => {
+    const driver = seedDriver({ firstName: 'Dana', lastName: 'Regular', homeBaseLat: 34.05, homeBaseLng: -118.24 });
+    seedDriverLoad(driver, {
+      loadNumber: 'LOAD-2026-0050',
+      status: 'COMPLETED',
+      origin: 'Chicago, IL',
+      destination: 'Dallas, TX',
+      pickupDate: new Date('2026-10-20T08:00:00Z'),
+      deliveryDate: new Date('2026-10-21T17:00:00Z'),
+      actualDeliveryTime: new Date('2026-10-21T15:00:00Z')
+    });
+    seedDriverLoad(driver, {
+      loadNumber: 'LOAD-2026-0060',
+      status: 'COMPLETED',
+      pickupDate: new Date('2026-10-28T08:00:00Z'),
+      deliveryDate: new Date('2026-10-29T17:00:00Z'),
+      actualDeliveryTime: new Date('2026-10-29T20:00:00Z')
+    });
+
+    const { components } = byName(await recommend(), 'Regular');
+
+    // The latest drop was in Chicago, not at home in Los Angeles
+    expect(components.deadhead.detail).toBe('0 mi deadhead from last delivery (LOAD-2026-0060)');
+    expect(components.onTime).toMatchObject({ onTimePercentage: 50, detail: '50% on time over 2 completed loads' });
+    expect(components.lane).toMatchObject({ laneLoads: 1 });
+  });
+
+  it('throws NotFoundError for a deleted load', async () => {
+    prisma._tables.load[0].deletedAt = new Date();
+
+    await expect(recommend()).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,178 @@
+// ==================== tests/services/driverTimeOff.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const driverTimeOffService = require('../../src/services/driverTimeOff.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DISPATCHER = { id: 'user-dispatch', type: 'INTERNAL_USER', role: 'DISPATCHER' };
+
+describe('driverTimeOffService', () => {
+  let driver;
+
+  const hoursFromNow = hours => new Date(Date.now() + hours * HOUR_MS);
+
+  const seedTimeOff = data => prisma._seed('driverTimeOff', [{
+    driverId: driver.id,
+    type: 'TIME_OFF',
+    status: 'PENDING',
+    startAt: hoursFromNow(24),
+    endAt: hoursFromNow(72),
+    appliedAt: null,
+    endedAt: null,
+    ...data
+  }])[0];
+
+  const storedDriver = () => prisma._tables.driver.find(d => d.id === driver.id);
+  const stored = id => prisma._tables.driverTimeOff.find(t => t.id === id);
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.clearAllMocks();
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes', isActive: true, isAvailable: true }]);
+  });
+
+  describe('requestTimeOff', () => {
+    const request = data => driverTimeOffService.requestTimeOff(driver.id, { id: driver.id, type: 'DRIVER' }, {
+      type: 'HOME_TIME',
+      startAt: hoursFromNow(24).toISOString(),
+      endAt: hoursFromNow(72).toISOString(),
+      ...data
+    });
+
+    it('records a pending request and tells dispatch', async () => {
+      const timeOff = await request({ reason: 'Family visit' });
+
+      expect(timeOff).toMatchObject({ status: 'PENDING', type: 'HOME_TIME', requestedByType: 'DRIVER' });
+      expect(notificationService.notifyTimeOffRequested).toHaveBeenCalledWith(
+        expect.objectContaining({ id: timeOff.id }),
+        expect.objectContaining({ id: driver.id })
+      );
+    });
+
+    it('rejects a window overlapping another pending or approved request', async () => {
+      seedTimeOff({ status: 'APPROVED', startAt: hoursFromNow(48), endAt: hoursFromNow(96) });
+
+      await expect(request()).rejects.toMatchObject({ statusCode: 409 });
+
+      prisma._tables.driverTimeOff[0].status = 'DENIED';
+      await expect(request()).resolves.toMatchObject({ status: 'PENDING' });
+    });
+
+    it('rejects windows that end before they start or are already over', async () => {
+      await expect(request({ endAt: hoursFromNow(12).toISOString() })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(request({ startAt: hoursFromNow(-48).toISOString(), endAt: hoursFromNow(-24).toISOString() }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('approve', () => {
+    it('refuses while the driver is booked on a load inside the window', async () => {
+      const timeOff = seedTimeOff();
+      const [load] = prisma._seed('load', [{
+        loadNumber: 'LOAD-2026-0100',
+        status: 'ACCEPTED',
+        pickupDate: hoursFromNow(48),
+        deliveryDate: hoursFromNow(60)
+      }]);
+      prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, acceptedAt: new Date() }]);
+
+      await expect(driverTimeOffService.approve(timeOff.id, DISPATCHER)).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Driver is booked on load LOAD-2026-0100 during this time off'
+      });
+      expect(stored(timeOff.id).status).toBe('PENDING');
+      expect(notificationService.notifyTimeOffReviewed).not.toHaveBeenCalled();
+    });
+
+    it('approves a future window without touching availability', async () => {
+      const timeOff = seedTimeOff();
+
+      const approved = await driverTimeOffService.approve(timeOff.id, DISPATCHER, 'Enjoy');
+
+      expect(approved).toMatchObject({ status: 'APPROVED', reviewedById: DISPATCHER.id, appliedAt: null });
+      expect(storedDriver().isAvailable).toBe(true);
+      expect(notificationService.notifyTimeOffReviewed).toHaveBeenCalled();
+    });
+
+    it('takes the driver off the board when the window has already started', async () => {
+      const timeOff = seedTimeOff({ startAt: hoursFromNow(-1) });
+
+      const approved = await driverTimeOffService.approve(timeOff.id, DISPATCHER);
+
+      expect(approved.appliedAt).toEqual(expect.any(Date));
+      expect(storedDriver().isAvailable).toBe(false);
+    });
+
+    it('refuses a request that was already reviewed', async () => {
+      const timeOff = seedTimeOff({ status: 'DENIED' });
+
+      await expect(driverTimeOffService.approve(timeOff.id, DISPATCHER)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('cancel', () => {
+    it('puts a driver on running time off back on the board', async () => {
+      storedDriver().isAvailable = false;
+      const timeOff = seedTimeOff({ status: 'APPROVED', startAt: hoursFromNow(-1), appliedAt: hoursFromNow(-1) });
+
+      const cancelled = await driverTimeOffService.cancel(timeOff.id, { id: driver.id, type: 'DRIVER' });
+
+      expect(cancelled).toMatchObject({ status: 'CANCELLED', endedAt: expect.any(Date) });
+      expect(storedDriver().isAvailable).toBe(true);
+    });
+
+    it('keeps the driver off the board while another approved window is running', async () => {
+      storedDriver().isAvailable = false;
+      const timeOff = seedTimeOff({ status: 'APPROVED', startAt: hoursFromNow(-2), appliedAt: hoursFromNow(-2) });
+      seedTimeOff({ status: 'APPROVED', startAt: hoursFromNow(-1), endAt: hoursFromNow(5), appliedAt: hoursFromNow(-1) });
+
+      await driverTimeOffService.cancel(timeOff.id, DISPATCHER);
+
+      expect(storedDriver().isAvailable).toBe(false);
+    });
+
+    it('does not let a driver cancel someone else\'s request', async () => {
+      const timeOff = seedTimeOff();
+
+      await expect(driverTimeOffService.cancel(timeOff.id, { id: 'driver-other', type: 'DRIVER' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('applyWindows', () => {
+    it('takes drivers off the board as windows start and back on as they end', async () => {
+      const [second] = prisma._seed('driver', [{ firstName: 'Lee', lastName: 'Park', isActive: true, isAvailable: false }]);
+      const starting = seedTimeOff({ status: 'APPROVED', startAt: hoursFromNow(-1) });
+      const ending = seedTimeOff({
+        driverId: second.id,
+        status: 'APPROVED',
+        startAt: hoursFromNow(-72),
+        endAt: hoursFromNow(-1),
+        appliedAt: hoursFromNow(-72)
+      });
+      seedTimeOff({ status: 'PENDING', startAt: hoursFromNow(-1) });
+
+      expect(await driverTimeOffService.applyWindows()).toEqual({ started: 1, ended: 1 });
+
+      expect(stored(starting.id).appliedAt).toEqual(expect.any(Date));
+      expect(storedDriver().isAvailable).toBe(false);
+      expect(stored(ending.id).endedAt).toEqual(expect.any(Date));
+      expect(prisma._tables.driver.find(d => d.id === second.id).isAvailable).toBe(true);
+
+      expect(await driverTimeOffService.applyWindows()).toEqual({ started: 0, ended: 0 });
+    });
+
+    it('only marks ended a window that opened and closed between runs', async () => {
+      const missed = seedTimeOff({ status: 'APPROVED', startAt: hoursFromNow(-3), endAt: hoursFromNow(-1) });
+
+      expect(await driverTimeOffService.applyWindows()).toEqual({ started: 0, ended: 1 });
+
+      expect(stored(missed.id)).toMatchObject({ appliedAt: null, endedAt: expect.any(Date) });
+      expect(storedDriver().isAvailable).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+// ==================== tests/services/eta.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const etaService = require('../../src/services/eta.service');
+const { distanceMiles } = require('../../src/utils/geo');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const DALLAS = { latitude: 32.78, longitude: -96.8 };
+// About 125 straight-line miles north of Dallas: 150 road miles, 3 hours at 50 mph
+const TRUCK = { latitude: 34.589, longitude: -96.8 };
+
+describe('etaService', () => {
+  let load;
+  let driver;
+  let now;
+
+  const hoursFromNow = hours => new Date(now + hours * HOUR_MS);
+  // Whole milliseconds, as a Date keeps them
+  const driveMs = Math.floor(distanceMiles(
+    { lat: TRUCK.latitude, lng: TRUCK.longitude },
+    { lat: DALLAS.latitude, lng: DALLAS.longitude }
+  ) * 1.2 / 50 * HOUR_MS);
+
+  const setAppointment = hours => {
+    prisma._tables.loadStop.find(s => s.stopType === 'DELIVERY').appointmentStart = hoursFromNow(hours);
+  };
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    now = Date.now();
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0100', status: 'EN_ROUTE_DELIVERY' }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, acceptedAt: hoursFromNow(-24) }]);
+    prisma._seed('loadStop', [
+      { loadId: load.id, stopSequence: 1, stopType: 'PICKUP', arrivedAt: hoursFromNow(-6), departedAt: hoursFromNow(-5) },
+      { loadId: load.id, stopSequence: 2, stopType: 'DELIVERY', appointmentStart: hoursFromNow(4), arrivedAt: null, departedAt: null }
+    ]);
+    prisma._seed('loadGeoLocation', [
+      { loadId: load.id, stopSequence: 1, latitude: 41.88, longitude: -87.63 },
+      { loadId: load.id, stopSequence: 2, ...DALLAS }
+    ]);
+    prisma._seed('loadTrack', [{
+      loadId: load.id,
+      driverId: driver.id,
+      lastLatitude: TRUCK.latitude,
+      lastLongitude: TRUCK.longitude,
+      lastRecordedAt: new Date(now - 10 * MINUTE_MS)
+    }]);
+  });
+
+  describe('refreshEta', () => {
+    it('predicts arrival from the last position and stores it', async () => {
+      const eta = await etaService.refreshEta(load.id);
+
+      expect(eta.etaAt.getTime()).toBeGreaterThanOrEqual(now + driveMs);
+      expect(eta.etaAt.getTime()).toBeLessThan(now + driveMs + MINUTE_MS);
+      expect(eta).toMatchObject({
+        atRisk: false,
+        minutesLate: -60,
+        position: { source: 'GPS_TRACK', ageMinutes: 10, stale: false },
+        reason: null
+      });
+      expect(prisma._tables.loadEta[0]).toMatchObject({ loadId: load.id, etaAt: eta.etaAt, atRisk: false });
+      expect(await etaService.getEta(load.id)).toMatchObject({ etaAt: eta.etaAt, minutesLate: -60 });
+    });
+
+    it('adds the 10-hour reset a driver out of hours needs', async () => {
+      prisma._seed('hosLog', [
+        { driverId: driver.id, dutyStatus: 'DRIVING', startAt: hoursFromNow(-11), endAt: hoursFromNow(-1) },
+        { driverId: driver.id, dutyStatus: 'OFF_DUTY', startAt: hoursFromNow(-1), endAt: null }
+      ]);
+
+      const eta = await etaService.refreshEta(load.id);
+
+      // One hour of driving left, then a reset before the other two
+      expect(eta.etaAt.getTime()).toBeGreaterThanOrEqual(now + driveMs + 10 * HOUR_MS);
+      expect(eta.hos).toEqual({ availableDrivingHours: 1, breakDueInHours: 8 });
+      expect(eta.atRisk).toBe(true);
+    });
+
+    it('alerts once when the load turns at-risk and again after it recovers and slips', async () => {
+      setAppointment(2);
+      await etaService.refreshEta(load.id);
+      await etaService.refreshEta(load.id);
+
+      expect(notificationService.notifyDeliveryAtRisk).toHaveBeenCalledTimes(1);
+      expect(notificationService.notifyDeliveryAtRisk).toHaveBeenCalledWith(
+        expect.objectContaining({ id: load.id }),
+        expect.objectContaining({ atRisk: true, minutesLate: expect.any(Number) })
+      );
+      expect(prisma._tables.loadEta[0].riskAlertedAt).toEqual(expect.any(Date));
+
+      setAppointment(5);
+      await etaService.refreshEta(load.id);
+      expect(prisma._tables.loadEta[0]).toMatchObject({ atRisk: false, riskAlertedAt: null });
+
+      setAppointment(2);
+      await etaService.refreshEta(load.id);
+      expect(notificationService.notifyDeliveryAtRisk).toHaveBeenCalledTimes(2);
+    });
+
+    it('allows the grace period before calling a delivery at-risk', async () => {
+      setAppointment(driveMs / HOUR_MS - 10 / 60);
+
+      const eta = await etaService.refreshEta(load.id);
+
+      expect(eta).toMatchObject({ minutesLate: 10, atRisk: false });
+    });
+
+    it('falls back to the last status event with GPS and flags a stale position', async () => {
+      delete prisma._tables.loadTrack;
+      prisma._seed('loadStatusEvent', [{
+        loadId: load.id,
+        status: 'EN_ROUTE_DELIVERY',
+        gpsLat: TRUCK.latitude,
+        gpsLng: TRUCK.longitude,
+        createdAt: hoursFromNow(-2)
+      }]);
+
+      const { position } = await etaService.refreshEta(load.id);
+
+      expect(position).toMatchObject({ source: 'STATUS_EVENT', ageMinutes: 120, stale: true });
+    });
+
+    it('gives a reason instead of an ETA without a position or before the load is on the road', async () => {
+      delete prisma._tables.loadTrack;
+      expect(await etaService.refreshEta(load.id)).toMatchObject({ etaAt: null, reason: 'No position reported yet' });
+
+      prisma._tables.load[0].status = 'SCHEDULED';
+      expect(await etaService.refreshEta(load.id)).toMatchObject({ etaAt: null, reason: 'No ETA while load is SCHEDULED' });
+      expect(prisma._tables.loadEta).toBeUndefined();
+    });
+  });
+
+  describe('refreshActiveLoads', () => {
+    it('keeps going when one load fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const [broken] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0101', status: 'AT_PICKUP' }]);
+      const refresh = etaService.refreshEta.bind(etaService);
+      jest.spyOn(etaService, 'refreshEta').mockImplementation(async (id) => {
+        if (id === broken.id) throw new Error('bad load');
+        return refresh(id);
+      });
+
+      expect(await etaService.refreshActiveLoads()).toEqual({ updated: 1, atRisk: 0 });
+      expect(console.error).toHaveBeenCalledWith(`Failed to compute ETA for load ${broken.id}:`, expect.any(Error));
+    });
+  });
+});
@@ -0,0 +1,201 @@
+// ==================== tests/services/geocoding.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/mileage.service', () => require('../helpers/stubService').stubService());
+
+const prisma = require('../../src/config/database');
+const mileageService = require('../../src/services/mileage.service');
+const geocodingService = require('../../src/services/geocoding.service');
+
+const DALLAS = { latitude: 32.7767, longitude: -96.797, precision: 'ADDRESS', formattedAddress: '1 Main St, Dallas, TX 75201' };
+
+describe('geocodingService', () => {
+  let provider;
+
+  const query = text => geocodingService.buildQuery({ address: text });
+
+  // A cacheable provider standing in for Google
+  const useProvider = () => {
+    provider = {
+      name: 'test',
+      cacheable: true,
+      geocode: jest.fn().mockResolvedValue(DALLAS),
+      jurisdiction: jest.fn().mockResolvedValue({ jurisdiction: 'TX', country: 'US', precision: 'BOUNDARY' })
+    };
+    geocodingService.registerProvider(provider);
+    jest.replaceProperty(geocodingService, 'providerName', 'test');
+  };
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('buildQuery', () => {
+    it('reads ZIP, city and state out of free text', () => {
+      expect(geocodingService.buildQuery({ locationName: 'Acme DC', address: '123 Main St, Dallas, TX 75201-1234' }))
+        .toMatchObject({ zip: '75201', city: 'Dallas', state: 'TX', text: '123 Main St, Dallas, TX 75201-1234' });
+    });
+
+    it('prefers structured fields and appends the ones the text lacks', () => {
+      expect(geocodingService.buildQuery({ address: '500 Dock Rd', city: 'Chicago', state: 'il', zipCode: '60602' }))
+        .toMatchObject({ zip: '60602', city: 'Chicago', state: 'IL', text: '500 Dock Rd, Chicago, IL, 60602', key: '500 dock rd, chicago, il, 60602' });
+    });
+  });
+
+  describe('geocode', () => {
+    it('resolves offline by ZIP, then by city and state', async () => {
+      await expect(geocodingService.geocode(query('1 Main St, Dallas, TX 75201'))).resolves.toMatchObject({
+        result: { latitude: 32.7767, longitude: -96.797, precision: 'ZIP' },
+        provider: 'offline'
+      });
+      await expect(geocodingService.geocode(query('Rail yard, St. Louis, MO'))).resolves.toMatchObject({
+        result: { latitude: 38.627, precision: 'CITY' }
+      });
+      await expect(geocodingService.geocode(query('Somewhere, Nowhere, ZZ'))).resolves.toMatchObject({ result: null });
+      expect(prisma._tables.geocodeCache).toBeUndefined();
+    });
+
+    it('answers repeat queries from the cache', async () => {
+      useProvider();
+
+      await geocodingService.geocode(query('1 Main St, Dallas, TX 75201'));
+      const second = await geocodingService.geocode(query('1  main st,  Dallas, TX 75201'));
+
+      expect(provider.geocode).toHaveBeenCalledTimes(1);
+      expect(second).toEqual({ result: DALLAS, provider: 'test', error: null });
+      expect(prisma._tables.geocodeCache).toEqual([expect.objectContaining({ resolved: true, provider: 'test' })]);
+    });
+
+    it('remembers a miss until it expires or a refresh is asked for', async () => {
+      useProvider();
+      provider.geocode.mockResolvedValue(null);
+      const unknown = query('Gate 4, Unknown Rd');
+
+      await geocodingService.geocode(unknown);
+      await geocodingService.geocode(unknown);
+      expect(provider.geocode).toHaveBeenCalledTimes(1);
+      expect(prisma._tables.geocodeCache[0].expiresAt - Date.now()).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+
+      await geocodingService.geocode(unknown, { refresh: true });
+      expect(provider.geocode).toHaveBeenCalledTimes(2);
+
+      prisma._tables.geocodeCache[0].expiresAt = new Date(Date.now() - 1000);
+      await geocodingService.geocode(unknown);
+      expect(provider.geocode).toHaveBeenCalledTimes(3);
+    });
+
+    it('falls back to the offline dataset when the provider fails, without caching', async () => {
+      useProvider();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      provider.geocode.mockRejectedValue(new Error('OVER_QUERY_LIMIT'));
+
+      await expect(geocodingService.geocode(query('1 Main St, Dallas, TX 75201'))).resolves.toMatchObject({
+        result: { precision: 'ZIP' },
+        provider: 'offline',
+        error: null
+      });
+      await expect(geocodingService.geocode(query('Gate 4, Unknown Rd'))).resolves.toEqual({
+        result: null,
+        provider: 'offline',
+        error: 'OVER_QUERY_LIMIT'
+      });
+      expect(prisma._tables.geocodeCache).toBeUndefined();
+
+      provider.geocode.mockResolvedValue(DALLAS);
+      await expect(geocodingService.geocode(query('1 Main St, Dallas, TX 75201'))).resolves.toMatchObject({ provider: 'test' });
+    });
+  });
+
+  describe('jurisdictionAt', () => {
+    it('takes the state of the nearest offline place', async () => {
+      await expect(geocodingService.jurisdictionAt({ lat: 32.9, lng: -96.6 }))
+        .resolves.toEqual({ jurisdiction: 'TX', country: 'US', provider: 'offline', approximate: true });
+    });
+
+    it('caches the provider\'s answer by grid cell and memoizes within a run', async () => {
+      useProvider();
+      const memo = new Map();
+
+      await geocodingService.jurisdictionAt({ lat: 32.7801, lng: -96.8001 }, memo);
+      await geocodingService.jurisdictionAt({ lat: 32.7799, lng: -96.7999 });
+      const findUnique = jest.spyOn(prisma.geocodeCache, 'findUnique');
+      const answer = await geocodingService.jurisdictionAt({ lat: 32.78, lng: -96.8 }, memo);
+
+      expect(answer).toEqual({ jurisdiction: 'TX', country: 'US', provider: 'test', approximate: false });
+      expect(provider.jurisdiction).toHaveBeenCalledTimes(1);
+      expect(provider.jurisdiction).toHaveBeenCalledWith({ lat: 32.8, lng: -96.8 });
+      expect(findUnique).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the offline dataset when the provider fails', async () => {
+      useProvider();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      provider.jurisdiction.mockRejectedValue(new Error('timeout'));
+
+      await expect(geocodingService.jurisdictionAt({ lat: 41.9, lng: -87.6 }))
+        .resolves.toEqual({ jurisdiction: 'IL', country: 'US', provider: 'offline', approximate: true });
+      expect(prisma._tables.geocodeCache).toBeUndefined();
+    });
+  });
+
+  describe('geocodeLoad', () => {
+    let load;
+    let stops;
+
+    beforeEach(() => {
+      [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0100', status: 'SCHEDULED' }]);
+      stops = prisma._seed('loadStop', [
+        { loadId: load.id, stopSequence: 1, locationName: 'Acme DC', address: '500 Dock Rd', city: 'Chicago', state: 'IL', geocodeStatus: null },
+        { loadId: load.id, stopSequence: 2, locationName: 'Store 12', address: 'Back lot behind the mall', geocodeStatus: null }
+      ]);
+    });
+
+    it('stores coordinates, flags stops it cannot locate and refreshes mileage', async () => {
+      const result = await geocodingService.geocodeLoad(load.id);
+
+      expect(result).toMatchObject({ resolved: 1, unresolved: 1 });
+      expect(prisma._tables.loadGeoLocation).toEqual([
+        expect.objectContaining({ stopSequence: 1, latitude: 41.8781, precision: 'CITY', provider: 'offline' })
+      ]);
+      expect(prisma._tables.loadStop[1]).toMatchObject({
+        geocodeStatus: 'UNRESOLVED',
+        geocodeNote: 'Could not locate "Back lot behind the mall"'
+      });
+      expect(mileageService.refreshLoadQuietly).toHaveBeenCalledWith(load.id);
+      await expect(geocodingService.getReviewQueue()).resolves.toEqual([
+        expect.objectContaining({ id: stops[1].id, load: expect.objectContaining({ loadNumber: 'LOAD-2026-0100' }) })
+      ]);
+    });
+
+    it('keeps a location set by hand until the stop\'s address changes', async () => {
+      await geocodingService.setManualLocation(load.id, stops[1].id, { latitude: '32.9', longitude: '-96.7' });
+
+      await geocodingService.geocodeLoad(load.id);
+      expect(prisma._tables.loadStop[1].geocodeStatus).toBe('MANUAL');
+      expect(prisma._tables.loadGeoLocation.find(l => l.stopSequence === 2)).toMatchObject({ latitude: 32.9, provider: 'MANUAL' });
+
+      Object.assign(prisma._tables.loadStop[1], { address: '1 Main St', city: 'Dallas', state: 'TX' });
+      await geocodingService.geocodeLoad(load.id);
+      expect(prisma._tables.loadGeoLocation.find(l => l.stopSequence === 2)).toMatchObject({ latitude: 32.7767, provider: 'offline' });
+      expect(prisma._tables.loadGeoLocation).toHaveLength(2);
+    });
+
+    it('rejects a manual location off the load or without both coordinates', async () => {
+      await expect(geocodingService.setManualLocation('load-other', stops[0].id, { latitude: 1, longitude: 1 }))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(geocodingService.setManualLocation(load.id, stops[0].id, { latitude: '32.9' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('only picks up open loads with stops not geocoded yet', async () => {
+      const [done] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0101', status: 'COMPLETED' }]);
+      prisma._seed('loadStop', [{ loadId: done.id, stopSequence: 1, city: 'Dallas', state: 'TX', geocodeStatus: null }]);
+      const geocodeLoad = jest.spyOn(geocodingService, 'geocodeLoad');
+
+      await expect(geocodingService.geocodePending()).resolves.toEqual({ loads: 1, unresolved: 1 });
+      expect(geocodeLoad).toHaveBeenCalledTimes(1);
+      expect(geocodeLoad).toHaveBeenCalledWith(load.id);
+    });
+  });
+});
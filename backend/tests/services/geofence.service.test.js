@@ -0,0 +1,157 @@
+// ==================== tests/services/geofence.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/mileage.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/detention.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/edi.service', () => require('../helpers/stubService').stubService());
+
+const prisma = require('../../src/config/database');
+const detentionService = require('../../src/services/detention.service');
+const ediService = require('../../src/services/edi.service');
+const geofenceService = require('../../src/services/geofence.service');
+
+const MINUTE_MS = 60 * 1000;
+
+// Pickup in Chicago, delivery in Dallas
+const PICKUP = { latitude: 41.8800, longitude: -87.6300 };
+const DELIVERY = { latitude: 32.7800, longitude: -96.8000 };
+
+// 0.001 degrees of latitude is about 111 m
+const north = (point, meters) => ({ ...point, latitude: point.latitude + meters / 111000 });
+
+describe('geofenceService', () => {
+  let load;
+  let driver;
+  let pickup;
+  let start;
+
+  // Positions one minute apart
+  const track = (...points) => points.map((point, i) => ({
+    recordedAt: new Date(start + i * MINUTE_MS),
+    ...point
+  }));
+
+  const stops = () => [...prisma._tables.loadStop].sort((a, b) => a.stopSequence - b.stopSequence);
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    start = Date.now() - 60 * MINUTE_MS;
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0100', status: 'ACCEPTED' }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, acceptedAt: new Date(start) }]);
+    [pickup] = prisma._seed('loadStop', [
+      { loadId: load.id, stopSequence: 1, stopType: 'PICKUP', arrivedAt: null, departedAt: null },
+      { loadId: load.id, stopSequence: 2, stopType: 'DELIVERY', arrivedAt: null, departedAt: null }
+    ]);
+    prisma._seed('loadGeoLocation', [
+      { loadId: load.id, stopSequence: 1, ...PICKUP },
+      { loadId: load.id, stopSequence: 2, ...DELIVERY }
+    ]);
+  });
+
+  describe('detectCrossings', () => {
+    const crossings = (points, stopRows = stops()) => geofenceService
+      .detectCrossings({ stops: stopRows, geoLocations: prisma._tables.loadGeoLocation }, track(...points))
+      .map(c => [c.stop.stopSequence, c.stopEvent]);
+
+    it('arrives inside the radius and departs past 1.5 times the radius', () => {
+      expect(crossings([
+        north(PICKUP, 2000),
+        north(PICKUP, 400),
+        north(PICKUP, 700),
+        north(PICKUP, 800)
+      ])).toEqual([[1, 'ARRIVED'], [1, 'DEPARTED']]);
+    });
+
+    it('ignores jitter around the edge of the fence', () => {
+      expect(crossings([
+        north(PICKUP, 450),
+        north(PICKUP, 550),
+        north(PICKUP, 450),
+        north(PICKUP, 600)
+      ])).toEqual([[1, 'ARRIVED']]);
+    });
+
+    it('uses the stop\'s own radius and stops at a stop with geofencing off', () => {
+      const rows = stops();
+      rows[0].geofenceRadiusMeters = 1000;
+      rows[1].geofenceEnabled = false;
+
+      expect(crossings([north(PICKUP, 900), north(PICKUP, 1600), DELIVERY], rows))
+        .toEqual([[1, 'ARRIVED'], [1, 'DEPARTED']]);
+    });
+  });
+
+  describe('processPositions', () => {
+    const report = points => geofenceService.processPositions(load.id, driver.id, track(...points));
+
+    it('walks the load forward through the statuses the driver skipped', async () => {
+      const events = await report([north(PICKUP, 3000), PICKUP, north(PICKUP, 1000)]);
+
+      expect(events.map(e => [e.stopEvent, e.statuses])).toEqual([
+        ['ARRIVED', ['EN_ROUTE_PICKUP', 'AT_PICKUP']],
+        ['DEPARTED', ['LOADED', 'EN_ROUTE_DELIVERY']]
+      ]);
+      expect(prisma._tables.load[0].status).toBe('EN_ROUTE_DELIVERY');
+      expect(stops()[0]).toMatchObject({ arrivedAt: new Date(start + MINUTE_MS), departedAt: new Date(start + 2 * MINUTE_MS) });
+      expect(prisma._tables.loadStatusHistory.every(h => h.systemGenerated)).toBe(true);
+      expect(detentionService.assessStatusUpdate).toHaveBeenCalledWith(load.id, { stopId: pickup.id, stopEvent: 'DEPARTED' });
+      expect(ediService.queueStatusUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    it('delivers the load on leaving the final delivery', async () => {
+      prisma._tables.load[0].status = 'EN_ROUTE_DELIVERY';
+      Object.assign(prisma._tables.loadStop[0], {
+        arrivedAt: new Date(start - 60 * MINUTE_MS),
+        departedAt: new Date(start - 30 * MINUTE_MS)
+      });
+
+      const events = await report([DELIVERY, north(DELIVERY, 1000)]);
+
+      expect(events.map(e => e.statuses)).toEqual([['AT_DELIVERY'], ['DELIVERED']]);
+      expect(prisma._tables.load[0].status).toBe('DELIVERED');
+      expect(stops()[1].departedAt).toEqual(new Date(start + MINUTE_MS));
+    });
+
+    it('does not repeat an arrival the driver already tapped', async () => {
+      prisma._tables.loadStop[0].arrivedAt = new Date(start - MINUTE_MS);
+      prisma._tables.load[0].status = 'AT_PICKUP';
+
+      const events = await report([PICKUP]);
+
+      expect(events).toEqual([]);
+      expect(prisma._tables.loadStatusHistory).toBeUndefined();
+    });
+
+    it('records a stop event with no status change on the timeline', async () => {
+      // Leaving the first of two pickups keeps the load at pickup
+      prisma._tables.load[0].status = 'AT_PICKUP';
+      prisma._tables.loadStop[0].arrivedAt = new Date(start - MINUTE_MS);
+      prisma._tables.loadStop[1].stopType = 'PICKUP';
+
+      const [event] = await report([north(PICKUP, 1000)]);
+
+      expect(event).toMatchObject({ stopEvent: 'DEPARTED', statuses: [] });
+      expect(prisma._tables.load[0]).toMatchObject({ status: 'AT_PICKUP', version: 2 });
+      expect(prisma._tables.loadStatusHistory).toEqual([
+        expect.objectContaining({ fromStatus: 'AT_PICKUP', toStatus: 'AT_PICKUP', systemGenerated: true })
+      ]);
+    });
+
+    it('never fails the upload when a crossing cannot be applied', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      prisma._tables.load[0].status = 'CANCELLED';
+
+      await expect(report([PICKUP])).resolves.toEqual([]);
+
+      prisma._tables.load[0].status = 'ACCEPTED';
+      jest.spyOn(geofenceService, 'applyCrossing').mockRejectedValueOnce(new Error('db down'));
+
+      await expect(report([PICKUP])).resolves.toEqual([]);
+      expect(console.error).toHaveBeenCalledWith(`Failed to process geofences for load ${load.id}:`, expect.any(Error));
+    });
+  });
+});
@@ -0,0 +1,194 @@
+// ==================== tests/services/hos.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+
+const prisma = require('../../src/config/database');
+const hosService = require('../../src/services/hos.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('hosService', () => {
+  let driver;
+
+  const hoursAgo = hours => new Date(Date.now() - hours * HOUR_MS);
+
+  const seedLog = (dutyStatus, startAt, endAt = null) => prisma._seed('hosLog', [{
+    driverId: driver.id,
+    dutyStatus,
+    startAt,
+    endAt,
+    source: 'MANUAL'
+  }])[0];
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+  });
+
+  describe('evaluate', () => {
+    const base = new Date('2026-11-02T00:00:00Z');
+
+    // Back-to-back segments from `base`, each [dutyStatus, hours]
+    const walk = (periods) => {
+      let cursor = base.getTime();
+      const segments = periods.map(([dutyStatus, hours]) => {
+        const start = new Date(cursor);
+        cursor += hours * HOUR_MS;
+        return { dutyStatus, start, end: new Date(cursor), log: null };
+      });
+      return hosService.evaluate(segments).violations;
+    };
+
+    it('flags driving past 11 hours and 8 hours without a break', () => {
+      const violations = walk([['OFF_DUTY', 34], ['DRIVING', 12]]);
+
+      expect(violations).toEqual([
+        expect.objectContaining({ type: 'DRIVE_11', exceededByHours: 1, at: new Date(base.getTime() + 45 * HOUR_MS) }),
+        expect.objectContaining({ type: 'BREAK_30', exceededByHours: 4 })
+      ]);
+    });
+
+    it('flags driving after the 14-hour window even with drive time left', () => {
+      const violations = walk([['OFF_DUTY', 34], ['ON_DUTY', 6], ['DRIVING', 5], ['OFF_DUTY', 0.5], ['DRIVING', 4]]);
+
+      expect(violations).toEqual([
+        expect.objectContaining({ type: 'SHIFT_14', exceededByHours: 1.5, at: new Date(base.getTime() + 48 * HOUR_MS) })
+      ]);
+    });
+
+    it('resets the daily clocks after 10 hours off but not after 9', () => {
+      const shift = [['DRIVING', 7], ['ON_DUTY', 1], ['DRIVING', 3]];
+
+      expect(walk([['OFF_DUTY', 34], ...shift, ['OFF_DUTY', 10], ...shift])).toEqual([]);
+      expect(walk([['OFF_DUTY', 34], ...shift, ['OFF_DUTY', 9], ...shift]).map(v => v.type))
+        .toEqual(expect.arrayContaining(['DRIVE_11', 'SHIFT_14']));
+    });
+
+    it('flags driving past 70 on-duty hours in 8 days unless a 34-hour restart came first', () => {
+      const week = Array.from({ length: 6 }, () => [['ON_DUTY', 12], ['OFF_DUTY', 12]]).flat();
+
+      expect(walk([['OFF_DUTY', 34], ...week, ['DRIVING', 1]])).toEqual([
+        expect.objectContaining({ type: 'CYCLE_70', exceededByHours: 1 })
+      ]);
+      expect(walk([['OFF_DUTY', 34], ...week, ['OFF_DUTY', 22], ['DRIVING', 1]])).toEqual([]);
+    });
+  });
+
+  describe('getClocks', () => {
+    it('reports remaining drive, shift, break and cycle time from the logs', async () => {
+      seedLog('DRIVING', hoursAgo(5), hoursAgo(1));
+      seedLog('ON_DUTY', hoursAgo(1));
+
+      const clocks = await hosService.getClocks(driver.id);
+
+      expect(clocks).toMatchObject({
+        currentStatus: 'ON_DUTY',
+        drive: { usedHours: 4, remainingHours: 7 },
+        shift: { usedHours: 5, remainingHours: 9 },
+        cycle: { usedHours: 5, remainingHours: 65 },
+        breakDueInHours: 8,
+        availableDrivingHours: 7
+      });
+    });
+
+    it('assumes rest until a future moment', async () => {
+      seedLog('DRIVING', hoursAgo(5), hoursAgo(1));
+
+      const clocks = await hosService.getClocks(driver.id, { at: new Date(Date.now() + 9 * HOUR_MS) });
+
+      expect(clocks).toMatchObject({
+        currentStatus: 'OFF_DUTY',
+        drive: { remainingHours: 11 },
+        shift: { remainingHours: 14 },
+        cycle: { usedHours: 4 }
+      });
+    });
+  });
+
+  describe('logDutyStatus', () => {
+    it('closes the current status when a new one starts', async () => {
+      const current = seedLog('ON_DUTY', hoursAgo(2));
+
+      const log = await hosService.logDutyStatus(driver.id, { id: driver.id, type: 'DRIVER' }, { dutyStatus: 'DRIVING' });
+
+      expect(log).toMatchObject({ dutyStatus: 'DRIVING', endAt: null, source: 'MANUAL' });
+      expect(prisma._tables.hosLog.find(l => l.id === current.id).endAt).toEqual(log.startAt);
+    });
+
+    it('rejects a period overlapping one already logged', async () => {
+      seedLog('DRIVING', hoursAgo(6), hoursAgo(2));
+
+      await expect(hosService.logDutyStatus(driver.id, { id: 'user-dispatch', type: 'INTERNAL_USER' }, {
+        dutyStatus: 'OFF_DUTY',
+        startAt: hoursAgo(3),
+        endAt: hoursAgo(1)
+      })).rejects.toMatchObject({ statusCode: 409 });
+      expect(prisma._tables.hosLog).toHaveLength(1);
+    });
+
+    it('rejects periods in the future', async () => {
+      await expect(hosService.logDutyStatus(driver.id, { id: driver.id, type: 'DRIVER' }, {
+        dutyStatus: 'DRIVING',
+        startAt: new Date(Date.now() + HOUR_MS)
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('checkAssignment', () => {
+    // 1,000 miles at 50 mph is 20 hours of driving, plus an hour at each end
+    const load = { distanceMiles: 1000, stops: [] };
+    const pickup = new Date(Date.now() + 48 * HOUR_MS);
+    const windowOf = hours => ({ start: pickup, end: new Date(pickup.getTime() + hours * HOUR_MS) });
+
+    it('lays breaks and a 10-hour reset over the driving time', () => {
+      const fresh = {
+        drive: { remainingHours: 11 },
+        shift: { remainingHours: 14 },
+        cycle: { remainingHours: 70 },
+        breakDueInHours: 8
+      };
+
+      // 8 + 0.5 break + 3 + 10 reset + 8 + 0.5 break + 1
+      expect(hosService.drivingHoursWithRest(20, fresh)).toBe(31);
+    });
+
+    it('accepts a window long enough for the trip with required rest', async () => {
+      await expect(hosService.checkAssignment(driver.id, load, windowOf(40))).resolves.toEqual([]);
+    });
+
+    it('blocks a window too short for the trip', async () => {
+      await expect(hosService.checkAssignment(driver.id, load, windowOf(24))).rejects.toMatchObject({
+        statusCode: 409,
+        details: { hos: { issues: [expect.objectContaining({ type: 'TRANSIT_TIME' })] } }
+      });
+    });
+
+    it('returns the problems as warnings in warn mode', async () => {
+      jest.replaceProperty(hosService, 'enforcement', 'warn');
+
+      const warnings = await hosService.checkAssignment(driver.id, load, windowOf(24));
+
+      expect(warnings.map(w => w.type)).toEqual(['TRANSIT_TIME']);
+    });
+  });
+
+  describe('getDailyReport', () => {
+    it('totals each day by duty status and lists that day\'s violations', async () => {
+      const today = new Date(new Date().setHours(0, 0, 0, 0));
+      const yesterday = new Date(today);
+      yesterday.setDate(yesterday.getDate() - 1);
+      const at = hour => new Date(new Date(yesterday).setHours(hour));
+
+      seedLog('DRIVING', at(6), at(18));
+
+      const report = await hosService.getDailyReport(driver.id, { from: yesterday, to: today });
+
+      expect(report.days).toHaveLength(1);
+      expect(report.days[0].totals).toMatchObject({ SLEEPER_BERTH: 0, DRIVING: 12, ON_DUTY: 0 });
+      expect(report.days[0].violations.map(v => v.type)).toEqual(['DRIVE_11', 'BREAK_30']);
+      expect(hosService.buildReportCsv(report).split('\r\n')[1])
+        .toMatch(/,0,12,0,Drove past the 11-hour driving limit at .*\(\+1h\); Drove more than 8 hours/);
+    });
+  });
+});
@@ -0,0 +1,271 @@
+// ==================== tests/services/ifta.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+
+const prisma = require('../../src/config/database');
+const geocodingService = require('../../src/services/geocoding.service');
+const iftaService = require('../../src/services/ifta.service');
+const { distanceMiles } = require('../../src/utils/geo');
+
+const MINUTE_MS = 60 * 1000;
+
+// A truck driving east along the 40th parallel; the state line is at 90° W
+const LATITUDE = 40;
+const STEP = 0.25;
+const segmentMiles = distanceMiles({ lat: LATITUDE, lng: -91 }, { lat: LATITUDE, lng: -91 + STEP });
+const WEST_TO_EAST = Array.from({ length: 9 }, (_, i) => -91 + i * STEP);
+
+const QUARTER = '2026-Q2';
+const START = new Date(2026, 4, 15, 8).getTime();
+
+const round = value => Math.round(value);
+
+describe('iftaService', () => {
+  let driver;
+  let truck;
+
+  const seedLoad = (data = {}) => {
+    const [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0100', status: 'DELIVERED', pickupDate: new Date(START), ...data }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, vehicleId: truck.id, acceptedAt: new Date(START) }]);
+    return load;
+  };
+
+  // Breadcrumbs at the given longitudes and minutes after START
+  const crumbs = (load, lngs, minutes = lngs.map((_, i) => i * 10), latitude = LATITUDE) => prisma._seed('loadLocationPing', lngs.map((lng, i) => ({
+    loadId: load.id,
+    driverId: driver.id,
+    latitude,
+    longitude: lng,
+    recordedAt: new Date(START + minutes[i] * MINUTE_MS)
+  })));
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+
+    jest.spyOn(geocodingService, 'jurisdictionAt').mockImplementation(async (point) => {
+      if (point.lat > 45) return null;
+      return { jurisdiction: point.lng < -90 ? 'MO' : 'IL', country: 'US', provider: 'test', approximate: false };
+    });
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+    [truck] = prisma._seed('vehicle', [{ unitNumber: 'T-101' }]);
+    prisma._seed('vehicleAssignment', [{ vehicleId: truck.id, driverId: driver.id, assignedAt: new Date(2026, 0, 1), unassignedAt: null }]);
+  });
+
+  describe('parseQuarter', () => {
+    it('turns a quarter into its date range', () => {
+      expect(iftaService.parseQuarter('2026-Q3')).toEqual({ quarter: '2026-Q3', from: new Date(2026, 6, 1), to: new Date(2026, 9, 1) });
+      expect(() => iftaService.parseQuarter('2026-3')).toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('getVehicleReport', () => {
+    it('splits breadcrumb miles between the jurisdictions driven through', async () => {
+      crumbs(seedLoad(), WEST_TO_EAST);
+      prisma._seed('fuelPurchase', [
+        { vehicleId: truck.id, jurisdiction: 'IL', gallons: 10, taxPaid: true, purchasedAt: new Date(START) },
+        { vehicleId: truck.id, jurisdiction: 'IN', gallons: 5, taxPaid: true, purchasedAt: new Date(START) }
+      ]);
+
+      const report = await iftaService.getVehicleReport(truck.id, QUARTER);
+
+      expect(report).toMatchObject({
+        vehicle: { id: truck.id, unitNumber: 'T-101' },
+        totalMiles: round(8 * segmentMiles),
+        estimatedMiles: 0,
+        totalGallons: 15,
+        mpg: Math.round(8 * segmentMiles / 15 * 100) / 100,
+        loadCount: 1,
+        warnings: []
+      });
+      expect(report.jurisdictions).toEqual([
+        { jurisdiction: 'IL', member: true, miles: round(4 * segmentMiles), estimatedMiles: 0, gallonsPurchased: 10 },
+        { jurisdiction: 'IN', member: true, miles: 0, estimatedMiles: 0, gallonsPurchased: 5 },
+        { jurisdiction: 'MO', member: true, miles: round(4 * segmentMiles), estimatedMiles: 0, gallonsPurchased: 0 }
+      ]);
+    });
+
+    it('routes across a tracking gap and marks those miles estimated', async () => {
+      // An hour without breadcrumbs between the fourth and fifth points
+      crumbs(seedLoad(), WEST_TO_EAST, [0, 10, 20, 30, 90, 100, 110, 120, 130]);
+
+      const report = await iftaService.getVehicleReport(truck.id, QUARTER);
+
+      const routed = Math.round(segmentMiles * 1.2 * 10) / 10;
+      expect(report).toMatchObject({ totalMiles: round(7 * segmentMiles + routed), estimatedMiles: round(routed) });
+      expect(report.jurisdictions.find(j => j.jurisdiction === 'MO')).toMatchObject({
+        miles: round(3 * segmentMiles + routed),
+        estimatedMiles: round(routed)
+      });
+      expect(report.warnings).toEqual([expect.stringMatching(/^\d+ miles were estimated from routing/)]);
+    });
+
+    it('falls back to the geocoded stops of a load that was not tracked', async () => {
+      const load = seedLoad();
+      prisma._seed('loadStop', [
+        { loadId: load.id, stopSequence: 1, arrivedAt: new Date(START) },
+        { loadId: load.id, stopSequence: 2, arrivedAt: new Date(START + 4 * 60 * MINUTE_MS) }
+      ]);
+      prisma._seed('loadGeoLocation', [
+        { loadId: load.id, stopSequence: 1, latitude: LATITUDE, longitude: -91 },
+        { loadId: load.id, stopSequence: 2, latitude: LATITUDE, longitude: -89 }
+      ]);
+
+      const report = await iftaService.getVehicleReport(truck.id, QUARTER);
+
+      const routed = Math.round(distanceMiles({ lat: LATITUDE, lng: -91 }, { lat: LATITUDE, lng: -89 }) * 1.2 * 10) / 10;
+      expect(report).toMatchObject({ totalMiles: round(routed), estimatedMiles: round(routed), loadCount: 1 });
+      // Split by sampling along the straight line, so about half each
+      expect(report.jurisdictions.map(j => j.jurisdiction)).toEqual(['IL', 'MO']);
+      report.jurisdictions.forEach(j => expect(j.miles).toBeCloseTo(routed / 2, -1));
+    });
+
+    it('counts only the time the vehicle was assigned and its own loads', async () => {
+      // The driver moved to another truck halfway through
+      prisma._tables.vehicleAssignment[0].unassignedAt = new Date(START + 40 * MINUTE_MS);
+      crumbs(seedLoad(), WEST_TO_EAST);
+      const [otherTruck] = prisma._seed('vehicle', [{ unitNumber: 'T-102' }]);
+      const other = seedLoad({ loadNumber: 'LOAD-2026-0101' });
+      prisma._tables.loadAssignment[1].vehicleId = otherTruck.id;
+      crumbs(other, [-95, -94], [200, 210]);
+
+      const report = await iftaService.getVehicleReport(truck.id, QUARTER);
+
+      expect(report).toMatchObject({ totalMiles: round(3 * segmentMiles), loadCount: 1 });
+      expect(report.jurisdictions.map(j => j.jurisdiction)).toEqual(['MO']);
+    });
+
+    it('says so when nobody drove the vehicle in the quarter', async () => {
+      delete prisma._tables.vehicleAssignment;
+
+      const report = await iftaService.getVehicleReport(truck.id, QUARTER);
+
+      expect(report).toMatchObject({ totalMiles: 0, mpg: null, jurisdictions: [] });
+      expect(report.warnings).toEqual(['No driver was assigned to this vehicle during the quarter']);
+      await expect(iftaService.getVehicleReport('vehicle-missing', QUARTER)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getFleetReport', () => {
+    let report;
+
+    beforeEach(async () => {
+      crumbs(seedLoad(), WEST_TO_EAST);
+
+      // A second truck runs where no jurisdiction can be found
+      const [reefer] = prisma._seed('vehicle', [{ unitNumber: 'T-100' }]);
+      const [second] = prisma._seed('driver', [{ firstName: 'Sam', lastName: 'Ortiz' }]);
+      prisma._seed('vehicleAssignment', [{ vehicleId: reefer.id, driverId: second.id, assignedAt: new Date(2026, 0, 1), unassignedAt: null }]);
+      const [unplaced] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0102', status: 'DELIVERED', pickupDate: new Date(START) }]);
+      prisma._seed('loadAssignment', [{ loadId: unplaced.id, driverId: second.id, vehicleId: reefer.id, acceptedAt: new Date(START) }]);
+      prisma._seed('loadLocationPing', [0, 1].map(i => ({
+        loadId: unplaced.id,
+        driverId: second.id,
+        latitude: 50,
+        longitude: -100 + i * STEP,
+        recordedAt: new Date(START + i * 10 * MINUTE_MS)
+      })));
+
+      // A third truck only bought fuel
+      const [spare] = prisma._seed('vehicle', [{ unitNumber: 'T-900' }]);
+
+      prisma._seed('fuelPurchase', [
+        { vehicleId: truck.id, jurisdiction: 'IL', gallons: 12, taxPaid: true, purchasedAt: new Date(START) },
+        { vehicleId: truck.id, jurisdiction: 'MO', gallons: 4, taxPaid: false, purchasedAt: new Date(START) },
+        { vehicleId: spare.id, jurisdiction: 'IL', gallons: 4, taxPaid: true, purchasedAt: new Date(START) },
+        { vehicleId: truck.id, jurisdiction: 'IL', gallons: 500, taxPaid: true, purchasedAt: new Date(2026, 6, 2) }
+      ]);
+
+      report = await iftaService.getFleetReport(QUARTER);
+    });
+
+    it('nets taxable gallons at fleet MPG against tax-paid gallons per jurisdiction', () => {
+      const unplacedMiles = distanceMiles({ lat: 50, lng: -100 }, { lat: 50, lng: -100 + STEP });
+      const fleetMpg = Math.round((8 * segmentMiles + unplacedMiles) / 20 * 100) / 100;
+      const taxable = round(4 * segmentMiles / fleetMpg);
+
+      expect(report).toMatchObject({
+        totalMiles: round(8 * segmentMiles + unplacedMiles),
+        taxableMiles: 2 * round(4 * segmentMiles),
+        totalGallons: 20,
+        fleetMpg
+      });
+      expect(report.jurisdictions).toEqual([
+        expect.objectContaining({ jurisdiction: 'IL', member: true, taxableGallons: taxable, taxPaidGallons: 16, netTaxableGallons: taxable - 16 }),
+        expect.objectContaining({ jurisdiction: 'MO', member: true, taxableGallons: taxable, taxPaidGallons: 0, netTaxableGallons: taxable }),
+        expect.objectContaining({ jurisdiction: 'UNKNOWN', member: false, totalMiles: round(unplacedMiles), taxableMiles: 0, netTaxableGallons: null })
+      ]);
+    });
+
+    it('breaks the fleet down by vehicle and notes what it could not account for', () => {
+      expect(report.vehicles.map(v => [v.vehicle.unitNumber, v.totalGallons, v.loadCount])).toEqual([
+        ['T-100', 0, 1],
+        ['T-101', 16, 1],
+        ['T-900', 4, 0]
+      ]);
+      expect(report.warnings).toEqual([
+        'Unit T-900 has fuel purchases but no recorded miles',
+        expect.stringMatching(/^\d+ miles could not be placed in a jurisdiction$/)
+      ]);
+    });
+
+    it('exports the same figures as CSV', () => {
+      const lines = iftaService.buildReportCsv(report).split('\r\n');
+
+      expect(lines.slice(0, 5)).toEqual([
+        'Quarter,2026-Q2',
+        `Total Miles,${report.totalMiles}`,
+        `Taxable Miles,${report.taxableMiles}`,
+        'Total Gallons,20',
+        `Fleet MPG,${report.fleetMpg}`
+      ]);
+      expect(lines).toContain(`UNKNOWN,N,${report.jurisdictions[2].totalMiles},0,0,0,,0`);
+      expect(lines).toContain('Unit T-900 has fuel purchases but no recorded miles');
+    });
+  });
+
+  describe('fuel purchases', () => {
+    const add = data => iftaService.addFuelPurchase(truck.id, { id: 'user-dispatch', type: 'INTERNAL_USER' }, {
+      purchasedAt: new Date(START).toISOString(),
+      jurisdiction: 'il',
+      gallons: '100',
+      pricePerGallon: '3.999',
+      ...data
+    });
+
+    it('records the purchase against the driver who had the vehicle', async () => {
+      const purchase = await add({ receiptNumber: 'R-1' });
+
+      expect(purchase).toMatchObject({
+        driverId: driver.id,
+        jurisdiction: 'IL',
+        gallons: 100,
+        totalCost: 399.9,
+        taxPaid: true,
+        createdById: 'user-dispatch'
+      });
+    });
+
+    it('rejects a repeated receipt, a future date and an unknown vehicle', async () => {
+      await add({ receiptNumber: 'R-1' });
+
+      await expect(add({ receiptNumber: 'R-1' })).rejects.toMatchObject({ statusCode: 409 });
+      await expect(add({ purchasedAt: new Date(Date.now() + 60 * MINUTE_MS).toISOString() })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(iftaService.addFuelPurchase('vehicle-missing', {}, {})).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('lists a quarter\'s purchases and only deletes the vehicle\'s own', async () => {
+      const purchase = await add();
+      await add({ purchasedAt: new Date(2026, 6, 2).toISOString() });
+
+      await expect(iftaService.listFuelPurchases(truck.id, { quarter: QUARTER })).resolves.toMatchObject({
+        purchases: [expect.objectContaining({ id: purchase.id })],
+        total: 1
+      });
+
+      await expect(iftaService.deleteFuelPurchase('vehicle-other', purchase.id)).rejects.toMatchObject({ statusCode: 404 });
+      await iftaService.deleteFuelPurchase(truck.id, purchase.id);
+      expect(prisma._tables.fuelPurchase).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// ==================== tests/services/loadBoard.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/mileage.service', () => require('../helpers/stubService').stubService());
+
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const mileageService = require('../../src/services/mileage.service');
+const scheduleService = require('../../src/services/schedule.service');
+const loadBoardService = require('../../src/services/loadBoard.service');
+
+const DISPATCHER = { id: 'user-dispatch', type: 'INTERNAL_USER', role: 'DISPATCHER' };
+
+describe('loadBoardService', () => {
+  let load;
+  let driver;
+  let other;
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(scheduleService, 'checkAssignment').mockResolvedValue({ vehicleId: 'vehicle-1', hosWarnings: [] });
+
+    [driver, other] = prisma._seed('driver', [
+      { firstName: 'Dana', lastName: 'Reyes', driverType: 'OWNER_OPERATOR', isActive: true, isAvailable: true },
+      { firstName: 'Lee', lastName: 'Park', driverType: 'OWNER_OPERATOR', isActive: true, isAvailable: true }
+    ]);
+    const [vehicle] = prisma._seed('vehicle', [{ unitNumber: 'T-101', equipmentType: 'DRY_VAN' }]);
+    prisma._seed('vehicleAssignment', [driver, other].map(d => ({ driverId: d.id, vehicleId: vehicle.id, isCurrentlyAssigned: true })));
+    [load] = prisma._seed('load', [{
+      loadNumber: 'LOAD-2026-0001',
+      status: 'SCHEDULED',
+      shipperRate: 1500,
+      equipmentType: 'DRY_VAN',
+      firstCome: true
+    }]);
+  });
+
+  describe('requestLoad', () => {
+    const claimAs = d => loadBoardService.requestLoad(load.id, { id: d.id, type: 'DRIVER' });
+
+    it('claims a first-come load and refreshes deadhead miles for the driver', async () => {
+      const { assignment, claimed } = await claimAs(driver);
+
+      expect(claimed).toBe(true);
+      expect(assignment).toMatchObject({ driverId: driver.id });
+      expect(prisma._tables.load[0].status).toBe('ACCEPTED');
+      expect(mileageService.refreshLoadQuietly).toHaveBeenCalledWith(load.id);
+      expect(notificationService.notifyLoadAccepted).toHaveBeenCalledWith(
+        expect.objectContaining({ id: load.id }),
+        expect.objectContaining({ id: driver.id })
+      );
+    });
+
+    it('gives a first-come load to one of two racing drivers and turns the other away', async () => {
+      const results = await Promise.allSettled([claimAs(driver), claimAs(other)]);
+
+      const won = results.filter(r => r.status === 'fulfilled');
+      const lost = results.filter(r => r.status === 'rejected');
+      expect(won).toHaveLength(1);
+      expect(lost).toHaveLength(1);
+      expect(lost[0].reason).toMatchObject({ statusCode: 409 });
+
+      const winner = won[0].value.assignment.driverId;
+      expect(prisma._tables.loadAssignment).toEqual([expect.objectContaining({ driverId: winner })]);
+      expect(prisma._tables.load[0]).toMatchObject({ status: 'ACCEPTED' });
+      expect(notificationService.notifyLoadAccepted).toHaveBeenCalledTimes(1);
+    });
+
+    it('queues a request instead of claiming when the load is not first-come', async () => {
+      prisma._tables.load[0].firstCome = false;
+
+      const { assignment, claimed } = await claimAs(driver);
+
+      expect(claimed).toBe(false);
+      expect(assignment).toMatchObject({ driverId: driver.id, approvedAt: null });
+      expect(prisma._tables.load[0].status).toBe('SCHEDULED');
+      expect(notificationService.notifyLoadRequested).toHaveBeenCalled();
+      await expect(claimAs(driver)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('approveRequest', () => {
+    it('assigns and accepts the load and sends both transitions\' notifications', async () => {
+      const [request] = prisma._seed('loadAssignment', [
+        { loadId: load.id, driverId: driver.id, requestedAt: new Date() },
+        { loadId: load.id, driverId: other.id, requestedAt: new Date() }
+      ]);
+
+      const assignment = await loadBoardService.approveRequest(request.id, DISPATCHER);
+
+      expect(assignment).toMatchObject({ id: request.id, vehicleId: 'vehicle-1' });
+      expect(prisma._tables.load[0].status).toBe('ACCEPTED');
+      expect(notificationService.notifyLoadAssignment).toHaveBeenCalledWith(driver.id, expect.anything(), expect.anything());
+      expect(notificationService.notifyLoadAccepted).toHaveBeenCalledWith(
+        expect.objectContaining({ id: load.id }),
+        expect.objectContaining({ id: driver.id })
+      );
+      expect(notificationService.notifyLoadRequestDeclined).toHaveBeenCalledWith(other.id, expect.anything(), expect.any(String));
+    });
+  });
+});
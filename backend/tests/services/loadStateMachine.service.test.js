@@ -0,0 +1,85 @@
+// ==================== tests/services/loadStateMachine.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/mileage.service', () => require('../helpers/stubService').stubService());
+
+const { clone } = require('../helpers/fakePrisma');
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const loadStateMachine = require('../../src/services/loadStateMachine.service');
+
+describe('loadStateMachine.transition', () => {
+  let load;
+  let driver;
+
+  const accept = (options = {}) => loadStateMachine.transition(load.id, 'ACCEPTED', { id: driver.id, type: 'DRIVER' }, {
+    context: { driver },
+    ...options
+  });
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0001', status: 'ASSIGNED' }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id }]);
+  });
+
+  it('writes the status and its history in its own transaction, then notifies', async () => {
+    const transaction = jest.spyOn(prisma, '$transaction');
+
+    const { load: updated } = await accept();
+
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(updated).toMatchObject({ status: 'ACCEPTED', version: 2 });
+    expect(prisma._tables.loadStatusHistory).toEqual([
+      expect.objectContaining({ fromStatus: 'ASSIGNED', toStatus: 'ACCEPTED', changedById: driver.id })
+    ]);
+    expect(notificationService.notifyLoadAccepted).toHaveBeenCalledWith(updated, driver);
+  });
+
+  it('rolls the status back when the history write fails', async () => {
+    const before = clone(prisma._tables);
+    jest.spyOn(prisma.loadStatusHistory, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(accept()).rejects.toThrow('write failed');
+
+    expect(prisma._tables).toEqual(before);
+    expect(notificationService.notifyLoadAccepted).not.toHaveBeenCalled();
+  });
+
+  it("holds notifications back inside the caller's transaction", async () => {
+    const { afterCommit } = await prisma.$transaction(tx => accept({ tx }));
+
+    expect(notificationService.notifyLoadAccepted).not.toHaveBeenCalled();
+    await afterCommit();
+    expect(notificationService.notifyLoadAccepted).toHaveBeenCalledTimes(1);
+  });
+
+  it('tells dispatch when a shipper submits a load', async () => {
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0002', status: 'DRAFT' }]);
+
+    const { load: updated } = await loadStateMachine.transition(load.id, 'PENDING_REVIEW', { id: 'shipper-user-1', type: 'SHIPPER_USER' });
+
+    expect(notificationService.notifyLoadSubmitted).toHaveBeenCalledWith(updated);
+  });
+
+  it('tells dispatch when the driver rejects, but not on other releases', async () => {
+    const rejection = { driver, reason: 'Truck in the shop' };
+
+    await loadStateMachine.transition(load.id, 'SCHEDULED', { id: driver.id, type: 'DRIVER' }, {
+      context: { rejection }
+    });
+
+    expect(notificationService.notifyAssignmentRejected)
+      .toHaveBeenCalledWith(expect.objectContaining({ status: 'SCHEDULED' }), driver, 'Truck in the shop');
+
+    jest.clearAllMocks();
+    prisma._tables.load[0].status = 'ASSIGNED';
+    await loadStateMachine.transition(load.id, 'SCHEDULED', { id: 'dispatcher-1', type: 'INTERNAL_USER', role: 'DISPATCHER' });
+
+    expect(notificationService.notifyAssignmentRejected).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,179 @@
+// ==================== tests/services/loadTender.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/mileage.service', () => require('../helpers/stubService').stubService());
+
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const mileageService = require('../../src/services/mileage.service');
+const scheduleService = require('../../src/services/schedule.service');
+const loadTenderService = require('../../src/services/loadTender.service');
+const driverController = require('../../src/controllers/drivers.controller');
+const { runHandler } = require('../helpers/http');
+const { ConflictError } = require('../../src/utils/errors');
+
+const DISPATCHER = { id: 'user-dispatch', type: 'INTERNAL_USER', role: 'DISPATCHER' };
+
+describe('loadTenderService', () => {
+  let load;
+  let first;
+  let second;
+  let third;
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(scheduleService, 'checkAssignment').mockResolvedValue({ vehicleId: 'vehicle-1', hosWarnings: [] });
+
+    [first, second, third] = prisma._seed('driver', [
+      { firstName: 'Dana', lastName: 'Reyes', isActive: true, isAvailable: true },
+      { firstName: 'Lee', lastName: 'Park', isActive: true, isAvailable: true },
+      { firstName: 'Sam', lastName: 'Ortiz', isActive: true, isAvailable: true }
+    ]);
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0001', status: 'SCHEDULED', shipperRate: 1500 }]);
+  });
+
+  const tender = (driverIds = [first.id, second.id, third.id]) =>
+    loadTenderService.createTender(load.id, DISPATCHER, { driverIds, offerMinutes: 15 });
+
+  const offers = () => [...prisma._tables.loadTenderOffer]
+    .sort((a, b) => a.rank - b.rank)
+    .map(o => o.status);
+
+  const expireCurrentOffer = () => {
+    const current = prisma._tables.loadTenderOffer.find(o => o.status === 'OFFERED');
+    current.expiresAt = new Date(Date.now() - 1000);
+    return current;
+  };
+
+  describe('createTender', () => {
+    it('offers the load to the first driver and refreshes deadhead miles after commit', async () => {
+      const calls = [];
+      const transaction = prisma.$transaction;
+      jest.spyOn(prisma, '$transaction').mockImplementation(async (callback) => {
+        const result = await transaction(callback);
+        calls.push('commit');
+        return result;
+      });
+      mileageService.refreshLoadQuietly.mockImplementation(async () => calls.push('mileage'));
+
+      const { offer } = await loadTenderService.createTender(load.id, DISPATCHER, {
+        driverIds: [first.id, second.id]
+      });
+
+      expect(offer).toMatchObject({ driverId: first.id, status: 'OFFERED' });
+      expect(prisma._tables.load[0].status).toBe('ASSIGNED');
+      expect(mileageService.refreshLoadQuietly).toHaveBeenCalledWith(load.id);
+      expect(calls).toEqual(['commit', 'mileage']);
+      expect(notificationService.notifyLoadOffered).toHaveBeenCalledWith(first.id, expect.anything(), expect.anything());
+    });
+
+    it('skips drivers who are unavailable or booked and offers the next one', async () => {
+      prisma._tables.driver[0].isAvailable = false;
+      scheduleService.checkAssignment.mockImplementation(async (loadId, driverId) => {
+        if (driverId === second.id) throw new ConflictError('Driver is booked on LOAD-2026-0002');
+        return { vehicleId: 'vehicle-1', hosWarnings: [] };
+      });
+
+      const { offer } = await tender();
+
+      expect(offer).toMatchObject({ driverId: third.id, status: 'OFFERED' });
+      expect(offers()).toEqual(['SKIPPED', 'SKIPPED', 'OFFERED']);
+      expect(prisma._tables.loadTenderOffer.find(o => o.driverId === second.id).responseNotes)
+        .toBe('Driver is booked on LOAD-2026-0002');
+    });
+
+    it('leaves the load scheduled and tells dispatch when nobody can take it', async () => {
+      prisma._tables.driver.forEach(d => { d.isActive = false; });
+
+      const { offer, load: result } = await tender();
+
+      expect(offer).toBeNull();
+      expect(result.status).toBe('SCHEDULED');
+      expect(prisma._tables.loadTender[0].status).toBe('EXHAUSTED');
+      expect(prisma._tables.loadAssignment || []).toHaveLength(0);
+      expect(notificationService.notifyTenderExhausted).toHaveBeenCalled();
+    });
+
+    it('rejects a driver listed twice', async () => {
+      await expect(tender([first.id, first.id])).rejects.toMatchObject({ statusCode: 400 });
+      expect(prisma._tables.loadTender).toBeUndefined();
+    });
+  });
+
+  describe('expireOffers', () => {
+    it('releases the expired driver and rolls the load to the next one', async () => {
+      await tender();
+      const expired = expireCurrentOffer();
+
+      const result = await loadTenderService.expireOffers();
+
+      expect(result).toEqual({ expired: 1, exhausted: 0 });
+      expect(offers()).toEqual(['EXPIRED', 'OFFERED', 'PENDING']);
+      expect(prisma._tables.loadAssignment.find(a => a.id === expired.assignmentId))
+        .toMatchObject({ releaseReason: 'Tender offer expired', releasedAt: expect.any(Date) });
+      expect(prisma._tables.load[0].status).toBe('ASSIGNED');
+      expect(notificationService.notifyLoadOffered).toHaveBeenLastCalledWith(second.id, expect.anything(), expect.anything());
+    });
+
+    it('exhausts the tender once the last offer expires', async () => {
+      await tender([first.id]);
+      expireCurrentOffer();
+
+      const result = await loadTenderService.expireOffers();
+
+      expect(result).toEqual({ expired: 1, exhausted: 1 });
+      expect(prisma._tables.loadTender[0].status).toBe('EXHAUSTED');
+      expect(prisma._tables.load[0].status).toBe('SCHEDULED');
+    });
+
+    it('leaves offers that have not reached their deadline', async () => {
+      await tender();
+
+      expect(await loadTenderService.expireOffers()).toEqual({ expired: 0, exhausted: 0 });
+      expect(offers()).toEqual(['OFFERED', 'PENDING', 'PENDING']);
+    });
+  });
+
+  describe('driver responses', () => {
+    const respond = (handler, offer, driver, body = {}) => runHandler(handler, {
+      params: { assignmentId: offer.assignmentId },
+      body,
+      user: { id: driver.id, type: 'DRIVER' }
+    });
+
+    it('rolls the load to the next driver when the offer is rejected', async () => {
+      const { offer } = await tender();
+
+      const { error } = await respond(driverController.rejectAssignment, offer, first, { reason: 'Too far' });
+
+      expect(error).toBeNull();
+      expect(offers()).toEqual(['REJECTED', 'OFFERED', 'PENDING']);
+      expect(prisma._tables.load[0].status).toBe('ASSIGNED');
+      expect(notificationService.notifyLoadOffered).toHaveBeenLastCalledWith(second.id, expect.anything(), expect.anything());
+    });
+
+    it('closes the tender when the offer is accepted', async () => {
+      const { offer } = await tender();
+
+      const { error } = await respond(driverController.acceptAssignment, offer, first);
+
+      expect(error).toBeNull();
+      expect(offers()).toEqual(['ACCEPTED', 'CANCELLED', 'CANCELLED']);
+      expect(prisma._tables.loadTender[0].status).toBe('ACCEPTED');
+      expect(prisma._tables.load[0].status).toBe('ACCEPTED');
+    });
+
+    it('turns away an acceptance after the offer has expired', async () => {
+      const { offer } = await tender();
+      expireCurrentOffer();
+
+      const { error } = await respond(driverController.acceptAssignment, offer, first);
+
+      expect(error).toMatchObject({ statusCode: 400, message: 'This load offer has expired' });
+      expect(prisma._tables.load[0].status).toBe('ASSIGNED');
+      expect(offers()).toEqual(['OFFERED', 'PENDING', 'PENDING']);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// ==================== tests/services/loads.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+jest.mock('../../src/services/notification.service', () => require('../helpers/stubService').stubService());
+jest.mock('../../src/services/mileage.service', () => require('../helpers/stubService').stubService());
+
+const { clone } = require('../helpers/fakePrisma');
+const prisma = require('../../src/config/database');
+const notificationService = require('../../src/services/notification.service');
+const loadService = require('../../src/services/loads.service');
+
+const DISPATCHER = { id: 'user-dispatch', type: 'INTERNAL_USER', role: 'DISPATCHER' };
+
+// Every write cancelLoad makes for a dispatched load with an open tender and TONU
+const CANCEL_WRITES = [
+  ['load', 'update'],
+  ['loadStatusHistory', 'create'],
+  ['loadAssignment', 'update'],
+  ['driver', 'update'],
+  ['loadTenderOffer', 'updateMany'],
+  ['loadTender', 'update'],
+  ['accessorialCharge', 'create'],
+  ['documentCounter', 'upsert'],
+  ['shipperInvoice', 'create'],
+  ['accessorialCharge', 'updateMany']
+];
+
+describe('loadService.cancelLoad', () => {
+  let load;
+  let driver;
+
+  const cancel = () => loadService.cancelLoad(load.id, DISPATCHER, {
+    reasonCode: 'SHIPPER_REQUEST',
+    initiatedBy: 'SHIPPER',
+    chargeTonu: true,
+    tonuAmount: 250,
+    tonuDriverPay: 100
+  });
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    const [shipperClient] = prisma._seed('shipperClient', [{ legalName: 'Acme Foods', paymentTerms: 30 }]);
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes', isAvailable: false }]);
+    [load] = prisma._seed('load', [{
+      loadNumber: 'LOAD-2026-0001',
+      status: 'ACCEPTED',
+      shipperClientId: shipperClient.id,
+      shipperRate: 1500,
+      driverPay: 1000
+    }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, acceptedAt: new Date() }]);
+    const [tender] = prisma._seed('loadTender', [{ loadId: load.id, status: 'ACTIVE' }]);
+    prisma._seed('loadTenderOffer', [{ tenderId: tender.id, driverId: 'driver-other', status: 'PENDING' }]);
+  });
+
+  it('cancels, releases the truck, closes the tender and bills TONU', async () => {
+    const spies = CANCEL_WRITES.map(([model, method]) => jest.spyOn(prisma[model], method));
+
+    const result = await cancel();
+
+    spies.forEach(spy => expect(spy).toHaveBeenCalled());
+    expect(result.load).toMatchObject({ status: 'CANCELLED', version: 2 });
+    expect(result.releasedAssignment.releasedAt).toBeInstanceOf(Date);
+    expect(result.invoice.total).toBe(250);
+    expect(prisma._tables.driver[0].isAvailable).toBe(true);
+    expect(prisma._tables.loadTender[0].status).toBe('CANCELLED');
+    expect(prisma._tables.accessorialCharge[0]).toMatchObject({ invoiceId: result.invoice.id, payeeDriverId: driver.id });
+    expect(notificationService.notifyLoadCancelled).toHaveBeenCalledWith(result.load, driver.id, 'SHIPPER_REQUEST');
+  });
+
+  it.each(CANCEL_WRITES)('persists nothing when %s.%s fails', async (model, method) => {
+    const before = clone(prisma._tables);
+    jest.spyOn(prisma[model], method).mockRejectedValueOnce(new Error('write failed'));
+
+    await expect(cancel()).rejects.toThrow('write failed');
+
+    expect(prisma._tables).toEqual(before);
+    expect(notificationService.notifyLoadCancelled).not.toHaveBeenCalled();
+  });
+
+  it('leaves notifications to the caller inside its transaction', async () => {
+    const { afterCommit } = await prisma.$transaction(tx => loadService.cancelLoad(load.id, DISPATCHER, {
+      reasonCode: 'NO_CAPACITY',
+      initiatedBy: 'CARRIER',
+      tx
+    }));
+
+    expect(notificationService.notifyLoadCancelled).not.toHaveBeenCalled();
+    await afterCommit();
+    expect(notificationService.notifyLoadCancelled).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('loadService.resolveNegotiation', () => {
+  let negotiation;
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    [negotiation] = prisma._seed('loadNegotiation', [{ loadId: 'load-1', proposedRate: 1400, status: 'COUNTER_OFFERED' }]);
+  });
+
+  it('lets only one of two concurrent answers resolve the negotiation', async () => {
+    const results = await Promise.allSettled([
+      loadService.resolveNegotiation(negotiation.id, { status: 'ACCEPTED' }),
+      loadService.resolveNegotiation(negotiation.id, { status: 'REJECTED' })
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason.message)
+      .toBe('Negotiation was resolved by another request; reload and try again');
+    expect(prisma._tables.loadNegotiation[0].status).toBe(results.find(r => r.status === 'fulfilled').value.status);
+  });
+
+  it('refuses to reopen a resolved negotiation', async () => {
+    await loadService.resolveNegotiation(negotiation.id, { status: 'REJECTED' });
+
+    await expect(loadService.resolveNegotiation(negotiation.id, { status: 'ACCEPTED' }))
+      .rejects.toThrow('Negotiation was resolved by another request');
+  });
+});
@@ -0,0 +1,168 @@
+// ==================== tests/services/mileage.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+
+const prisma = require('../../src/config/database');
+const mileageService = require('../../src/services/mileage.service');
+const { distanceMiles } = require('../../src/utils/geo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CHICAGO = { lat: 41.8781, lng: -87.6298 };
+const ST_LOUIS = { lat: 38.627, lng: -90.1994 };
+const DALLAS = { lat: 32.7767, lng: -96.797 };
+const HOUSTON = { lat: 29.7604, lng: -95.3698 };
+
+const round = miles => Math.round(miles * 10) / 10;
+
+describe('mileageService', () => {
+  let driver;
+  let load;
+
+  const seedLoad = (data, points) => {
+    const [row] = prisma._seed('load', [{ status: 'SCHEDULED', ...data }]);
+    prisma._seed('loadStop', points.map((_, i) => ({ loadId: row.id, stopSequence: i + 1 })));
+    prisma._seed('loadGeoLocation', points
+      .map((point, i) => point && { loadId: row.id, stopSequence: i + 1, latitude: point.lat, longitude: point.lng })
+      .filter(Boolean));
+    return row;
+  };
+
+  const assign = (loadId, data = {}) => prisma._seed('loadAssignment', [{ loadId, driverId: driver.id, acceptedAt: new Date(), ...data }]);
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes', homeBaseLat: HOUSTON.lat, homeBaseLng: HOUSTON.lng }]);
+    load = seedLoad({ loadNumber: 'LOAD-2026-0100', pickupDate: new Date(Date.now() + DAY_MS) }, [CHICAGO, ST_LOUIS, DALLAS]);
+  });
+
+  describe('route', () => {
+    it('uses straight-line miles times the circuity factors by default', async () => {
+      const straight = distanceMiles(CHICAGO, ST_LOUIS);
+
+      await expect(mileageService.route([CHICAGO, ST_LOUIS])).resolves.toEqual({
+        practicalMiles: round(straight * 1.2),
+        shortestMiles: round(straight * 1.1),
+        legs: [{ practicalMiles: round(straight * 1.2), shortestMiles: round(straight * 1.1) }],
+        source: 'greatCircle'
+      });
+    });
+
+    it('uses a registered routing provider and falls back when it fails', async () => {
+      const provider = {
+        name: 'test',
+        route: jest.fn().mockResolvedValue({ practicalMiles: 300.04, shortestMiles: 290, legs: [{ practicalMiles: 300.04, shortestMiles: 290 }] })
+      };
+      mileageService.registerProvider(provider);
+      jest.replaceProperty(mileageService, 'providerName', 'test');
+
+      await expect(mileageService.route([CHICAGO, ST_LOUIS])).resolves.toMatchObject({ practicalMiles: 300, source: 'test' });
+
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      provider.route.mockRejectedValue(new Error('Routing failed: NoRoute'));
+
+      await expect(mileageService.route([CHICAGO, ST_LOUIS])).resolves.toMatchObject({
+        practicalMiles: round(distanceMiles(CHICAGO, ST_LOUIS) * 1.2),
+        source: 'greatCircle'
+      });
+    });
+  });
+
+  describe('refreshLoad', () => {
+    it('stores loaded miles stop to stop and deadhead from the driver\'s home base', async () => {
+      assign(load.id);
+
+      const mileage = await mileageService.refreshLoad(load.id);
+
+      const legs = [distanceMiles(CHICAGO, ST_LOUIS), distanceMiles(ST_LOUIS, DALLAS)].map(miles => round(miles * 1.2));
+      expect(mileage).toMatchObject({
+        loadId: load.id,
+        driverId: driver.id,
+        loadedPracticalMiles: round((distanceMiles(CHICAGO, ST_LOUIS) + distanceMiles(ST_LOUIS, DALLAS)) * 1.2),
+        legs: legs.map(practicalMiles => expect.objectContaining({ practicalMiles })),
+        deadheadMiles: round(distanceMiles(HOUSTON, CHICAGO) * 1.2),
+        deadheadFrom: 'Home base',
+        source: 'greatCircle',
+        note: null
+      });
+    });
+
+    it('runs deadhead from the last delivery of the driver\'s previous load', async () => {
+      assign(load.id);
+      const yesterday = new Date(Date.now() - DAY_MS);
+      const previous = seedLoad({ loadNumber: 'LOAD-2026-0099', status: 'DELIVERED', pickupDate: yesterday }, [DALLAS, ST_LOUIS]);
+      assign(previous.id);
+      // Not the driver's any more, or never happened
+      const released = seedLoad({ loadNumber: 'LOAD-2026-0098', pickupDate: new Date(Date.now() - DAY_MS / 2) }, [HOUSTON, DALLAS]);
+      assign(released.id, { releasedAt: new Date() });
+      const cancelled = seedLoad({ loadNumber: 'LOAD-2026-0097', status: 'CANCELLED', pickupDate: new Date(Date.now() - DAY_MS / 4) }, [HOUSTON, DALLAS]);
+      assign(cancelled.id);
+
+      const mileage = await mileageService.refreshLoad(load.id);
+
+      expect(mileage).toMatchObject({
+        deadheadMiles: round(distanceMiles(ST_LOUIS, CHICAGO) * 1.2),
+        deadheadFrom: 'Last delivery (LOAD-2026-0099)'
+      });
+    });
+
+    it('leaves out what it cannot compute and says why', async () => {
+      prisma._tables.loadGeoLocation = prisma._tables.loadGeoLocation.filter(l => l.loadId !== load.id || l.stopSequence !== 3);
+      assign(load.id);
+      prisma._tables.driver[0].homeBaseLat = null;
+
+      const mileage = await mileageService.refreshLoad(load.id);
+
+      expect(mileage).toMatchObject({
+        loadedPracticalMiles: null,
+        legs: [],
+        deadheadMiles: null,
+        source: null,
+        note: 'Not every stop is geocoded; Driver location before pickup is unknown'
+      });
+    });
+
+    it('has no deadhead until a driver is assigned, and updates the same row', async () => {
+      await mileageService.refreshLoad(load.id);
+      expect(prisma._tables.loadMileage[0]).toMatchObject({ driverId: null, deadheadMiles: null, note: null });
+
+      assign(load.id);
+      await mileageService.refreshLoad(load.id);
+      expect(prisma._tables.loadMileage).toEqual([expect.objectContaining({ driverId: driver.id, deadheadFrom: 'Home base' })]);
+    });
+
+    it('reports a missing load quietly when refreshed after a change', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      prisma._tables.load[0].deletedAt = new Date();
+
+      await expect(mileageService.refreshLoad(load.id)).rejects.toMatchObject({ statusCode: 404 });
+      await expect(mileageService.refreshLoadQuietly(load.id)).resolves.toBeNull();
+    });
+  });
+
+  describe('getLoadMileage', () => {
+    it('computes on first request and serves the stored row after', async () => {
+      const refresh = jest.spyOn(mileageService, 'refreshLoad');
+
+      const first = await mileageService.getLoadMileage(load.id);
+      const second = await mileageService.getLoadMileage(load.id);
+
+      expect(refresh).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+      expect(first).toMatchObject({ practicalMiles: expect.any(Number), legs: expect.any(Array), note: null });
+    });
+  });
+
+  describe('summary', () => {
+    it('leaves deadhead out for shippers', async () => {
+      assign(load.id);
+      const mileage = await mileageService.refreshLoad(load.id);
+
+      expect(mileageService.summary(mileage)).toHaveProperty('deadheadFrom', 'Home base');
+      expect(mileageService.summary(mileage, false)).not.toHaveProperty('deadheadMiles');
+      expect(mileageService.summary(mileage, false)).not.toHaveProperty('deadheadFrom');
+      expect(mileageService.summary(null)).toBeNull();
+    });
+  });
+});
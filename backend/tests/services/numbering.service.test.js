@@ -0,0 +1,160 @@
+// ==================== tests/services/numbering.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+
+const prisma = require('../../src/config/database');
+const numberingService = require('../../src/services/numbering.service');
+
+const PARALLEL_REQUESTS = 25;
+
+const issueInParallel = (entity, options = {}) => Promise.all(
+  Array.from({ length: PARALLEL_REQUESTS }, () => numberingService.next(entity, options))
+);
+
+describe('numberingService.next', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    jest.setSystemTime(new Date('2026-06-15T12:00:00Z'));
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe.each([
+    ['LOAD', 'LOAD-2026-'],
+    ['INVOICE', 'INV-2026-'],
+    ['SETTLEMENT', 'SETTLE-2026-']
+  ])('%s', (entity, numberPrefix) => {
+    it('never issues the same number to concurrent requests', async () => {
+      const numbers = await issueInParallel(entity);
+
+      expect(new Set(numbers).size).toBe(PARALLEL_REQUESTS);
+      expect(numbers.every(number => number.startsWith(numberPrefix))).toBe(true);
+      expect(numbers.map(number => parseInt(number.slice(numberPrefix.length))).sort((a, b) => a - b))
+        .toEqual(Array.from({ length: PARALLEL_REQUESTS }, (_, i) => i + 1));
+    });
+
+    it('never issues the same number to concurrent transactions', async () => {
+      const numbers = await Promise.all(Array.from({ length: PARALLEL_REQUESTS }, () =>
+        prisma.$transaction(tx => numberingService.next(entity, { db: tx }))
+      ));
+
+      expect(new Set(numbers).size).toBe(PARALLEL_REQUESTS);
+    });
+  });
+
+  describe('first number under a prefix', () => {
+    beforeEach(() => {
+      prisma._seed('load', [
+        { loadNumber: 'LOAD-2026-0007' },
+        { loadNumber: 'LOAD-2026-0012' },
+        { loadNumber: 'LOAD-2026-MANUAL' },
+        { loadNumber: 'LOAD-2025-0099' }
+      ]);
+    });
+
+    it('creates the counter after the highest number already issued', async () => {
+      const update = jest.spyOn(prisma.documentCounter, 'update');
+      const upsert = jest.spyOn(prisma.documentCounter, 'upsert');
+
+      await expect(numberingService.next('LOAD')).resolves.toBe('LOAD-2026-0013');
+
+      await expect(update.mock.results[0].value).rejects.toMatchObject({ code: 'P2025' });
+      expect(upsert).toHaveBeenCalledTimes(1);
+      expect(prisma._tables.documentCounter).toEqual([
+        expect.objectContaining({ key: 'LOAD:LOAD-2026-', entity: 'LOAD', lastValue: 13 })
+      ]);
+    });
+
+    it('keeps concurrent first requests distinct when they all find no counter', async () => {
+      const upsert = jest.spyOn(prisma.documentCounter, 'upsert');
+
+      const numbers = await issueInParallel('LOAD');
+
+      expect(upsert.mock.calls.length).toBeGreaterThan(1);
+      expect(new Set(numbers).size).toBe(PARALLEL_REQUESTS);
+      expect(numbers.sort()[0]).toBe('LOAD-2026-0013');
+      expect(prisma._tables.documentCounter).toHaveLength(1);
+    });
+
+    it('increments the counter once it exists', async () => {
+      await numberingService.next('LOAD');
+      const upsert = jest.spyOn(prisma.documentCounter, 'upsert');
+
+      await expect(numberingService.next('LOAD')).resolves.toBe('LOAD-2026-0014');
+      expect(upsert).not.toHaveBeenCalled();
+    });
+
+    it('rethrows counter errors other than a missing row', async () => {
+      jest.spyOn(prisma.documentCounter, 'update').mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(numberingService.next('LOAD')).rejects.toThrow('connection lost');
+      expect(prisma._tables.documentCounter).toBeUndefined();
+    });
+  });
+
+  describe('year reset', () => {
+    it('starts again from 1 in a new year', async () => {
+      jest.setSystemTime(new Date(2026, 11, 31, 23, 59));
+      await numberingService.next('INVOICE');
+      await expect(numberingService.next('INVOICE')).resolves.toBe('INV-2026-0002');
+
+      jest.setSystemTime(new Date(2027, 0, 1, 0, 1));
+      await expect(numberingService.next('INVOICE')).resolves.toBe('INV-2027-0001');
+
+      expect(prisma._tables.documentCounter.map(counter => counter.key).sort())
+        .toEqual(['INVOICE:INV-2026-', 'INVOICE:INV-2027-']);
+    });
+
+    it('keeps counting across years when the format does not reset', async () => {
+      prisma._seed('numberingFormat', [
+        { entity: 'SETTLEMENT', shipperClientId: null, prefix: 'PAY', yearReset: false, padding: 6 }
+      ]);
+
+      jest.setSystemTime(new Date(2026, 11, 31));
+      await expect(numberingService.next('SETTLEMENT')).resolves.toBe('PAY-000001');
+
+      jest.setSystemTime(new Date(2027, 0, 1));
+      await expect(numberingService.next('SETTLEMENT')).resolves.toBe('PAY-000002');
+    });
+  });
+
+  describe('per-shipper prefixes', () => {
+    beforeEach(() => {
+      prisma._seed('numberingFormat', [
+        { entity: 'INVOICE', shipperClientId: null, prefix: 'BILL', yearReset: true, padding: 4 },
+        { entity: 'INVOICE', shipperClientId: 'shipper-acme', prefix: 'ACME', yearReset: false, padding: 5 },
+        { entity: 'LOAD', shipperClientId: 'shipper-acme', prefix: 'AC', yearReset: true, padding: 3 }
+      ]);
+    });
+
+    it("uses the shipper's own format", async () => {
+      await expect(numberingService.next('INVOICE', { shipperClientId: 'shipper-acme' })).resolves.toBe('ACME-00001');
+      await expect(numberingService.next('LOAD', { shipperClientId: 'shipper-acme' })).resolves.toBe('AC-2026-001');
+    });
+
+    it('falls back to the entity-wide format, then the default', async () => {
+      await expect(numberingService.next('INVOICE', { shipperClientId: 'shipper-other' })).resolves.toBe('BILL-2026-0001');
+      await expect(numberingService.next('INVOICE')).resolves.toBe('BILL-2026-0002');
+      await expect(numberingService.next('LOAD', { shipperClientId: 'shipper-other' })).resolves.toBe('LOAD-2026-0001');
+    });
+
+    it('counts each prefix separately, even under concurrency', async () => {
+      const [acme, other] = await Promise.all([
+        issueInParallel('INVOICE', { shipperClientId: 'shipper-acme' }),
+        issueInParallel('INVOICE', { shipperClientId: 'shipper-other' })
+      ]);
+
+      expect(new Set(acme).size).toBe(PARALLEL_REQUESTS);
+      expect(new Set(other).size).toBe(PARALLEL_REQUESTS);
+      expect(acme.sort()[PARALLEL_REQUESTS - 1]).toBe(`ACME-000${PARALLEL_REQUESTS}`);
+      expect(other.sort()[PARALLEL_REQUESTS - 1]).toBe(`BILL-2026-00${PARALLEL_REQUESTS}`);
+    });
+  });
+
+  it('rejects entities without numbering', async () => {
+    await expect(numberingService.next('VEHICLE')).rejects.toThrow('No numbering defined for VEHICLE');
+  });
+});
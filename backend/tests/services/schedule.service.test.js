@@ -0,0 +1,174 @@
+// ==================== tests/services/schedule.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+
+const prisma = require('../../src/config/database');
+const hosService = require('../../src/services/hos.service');
+const scheduleService = require('../../src/services/schedule.service');
+
+describe('scheduleService', () => {
+  let driver;
+  let other;
+  let truck;
+  let load;
+
+  const seedLoad = (data) => prisma._seed('load', [{ origin: 'Chicago, IL', destination: 'Dallas, TX', ...data }])[0];
+
+  // Book a driver (and truck) on a load the way an accepted assignment does
+  const book = (bookedLoad, bookedDriver, data = {}) => prisma._seed('loadAssignment', [{
+    loadId: bookedLoad.id,
+    driverId: bookedDriver.id,
+    vehicleId: truck.id,
+    acceptedAt: new Date(),
+    ...data
+  }])[0];
+
+  const check = (options) => scheduleService.checkAssignment(load.id, driver.id, options);
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    jest.spyOn(hosService, 'checkAssignment').mockResolvedValue([]);
+
+    [driver, other] = prisma._seed('driver', [
+      { firstName: 'Dana', lastName: 'Reyes' },
+      { firstName: 'Lee', lastName: 'Park' }
+    ]);
+    [truck] = prisma._seed('vehicle', [{ unitNumber: 'T-101' }]);
+    prisma._seed('vehicleAssignment', [{ driverId: driver.id, vehicleId: truck.id, isCurrentlyAssigned: true }]);
+
+    load = seedLoad({
+      loadNumber: 'LOAD-2026-0100',
+      status: 'SCHEDULED',
+      pickupDate: new Date('2026-11-02T08:00:00Z'),
+      deliveryDate: new Date('2026-11-03T17:00:00Z')
+    });
+  });
+
+  describe('checkAssignment', () => {
+    it('returns the window and the driver\'s truck when nothing clashes', async () => {
+      book(seedLoad({
+        loadNumber: 'LOAD-2026-0090',
+        status: 'ACCEPTED',
+        pickupDate: new Date('2026-11-03T17:00:00Z'),
+        deliveryDate: new Date('2026-11-04T17:00:00Z')
+      }), driver);
+
+      const result = await check();
+
+      expect(result).toEqual({
+        window: { start: new Date('2026-11-02T08:00:00Z'), end: new Date('2026-11-03T17:00:00Z') },
+        vehicleId: truck.id,
+        hosWarnings: []
+      });
+    });
+
+    it('rejects a driver already booked over the window and lists the clashing load', async () => {
+      const booked = seedLoad({
+        loadNumber: 'LOAD-2026-0090',
+        status: 'EN_ROUTE_DELIVERY',
+        pickupDate: new Date('2026-11-01T08:00:00Z'),
+        deliveryDate: new Date('2026-11-02T12:00:00Z')
+      });
+      book(booked, driver);
+
+      await expect(check()).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Scheduling conflict with load LOAD-2026-0090',
+        details: { conflicts: [expect.objectContaining({ type: 'DRIVER', loadId: booked.id })] }
+      });
+      expect(hosService.checkAssignment).not.toHaveBeenCalled();
+    });
+
+    it('rejects a truck still committed to another driver', async () => {
+      book(seedLoad({
+        loadNumber: 'LOAD-2026-0091',
+        status: 'ASSIGNED',
+        pickupDate: new Date('2026-11-03T06:00:00Z'),
+        deliveryDate: new Date('2026-11-04T06:00:00Z')
+      }), other);
+
+      await expect(check()).rejects.toMatchObject({
+        statusCode: 409,
+        details: { conflicts: [expect.objectContaining({ type: 'VEHICLE', driverId: other.id })] }
+      });
+    });
+
+    it('rejects approved time off but not a pending request', async () => {
+      prisma._seed('driverTimeOff', [{
+        driverId: driver.id,
+        type: 'TIME_OFF',
+        status: 'PENDING',
+        startAt: new Date('2026-11-03T00:00:00Z'),
+        endAt: new Date('2026-11-05T00:00:00Z')
+      }]);
+
+      await expect(check()).resolves.toMatchObject({ vehicleId: truck.id });
+
+      prisma._tables.driverTimeOff[0].status = 'APPROVED';
+
+      await expect(check()).rejects.toMatchObject({
+        statusCode: 409,
+        message: 'Scheduling conflict with approved time off 2026-11-03T00:00:00.000Z to 2026-11-05T00:00:00.000Z'
+      });
+    });
+
+    it('ignores released, rejected, requested and delivered bookings', async () => {
+      const overlapping = data => seedLoad({
+        status: 'ASSIGNED',
+        pickupDate: new Date('2026-11-02T10:00:00Z'),
+        deliveryDate: new Date('2026-11-02T20:00:00Z'),
+        ...data
+      });
+
+      book(overlapping({ loadNumber: 'LOAD-2026-0092' }), driver, { releasedAt: new Date() });
+      book(overlapping({ loadNumber: 'LOAD-2026-0093' }), driver, { rejectedAt: new Date() });
+      book(overlapping({ loadNumber: 'LOAD-2026-0094' }), driver, { acceptedAt: null, requestedAt: new Date() });
+      book(overlapping({ loadNumber: 'LOAD-2026-0095', status: 'DELIVERED' }), driver);
+
+      await expect(check()).resolves.toMatchObject({ vehicleId: truck.id });
+    });
+
+    it('checks the dispatcher\'s estimated window instead of the load dates', async () => {
+      book(seedLoad({
+        loadNumber: 'LOAD-2026-0096',
+        status: 'ACCEPTED',
+        pickupDate: new Date('2026-11-03T20:00:00Z'),
+        deliveryDate: new Date('2026-11-04T20:00:00Z')
+      }), driver);
+
+      await expect(check({ estimatedDelivery: '2026-11-04T00:00:00Z' })).rejects.toMatchObject({ statusCode: 409 });
+      await expect(check({ estimatedPickup: '2026-11-04T00:00:00Z' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getSchedule', () => {
+    it('merges loads and time off into one feed, earliest first', async () => {
+      book(load, driver);
+      prisma._tables.load[0].status = 'ACCEPTED';
+      prisma._seed('driverTimeOff', [{
+        driverId: driver.id,
+        type: 'HOME_TIME',
+        status: 'PENDING',
+        startAt: new Date('2026-11-01T00:00:00Z'),
+        endAt: new Date('2026-11-02T00:00:00Z')
+      }]);
+
+      const { events } = await scheduleService.getSchedule(
+        { driverId: driver.id },
+        { from: '2026-10-25T00:00:00Z', to: '2026-11-10T00:00:00Z' }
+      );
+
+      expect(events.map(e => [e.type, e.title])).toEqual([
+        ['HOME_TIME', 'Home time'],
+        ['LOAD', 'LOAD-2026-0100: Chicago, IL to Dallas, TX']
+      ]);
+    });
+
+    it('rejects a range that ends before it starts', async () => {
+      await expect(scheduleService.getSchedule(
+        { vehicleId: truck.id },
+        { from: '2026-11-10T00:00:00Z', to: '2026-11-01T00:00:00Z' }
+      )).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
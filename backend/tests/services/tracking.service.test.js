@@ -0,0 +1,149 @@
+// ==================== tests/services/tracking.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+
+const prisma = require('../../src/config/database');
+const geofenceService = require('../../src/services/geofence.service');
+const trackingService = require('../../src/services/tracking.service');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('trackingService', () => {
+  let load;
+  let driver;
+  let now;
+
+  const minutesAgo = minutes => new Date(now - minutes * MINUTE_MS);
+
+  // A fix heading north from Chicago, about 0.7 miles further per minute
+  const ping = (minutes, data = {}) => ({
+    recordedAt: minutesAgo(minutes).toISOString(),
+    latitude: 41.88 + (60 - minutes) * 0.01,
+    longitude: -87.63,
+    speedMph: 55,
+    ...data
+  });
+
+  const ingest = (pings, actor = { id: driver.id, type: 'DRIVER' }) => trackingService.ingest(load.id, actor, pings);
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+    jest.restoreAllMocks();
+    now = Date.now();
+    jest.spyOn(geofenceService, 'processPositions').mockResolvedValue([]);
+
+    [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes' }]);
+    [load] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0100', status: 'EN_ROUTE_DELIVERY' }]);
+    prisma._seed('loadAssignment', [{
+      loadId: load.id,
+      driverId: driver.id,
+      acceptedAt: minutesAgo(120),
+      createdAt: minutesAgo(120)
+    }]);
+  });
+
+  describe('ingest', () => {
+    it('stores the points, moves the last position and checks the geofences', async () => {
+      const result = await ingest([ping(10), ping(5)]);
+
+      expect(result).toMatchObject({
+        accepted: 2,
+        duplicates: 0,
+        rejected: [],
+        lastPosition: { driverId: driver.id, latitude: 42.43, recordedAt: new Date(ping(5).recordedAt), ageMinutes: 5 }
+      });
+      expect(prisma._tables.loadLocationPing).toHaveLength(2);
+      expect(prisma._tables.loadTrack[0].pingCount).toBe(2);
+      expect(geofenceService.processPositions).toHaveBeenCalledWith(load.id, driver.id, expect.any(Array));
+    });
+
+    it('reports bad points without failing the batch', async () => {
+      const result = await ingest([
+        ping(10),
+        ping(9, { latitude: 91 }),
+        ping(8, { latitude: 0, longitude: 0 }),
+        ping(7, { accuracyMeters: 2000 }),
+        ping(180),
+        ping(-30)
+      ]);
+
+      expect(result.accepted).toBe(1);
+      expect(result.rejected).toEqual([
+        { index: 1, reason: 'Invalid latitude' },
+        { index: 2, reason: 'No position fix' },
+        { index: 3, reason: 'Accuracy worse than 500 m' },
+        { index: 4, reason: 'Recorded before the load was assigned' },
+        { index: 5, reason: 'Recorded after delivery or in the future' }
+      ]);
+    });
+
+    it('drops points already stored when a batch is re-sent', async () => {
+      await ingest([ping(10), ping(5)]);
+
+      const result = await ingest([ping(10), ping(5), ping(2)]);
+
+      expect(result).toMatchObject({ accepted: 1, duplicates: 2 });
+      expect(prisma._tables.loadLocationPing).toHaveLength(3);
+      expect(prisma._tables.loadTrack[0].pingCount).toBe(3);
+    });
+
+    it('keeps the newest position when an older offline batch arrives late', async () => {
+      await ingest([ping(5)]);
+
+      const { lastPosition } = await ingest([ping(40), ping(30)]);
+
+      expect(lastPosition.recordedAt).toEqual(new Date(ping(5).recordedAt));
+      expect(prisma._tables.loadLocationPing).toHaveLength(3);
+    });
+
+    it('only takes points from the driver assigned to the load', async () => {
+      await expect(ingest([ping(5)], { id: 'driver-other', type: 'DRIVER' })).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('refuses points for a load that is not on the road', async () => {
+      prisma._tables.load[0].status = 'SCHEDULED';
+
+      await expect(ingest([ping(5)])).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('compactTracks', () => {
+    it('thins old points into the track and leaves recent ones raw', async () => {
+      // A truck parked for 20 minutes, then driving on
+      const parked = Array.from({ length: 20 }, (_, i) => ping(90 - i, { latitude: 41.88 }));
+      await ingest([...parked, ping(65), ping(64), ping(10)]);
+
+      const result = await trackingService.compactTracks();
+
+      expect(result).toEqual({ loads: 1, points: 22 });
+      expect(prisma._tables.loadLocationPing).toHaveLength(1);
+
+      const track = prisma._tables.loadTrack[0];
+      // The first, one every 5 minutes while parked, the point that moved and the last
+      expect(track.points.map(p => p.recordedAt)).toEqual([90, 85, 80, 75, 65, 64].map(minutesAgo));
+      expect(track.compactedThrough).toEqual(new Date(ping(64).recordedAt));
+    });
+
+    it('returns the same route before and after compaction', async () => {
+      await ingest([ping(60), ping(50), ping(40), ping(10)]);
+      const before = await trackingService.getTrack(load.id);
+
+      await trackingService.compactTracks();
+      const after = await trackingService.getTrack(load.id);
+
+      expect(after.points).toEqual(before.points);
+      expect(after.distanceMiles).toBe(before.distanceMiles);
+      expect(after.distanceMiles).toBeCloseTo(34.5, 0);
+    });
+  });
+
+  describe('getTrack', () => {
+    it('returns only points after `since` for live polling', async () => {
+      await ingest([ping(30), ping(20), ping(10)]);
+
+      const { points, pointCount } = await trackingService.getTrack(load.id, { since: minutesAgo(25) });
+
+      expect(pointCount).toBe(2);
+      expect(points.map(p => p.recordedAt)).toEqual([new Date(ping(20).recordedAt), new Date(ping(10).recordedAt)]);
+    });
+  });
+});
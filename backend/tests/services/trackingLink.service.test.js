@@ -0,0 +1,190 @@
+// ==================== tests/services/trackingLink.service.test.js ====================
+jest.mock('../../src/config/database', () => require('../helpers/fakePrisma').createFakePrisma());
+
+const prisma = require('../../src/config/database');
+const trackingLinkService = require('../../src/services/trackingLink.service');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SHIPPER = { id: 'shipper-user-1', type: 'SHIPPER_USER' };
+
+describe('trackingLinkService', () => {
+  let load;
+
+  const create = (data) => trackingLinkService.createLink(load.id, SHIPPER, data);
+  const storedLink = () => prisma._tables.loadTrackingLink[0];
+
+  beforeEach(() => {
+    for (const model of Object.keys(prisma._tables)) delete prisma._tables[model];
+
+    const [driver] = prisma._seed('driver', [{ firstName: 'Dana', lastName: 'Reyes', phone: '555-0100' }]);
+    [load] = prisma._seed('load', [{
+      loadNumber: 'LOAD-2026-0100',
+      status: 'EN_ROUTE_DELIVERY',
+      shipperRate: 2400,
+      driverRate: 1800,
+      specialInstructions: 'Gate code 4411',
+      pickupDate: new Date('2026-11-02T08:00:00Z'),
+      deliveryDate: new Date('2026-11-03T17:00:00Z')
+    }]);
+    prisma._seed('loadAssignment', [{ loadId: load.id, driverId: driver.id, acceptedAt: new Date() }]);
+    prisma._seed('loadStop', [
+      { loadId: load.id, stopSequence: 1, stopType: 'PICKUP', locationName: 'Acme DC', city: 'Chicago', state: 'IL', contactPhone: '555-0199' },
+      { loadId: load.id, stopSequence: 2, stopType: 'DELIVERY', locationName: 'Store 12', city: 'Dallas', state: 'TX' }
+    ]);
+    prisma._seed('loadStatusHistory', ['ASSIGNED', 'ACCEPTED', 'EN_ROUTE_PICKUP', 'AT_PICKUP', 'LOADED', 'EN_ROUTE_DELIVERY']
+      .map((toStatus, i) => ({ loadId: load.id, toStatus, createdAt: new Date(Date.now() - (10 - i) * HOUR_MS) })));
+    prisma._seed('loadTrack', [{
+      loadId: load.id,
+      driverId: driver.id,
+      lastLatitude: 34.58912,
+      lastLongitude: -96.80377,
+      lastRecordedAt: new Date()
+    }]);
+    prisma._seed('loadEta', [{
+      loadId: load.id,
+      etaAt: new Date('2026-11-03T15:00:00Z'),
+      minutesLate: -120,
+      atRisk: false,
+      stops: [{ driverNotes: 'internal' }]
+    }]);
+  });
+
+  describe('createLink', () => {
+    it('returns the token once and stores only its hash', async () => {
+      const link = await create({ label: 'Consignee', expiresInHours: 24 });
+
+      expect(link.url).toBe(`${trackingLinkService.publicBaseUrl}/${link.token}`);
+      expect(link).toMatchObject({ label: 'Consignee', active: true });
+      expect(link).not.toHaveProperty('tokenHash');
+      expect(storedLink().tokenHash).toBe(trackingLinkService.hashToken(link.token));
+      expect(JSON.stringify(prisma._tables.loadTrackingLink)).not.toContain(link.token);
+      expect(storedLink().expiresAt - Date.now()).toBeGreaterThan(23.9 * HOUR_MS);
+    });
+
+    it('refuses links past the maximum lifetime or for cancelled loads', async () => {
+      await expect(create({ expiresInHours: 1000 })).rejects.toMatchObject({ statusCode: 400 });
+
+      prisma._tables.load[0].status = 'CANCELLED';
+      await expect(create()).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getPublicView', () => {
+    it('shows status, stops, timeline, ETA and an approximate position only', async () => {
+      const { token } = await create();
+
+      const view = await trackingLinkService.getPublicView(token);
+
+      expect(view).toEqual({
+        loadNumber: 'LOAD-2026-0100',
+        status: 'In transit',
+        pickupDate: load.pickupDate,
+        deliveryDate: load.deliveryDate,
+        stops: [
+          expect.objectContaining({ stopSequence: 1, locationName: 'Acme DC', city: 'Chicago' }),
+          expect.objectContaining({ stopSequence: 2, locationName: 'Store 12', city: 'Dallas' })
+        ],
+        timeline: ['Scheduled', 'En route to pickup', 'At pickup', 'Picked up', 'In transit']
+          .map(status => ({ status, at: expect.any(Date) })),
+        eta: expect.objectContaining({ etaAt: new Date('2026-11-03T15:00:00Z'), atRisk: false }),
+        location: { latitude: 34.6, longitude: -96.8, recordedAt: expect.any(Date) },
+        pod: [],
+        expiresAt: expect.any(Date)
+      });
+      expect(view.stops[0]).not.toHaveProperty('contactPhone');
+      expect(view.eta).not.toHaveProperty('stops');
+
+      const exposed = JSON.stringify(view);
+      for (const secret of ['2400', '1800', 'Gate code', 'Dana', '555-0100', '34.589']) {
+        expect(exposed).not.toContain(secret);
+      }
+    });
+
+    it('counts views', async () => {
+      const { token } = await create();
+
+      await trackingLinkService.getPublicView(token);
+      await trackingLinkService.getPublicView(token);
+
+      expect(storedLink()).toMatchObject({ viewCount: 2, lastViewedAt: expect.any(Date) });
+    });
+
+    it('stops working once revoked or expired, with the same answer as an unknown token', async () => {
+      const { token, id } = await create();
+      const { token: other } = await create();
+
+      await trackingLinkService.revokeLink(load.id, id, SHIPPER);
+      prisma._tables.loadTrackingLink[1].expiresAt = new Date(Date.now() - 1000);
+
+      for (const candidate of [token, other, 'not-a-token']) {
+        await expect(trackingLinkService.getPublicView(candidate))
+          .rejects.toMatchObject({ statusCode: 404, message: 'Tracking link not found or expired' });
+      }
+    });
+
+    it('drops the position and ETA and lists the POD once delivered', async () => {
+      const { token } = await create();
+      prisma._tables.load[0].status = 'POD_SUBMITTED';
+      const [pod] = prisma._seed('podDocument', [{
+        loadId: load.id,
+        stopId: prisma._tables.loadStop[1].id,
+        recipientName: 'J. Smith',
+        capturedAt: new Date(),
+        signatureImage: '/uploads/pod/sig.png'
+      }]);
+      const [photo] = prisma._seed('podPhoto', [{ podDocumentId: pod.id, photoOrder: 1, photoUrl: '/uploads/pod/1.jpg' }]);
+
+      const view = await trackingLinkService.getPublicView(token);
+
+      expect(view).toMatchObject({ status: 'Delivered', eta: null, location: null });
+      expect(view.pod).toEqual([{
+        stopSequence: 2,
+        recipientName: 'J. Smith',
+        capturedAt: expect.any(Date),
+        signatureUrl: `/tracking/${token}/pod/${pod.id}/signature`,
+        photoUrls: [`/tracking/${token}/pod/${pod.id}/photos/${photo.id}`]
+      }]);
+    });
+  });
+
+  describe('getPodFile', () => {
+    let token;
+    let pod;
+
+    beforeEach(async () => {
+      ({ token } = await create());
+      [pod] = prisma._seed('podDocument', [{ loadId: load.id, signatureImage: '/uploads/pod/sig.png' }]);
+      prisma._seed('fileUpload', [{ category: 'POD_SIGNATURE', relatedEntityId: load.id, fileUrl: '/uploads/pod/sig.png' }]);
+    });
+
+    it('serves the signature only once the load is delivered', async () => {
+      await expect(trackingLinkService.getPodFile(token, pod.id)).rejects.toMatchObject({ statusCode: 404 });
+
+      prisma._tables.load[0].status = 'DELIVERED';
+
+      await expect(trackingLinkService.getPodFile(token, pod.id)).resolves.toMatchObject({ fileUrl: '/uploads/pod/sig.png' });
+    });
+
+    it('does not serve another load\'s POD', async () => {
+      prisma._tables.load[0].status = 'DELIVERED';
+      const [other] = prisma._seed('load', [{ loadNumber: 'LOAD-2026-0101', status: 'DELIVERED' }]);
+      const [otherPod] = prisma._seed('podDocument', [{ loadId: other.id, signatureImage: '/uploads/pod/sig.png' }]);
+
+      await expect(trackingLinkService.getPodFile(token, otherPod.id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('revokeLink', () => {
+    it('only revokes a live link on the same load', async () => {
+      const { id } = await create();
+
+      await expect(trackingLinkService.revokeLink('load-other', id, SHIPPER)).rejects.toMatchObject({ statusCode: 404 });
+
+      const revoked = await trackingLinkService.revokeLink(load.id, id, SHIPPER);
+      expect(revoked).toMatchObject({ active: false, revokedById: SHIPPER.id });
+      expect((await trackingLinkService.listLinks(load.id))[0].active).toBe(false);
+
+      await expect(trackingLinkService.revokeLink(load.id, id, SHIPPER)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});